@@ -0,0 +1,351 @@
+/**
+ * Registered Abilities dashboard on the HP Abilities settings page
+ * (Plugin::render_settings_page()).
+ *
+ *   - search (id and description) and filters by category, status and health
+ *   - row selection with select-all over the visible rows
+ *   - bulk enable / mute of the selection in one request (hp_toggle_ability
+ *     with ability_ids[])
+ *   - health checks, bulk and per row, all through one queue that runs them
+ *     one at a time, with a progress bar, expandable details per row and the
+ *     time of the last check
+ *
+ * The filtering, queue and time helpers are exported for the tests.
+ */
+(function() {
+    'use strict';
+
+    // One check at a time, however many rows are queued
+    const HEALTH_CONCURRENCY = 1;
+
+    /**
+     * Whether a row ({ id, description, category, enabled, health }) passes
+     * the filter ({ search, category, status }). status: active, muted, ok,
+     * error or unchecked; empty values match everything.
+     */
+    function matchesFilter(row, filter) {
+        const search = String(filter.search || '').trim().toLowerCase();
+        if (search && (row.id + ' ' + row.description).toLowerCase().indexOf(search) === -1) return false;
+        if (filter.category && row.category !== filter.category) return false;
+        switch (filter.status) {
+            case 'active': return row.enabled;
+            case 'muted': return !row.enabled;
+            case 'ok': return row.health === 'ok';
+            case 'error': return row.health === 'error';
+            case 'unchecked': return !row.health;
+            default: return true;
+        }
+    }
+
+    /**
+     * Run `worker(item)` (returning a promise) over `items`, at most
+     * `concurrency` at a time. A failed item doesn't stop the queue.
+     * onProgress(done, total) after each item. Resolves with
+     * [{ item, ok, value | error }] in item order.
+     */
+    function runQueue(items, worker, options) {
+        if (!items.length) return Promise.resolve([]);
+        return new Promise(function(resolve) {
+            createQueue(worker, {
+                concurrency: options && options.concurrency,
+                onProgress: options && options.onProgress,
+                onDrain: resolve
+            }).add(items);
+        });
+    }
+
+    /**
+     * A queue for `worker(item)` that items can be added to while it runs,
+     * at most `concurrency` at a time. add(items) skips the items already
+     * waiting or running and returns how many it queued. onProgress(done,
+     * total) after each item; onDrain(results) when the last one finishes,
+     * with [{ item, ok, value | error }] in the order added. The counts start
+     * over after a drain.
+     */
+    function createQueue(worker, options) {
+        const concurrency = Math.max(1, (options && options.concurrency) || 1);
+        const onProgress = (options && options.onProgress) || function() {};
+        const onDrain = (options && options.onDrain) || function() {};
+        let items = [];
+        let results = [];
+        let next = 0;
+        let done = 0;
+        let running = 0;
+
+        function pump() {
+            while (running < concurrency && next < items.length) {
+                const index = next++;
+                const item = items[index];
+                running++;
+                Promise.resolve()
+                    .then(function() { return worker(item); })
+                    .then(function(value) {
+                        results[index] = { item: item, ok: true, value: value };
+                    }, function(error) {
+                        results[index] = { item: item, ok: false, error: error };
+                    })
+                    .then(function() {
+                        running--;
+                        onProgress(++done, items.length);
+                        if (done < items.length) {
+                            pump();
+                            return;
+                        }
+                        const finished = results;
+                        items = [];
+                        results = [];
+                        next = 0;
+                        done = 0;
+                        onDrain(finished);
+                    });
+            }
+        }
+
+        return {
+            add: function(added) {
+                const fresh = added.filter(function(item) {
+                    return !items.some(function(queued, index) { return queued === item && !results[index]; });
+                });
+                items = items.concat(fresh);
+                pump();
+                return fresh.length;
+            },
+            progress: function() {
+                return { done: done, total: items.length };
+            }
+        };
+    }
+
+    /**
+     * "just now", "5 min ago", "3 h ago", "2 days ago" or "never" for a Unix
+     * timestamp in seconds.
+     */
+    function timeAgo(timestamp, now) {
+        if (!timestamp) return 'never';
+        const seconds = Math.max(0, Math.floor((now === undefined ? Date.now() / 1000 : now) - timestamp));
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return Math.floor(seconds / 60) + ' min ago';
+        if (seconds < 86400) return Math.floor(seconds / 3600) + ' h ago';
+        const days = Math.floor(seconds / 86400);
+        return days + (days === 1 ? ' day ago' : ' days ago');
+    }
+
+    const Dashboard = { HEALTH_CONCURRENCY: HEALTH_CONCURRENCY, matchesFilter: matchesFilter, runQueue: runQueue, createQueue: createQueue, timeAgo: timeAgo };
+
+    // Node (tests) load the helpers without the page
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Dashboard;
+    }
+    if (typeof window === 'undefined') {
+        return;
+    }
+
+    const $ = window.jQuery;
+    const data = window.hpAbilitiesDashboard || {};
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, function(ch) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+        });
+    }
+
+    function init(root) {
+        const rows = Array.prototype.slice.call(root.querySelectorAll('tr.hp-ability-row'));
+        const search = root.querySelector('#hp-abilities-search');
+        const category = root.querySelector('#hp-abilities-category');
+        const status = root.querySelector('#hp-abilities-status');
+        const selectAll = root.querySelector('#hp-abilities-select-all');
+        const count = root.querySelector('.hp-abilities-count');
+        const progress = root.querySelector('.hp-abilities-progress');
+        const buttons = root.querySelectorAll('[data-bulk]');
+
+        function rowData(row) {
+            return {
+                id: row.getAttribute('data-id'),
+                description: row.getAttribute('data-description'),
+                category: row.getAttribute('data-category'),
+                enabled: row.getAttribute('data-enabled') === '1',
+                health: row.getAttribute('data-health')
+            };
+        }
+
+        function detailsRow(row) {
+            return row.nextElementSibling;
+        }
+
+        function visibleRows() {
+            return rows.filter(function(row) { return !row.hidden; });
+        }
+
+        function selectedRows() {
+            return visibleRows().filter(function(row) { return row.querySelector('.hp-ability-select').checked; });
+        }
+
+        function applyFilter() {
+            const filter = { search: search.value, category: category.value, status: status.value };
+            rows.forEach(function(row) {
+                row.hidden = !matchesFilter(rowData(row), filter);
+                if (row.hidden) detailsRow(row).hidden = true;
+            });
+            updateSelection();
+        }
+
+        function updateSelection() {
+            const visible = visibleRows();
+            const selected = selectedRows();
+            selectAll.checked = visible.length > 0 && selected.length === visible.length;
+            selectAll.indeterminate = selected.length > 0 && selected.length < visible.length;
+            count.textContent = visible.length + ' of ' + rows.length + ' shown, ' + selected.length + ' selected';
+            buttons.forEach(function(button) { button.disabled = selected.length === 0; });
+        }
+
+        function setEnabled(row, enabled) {
+            const badge = row.querySelector('.hp-ability-toggle');
+            row.setAttribute('data-enabled', enabled ? '1' : '0');
+            badge.textContent = enabled ? 'Active' : 'Muted';
+            badge.classList.toggle('enabled', enabled);
+            badge.classList.toggle('disabled', !enabled);
+        }
+
+        /**
+         * Enable or mute `targets` with one request.
+         */
+        function toggle(targets, enabled) {
+            if (!targets.length) return;
+            const ids = targets.map(function(row) { return row.getAttribute('data-id'); });
+            $.post(window.ajaxurl, {
+                action: 'hp_toggle_ability',
+                ability_ids: ids,
+                enabled: enabled ? 1 : 0,
+                nonce: data.toggleNonce
+            }).done(function(response) {
+                if (!response.success) {
+                    window.alert('Error: ' + response.data);
+                    return;
+                }
+                targets.forEach(function(row) { setEnabled(row, enabled); });
+                applyFilter();
+            }).fail(function() {
+                window.alert('Error: the request failed.');
+            });
+        }
+
+        function showHealth(row, health) {
+            const indicator = row.querySelector('.hp-ability-health');
+            const ok = health.status === 'ok';
+            row.setAttribute('data-health', ok ? 'ok' : 'error');
+            indicator.classList.toggle('ok', ok);
+            indicator.classList.toggle('error', !ok);
+            indicator.innerHTML = '<span class="dashicons ' + (ok ? 'dashicons-yes-alt' : 'dashicons-warning') + '"></span> ' + escapeHtml(health.message);
+
+            const checked = row.querySelector('.hp-ability-checked');
+            checked.setAttribute('data-checked-at', health.checked_at || '');
+            checked.textContent = timeAgo(health.checked_at);
+
+            detailsRow(row).querySelector('td').innerHTML = '<ul>' + (health.details || []).map(function(detail) {
+                return '<li>' + escapeHtml(detail) + '</li>';
+            }).join('') + '</ul>';
+        }
+
+        function checkHealth(row) {
+            const indicator = row.querySelector('.hp-ability-health');
+            indicator.innerHTML = '<span class="dashicons dashicons-update spin"></span>';
+            return new Promise(function(resolve, reject) {
+                $.post(window.ajaxurl, {
+                    action: 'hp_check_tool_health',
+                    ability_id: row.getAttribute('data-id'),
+                    nonce: data.healthNonce
+                }).done(function(response) {
+                    const health = response.success
+                        ? response.data
+                        : { status: 'error', message: String(response.data || 'Error'), details: [String(response.data || 'Error')] };
+                    showHealth(row, health);
+                    resolve(health);
+                }).fail(function(xhr) {
+                    const message = 'Request failed (' + (xhr && xhr.status) + ')';
+                    // The check ran, it just didn't get an answer
+                    showHealth(row, { status: 'error', message: 'Error', details: [message], checked_at: Math.floor(Date.now() / 1000) });
+                    reject(new Error(message));
+                });
+            });
+        }
+
+        const bar = progress.querySelector('progress');
+        const label = progress.querySelector('.label');
+
+        function showProgress(done, total) {
+            bar.max = total;
+            bar.value = done;
+            label.textContent = done + '/' + total + ' checked';
+        }
+
+        // Bulk and row checks share the queue, so they never run side by side
+        const healthQueue = createQueue(checkHealth, {
+            concurrency: HEALTH_CONCURRENCY,
+            onProgress: showProgress,
+            onDrain: function(results) {
+                const failed = results.filter(function(result) { return !result.ok || result.value.status !== 'ok'; }).length;
+                label.textContent = results.length + ' checked' + (failed ? ', ' + failed + ' with problems' : ', all healthy');
+                applyFilter();
+            }
+        });
+
+        /**
+         * Queue the health checks of `targets`, with progress.
+         */
+        function checkAll(targets) {
+            if (!healthQueue.add(targets)) return;
+            const current = healthQueue.progress();
+            progress.hidden = false;
+            showProgress(current.done, current.total);
+            buttons.forEach(function(button) { button.disabled = true; });
+        }
+
+        [search, category, status].forEach(function(input) {
+            input.addEventListener('input', applyFilter);
+            input.addEventListener('change', applyFilter);
+        });
+        selectAll.addEventListener('change', function() {
+            visibleRows().forEach(function(row) { row.querySelector('.hp-ability-select').checked = selectAll.checked; });
+            updateSelection();
+        });
+        buttons.forEach(function(button) {
+            button.addEventListener('click', function() {
+                const action = button.getAttribute('data-bulk');
+                if (action === 'health') checkAll(selectedRows());
+                else toggle(selectedRows(), action === 'enable');
+            });
+        });
+
+        root.addEventListener('change', function(event) {
+            if (event.target.classList.contains('hp-ability-select')) updateSelection();
+        });
+        root.addEventListener('click', function(event) {
+            const row = event.target.closest('tr.hp-ability-row');
+            if (!row) return;
+            if (event.target.closest('.hp-ability-toggle')) {
+                toggle([row], row.getAttribute('data-enabled') !== '1');
+            } else if (event.target.closest('.hp-ability-check')) {
+                checkAll([row]);
+            } else if (event.target.closest('.hp-ability-health')) {
+                const details = detailsRow(row);
+                details.hidden = !details.hidden;
+                row.querySelector('.hp-ability-health').setAttribute('aria-expanded', details.hidden ? 'false' : 'true');
+            }
+        });
+
+        // Keep the "last checked" times current
+        setInterval(function() {
+            root.querySelectorAll('.hp-ability-checked').forEach(function(cell) {
+                cell.textContent = timeAgo(Number(cell.getAttribute('data-checked-at')) || null);
+            });
+        }, 60000);
+
+        applyFilter();
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        const root = document.getElementById('hp-abilities-dashboard');
+        if (root) init(root);
+    });
+})();
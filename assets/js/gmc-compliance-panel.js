@@ -0,0 +1,106 @@
+/**
+ * Standalone GMC compliance panel for edit screens without the Yoast
+ * analysis (Yoast inactive, or post types it doesn't analyse such as
+ * funnels). Same checks, score and report as the Yoast assessment
+ * (gmc-compliance.js, window.hpGmcClaims):
+ *   - block editor: a "GMC Compliance" panel in the document sidebar,
+ *     updated on every edit
+ *   - classic editor and the WooCommerce product screen: the "GMC Compliance"
+ *     metabox (Plugin::render_gmc_compliance_metabox()), updated while typing,
+ *     with the Replace links
+ */
+(function() {
+    'use strict';
+
+    const claims = window.hpGmcClaims;
+    const rules = claims.compileRules(window.hpGmcComplianceData.claimRules || {});
+
+    // Yoast's traffic light colours by yoastScore()
+    const COLORS = { 9: '#7ad03a', 6: '#ee7c1b', 3: '#dc3232' };
+    const DELAY = 500;
+
+    /**
+     * The report for the current edit screen as HTML.
+     */
+    function renderReport(canReplace) {
+        const fields = claims.collectFields();
+        const audit = claims.auditFields(fields, rules);
+        const report = claims.describeAudit(audit, fields, rules, canReplace);
+
+        let html = '<p><span class="hp-gmc-light" style="display:inline-block;width:10px;height:10px;border-radius:50%;background:'
+            + COLORS[report.traffic] + '"></span> <strong>' + report.score + '/100</strong></p>';
+        html += report.lines.length
+            ? '<ul class="hp-gmc-issues">' + report.lines.map(function(line) { return '<li>' + line + '</li>'; }).join('') + '</ul>'
+            : '<p>No risky claims or missing product data found.</p>';
+        if (report.ignored) html += '<p class="description">' + report.ignored + '.</p>';
+        return html;
+    }
+
+    /**
+     * Classic editor: fill the metabox and keep it current.
+     */
+    function initMetabox(box) {
+        let timer = null;
+        const canReplace = !!(document.getElementById('content') || document.getElementById('excerpt'));
+        const update = function() {
+            box.innerHTML = renderReport(canReplace);
+        };
+        const schedule = function() {
+            clearTimeout(timer);
+            timer = setTimeout(update, DELAY);
+        };
+
+        document.addEventListener('input', schedule);
+        claims.watchFields(schedule);
+        // TinyMCE edits don't reach the textareas until saved
+        if (window.jQuery) {
+            window.jQuery(document).on('tinymce-editor-init', function(event, editor) {
+                editor.on('input change undo redo', schedule);
+            });
+        }
+        document.addEventListener('click', function(event) {
+            if (claims.handleReplaceClick(event, rules)) schedule();
+        });
+        update();
+    }
+
+    /**
+     * Block editor: a document sidebar panel, re-rendered on every edit of the
+     * post and when a watched field in the metabox area changes.
+     */
+    function registerSidebarPanel() {
+        const wp = window.wp;
+        const el = wp.element.createElement;
+        const Panel = (wp.editor && wp.editor.PluginDocumentSettingPanel) || wp.editPost.PluginDocumentSettingPanel;
+        const subscribers = [];
+        claims.watchFields(function() {
+            subscribers.forEach(function(subscriber) { subscriber(); });
+        });
+
+        function GMCCompliancePanel() {
+            const tick = wp.element.useState(0);
+            wp.element.useEffect(function() {
+                const subscriber = function() { tick[1](function(n) { return n + 1; }); };
+                subscribers.push(subscriber);
+                return function() { subscribers.splice(subscribers.indexOf(subscriber), 1); };
+            }, []);
+            // Subscribes the panel to the post edits
+            wp.data.useSelect(function(select) {
+                const editor = select('core/editor');
+                return [editor.getEditedPostAttribute('title'), editor.getEditedPostAttribute('excerpt'), editor.getEditedPostContent()].join('\n');
+            }, []);
+
+            return el(Panel, { name: 'hp-gmc-compliance', title: 'GMC Compliance', className: 'hp-gmc-compliance' },
+                el(wp.element.RawHTML, null, renderReport(false)));
+        }
+
+        wp.plugins.registerPlugin('hp-gmc-compliance', { render: GMCCompliancePanel });
+    }
+
+    if (document.body.classList.contains('block-editor-page')) {
+        registerSidebarPanel();
+    } else {
+        const box = document.getElementById('hp-gmc-compliance-panel');
+        if (box) initMetabox(box);
+    }
+})();
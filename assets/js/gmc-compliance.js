@@ -0,0 +1,651 @@
+/**
+ * Google Merchant Center (GMC) compliance checks for the post edit screen,
+ * shared by the Yoast assessment (yoast-gmc-compliance.js) and the standalone
+ * panel (gmc-compliance-panel.js) on screens without Yoast. Flags risky health
+ * and policy claims ("cures", "anti-cancer", "clinically proven to") in
+ * everything GMC sees: title, description, short description, ACF text
+ * fields and image alt text; plus, on the product screen, missing price or
+ * weight, an invalid GTIN, a title over the length limit and too few images.
+ *
+ * The claims engine below matches the rules from GMCValidator
+ * (includes/Utils/gmc-claim-rules.json) the same way GMCValidator::find_claims()
+ * does on the server:
+ *   - each rule is a regex over whole words, so stems and inflections are
+ *     spelled out in the rule ("cur(?:e|es|ed|ing)") and multi-word phrases work
+ *   - matches inside a safe context (the FDA disclaimer, "treat yourself",
+ *     "prevents clumping") are ignored
+ *   - matches preceded by a negation in the same clause ("does not cure",
+ *     "there is no cure") are ignored
+ * Each rule carries the explanation message and a severity. auditFields()
+ * runs the same checks as GMCValidator::audit_fields() and complianceScore()
+ * gives the same 0-100 score as the server audit (penalties from the rule
+ * data).
+ *
+ * The report lists the compliant wording per form ("cures" -> "supports")
+ * with a Replace link in the classic editor, which rewrites only the active
+ * claims, never the negated or disclaimer mentions.
+ *
+ * Exposed as window.hpGmcClaims; the rule data comes in
+ * window.hpGmcComplianceData.claimRules.
+ */
+(function() {
+    'use strict';
+
+    const NEGATION_WINDOW = 4;
+
+    // Defaults when the rule data has no limits / penalties, as in GMCValidator::get_claim_rules()
+    const LIMITS = { title_length: 150, min_images: 1 };
+    const PENALTIES = { error: 30, warning: 10 };
+
+    const FIELD_LABELS = {
+        title: 'title',
+        description: 'description',
+        short_description: 'short description',
+        image_alt: 'image alt text',
+        price: 'price',
+        weight: 'weight',
+        gtin: 'GTIN',
+        images: 'images'
+    };
+
+    /**
+     * Lowercase plain text: tags and common entities removed, typographic
+     * apostrophes straightened, whitespace collapsed.
+     */
+    function normalizeText(text) {
+        return String(text || '')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/gi, ' ')
+            .replace(/&amp;/gi, '&')
+            .replace(/&#8217;|&rsquo;|[\u2018\u2019]/gi, "'")
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function wordRegex(pattern) {
+        return new RegExp('\\b(?:' + pattern + ')\\b', 'gi');
+    }
+
+    /**
+     * Compile the rule data once: { claims, safeContexts, negations, checks, limits, penalties }.
+     */
+    function compileRules(rules) {
+        return {
+            claims: (rules.claims || []).map(function(rule) {
+                return Object.assign({}, rule, { regex: wordRegex(rule.pattern) });
+            }),
+            safeContexts: (rules.safe_contexts || []).map(function(context) {
+                return Object.assign({}, context, { regex: wordRegex(context.pattern) });
+            }),
+            negations: rules.negations || [],
+            checks: rules.field_checks || {},
+            limits: Object.assign({}, LIMITS, rules.limits),
+            penalties: Object.assign({}, PENALTIES, rules.penalties)
+        };
+    }
+
+    function isNegated(text, index, negations) {
+        // The clause before the match: back to the last punctuation mark
+        const before = text.slice(0, index);
+        const clauseStart = Math.max.apply(null, ['.', '!', '?', ';', ',', ':', '(', ')'].map(function(mark) {
+            return before.lastIndexOf(mark);
+        })) + 1;
+        const words = before.slice(clauseStart).trim().split(' ').filter(Boolean).slice(-NEGATION_WINDOW);
+        return words.some(function(word, i) {
+            // "not only cures" is still a claim
+            return negations.indexOf(word) !== -1 && !(word === 'not' && words[i + 1] === 'only');
+        });
+    }
+
+    /**
+     * Find the claims in `text`. Returns
+     * { claims: [{ id, match, index, severity, message, suggestion, rewrite }], suppressed: [{ id, match, index, reason }] }
+     * `rewrite` is the compliant wording for this exact form ("cures" -> "supports"), when the rule has one.
+     */
+    function findClaims(text, compiled) {
+        const normalized = normalizeText(text);
+        const safeSpans = [];
+        compiled.safeContexts.forEach(function(context) {
+            context.regex.lastIndex = 0;
+            let m;
+            while ((m = context.regex.exec(normalized)) !== null) {
+                safeSpans.push({ from: m.index, to: m.index + m[0].length, note: context.note });
+                if (m[0] === '') context.regex.lastIndex++;
+            }
+        });
+
+        const claims = [];
+        const suppressed = [];
+        compiled.claims.forEach(function(rule) {
+            rule.regex.lastIndex = 0;
+            let m;
+            while ((m = rule.regex.exec(normalized)) !== null) {
+                const index = m.index;
+                const safe = safeSpans.find(function(span) {
+                    return index >= span.from && index < span.to;
+                });
+                if (safe) {
+                    suppressed.push({ id: rule.id, match: m[0], index: index, reason: safe.note });
+                } else if (isNegated(normalized, index, compiled.negations)) {
+                    suppressed.push({ id: rule.id, match: m[0], index: index, reason: 'Negated' });
+                } else {
+                    claims.push({
+                        id: rule.id,
+                        match: m[0],
+                        index: index,
+                        severity: rule.severity,
+                        message: rule.message,
+                        suggestion: rule.suggestion || null,
+                        rewrite: (rule.rewrites && rule.rewrites[m[0]]) || null
+                    });
+                }
+            }
+        });
+        claims.sort(function(a, b) { return a.index - b.index; });
+        return { claims: claims, suppressed: suppressed };
+    }
+
+    /**
+     * GTIN-8, UPC (12), EAN (13) or GTIN-14 with a valid mod-10 check digit.
+     */
+    function isValidGtin(gtin) {
+        const digits = String(gtin).replace(/[\s-]/g, '');
+        if (!/^(?:\d{8}|\d{12,14})$/.test(digits)) return false;
+        let sum = 0;
+        digits.slice(0, -1).split('').reverse().forEach(function(digit, i) {
+            sum += Number(digit) * (i % 2 === 0 ? 3 : 1);
+        });
+        return (10 - sum % 10) % 10 === Number(digits.slice(-1));
+    }
+
+    /**
+     * Run the field checks and the claim rules over the product fields, like
+     * GMCValidator::audit_fields(): title, description, short_description
+     * (strings), acf ([{ name, label, value }]), image_alts (strings), price,
+     * weight, gtin, image_count and variable. A field left out (undefined) is
+     * not checked. Returns { issues, suppressed }; claim issues also carry
+     * `forms` (every spelling found => its rewrite).
+     */
+    function auditFields(fields, compiled) {
+        const issues = [];
+        const check = function(issue) {
+            const rule = compiled.checks[issue];
+            if (rule) {
+                issues.push({ field: rule.field, level: rule.level, issue: issue, msg: rule.message, suggestion: rule.suggestion });
+            }
+        };
+
+        // Variations carry their own price and weight
+        if (fields.weight !== undefined && !(parseFloat(fields.weight) > 0)) check('missing_weight');
+        if (!fields.variable && fields.price !== undefined && !(parseFloat(fields.price) > 0)) check('missing_price');
+        if (fields.gtin && !isValidGtin(fields.gtin)) check('invalid_gtin');
+        if (fields.image_count !== undefined) {
+            if (fields.image_count === 0) check('no_images');
+            else if (fields.image_count < compiled.limits.min_images) check('few_images');
+        }
+        if (fields.title !== undefined && String(fields.title).replace(/<[^>]*>/g, '').trim().length > compiled.limits.title_length) {
+            check('title_too_long');
+        }
+
+        // Claims, once per rule and field
+        const texts = {};
+        ['title', 'description', 'short_description'].forEach(function(name) {
+            if (fields[name] !== undefined) texts[name] = String(fields[name]);
+        });
+        (fields.acf || []).forEach(function(acf) {
+            texts['acf:' + acf.name] = String(acf.value);
+        });
+        if (fields.image_alts && fields.image_alts.length) texts.image_alt = fields.image_alts.join('. ');
+
+        let suppressed = [];
+        Object.keys(texts).forEach(function(field) {
+            const result = findClaims(texts[field], compiled);
+            suppressed = suppressed.concat(result.suppressed);
+            const byRule = {};
+            result.claims.forEach(function(claim) {
+                if (byRule[claim.id]) {
+                    byRule[claim.id].forms[claim.match] = claim.rewrite;
+                    return;
+                }
+                const forms = {};
+                forms[claim.match] = claim.rewrite;
+                byRule[claim.id] = {
+                    field: field,
+                    level: 'warning',
+                    issue: 'forbidden_keyword',
+                    found: claim.match,
+                    rule: claim.id,
+                    severity: claim.severity,
+                    msg: 'Forbidden keyword found: "' + claim.match + '".',
+                    reason: claim.message,
+                    suggestion: claim.suggestion || 'Consider using "supports", "promotes", or "maintains" instead.',
+                    rewrite: claim.rewrite,
+                    forms: forms
+                };
+                issues.push(byRule[claim.id]);
+            });
+        });
+
+        return { issues: issues, suppressed: suppressed };
+    }
+
+    function penalty(issue, compiled) {
+        return compiled.penalties[issue.severity || issue.level] || compiled.penalties[issue.level] || 10;
+    }
+
+    /**
+     * 100 minus the penalty of each issue: claims by severity, each rule
+     * counted once however many fields use it; everything else by level.
+     * Same as the server audit's compliance_score.
+     */
+    function complianceScore(issues, compiled) {
+        const rules = {};
+        let score = 100;
+        issues.forEach(function(issue) {
+            if (issue.rule) {
+                if (rules[issue.rule]) return;
+                rules[issue.rule] = true;
+            }
+            score -= penalty(issue, compiled);
+        });
+        return Math.max(0, score);
+    }
+
+    /**
+     * Yoast traffic light: red (3) for errors and prohibited claims, orange (6)
+     * for any other issue, green (9) without issues.
+     */
+    function yoastScore(issues) {
+        if (issues.some(function(issue) { return issue.level === 'error' || issue.severity === 'critical'; })) return 3;
+        return issues.length ? 6 : 9;
+    }
+
+    function escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Case of `original` applied to `replacement` ("Cures" -> "Supports").
+     */
+    function matchCase(original, replacement) {
+        if (original.length > 1 && original === original.toUpperCase()) return replacement.toUpperCase();
+        if (original[0] !== original[0].toLowerCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+        return replacement;
+    }
+
+    /**
+     * Replace the active claims `match` (lowercase, as reported by findClaims)
+     * in a plain text with their rewrite. Negated and disclaimer mentions of
+     * the same words are left alone. Returns { text, count }.
+     */
+    function rewriteClaims(text, compiled, match) {
+        return rewriteOccurrences(text, text, compiled, match);
+    }
+
+    /**
+     * rewriteClaims() for editor HTML. The claims are found in the whole text,
+     * so a negation keeps its context across tags ("does <em>not</em> cure"),
+     * and only the text between the tags is rewritten. Yoast's highlight tags
+     * are dropped first.
+     */
+    function rewriteHtml(html, compiled, match) {
+        const source = stripMarks(html);
+        return rewriteOccurrences(source, blankTags(source), compiled, match);
+    }
+
+    /**
+     * The sentences of editor HTML that hold an active claim, as they appear
+     * in it (for Yoast's highlight marks). A sentence ends at . ! ? or a tag,
+     * so negated mentions, disclaimers and other words containing the claim
+     * ("secure") are never part of one unless a claim shares their sentence.
+     */
+    function claimSentences(html, compiled) {
+        const source = stripMarks(html);
+        const blanked = blankTags(source);
+        const sentences = [];
+        const matches = [];
+        findClaims(source, compiled).claims.forEach(function(claim) {
+            if (matches.indexOf(claim.match) === -1) matches.push(claim.match);
+        });
+        matches.forEach(function(match) {
+            locateClaims(source, blanked, compiled, match).forEach(function(found) {
+                let start = found.start;
+                while (start > 0 && !/[.!?>]/.test(source.charAt(start - 1))) start--;
+                let end = found.end;
+                while (end < source.length && !/[.!?<]/.test(source.charAt(end))) end++;
+                if (end < source.length && source.charAt(end) !== '<') end++;
+                const sentence = source.slice(start, end).trim();
+                if (sentences.indexOf(sentence) === -1) sentences.push(sentence);
+            });
+        });
+        return sentences;
+    }
+
+    function stripMarks(html) {
+        return html.replace(/<\/?yoastmark[^>]*>/g, '');
+    }
+
+    // Tags and &nbsp; blanked out at the same length, so offsets still point into the HTML
+    function blankTags(html) {
+        return html.replace(/<[^>]*>|&nbsp;/gi, function(part) { return ' '.repeat(part.length); });
+    }
+
+    /**
+     * The occurrences of `match` in `source` that findClaims reports as active
+     * claims: [{ start, end, claim }]. `searchable` is `source` with anything
+     * that mustn't be matched blanked out. A claim split by a tag is skipped.
+     */
+    function locateClaims(source, searchable, compiled, match) {
+        const targets = findClaims(source, compiled).claims.filter(function(claim) {
+            return claim.match === match;
+        });
+        if (!targets.length) return [];
+
+        // Occurrences are numbered the same in the normalized and the searchable text
+        const regex = wordRegex(escapeRegex(match).replace(/ /g, '\\s+'));
+        const occurrences = [];
+        let m;
+        const normalized = normalizeText(source);
+        while ((m = regex.exec(normalized)) !== null) occurrences.push(m.index);
+        const wanted = targets.map(function(claim) { return occurrences.indexOf(claim.index); });
+
+        const found = [];
+        let n = -1;
+        while ((m = regex.exec(searchable)) !== null) {
+            n++;
+            const end = m.index + m[0].length;
+            const target = wanted.indexOf(n);
+            if (target === -1 || source.slice(m.index, end).indexOf('<') !== -1) continue;
+            found.push({ start: m.index, end: end, claim: targets[target] });
+        }
+        return found;
+    }
+
+    /**
+     * Replace the active claims `match` in `source` (see locateClaims()) that
+     * have a rewrite.
+     */
+    function rewriteOccurrences(source, searchable, compiled, match) {
+        let count = 0;
+        let last = 0;
+        let text = '';
+        locateClaims(source, searchable, compiled, match).forEach(function(found) {
+            if (!found.claim.rewrite) return;
+            const original = source.slice(found.start, found.end);
+            text += source.slice(last, found.start) + matchCase(original, found.claim.rewrite);
+            last = found.end;
+            count++;
+        });
+        return { text: text + source.slice(last), count: count };
+    }
+
+    function fieldLabel(field, fields) {
+        if (field.indexOf('acf:') === 0) {
+            const acf = (fields.acf || []).find(function(item) { return 'acf:' + item.name === field; });
+            return acf && acf.label ? acf.label : field.slice(4);
+        }
+        return FIELD_LABELS[field] || field;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, function(ch) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+        });
+    }
+
+    /**
+     * The audit as HTML report lines, most severe first: one per field check,
+     * and one per claim rule with every field it is in and the compliant
+     * wording (with Replace links when `canReplace`). Returns
+     * { score, traffic, lines, ignored, hasMarks }: traffic is the Yoast
+     * score (yoastScore()), hasMarks whether the description has claims.
+     */
+    function describeAudit(audit, fields, compiled, canReplace) {
+        const replaceable = ['title', 'description', 'short_description'];
+        const lines = [];
+        const byRule = {};
+        audit.issues.forEach(function(issue) {
+            if (!issue.rule) {
+                lines.push({ issue: issue, fields: [issue.field] });
+            } else if (byRule[issue.rule]) {
+                byRule[issue.rule].fields.push(issue.field);
+                Object.assign(byRule[issue.rule].forms, issue.forms);
+            } else {
+                byRule[issue.rule] = { issue: issue, fields: [issue.field], forms: Object.assign({}, issue.forms) };
+                lines.push(byRule[issue.rule]);
+            }
+        });
+
+        const html = lines
+            .sort(function(a, b) { return penalty(b.issue, compiled) - penalty(a.issue, compiled); })
+            .map(function(line) {
+                const issue = line.issue;
+                const where = line.fields.map(function(field) { return escapeHtml(fieldLabel(field, fields)); }).join(', ');
+                if (!issue.rule) {
+                    return where + ' (' + issue.level + '): ' + escapeHtml(issue.msg) + ' ' + escapeHtml(issue.suggestion);
+                }
+                const linkable = canReplace && line.fields.some(function(field) { return replaceable.indexOf(field) !== -1; });
+                const forms = Object.keys(line.forms).map(function(form) {
+                    const rewrite = line.forms[form];
+                    if (!rewrite) return '"' + escapeHtml(form) + '"';
+                    const link = linkable
+                        ? ' <a href="#" class="hp-gmc-replace" data-match="' + escapeHtml(form) + '">Replace</a>'
+                        : '';
+                    return '"' + escapeHtml(form) + '" &rarr; "' + escapeHtml(rewrite) + '"' + link;
+                });
+                return forms.join(', ') + ' (' + issue.severity + '; ' + where + '): ' + escapeHtml(issue.reason)
+                    + (issue.suggestion ? ' ' + escapeHtml(issue.suggestion) : '');
+            });
+
+        const count = audit.suppressed.length;
+        return {
+            score: complianceScore(audit.issues, compiled),
+            traffic: yoastScore(audit.issues),
+            lines: html,
+            ignored: count ? count + ' negated or disclaimer mention' + (count === 1 ? '' : 's') + ' ignored' : '',
+            hasMarks: audit.issues.some(function(issue) { return issue.rule && issue.field === 'description'; })
+        };
+    }
+
+    const GMCClaims = {
+        normalizeText: normalizeText,
+        compileRules: compileRules,
+        findClaims: findClaims,
+        isValidGtin: isValidGtin,
+        auditFields: auditFields,
+        complianceScore: complianceScore,
+        yoastScore: yoastScore,
+        describeAudit: describeAudit,
+        rewriteClaims: rewriteClaims,
+        rewriteHtml: rewriteHtml,
+        claimSentences: claimSentences,
+        wordRegex: wordRegex,
+        escapeRegex: escapeRegex
+    };
+
+    // Node (tests) load the engine without an edit screen
+    if (typeof module === 'object' && module.exports) {
+        module.exports = GMCClaims;
+    }
+    if (typeof window === 'undefined') {
+        return;
+    }
+
+    /**
+     * Current content of a classic editor field: TinyMCE when visible,
+     * otherwise its textarea. Undefined when the field is not on the page.
+     */
+    function editorContent(id) {
+        const editor = window.tinymce && window.tinymce.get(id);
+        if (editor && !editor.isHidden()) return editor.getContent();
+        const textarea = document.getElementById(id);
+        return textarea ? textarea.value : undefined;
+    }
+
+    function inputValue(id) {
+        const input = document.getElementById(id);
+        return input ? input.value : undefined;
+    }
+
+    function altTexts(html) {
+        const alts = [];
+        const regex = /<img\b[^>]*\balt=(["'])(.*?)\1/gi;
+        let m;
+        while ((m = regex.exec(html)) !== null) alts.push(m[2]);
+        return alts;
+    }
+
+    // Inputs that change the audit but not the editor content
+    const WATCHED_FIELDS = '#title, #excerpt, #_regular_price, #_weight, #_global_unique_id, #product-type, .acf-field';
+    const ACF_TEXT_FIELDS = '.acf-field[data-type="text"], .acf-field[data-type="textarea"], .acf-field[data-type="wysiwyg"]';
+
+    /**
+     * The block editor's data store, when the screen uses it.
+     */
+    function blockEditor() {
+        const store = window.wp && window.wp.data && window.wp.data.select('core/editor');
+        return store && store.getEditedPostContent ? store : null;
+    }
+
+    /**
+     * The auditFields() input from the edit screen (block editor, classic
+     * editor or WooCommerce product). `description` defaults to the editor
+     * content (Yoast passes its paper text); WooCommerce and ACF fields come
+     * from the page when present.
+     */
+    function collectFields(description) {
+        const store = blockEditor();
+        let title = inputValue('title');
+        let excerpt = editorContent('excerpt');
+        if (store) {
+            if (title === undefined) title = store.getEditedPostAttribute('title');
+            if (excerpt === undefined) excerpt = store.getEditedPostAttribute('excerpt');
+            if (description === undefined) description = store.getEditedPostContent();
+        }
+        if (description === undefined) description = editorContent('content') || '';
+
+        const acf = [];
+        document.querySelectorAll(ACF_TEXT_FIELDS).forEach(function(field) {
+            const input = field.querySelector('.acf-input input[type="text"], .acf-input textarea');
+            if (!input) return;
+            const value = field.getAttribute('data-type') === 'wysiwyg' ? editorContent(input.id) : input.value;
+            const label = field.querySelector('.acf-label label');
+            if (value) acf.push({ name: field.getAttribute('data-name'), label: label ? label.textContent.replace('*', '').trim() : '', value: value });
+        });
+
+        // Featured image and gallery (their thumbnails carry the alt text)
+        const images = document.querySelectorAll('#set-post-thumbnail img, #product_images_container li.image img');
+        const alts = Array.prototype.map.call(images, function(img) { return img.getAttribute('alt') || ''; });
+
+        const fields = {
+            title: title,
+            description: description,
+            short_description: excerpt,
+            acf: acf,
+            image_alts: alts.concat(altTexts(description)).filter(Boolean),
+            price: inputValue('_regular_price'),
+            weight: inputValue('_weight'),
+            gtin: inputValue('_global_unique_id'),
+            variable: inputValue('product-type') === 'variable'
+        };
+        // Product screen only: the gallery box
+        if (document.getElementById('product_images_container')) {
+            fields.image_count = (document.querySelector('#set-post-thumbnail img') ? 1 : 0)
+                + document.querySelectorAll('#product_images_container li.image').length;
+        }
+        return fields;
+    }
+
+    /**
+     * Rewrite `match` in the product editors that allow it: the title and the
+     * classic editor (TinyMCE or its Text tab) for the description and the
+     * short description. Returns the number of replacements, or null when no
+     * editor allows it (the block editor).
+     */
+    function replaceInEditors(compiled, match) {
+        let count = 0;
+        let editable = false;
+
+        const title = document.getElementById('title');
+        if (title) {
+            const result = rewriteClaims(title.value, compiled, match);
+            if (result.count) {
+                title.value = result.text;
+                title.dispatchEvent(new Event('input', { bubbles: true }));
+                count += result.count;
+            }
+        }
+
+        ['content', 'excerpt'].forEach(function(id) {
+            const editor = window.tinymce && window.tinymce.get(id);
+            const textarea = document.getElementById(id);
+
+            if (editor && !editor.isHidden()) {
+                editable = true;
+                const result = rewriteHtml(editor.getContent(), compiled, match);
+                if (result.count) {
+                    editor.undoManager.transact(function() {
+                        editor.setContent(result.text);
+                    });
+                    editor.save();
+                    editor.fire('change');
+                    count += result.count;
+                }
+            } else if (textarea) {
+                editable = true;
+                const result = rewriteHtml(textarea.value, compiled, match);
+                if (result.count) {
+                    textarea.value = result.text;
+                    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+                    count += result.count;
+                }
+            }
+        });
+
+        return editable ? count : null;
+    }
+
+    /**
+     * Handle a click on a Replace link of the report: rewrite the claim in
+     * the editors and put the outcome in place of the link. Returns whether
+     * the content changed.
+     */
+    function handleReplaceClick(event, compiled) {
+        const link = event.target.closest && event.target.closest('a.hp-gmc-replace');
+        if (!link) return false;
+        event.preventDefault();
+
+        const count = replaceInEditors(compiled, link.getAttribute('data-match'));
+        if (count === null) {
+            link.replaceWith(document.createTextNode('(replace it in the editor)'));
+            return false;
+        }
+        link.replaceWith(document.createTextNode(count ? '(replaced ' + count + ')' : '(nothing to replace)'));
+        return count > 0;
+    }
+
+    /**
+     * Call `refresh` when a field outside the editor content changes: the
+     * watched inputs, and the product images (added or removed through the
+     * media modal).
+     */
+    function watchFields(refresh) {
+        document.addEventListener('change', function(event) {
+            if (event.target.closest && event.target.closest(WATCHED_FIELDS)) refresh();
+        });
+        if (window.MutationObserver) {
+            ['postimagediv', 'product_images_container'].forEach(function(id) {
+                const box = document.getElementById(id);
+                if (box) new MutationObserver(refresh).observe(box, { childList: true, subtree: true });
+            });
+        }
+    }
+
+    window.hpGmcClaims = Object.assign(GMCClaims, {
+        collectFields: collectFields,
+        replaceInEditors: replaceInEditors,
+        handleReplaceClick: handleReplaceClick,
+        watchFields: watchFields
+    });
+})();
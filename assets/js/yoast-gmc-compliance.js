@@ -1,29 +1,55 @@
 /**
  * Yoast SEO Custom Assessment for Google Merchant Center (GMC) Compliance.
- * Flags forbidden keywords like "cure", "treat", etc. in real-time.
+ * Runs the checks of gmc-compliance.js (window.hpGmcClaims) in the Yoast
+ * analysis. Yoast shows red for errors and prohibited (critical) claims,
+ * orange for any other issue.
+ *
+ * Yoast's eye button highlights the sentences of the description that hold
+ * an active claim (getMarks). The assessment text is the report of
+ * describeAudit(), with Replace links in the classic editor.
  */
 (function() {
     'use strict';
 
+    const claims = window.hpGmcClaims;
+
     // Wait for YoastSEO to be ready
     window.addEventListener('YoastSEO:ready', function() {
-        
+        const analysis = (window.yoast && window.yoast.analysis) || {};
+        const values = analysis.values || {};
+        const AssessmentResult = values.AssessmentResult || window.YoastSEO.AssessmentResult;
+        const Mark = values.Mark || window.YoastSEO.Mark;
+
         /**
          * The GMC Compliance Plugin for Yoast
          */
         class GMCCompliancePlugin {
             constructor() {
-                this.forbiddenKeywords = window.hpGmcComplianceData.forbiddenKeywords || {};
-                
+                this.rules = claims.compileRules(window.hpGmcComplianceData.claimRules || {});
+
                 // Register the plugin with Yoast
                 YoastSEO.app.registerPlugin('GMCCompliancePlugin', { status: 'ready' });
-                
-                // Register the assessment
+
+                // Register the assessment; getMarks feeds Yoast's highlight (eye) button
                 YoastSEO.app.registerAssessment(
                     'gmc-compliance',
-                    this.assessment.bind(this),
+                    {
+                        getResult: this.assessment.bind(this),
+                        getMarks: this.marks.bind(this),
+                        isApplicable: function() { return true; }
+                    },
                     'GMCCompliancePlugin'
                 );
+
+                // One-click rewrites from the links in the assessment text
+                document.addEventListener('click', this.onReplaceClick.bind(this));
+
+                // Re-run the analysis when a field outside the Yoast paper changes
+                claims.watchFields(this.refresh);
+            }
+
+            refresh() {
+                if (YoastSEO.app.refresh) YoastSEO.app.refresh();
             }
 
             /**
@@ -31,29 +57,53 @@
              * @param {Object} paper The Yoast paper object containing content
              */
             assessment(paper) {
-                const text = (paper.getText() + ' ' + (paper.getDescription() || '')).toLowerCase();
-                const found = [];
+                const fields = claims.collectFields(paper.getText());
+                const audit = claims.auditFields(fields, this.rules);
+                // The classic editor has these fields, the block editor doesn't
+                const canReplace = !!(document.getElementById('content') || document.getElementById('excerpt'));
+                const report = claims.describeAudit(audit, fields, this.rules, canReplace);
+                const ignored = report.ignored ? ' (' + report.ignored + ')' : '';
 
-                for (const kw in this.forbiddenKeywords) {
-                    const regex = new RegExp('\\b' + kw + '\\b', 'i');
-                    if (regex.test(text)) {
-                        found.push(kw);
-                    }
+                if (audit.issues.length === 0) {
+                    return this.result(9, 'GMC Compliance: ' + report.score + '/100. No risky claims or missing product data found.' + ignored, false); // Green
                 }
 
-                if (found.length === 0) {
-                    return {
-                        score: 9, // Green
-                        text: 'GMC Compliance: No forbidden keywords found in description.',
-                        identifier: 'gmc-compliance'
-                    };
+                return this.result(
+                    report.traffic, // Red for errors and prohibited claims, orange otherwise
+                    'GMC Compliance: ' + report.score + '/100. This may lead to product disapproval in Google Shopping.'
+                        + (report.hasMarks ? ' Use the eye button to highlight the claims in the description.' : '')
+                        + report.lines.map(function(line) { return '<br>' + line; }).join('') + ignored,
+                    report.hasMarks
+                );
+            }
+
+            result(score, text, hasMarks) {
+                if (!AssessmentResult) {
+                    return { score: score, text: text, identifier: 'gmc-compliance', hasMarks: hasMarks };
                 }
+                const result = new AssessmentResult();
+                result.setScore(score);
+                result.setText(text);
+                result.setIdentifier('gmc-compliance');
+                result.setHasMarks(hasMarks);
+                return result;
+            }
+
+            /**
+             * One mark per sentence of the description (the only field Yoast
+             * can highlight) with an active claim. Yoast marks every copy of
+             * the original text, so marking the bare word would highlight
+             * negated mentions and words like "secure" too.
+             */
+            marks(paper) {
+                if (!Mark) return [];
+                return claims.claimSentences(paper.getText(), this.rules).map(function(original) {
+                    return new Mark({ original: original, marked: '<yoastmark class=\'yoast-text-mark\'>' + original + '</yoastmark>' });
+                });
+            }
 
-                return {
-                    score: 3, // Red/Orange
-                    text: 'GMC Compliance: Forbidden keywords found (' + found.join(', ') + '). This may lead to product disapproval in Google Shopping.',
-                    identifier: 'gmc-compliance'
-                };
+            onReplaceClick(event) {
+                if (claims.handleReplaceClick(event, this.rules)) this.refresh();
             }
         }
 
@@ -61,4 +111,3 @@
         new GMCCompliancePlugin();
     });
 })();
-
@@ -1,84 +1,105 @@
 /**
  * Analyze Mask Tool for HP Abilities
- * 
+ *
  * Analyzes a mask image to identify edge quality issues.
- * Reports statistics about left/right edges and identifies problem areas.
- * 
+ * Reports left/right edge deviation, soft fringe, holes, stray islands and
+ * an overall score (see bin/lib/mask-quality.js).
+ *
  * Usage:
- *   node bin/analyze-mask.js <mask-path>
- * 
+ *   node bin/analyze-mask.js <mask-path> [--original ORIG] [--from-row N] [--to-row N] [--json]
+ *
  * Example:
  *   node bin/analyze-mask.js temp/DH515-front-mask.png
- * 
- * Output:
- *   - Dimensions and content row count
- *   - Left edge analysis for body region (rows 200-600)
- *   - Expected edge position (minimum X)
- *   - Number of rows with issues (>2px deviation)
- *   - Problem range if issues exist
- * 
+ *   node bin/analyze-mask.js temp/DH515-front-mask.png --original temp/DH515-front-input.png --json
+ *
+ * Options:
+ *   --original PATH   Measure edges against the product in the original
+ *                     (default: against each edge's own rolling median)
+ *   --from-row N      Limit the edge check to rows N..M (default: all content rows)
+ *   --to-row M
+ *   --json            Print the full report as JSON
+ *
+ * Exit code is 0 either way; check `pass` / the summary line.
+ *
  * Use this tool after generating a mask to identify which regions
  * need correction before applying mirror-edge.js or edit-mask.js.
  */
 const sharp = require('sharp');
+const { analyzeMask } = require('./lib/mask-quality');
+
+function parseArgs(args) {
+    const positional = [];
+    const params = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const key = args[i].replace('--', '').replace(/-/g, '_');
+            if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+                params[key] = args[i + 1];
+                i++;
+            } else {
+                params[key] = true;
+            }
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, params };
+}
+
+function printEdge(side, edge) {
+    console.log(`${side} edge: ${edge.deviating_rows} rows off by >2px` + (edge.deviating_rows ? ` (max ${edge.max_deviation}px)` : ''));
+    edge.ranges.slice(0, 10).forEach(r => {
+        const direction = r.max_deviation > 0 ? 'product missing' : 'background kept';
+        console.log(`  y=${r.from}-${r.to}: ${Math.abs(r.max_deviation)}px ${direction}, edge should be x=${r.target}`);
+    });
+    if (edge.ranges.length > 10) {
+        console.log(`  ... and ${edge.ranges.length - 10} more ranges`);
+    }
+}
 
 async function analyze() {
-    const maskPath = process.argv[2] || 'temp/DH515-front-mask.png';
-    
+    const { positional, params } = parseArgs(process.argv.slice(2));
+    const maskPath = positional[0] || 'temp/DH515-front-mask.png';
+    const origPath = params.original || positional[1];
+
     const { data, info } = await sharp(maskPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
     const { width, height } = info;
-    
-    const leftEdges = [];
-    const rightEdges = [];
-    
-    for (let y = 0; y < height; y++) {
-        let left = -1;
-        let right = -1;
-        
-        for (let x = 0; x < width; x++) {
-            if (data[(y * width + x) * 4 + 3] > 0) {
-                left = x;
-                break;
-            }
-        }
-        
-        for (let x = width - 1; x >= 0; x--) {
-            if (data[(y * width + x) * 4 + 3] > 0) {
-                right = x;
-                break;
-            }
-        }
-        
-        if (left >= 0) {
-            leftEdges.push({ y, x: left });
-            rightEdges.push({ y, x: right });
+
+    let origData = null;
+    if (origPath) {
+        const orig = await sharp(origPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        if (orig.info.width !== width || orig.info.height !== height) {
+            throw new Error(`Original is ${orig.info.width}x${orig.info.height}, mask is ${width}x${height}`);
         }
+        origData = orig.data;
     }
-    
-    // Analyze body region
-    const bodyRows = leftEdges.filter(e => e.y >= 200 && e.y <= 600);
-    if (bodyRows.length === 0) {
-        console.log('No content in body region');
+
+    const report = analyzeMask(data, width, height, {
+        origData,
+        fromRow: params.from_row !== undefined ? parseInt(params.from_row, 10) : undefined,
+        toRow: params.to_row !== undefined ? parseInt(params.to_row, 10) : undefined
+    });
+
+    if (params.json) {
+        console.log(JSON.stringify({ success: true, mask: maskPath, original: origPath || null, ...report }, null, 2));
         return;
     }
-    
-    const minX = Math.min(...bodyRows.map(e => e.x));
-    const problems = bodyRows.filter(e => e.x > minX + 2);
-    
+
     console.log('=== MASK ANALYSIS ===');
     console.log('Dimensions:', width, 'x', height);
-    console.log('Content rows:', leftEdges.length);
+    console.log('Content rows:', report.content_rows);
+    console.log('Edges measured against:', report.reference === 'original' ? `original (${origPath})` : 'rolling median of each edge');
     console.log('');
-    console.log('Left edge analysis (body rows 200-600):');
-    console.log('  Expected edge (min):', minX);
-    console.log('  Rows with issues (>2px off):', problems.length);
-    
-    if (problems.length === 0) {
-        console.log('  ✓ Left edge is CLEAN!');
-    } else {
-        console.log('  Problem range: y=' + problems[0].y + ' to y=' + problems[problems.length-1].y);
-        console.log('  Max deviation:', Math.max(...problems.map(p => p.x)) - minX, 'px');
-    }
+    printEdge('Left', report.edges.left);
+    printEdge('Right', report.edges.right);
+    console.log(`Fringe: ${report.fringe.pixels} semi-transparent px (${report.fringe.mean_width}px per edge row)`);
+    console.log(`Holes: ${report.holes.count}, stray islands: ${report.islands.count}`);
+    console.log('');
+    console.log(`Score: ${report.score}/100 - ${report.pass ? '✓ PASS' : 'NEEDS WORK'}`);
+    report.issues.forEach(issue => console.log('  - ' + issue));
 }
 
-analyze().catch(e => console.error(e));
+analyze().catch((e) => {
+    console.error(JSON.stringify({ success: false, error: e.message }));
+    process.exit(1);
+});
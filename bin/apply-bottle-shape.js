@@ -1,159 +1,155 @@
 /**
  * Apply Bottle Shape Tool for HP Abilities
- * 
- * Enforces a clean, geometrically correct bottle shape on a mask.
- * This is a FALLBACK tool for non-symmetrical products or when
- * mirror-edge.js doesn't work well.
- * 
- * How it works:
- *   1. Divides the bottle into regions (cap, shoulder, label, base)
- *   2. For each region, detects the median left edge position
- *   3. Applies a smooth, consistent edge based on detected shape
- *   4. Hardens semi-transparent pixels to full opacity
- * 
+ *
+ * Enforces a clean, geometrically correct product shape on a mask.
+ * This is a FALLBACK tool for when mirror-edge.js doesn't work well
+ * (both sides broken, or a shape that isn't mirror-symmetric).
+ *
+ * How it works (see bin/lib/shape-regions.js):
+ *   1. Reads the product's edge profile from the original (around the mask
+ *      edge, so bites in the mask don't matter)
+ *   2. Splits the product into regions where the width profile changes
+ *      course or the luminance steps (cap, shoulder, label, base, ...)
+ *   3. Fits each region's LEFT and RIGHT edge with the template's model
+ *      (vertical, line or curve), ignoring outliers
+ *   4. Clears pixels outside the fitted edges, fills bites inside them with
+ *      original colours and hardens semi-transparent pixels
+ *
  * Usage:
- *   node bin/apply-bottle-shape.js <mask-path> <original-path>
- * 
+ *   node bin/apply-bottle-shape.js <mask-path> <original-path> [--template bottle] [--side both] [--dry-run]
+ *
  * Example:
  *   node bin/apply-bottle-shape.js temp/DH515-front-mask.png temp/DH515-front-input.png
- * 
- * Region Detection:
- *   - Cap (rows 100-180): Dark pixels only
- *   - Shoulder (rows 180-280): Dark or white pixels
- *   - Label (rows 280-600): White/light pixels (the label area)
- *   - Base (rows 600-700): Dark pixels only
- * 
- * Note: This tool only corrects the LEFT edge. For right edge issues,
- * use mirror-edge.js with --source-side left.
- * 
+ *   node bin/apply-bottle-shape.js temp/BX10-front-mask.png temp/BX10-front-input.png --template box
+ *
+ * Options:
+ *   --template NAME   bottle (default), jar, box, pouch, dropper
+ *   --side SIDE       both (default), left or right - which edges to correct
+ *   --fill-depth N    How far inside the fitted edge bites are filled (default: 12px)
+ *   --min-region F    Smallest region as a fraction of product height (default: 0.04)
+ *   --dry-run         Print the detected regions and fitted edges without changing the mask
+ *   --no-journal      Don't record the edit (see bin/mask-history.js for undo/redo)
+ *
  * When to use this vs mirror-edge.js:
  *   - mirror-edge.js: When one side is clearly better than the other (preferred)
  *   - apply-bottle-shape.js: When both sides need correction or for non-symmetrical shapes
  */
 const sharp = require('sharp');
+const { TEMPLATES, analyzeShape } = require('./lib/shape-regions');
+const { beginEdit } = require('./lib/mask-journal');
 
 async function applyBottleShape() {
-    const maskPath = process.argv[2] || 'temp/DH515-front-mask.png';
-    const origPath = process.argv[3] || 'temp/DH515-front-input.png';
-    
+    const args = process.argv.slice(2);
+    const positional = [];
+    const params = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const key = args[i].replace('--', '').replace(/-/g, '_');
+            if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+                params[key] = args[i + 1];
+                i++;
+            } else {
+                params[key] = true;
+            }
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    const maskPath = positional[0] || 'temp/DH515-front-mask.png';
+    const origPath = positional[1] || 'temp/DH515-front-input.png';
+    const templateName = params.template || 'bottle';
+    const side = params.side || 'both';
+    const fillDepth = params.fill_depth !== undefined ? parseInt(params.fill_depth, 10) : 12;
+
+    if (!TEMPLATES[templateName]) {
+        throw new Error(`Unknown template "${templateName}" (use ${Object.keys(TEMPLATES).join(', ')})`);
+    }
+    if (!['both', 'left', 'right'].includes(side)) {
+        throw new Error(`Invalid --side "${side}" (use both, left or right)`);
+    }
+
     const { data: maskData, info } = await sharp(maskPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
     const { data: origData } = await sharp(origPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
     const { width, height } = info;
-    
-    // Detect background
-    const bgSamples = [];
-    for (let y = 0; y < 20; y++) {
-        for (let x = 0; x < 20; x++) {
-            const idx = (y * width + x) * 4;
-            bgSamples.push((origData[idx] + origData[idx + 1] + origData[idx + 2]) / 3);
-        }
+
+    const shape = analyzeShape(maskData, origData, width, height, templateName, {
+        minRegion: params.min_region ? parseFloat(params.min_region) : undefined
+    });
+    if (!shape.regions.length) {
+        throw new Error('No product found in the mask');
     }
-    const bgLum = Math.round(bgSamples.reduce((a, b) => a + b) / bgSamples.length);
-    
-    console.error('Background luminosity:', bgLum);
-    
-    // Find bottle shape by region
-    const getRegionMedian = (startY, endY, searchType) => {
-        const edges = [];
-        for (let y = startY; y < endY; y++) {
-            for (let x = 100; x < 400; x++) {
-                const idx = (y * width + x) * 4;
-                const lum = (origData[idx] + origData[idx + 1] + origData[idx + 2]) / 3;
-                
-                let isProduct = false;
-                if (searchType === 'dark') isProduct = lum < bgLum - 60;
-                else if (searchType === 'white') isProduct = lum > bgLum + 15;
-                else isProduct = lum < bgLum - 60 || lum > bgLum + 15;
-                
-                if (isProduct) {
-                    edges.push(x);
-                    break;
-                }
-            }
-        }
-        if (edges.length === 0) return -1;
-        edges.sort((a, b) => a - b);
-        // Use Q1 (25th percentile) to be conservative
-        return edges[Math.floor(edges.length * 0.25)];
-    };
-    
-    // Define bottle regions
-    const regions = [
-        { start: 100, end: 180, type: 'dark', name: 'cap' },
-        { start: 180, end: 280, type: 'both', name: 'shoulder' },
-        { start: 280, end: 600, type: 'white', name: 'label' },
-        { start: 600, end: 700, type: 'dark', name: 'base' }
-    ];
-    
-    // Calculate edge position for each region
-    const regionEdges = {};
-    for (const r of regions) {
-        regionEdges[r.name] = getRegionMedian(r.start, r.end, r.type);
-        console.error(`${r.name} (rows ${r.start}-${r.end}): edge at x=${regionEdges[r.name]}`);
+
+    console.error(`Template: ${templateName} - ${TEMPLATES[templateName].description}`);
+    if (shape.axis !== null) console.error(`Axis: x=${shape.axis}`);
+    for (const r of shape.regions) {
+        console.error(`${r.name} (rows ${r.from}-${r.to}, ${r.kind}, ${r.model}): left ${r.left.top}->${r.left.bottom}, right ${r.right.top}->${r.right.bottom}`);
     }
-    
-    // Interpolate edge position for each row
-    const getEdgeForRow = (y) => {
-        if (y < 180) return regionEdges.cap;
-        if (y < 280) {
-            // Smooth transition from cap to label
-            const t = (y - 180) / 100;
-            const capEdge = regionEdges.cap || 280;
-            const labelEdge = regionEdges.label || 240;
-            // Shoulder curves out then back
-            const shoulderEdge = regionEdges.shoulder || (capEdge + labelEdge) / 2;
-            if (t < 0.5) {
-                // Cap to shoulder
-                return Math.round(capEdge + (shoulderEdge - capEdge) * (t * 2));
-            } else {
-                // Shoulder to label
-                return Math.round(shoulderEdge + (labelEdge - shoulderEdge) * ((t - 0.5) * 2));
-            }
+
+    let pixelsModified = 0;
+    const fixLeft = side !== 'right';
+    const fixRight = side !== 'left';
+
+    const setOpaque = (idx) => {
+        if (maskData[idx + 3] === 255) return;
+        maskData[idx] = origData[idx];
+        maskData[idx + 1] = origData[idx + 1];
+        maskData[idx + 2] = origData[idx + 2];
+        maskData[idx + 3] = 255;
+        pixelsModified++;
+    };
+    const clear = (idx) => {
+        if (maskData[idx + 3] > 0) {
+            maskData[idx + 3] = 0;
+            pixelsModified++;
         }
-        if (y < 600) return regionEdges.label;
-        return regionEdges.base || regionEdges.label;
     };
-    
-    let pixelsModified = 0;
-    
-    // Apply clean edge
-    for (let y = 0; y < height; y++) {
-        const edgeX = getEdgeForRow(y);
-        if (edgeX < 0) continue;
-        
+
+    // Apply clean edges; 2px outside each edge is left alone for anti-aliasing
+    for (let y = 0; y < height && !params.dry_run; y++) {
+        const target = shape.targets[y];
+        if (!target) continue;
+        const row = y * width;
+
         for (let x = 0; x < width; x++) {
-            const idx = (y * width + x) * 4;
-            
-            if (x < edgeX - 2) {
-                // Left of edge - make transparent
-                if (maskData[idx + 3] > 0) {
-                    maskData[idx + 3] = 0;
-                    pixelsModified++;
-                }
-            } else if (x >= edgeX) {
-                // Right of edge - make opaque with original colors
-                if (maskData[idx + 3] > 0 && maskData[idx + 3] < 255) {
-                    maskData[idx] = origData[idx];
-                    maskData[idx + 1] = origData[idx + 1];
-                    maskData[idx + 2] = origData[idx + 2];
-                    maskData[idx + 3] = 255;
-                    pixelsModified++;
-                }
+            const idx = (row + x) * 4;
+            const inside = x >= target.left && x <= target.right;
+
+            if (fixLeft && x < target.left - 2) clear(idx);
+            else if (fixRight && x > target.right + 2) clear(idx);
+            else if (inside && ((fixLeft && x < target.left + fillDepth) || (fixRight && x > target.right - fillDepth))) {
+                // Near the edge: fill bites and harden
+                setOpaque(idx);
+            } else if (inside && maskData[idx + 3] > 0 && maskData[idx + 3] < 255) {
+                setOpaque(idx);
             }
         }
     }
-    
+
     // Save
-    await sharp(maskData, { raw: { width, height, channels: 4 } })
-        .png()
-        .toFile(maskPath);
-    
+    let entry = null;
+    if (!params.dry_run) {
+        const journal = beginEdit(maskPath, 'apply-bottle-shape', args);
+        await sharp(maskData, { raw: { width, height, channels: 4 } })
+            .png()
+            .toFile(maskPath);
+        entry = journal.commit({ pixels_modified: pixelsModified, template: templateName });
+    }
+
     console.log(JSON.stringify({
         success: true,
         mask: maskPath,
+        dry_run: !!params.dry_run,
+        template: templateName,
+        side,
+        axis: shape.axis,
         pixels_modified: pixelsModified,
-        regions: regionEdges
+        regions: shape.regions,
+        journal_id: entry ? entry.id : null
     }));
 }
 
-applyBottleShape().catch(e => console.error(e));
+applyBottleShape().catch((e) => {
+    console.error(JSON.stringify({ success: false, error: e.message }));
+    process.exit(1);
+});
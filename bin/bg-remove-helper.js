@@ -1,43 +1,129 @@
 /**
  * Helper script to isolate @imgly/background-removal-node from sharp
- * 
- * Gets raw alpha mask from AI, converts to grayscale PNG for processing.
+ *
+ * Writes a cutout (source colours + alpha) for image-prep.js to process.
+ * Backends (see bin/lib/bg-backends.js):
+ *   imgly     AI model, --model small|medium|large (default: medium)
+ *   key       Corner-sampled background colour keying + flood fill, for studio
+ *             shots on a plain background (--tolerance N, default: auto)
+ *   ensemble  Runs --members (default: imgly:medium,key), each in its own
+ *             helper process, and combines them with --vote mean|majority|unanimous|any
+ *
+ * Usage:
+ *   node bin/bg-remove-helper.js <source> <output.png> [--backend imgly] [--model medium]
+ *   node bin/bg-remove-helper.js <source> <output.png> --backend key [--tolerance 30]
+ *   node bin/bg-remove-helper.js <source> <output.png> --backend ensemble --members imgly:small,imgly:large,key --vote majority
+ *
+ * Prints a JSON summary on stdout; progress goes to stderr.
  */
-const { removeBackground } = require('@imgly/background-removal-node');
 const fs = require('fs');
 const path = require('path');
+const { spawnSync } = require('child_process');
 const { pathToFileURL } = require('url');
+const { BACKENDS, VOTES, parseMembers } = require('./lib/bg-backends');
+
+function parseArgs(args) {
+    const positional = [];
+    const params = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const key = args[i].replace('--', '').replace(/-/g, '_');
+            if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+                params[key] = args[i + 1];
+                i++;
+            } else {
+                params[key] = true;
+            }
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, params };
+}
+
+async function imgly(source, outputPath, model) {
+    // Only this backend loads @imgly - never in the same process as sharp
+    const { removeBackground } = require('@imgly/background-removal-node');
+
+    let input;
+    // Check if it's a URL or a local file path
+    if (source.startsWith('http://') || source.startsWith('https://')) {
+        input = source;
+    } else {
+        // Convert local path to file:// URL for @imgly
+        input = pathToFileURL(path.resolve(source)).href;
+    }
+
+    console.error(`Generating alpha mask with ${model} model...`);
+    const cutoutBlob = await removeBackground(input, { model });
+    fs.writeFileSync(outputPath, Buffer.from(await cutoutBlob.arrayBuffer()));
+    return { model };
+}
+
+async function key(source, outputPath, tolerance) {
+    const { loadSource, keyBackground } = require('./lib/bg-backends');
+    console.error('Keying out the background colour...');
+    const result = await keyBackground(await loadSource(source), { tolerance });
+    fs.writeFileSync(outputPath, result.png);
+    return { background: result.background, tolerance: result.tolerance, coverage: result.coverage };
+}
+
+async function ensemble(source, outputPath, params) {
+    const { loadSource, voteMasks } = require('./lib/bg-backends');
+    const members = parseMembers(params.members || 'imgly:medium,key');
+    const vote = params.vote || 'mean';
+    if (!VOTES.includes(vote)) throw new Error(`Unknown vote "${vote}" (use ${VOTES.join(', ')})`);
+
+    // One member at a time, each in its own process (imgly must not share one with sharp)
+    const outputs = [];
+    const results = [];
+    try {
+        for (const [i, member] of members.entries()) {
+            const memberPath = `${outputPath}.member-${i}.png`;
+            const args = [__filename, source, memberPath, '--backend', member.backend];
+            if (member.model) args.push('--model', member.model);
+            if (member.backend === 'key' && params.tolerance) args.push('--tolerance', params.tolerance);
+
+            console.error(`Ensemble member ${i + 1}/${members.length}: ${member.backend}${member.model ? ':' + member.model : ''}`);
+            const run = spawnSync(process.execPath, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'inherit'] });
+            if (run.status !== 0) throw new Error(`Ensemble member ${member.backend} failed`);
+            outputs.push(memberPath);
+            results.push({ backend: member.backend, ...JSON.parse(run.stdout) });
+        }
+
+        const combined = await voteMasks(outputs.map(file => fs.readFileSync(file)), vote, await loadSource(source));
+        fs.writeFileSync(outputPath, combined.png);
+        return { vote, agreement: combined.agreement, members: results.map(({ success, output, ...rest }) => rest) };
+    } finally {
+        outputs.forEach(file => fs.rmSync(file, { force: true }));
+    }
+}
 
 async function run() {
-    const source = process.argv[2];
-    const outputPath = process.argv[3];
-    
+    const { positional, params } = parseArgs(process.argv.slice(2));
+    const [source, outputPath] = positional;
+    const backend = params.backend || 'imgly';
+    const model = params.model || 'medium';
+
     try {
-        let input;
-        
-        // Check if it's a URL or a local file path
-        if (source.startsWith('http://') || source.startsWith('https://')) {
-            input = source;
-        } else {
-            // Convert local path to file:// URL for @imgly
-            const absolutePath = path.resolve(source);
-            input = pathToFileURL(absolutePath).href;
+        if (!source || !outputPath) {
+            throw new Error('Usage: node bin/bg-remove-helper.js <source> <output.png> [--backend imgly|key|ensemble] [--model small|medium|large]');
+        }
+        if (!BACKENDS[backend]) {
+            throw new Error(`Unknown backend "${backend}" (use ${Object.keys(BACKENDS).join(', ')})`);
         }
-        
-        console.error('Generating alpha mask with medium model...');
-        
-        // First, get the regular cutout to determine dimensions
-        const cutoutBlob = await removeBackground(input, {
-            model: 'medium'
-        });
-        const cutoutBuffer = Buffer.from(await cutoutBlob.arrayBuffer());
-        
-        // The cutout has RGBA - extract just the alpha channel
-        // We need to use sharp here, but it conflicts with @imgly
-        // So we'll save the cutout and let image-prep.js extract the alpha
-        
-        fs.writeFileSync(outputPath, cutoutBuffer);
+        if (backend === 'imgly' && !BACKENDS.imgly.models.includes(model)) {
+            throw new Error(`Unknown model "${model}" (use ${BACKENDS.imgly.models.join(', ')})`);
+        }
+        const tolerance = params.tolerance !== undefined ? parseFloat(params.tolerance) : undefined;
+
+        let details;
+        if (backend === 'imgly') details = await imgly(source, outputPath, model);
+        else if (backend === 'key') details = await key(source, outputPath, tolerance);
+        else details = await ensemble(source, outputPath, params);
+
         console.error('Cutout with alpha channel generated successfully');
+        console.log(JSON.stringify({ success: true, backend, output: outputPath, ...details }));
         process.exit(0);
     } catch (e) {
         console.error(e);
@@ -9,6 +9,9 @@
  *   node bin/edit-mask.js --mask mask.png --original source.png --left-edge 222 --from-row 200 --to-row 350
  *   node bin/edit-mask.js --mask mask.png --original source.png --right-edge 420 --from-row 100 --to-row 400 --blend-zone 8
  *   node bin/edit-mask.js --mask mask.png --original source.png --fill-rect --x1 45 --y1 200 --x2 50 --y2 350
+ *   node bin/edit-mask.js --mask mask.png --original source.png --fill-polygon "300,40 340,28 380,40 380,90 300,90"
+ *   node bin/edit-mask.js --mask mask.png --original source.png --brush-fill "212,300 208,340 207,380" --radius 6
+ *   node bin/edit-mask.js --mask mask.png --original source.png --flood-clear 455,260 --tolerance 25
  * 
  * Parameters:
  *   --mask          The mask/cutout image to edit
@@ -21,13 +24,40 @@
  *   --right-edge X   Set right edge to X for rows from-row to to-row
  *   --fill-rect      Fill a rectangle with original colors
  *   --clear-rect     Clear a rectangle (make transparent)
+ *   --fill-polygon "X,Y X,Y X,Y ..."   Fill the polygon through these vertices (rounded caps, shoulders)
+ *   --clear-polygon "X,Y X,Y ..."      Clear a polygon
+ *   --brush-fill "X,Y X,Y ..."         Fill along a polyline, --radius px either side (default: 4)
+ *   --brush-clear "X,Y X,Y ..."        Clear along a polyline
+ *   --flood-fill X,Y   Fill the area connected to X,Y whose original color is within
+ *                      --tolerance (default: 30) of the color at X,Y
+ *   --flood-clear X,Y  Clear such an area (e.g. the background seen through a handle)
+ *
+ * Fill operations never fill pixels that are background in the original
+ * (--bg-threshold); flood operations need --original.
  * 
- * The mask is edited in-place (overwritten).
+ * The mask is edited in-place (overwritten). The previous state is kept in the
+ * mask's journal: node bin/mask-history.js undo <mask> (--no-journal to skip).
  */
 
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
+const { beginEdit } = require('./lib/mask-journal');
+
+/**
+ * Parse "X,Y X,Y ..." (space or ; separated) into [{ x, y }]
+ */
+function parsePoints(spec, minimum) {
+    const points = String(spec).trim().split(/[\s;]+/).filter(Boolean).map((pair) => {
+        const match = pair.match(/^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/);
+        if (!match) throw new Error(`Invalid point "${pair}" (expected X,Y)`);
+        return { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+    });
+    if (points.length < minimum) {
+        throw new Error(`Expected at least ${minimum} point(s), got ${points.length}`);
+    }
+    return points;
+}
 
 async function editMask() {
     const args = process.argv.slice(2);
@@ -47,8 +77,11 @@ async function editMask() {
     }
 
     const { mask, original, left_edge, right_edge, from_row, to_row, fill_rect, clear_rect, x1, y1, x2, y2, blend_zone, bg_threshold } = params;
+    const { fill_polygon, clear_polygon, brush_fill, brush_clear, radius, flood_fill, flood_clear, tolerance } = params;
     const blendZone = parseInt(blend_zone, 10) || 5;
     const bgThreshold = parseInt(bg_threshold, 10) || 50;
+    const brushRadius = radius !== undefined ? parseFloat(radius) : 4;
+    const floodTolerance = tolerance !== undefined ? parseFloat(tolerance) : 30;
 
     if (!mask) {
         console.error(JSON.stringify({ success: false, error: 'Missing --mask parameter' }));
@@ -304,10 +337,122 @@ async function editMask() {
             }
         }
 
-        // Save the edited mask
+        /**
+         * Apply fill or clear to every marked pixel (marked: Uint8Array, one per pixel)
+         */
+        function applyMarked(marked, clear) {
+            for (let i = 0; i < marked.length; i++) {
+                if (!marked[i]) continue;
+                if (clear) {
+                    if (data[i * 4 + 3] > 0) {
+                        data[i * 4 + 3] = 0;
+                        pixelsChanged++;
+                    }
+                } else if (fillPixel(i % width, Math.floor(i / width))) {
+                    pixelsChanged++;
+                } else {
+                    pixelsSkipped++;
+                }
+            }
+        }
+
+        // Polygon operations (even-odd scanline fill, pixel centers)
+        for (const [spec, clear] of [[fill_polygon, false], [clear_polygon, true]]) {
+            if (!spec) continue;
+            const points = parsePoints(spec, 3);
+            console.error(`${clear ? 'Clearing' : 'Filling'} polygon with ${points.length} vertices`);
+
+            const marked = new Uint8Array(width * height);
+            const minY = Math.max(0, Math.floor(Math.min(...points.map(p => p.y))));
+            const maxY = Math.min(height - 1, Math.ceil(Math.max(...points.map(p => p.y))));
+            for (let y = minY; y <= maxY; y++) {
+                const cy = y + 0.5;
+                const crossings = [];
+                for (let i = 0; i < points.length; i++) {
+                    const a = points[i];
+                    const b = points[(i + 1) % points.length];
+                    if ((a.y <= cy) !== (b.y <= cy)) {
+                        crossings.push(a.x + (cy - a.y) / (b.y - a.y) * (b.x - a.x));
+                    }
+                }
+                crossings.sort((a, b) => a - b);
+                for (let i = 0; i + 1 < crossings.length; i += 2) {
+                    const fromX = Math.max(0, Math.ceil(crossings[i] - 0.5));
+                    const toX = Math.min(width - 1, Math.floor(crossings[i + 1] - 0.5));
+                    for (let x = fromX; x <= toX; x++) marked[y * width + x] = 1;
+                }
+            }
+            applyMarked(marked, clear);
+        }
+
+        // Brush operations: every pixel within radius of the polyline
+        for (const [spec, clear] of [[brush_fill, false], [brush_clear, true]]) {
+            if (!spec) continue;
+            const points = parsePoints(spec, 1);
+            console.error(`${clear ? 'Clearing' : 'Filling'} brush stroke through ${points.length} points, radius ${brushRadius}px`);
+
+            const marked = new Uint8Array(width * height);
+            const segments = points.length === 1 ? [[points[0], points[0]]] : points.slice(1).map((p, i) => [points[i], p]);
+            for (const [a, b] of segments) {
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const lengthSq = dx * dx + dy * dy;
+                for (let y = Math.max(0, Math.floor(Math.min(a.y, b.y) - brushRadius)); y <= Math.min(height - 1, Math.ceil(Math.max(a.y, b.y) + brushRadius)); y++) {
+                    for (let x = Math.max(0, Math.floor(Math.min(a.x, b.x) - brushRadius)); x <= Math.min(width - 1, Math.ceil(Math.max(a.x, b.x) + brushRadius)); x++) {
+                        // Distance from the pixel to the segment
+                        const t = lengthSq ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+                        const px = a.x + t * dx - x;
+                        const py = a.y + t * dy - y;
+                        if (px * px + py * py <= brushRadius * brushRadius) marked[y * width + x] = 1;
+                    }
+                }
+            }
+            applyMarked(marked, clear);
+        }
+
+        // Flood operations: 4-connected pixels whose original color is close to the seed's
+        for (const [spec, clear] of [[flood_fill, false], [flood_clear, true]]) {
+            if (!spec) continue;
+            if (!hasOriginal || !origData) {
+                throw new Error('--flood-fill / --flood-clear need --original');
+            }
+            const [seed] = parsePoints(spec, 1);
+            const sx = Math.round(seed.x);
+            const sy = Math.round(seed.y);
+            if (sx < 0 || sy < 0 || sx >= width || sy >= height) {
+                throw new Error(`Seed ${sx},${sy} is outside the ${width}x${height} image`);
+            }
+            const seedIdx = (sy * width + sx) * 4;
+            const [sr, sg, sb] = [origData[seedIdx], origData[seedIdx + 1], origData[seedIdx + 2]];
+            console.error(`${clear ? 'Clearing' : 'Filling'} area around ${sx},${sy}, RGB(${sr}, ${sg}, ${sb}) +/- ${floodTolerance}`);
+
+            const marked = new Uint8Array(width * height);
+            const stack = [sy * width + sx];
+            marked[sy * width + sx] = 1;
+            while (stack.length) {
+                const i = stack.pop();
+                const x = i % width;
+                const y = (i - x) / width;
+                for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    const n = ny * width + nx;
+                    if (marked[n]) continue;
+                    const idx = n * 4;
+                    if (colorDistance(origData[idx], origData[idx + 1], origData[idx + 2], sr, sg, sb) <= floodTolerance) {
+                        marked[n] = 1;
+                        stack.push(n);
+                    }
+                }
+            }
+            applyMarked(marked, clear);
+        }
+
+        // Save the edited mask (previous state goes to the journal)
+        const journal = beginEdit(mask, 'edit-mask', args);
         await sharp(data, {
             raw: { width, height, channels: 4 }
         }).png().toFile(mask);
+        const entry = journal.commit({ pixels_changed: pixelsChanged });
 
         console.error(`Pixels changed: ${pixelsChanged}, Pixels skipped (background): ${pixelsSkipped}`);
 
@@ -320,7 +465,8 @@ async function editMask() {
             blend_zone: blendZone,
             bg_threshold: bgThreshold,
             bg_color: bgColor,
-            dimensions: { width, height }
+            dimensions: { width, height },
+            journal_id: entry ? entry.id : null
         }));
 
     } catch (error) {
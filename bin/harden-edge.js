@@ -18,6 +18,7 @@
  *   mask-path     Path to the mask image (will be modified in place)
  *   original-path Path to the original source image
  *   --threshold   Luminosity difference from background to detect product (default: 15)
+ *   --no-journal  Don't record the edit (see bin/mask-history.js for undo/redo)
  * 
  * Example:
  *   node bin/harden-edge.js temp/DH515-front-mask.png temp/DH515-front-input.png
@@ -25,9 +26,12 @@
  * 
  * Note: This tool works best AFTER mirror-edge.js or edit-mask.js have been applied.
  * It's a finishing step to eliminate any remaining semi-transparent pixels.
+ * The hard edge it leaves is smoothed and anti-aliased again by refine-edge.js
+ * (image-prep.js does this on the final image).
  */
 const sharp = require('sharp');
 const fs = require('fs');
+const { beginEdit } = require('./lib/mask-journal');
 
 async function hardenEdge() {
     const args = process.argv.slice(2);
@@ -101,9 +105,11 @@ async function hardenEdge() {
     }
     
     // Save
+    const journal = beginEdit(maskPath, 'harden-edge', args);
     await sharp(maskData, { raw: { width, height, channels: 4 } })
         .png()
         .toFile(maskPath);
+    const entry = journal.commit({ pixels_hardened: pixelsHardened, pixels_cleared: pixelsCleared });
     
     console.log(JSON.stringify({
         success: true,
@@ -111,7 +117,8 @@ async function hardenEdge() {
         pixels_hardened: pixelsHardened,
         pixels_cleared: pixelsCleared,
         bg_luminosity: bgLum,
-        threshold
+        threshold,
+        journal_id: entry ? entry.id : null
     }));
 }
 
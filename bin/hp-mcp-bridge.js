@@ -1,32 +1,395 @@
 /**
  * HP MCP Bridge - WordPress Abilities to Cursor
- * 
- * This bridge handles communication between Cursor's MCP client and WordPress.
- * It filters responses to only include HP abilities tools (excluding WooCommerce 
- * native tools which have oversized schemas that Cursor can't handle).
- * 
- * Usage: node hp-mcp-bridge.js <API_URL> <API_KEY>
+ *
+ * This bridge handles communication between Cursor's MCP client and WordPress:
+ * it filters and compacts the tool list (WooCommerce native tools have
+ * oversized schemas that Cursor can't handle), pipelines requests, recovers
+ * dropped sessions, adds hp-local-upload-file and can serve several
+ * environments at once. Options and configuration: "HP MCP Bridge" in
+ * MCP_SETUP_GUIDE.md.
+ *
+ * Usage: node hp-mcp-bridge.js <API_URL> <API_KEY> [options]
+ *        node hp-mcp-bridge.js --config=hp-bridge.json [options]
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
 const https = require('https');
+const path = require('path');
+
+const positional = [];
+const flags = {};
+for (const arg of process.argv.slice(2)) {
+  if (arg.startsWith('--')) {
+    const eq = arg.indexOf('=');
+    if (eq === -1) flags[arg.slice(2)] = true;
+    else flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+  } else {
+    positional.push(arg);
+  }
+}
+
+const API_URL = positional[0];
+const API_KEY = positional[1];
+const CONFIG_PATH = flags.config || process.env.HP_MCP_CONFIG;
+const MAX_CONCURRENCY = Math.max(1, parseInt(flags.concurrency || process.env.HP_MCP_CONCURRENCY, 10) || 4);
+const SCHEMA_BUDGET = parseInt(flags['schema-budget'] || process.env.HP_MCP_SCHEMA_BUDGET, 10) || 1024;
+const TOOLS_CACHE_ENABLED = !flags['no-tools-cache'];
+const TRACE = !!flags.trace || process.env.HP_MCP_TRACE === '1';
+const LOG_TARGET = flags.log || process.env.HP_MCP_LOG || (TRACE ? true : null);
+const MAX_TOOL_PAGES = 20;
+
+const DEFAULT_INIT_PARAMS = {
+  protocolVersion: '2025-06-18',
+  capabilities: {},
+  clientInfo: { name: 'hp-mcp-bridge', version: '1.0.0' }
+};
+
+// Abilities that change store data - refused on production unless opted in
+const DEFAULT_WRITE_TOOLS = [
+  'products-create',
+  'products-update-comprehensive',
+  'products-update-fields',
+  'products-clone',
+  'products-retire-redirect',
+  'media-upload',
+  'hp-local-upload-file',
+  'orders-update-status',
+  'funnels-create',
+  'funnels-update',
+  'funnels-update-sections',
+  'funnels-restore-version',
+  'funnels-versions-create',
+  'funnels-apply-seo-fixes',
+];
+
+// Read-only abilities that are safe to send twice
+const DEFAULT_RETRY_TOOLS = [
+  'products-search',
+  'products-get',
+  'products-get-full',
+  'products-compare',
+  'products-available-fields',
+  'products-gmc-audit',
+  'products-seo-audit',
+  'products-calculate-supply',
+  'inventory-check',
+  'image-settings',
+  'customers-lookup',
+  'orders-search',
+  'funnels-list',
+  'funnels-get',
+  'funnels-validate',
+  'funnels-schema',
+  'funnels-explain-system',
+  'funnels-versions-list',
+  'funnels-seo-audit',
+  'funnels-suggest-benefit-categories',
+  'seo-funnel-schema',
+  'economics-calculate',
+  'economics-validate',
+  'test-hello',
+];
+
+// Protocol methods without side effects
+const RETRY_METHODS = ['tools/list', 'ping', 'resources/list', 'resources/read', 'resources/templates/list', 'prompts/list', 'prompts/get'];
+
+const DEFAULT_ALLOW = ['hp-abilities*', 'hp-local*'];
+
+function listOption(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim() !== '') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return null;
+}
+
+/**
+ * `*` matches any run of characters, `?` a single one. Case-insensitive.
+ */
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+function createEnvironment(name, options) {
+  return {
+    name,
+    url: options.url,
+    key: options.key,
+    prefix: options.prefix !== undefined ? options.prefix : `${name}__`,
+    uploadUrl: options.uploadUrl || null,
+    production: !!options.production,
+    allowWrites: !!options.allowWrites,
+    allow: listOption(options.allow),
+    deny: listOption(options.deny) || [],
+    sessionId: null,
+    reinitializing: null,
+    toolsCache: null
+  };
+}
 
-const API_URL = process.argv[2];
-const API_KEY = process.argv[3];
+/**
+ * Build the environment list from --config, or a single unprefixed
+ * environment from the positional <API_URL> <API_KEY> arguments.
+ */
+function loadEnvironments() {
+  if (!CONFIG_PATH) {
+    const environments = (API_URL && API_KEY) ? [createEnvironment('default', { url: API_URL, key: API_KEY, prefix: '' })] : [];
+    return { environments, writeTools: DEFAULT_WRITE_TOOLS, retry: {}, allow: null, deny: null };
+  }
+
+  // PowerShell-written JSON files start with a BOM
+  const config = JSON.parse(fs.readFileSync(path.resolve(CONFIG_PATH), 'utf8').replace(/^\uFEFF/, ''));
+  const allowed = typeof flags['allow-writes'] === 'string' ? flags['allow-writes'].split(',') : [];
+  const environments = Object.entries(config.environments || {}).map(([name, options]) => {
+    const env = createEnvironment(name, options);
+    if (allowed.includes(name)) env.allowWrites = true;
+    return env;
+  });
+
+  return {
+    environments,
+    writeTools: Array.isArray(config.writeTools) ? config.writeTools : DEFAULT_WRITE_TOOLS,
+    retry: config.retry || {},
+    allow: listOption(config.allow),
+    deny: listOption(config.deny)
+  };
+}
+
+function intOption(...values) {
+  for (const value of values) {
+    const parsed = parseInt(value, 10);
+    if (!isNaN(parsed) && parsed >= 0) return parsed;
+  }
+  return undefined;
+}
 
-if (!API_URL || !API_KEY) {
-  console.error('Usage: node hp-mcp-bridge.js <API_URL> <API_KEY>');
+const { environments, writeTools: WRITE_TOOLS, retry: retryConfig, allow: configAllow, deny: configDeny } = loadEnvironments();
+
+const ALLOW = listOption(flags.allow) || listOption(process.env.HP_MCP_ALLOW) || configAllow || DEFAULT_ALLOW;
+const DENY = listOption(flags.deny) || listOption(process.env.HP_MCP_DENY) || configDeny || [];
+
+// Compile each environment's effective rules once
+environments.forEach((env) => {
+  env.allowPatterns = (env.allow || ALLOW).map(globToRegExp);
+  env.denyPatterns = DENY.concat(env.deny).map(globToRegExp);
+});
+
+function isToolVisible(env, toolName) {
+  return !!toolName
+    && env.allowPatterns.some(re => re.test(toolName))
+    && !env.denyPatterns.some(re => re.test(toolName));
+}
+
+const UPLOAD_CHUNK_BYTES = (intOption(flags['upload-chunk-kb']) || 1024) * 1024;
+
+const RETRY = {
+  maxRetries: intOption(flags.retries, process.env.HP_MCP_RETRIES, retryConfig.maxRetries, 3),
+  baseDelayMs: intOption(flags['retry-base-ms'], retryConfig.baseDelayMs, 500),
+  maxDelayMs: intOption(retryConfig.maxDelayMs, 8000),
+  tools: typeof flags['retry-tools'] === 'string'
+    ? flags['retry-tools'].split(',')
+    : (Array.isArray(retryConfig.tools) ? retryConfig.tools : DEFAULT_RETRY_TOOLS)
+};
+
+if (environments.length === 0 || environments.some(env => !env.url || !env.key)) {
+  console.error('Usage: node hp-mcp-bridge.js <API_URL> <API_KEY> [--concurrency=4]');
+  console.error('       node hp-mcp-bridge.js --config=hp-bridge.json [--allow-writes=prod]');
   process.exit(1);
 }
 
-let mcpSessionId = null;
+const MULTI_ENV = environments.length > 1 || environments[0].prefix !== '';
+
+// Stderr unless --log points at a file
+const logStream = (typeof LOG_TARGET === 'string' && LOG_TARGET !== 'stderr' && LOG_TARGET !== '1')
+  ? fs.createWriteStream(path.resolve(LOG_TARGET), { flags: 'a' })
+  : process.stderr;
+
+// Every configured key plus its ck_/cs_ halves
+const SECRETS = environments
+  .flatMap(env => [env.key, ...env.key.split(':')])
+  .filter(secret => secret && secret.length >= 8)
+  .sort((a, b) => b.length - a.length);
+
+function redact(text) {
+  let clean = SECRETS.reduce((out, secret) => out.split(secret).join('[REDACTED]'), text);
+  // WooCommerce keys that aren't ours (e.g. echoed back in an error)
+  clean = clean.replace(/\b(ck|cs)_[a-f0-9]{16,}\b/gi, '$1_[REDACTED]');
+  return clean;
+}
+
+function log(event, fields, force) {
+  if (!LOG_TARGET && !force) return;
+  const line = JSON.stringify({ ts: new Date().toISOString(), event, ...fields });
+  (LOG_TARGET ? logStream : process.stderr).write(redact(line) + '\n');
+}
+
+function toolOf(method, params) {
+  return method === 'tools/call' && params ? params.name : undefined;
+}
+
 let requestQueue = [];
-let isProcessing = false;
+let inFlight = 0;
+let barrierActive = false;
+
+// The client's own initialize params, replayed when a session has to be re-established
+let clientInitParams = null;
+
+// Server-initiated requests awaiting the client's answer: client-visible id -> { env, id }
+const pendingServerRequests = new Map();
+
+function rpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id, error };
+}
+
+/**
+ * Incremental parser for a text/event-stream body. Calls onEvent with the
+ * joined `data:` lines of every complete event.
+ */
+function createSSEParser(onEvent) {
+  let pending = '';
+  return (chunk) => {
+    // A BOM in front of the first field would hide it
+    pending = (pending + chunk).replace(/^\uFEFF/, '');
+    let boundary = pending.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const block = pending.substring(0, boundary);
+      pending = pending.substring(boundary).replace(/^\r?\n\r?\n/, '');
+      const data = block
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (data) onEvent(data);
+      boundary = pending.search(/\r?\n\r?\n/);
+    }
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoffDelay(attempt) {
+  const delay = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * Math.pow(2, attempt));
+  // Jitter so parallel retries don't hit WordPress in lockstep
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+function isRetryable(method, params) {
+  if (RETRY_METHODS.includes(method)) return true;
+  if (method !== 'tools/call' || !params || !params.name) return false;
+  return RETRY.tools.includes(abilitySlug(params.name)) && !isWriteCall(params.name, params.arguments);
+}
+
+function isSessionExpired(outcome) {
+  if (outcome.status === 404) return true;
+  const error = outcome.message && outcome.message.error;
+  return !!error && /session/i.test(`${error.message || ''} ${typeof error.data === 'string' ? error.data : ''}`);
+}
+
+function isTransientFailure(outcome) {
+  return outcome.status === 0 || outcome.status >= 500 || outcome.empty;
+}
+
+/**
+ * Open a fresh session after WordPress dropped `expiredSessionId`. Requests
+ * that hit the same expiry share one re-initialization.
+ */
+function reinitialize(env, expiredSessionId) {
+  if (env.sessionId !== expiredSessionId) return Promise.resolve(true);
+
+  if (!env.reinitializing) {
+    env.reinitializing = (async () => {
+      env.sessionId = null;
+      env.toolsCache = null;
+      const response = await sendToWP(env, {
+        jsonrpc: '2.0',
+        id: `hp-bridge-reinit-${Date.now()}`,
+        method: 'initialize',
+        params: clientInitParams || DEFAULT_INIT_PARAMS
+      });
+      if (!response || !response.result) {
+        log('session_recovery_failed', { env: env.name, response }, true);
+        return false;
+      }
+      await sendToWP(env, { jsonrpc: '2.0', method: 'notifications/initialized' });
+      log('session_recovered', { env: env.name, session: env.sessionId });
+      return true;
+    })().finally(() => {
+      env.reinitializing = null;
+    });
+  }
+
+  return env.reinitializing;
+}
+
+/**
+ * Send a JSON-RPC call to WordPress, recovering an expired session once and
+ * retrying idempotent reads with exponential backoff.
+ */
+async function callWP(env, method, params, id) {
+  const payload = { jsonrpc: '2.0', method: method, params: params };
+  if (id === undefined || id === null || method === 'initialize') {
+    if (id !== undefined && id !== null) payload.id = id;
+    return sendToWP(env, payload);
+  }
+  payload.id = id;
+
+  const retryable = isRetryable(method, params);
+  let sessionRecovered = false;
+  let attempt = 0;
+
+  while (true) {
+    const sentSessionId = env.sessionId;
+    const outcome = await requestWP(env, payload);
+
+    if (sentSessionId && !sessionRecovered && isSessionExpired(outcome)) {
+      sessionRecovered = true;
+      log('session_expired', { env: env.name, session: sentSessionId, method, id, status: outcome.status });
+      if (await reinitialize(env, sentSessionId)) continue;
+      return outcome.message;
+    }
+
+    if (retryable && isTransientFailure(outcome) && attempt < RETRY.maxRetries) {
+      const delay = backoffDelay(attempt);
+      log('retry', { env: env.name, method, tool: toolOf(method, params), id, status: outcome.status, attempt: attempt + 1, delay_ms: delay });
+      await sleep(delay);
+      attempt++;
+      continue;
+    }
 
-function callWP(method, params, id) {
-  const isNotification = (id === undefined || id === null);
+    return outcome.message;
+  }
+}
+
+function sendToWP(env, payload) {
+  return requestWP(env, payload).then(outcome => outcome.message);
+}
+
+// Plain http is only for local test servers (test/mock-wp-server.js)
+function clientFor(url) {
+  return url.protocol === 'http:' ? http : https;
+}
+
+/**
+ * POST one JSON-RPC message to WordPress. Resolves with { message, status,
+ * empty }: the response to it (null for notifications and client responses),
+ * the HTTP status (0 on network errors) and whether the body was empty.
+ * 
+ * Streamable HTTP: when WordPress answers with text/event-stream, every event
+ * that isn't our response (progress notifications, server-initiated
+ * requests) is forwarded to the client as its own message.
+ */
+function requestWP(env, payload) {
+  const id = payload.id;
+  const expectsResponse = payload.method !== undefined && id !== undefined && id !== null;
   
   return new Promise((resolve) => {
-    const url = new URL(API_URL);
+    const url = new URL(env.url);
     const options = {
       hostname: url.hostname,
       port: url.port || (url.protocol === 'https:' ? 443 : 80),
@@ -34,28 +397,95 @@ function callWP(method, params, id) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'X-MCP-API-Key': API_KEY,
+        'Accept': 'application/json, text/event-stream',
+        'X-MCP-API-Key': env.key,
       }
     };
 
-    if (mcpSessionId) {
-      options.headers['Mcp-Session-Id'] = mcpSessionId;
+    if (env.sessionId) {
+      options.headers['Mcp-Session-Id'] = env.sessionId;
     }
 
-    const req = https.request(options, (res) => {
+    const body = JSON.stringify(payload);
+    const startedAt = Date.now();
+    let rawResponse = '';
+    let responseBytes = 0;
+    let settled = false;
+    let status = 0;
+    let empty = false;
+    const finish = (value) => {
+      if (settled) return;
+      settled = true;
+      const entry = {
+        env: env.name,
+        method: payload.method,
+        tool: toolOf(payload.method, payload.params),
+        id,
+        status,
+        latency_ms: Date.now() - startedAt,
+        request_bytes: Buffer.byteLength(body),
+        response_bytes: responseBytes
+      };
+      if (TRACE) {
+        entry.headers = { ...options.headers, 'X-MCP-API-Key': '[REDACTED]' };
+        entry.request = payload;
+        entry.response = rawResponse;
+      }
+      log('wp_request', entry);
+      resolve({ message: expectsResponse ? value : null, status, empty });
+    };
+
+    const req = clientFor(url).request(options, (res) => {
       let data = '';
+      status = res.statusCode;
       
       const newSessionId = res.headers['mcp-session-id'] || res.headers['Mcp-Session-Id'];
       if (newSessionId) {
-        mcpSessionId = newSessionId;
+        if (newSessionId !== env.sessionId) {
+          log('session_changed', { env: env.name, from: env.sessionId, to: newSessionId });
+        }
+        env.sessionId = newSessionId;
+      }
+
+      res.on('data', (chunk) => {
+        responseBytes += Buffer.byteLength(chunk);
+        if (TRACE) rawResponse += chunk;
+      });
+
+      if (/text\/event-stream/i.test(res.headers['content-type'] || '')) {
+        res.setEncoding('utf8');
+        const parse = createSSEParser((eventData) => {
+          let messages;
+          try {
+            // An event may carry a single message or a batch
+            messages = [].concat(JSON.parse(eventData));
+          } catch (e) {
+            return;
+          }
+          messages.forEach((message) => {
+            const isOurResponse = expectsResponse && message.id === id && message.method === undefined;
+            if (isOurResponse) finish(message);
+            else forwardServerMessage(env, message);
+          });
+        });
+        res.on('data', parse);
+        res.on('end', () => {
+          finish({
+            jsonrpc: '2.0',
+            id: id,
+            error: { code: -32603, message: 'Event stream from WordPress ended without a response' }
+          });
+        });
+        return;
       }
 
       res.on('data', (chunk) => { data += chunk; });
       res.on('end', () => {
-        if (isNotification) return resolve(null);
+        if (!expectsResponse) return finish(null);
 
         if (data.length === 0) {
-          return resolve({
+          empty = true;
+          return finish({
             jsonrpc: '2.0',
             id: id,
             error: { code: -32603, message: 'Empty response from WordPress' }
@@ -66,18 +496,9 @@ function callWP(method, params, id) {
           // Strip BOM and any leading garbage
           const cleanData = data.replace(/^[^{]*/, '').trim();
           const parsed = JSON.parse(cleanData);
-          
-          // Filter to only include HP abilities tools
-          // WooCommerce native tools have oversized schemas (10KB+) that Cursor can't handle
-          if (parsed.result && parsed.result.tools && Array.isArray(parsed.result.tools)) {
-            parsed.result.tools = parsed.result.tools.filter(tool => {
-              return tool.name && tool.name.startsWith('hp-abilities');
-            });
-          }
-          
-          resolve(parsed);
+          finish(parsed);
         } catch (e) {
-          resolve({
+          finish({
             jsonrpc: '2.0',
             id: id,
             error: { code: -32700, message: 'Parse error', data: data.substring(0, 200) }
@@ -87,57 +508,619 @@ function callWP(method, params, id) {
     });
 
     req.on('error', (e) => {
-      if (isNotification) resolve(null);
-      else resolve({ jsonrpc: '2.0', id: id, error: { code: -32603, message: 'Bridge Request Error', data: e.message } });
+      status = 0;
+      log('wp_error', { env: env.name, method: payload.method, id, error: e.message });
+      finish({ jsonrpc: '2.0', id: id, error: { code: -32603, message: 'Bridge Request Error', data: e.message } });
+    });
+
+    req.write(body);
+    req.end();
+  });
+}
+
+function schemaSize(schema) {
+  return Buffer.byteLength(JSON.stringify(schema || {}));
+}
+
+/**
+ * Visit every sub-schema of a JSON schema (properties, items, combinators).
+ */
+function walkSchema(node, visit) {
+  if (!node || typeof node !== 'object') return;
+  visit(node);
+  if (node.properties && typeof node.properties === 'object') {
+    Object.values(node.properties).forEach(child => walkSchema(child, visit));
+  }
+  if (node.items) walkSchema(node.items, visit);
+  if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+    walkSchema(node.additionalProperties, visit);
+  }
+  ['anyOf', 'oneOf', 'allOf'].forEach(key => {
+    if (Array.isArray(node[key])) node[key].forEach(child => walkSchema(child, visit));
+  });
+}
+
+// Compaction steps, cheapest loss of guidance first
+const SCHEMA_COMPACTIONS = [
+  ['drop-annotations', schema => walkSchema(schema, node => {
+    delete node.title;
+    delete node.examples;
+    delete node.default;
+  })],
+  ['drop-descriptions', schema => walkSchema(schema, node => {
+    delete node.description;
+  })],
+  ['collapse-enums', schema => walkSchema(schema, node => {
+    delete node.enum;
+  })],
+  ['flatten-nested', schema => {
+    // Top-level properties keep their name and type, nested structure goes
+    // (the Master Protocol's "flexible object types")
+    Object.entries(schema.properties || {}).forEach(([name, prop]) => {
+      if (!prop || typeof prop !== 'object') return;
+      if (prop.type === 'object' || prop.properties) {
+        schema.properties[name] = { type: 'object', additionalProperties: true };
+      } else if (prop.type === 'array' || prop.items) {
+        schema.properties[name] = { type: 'array' };
+      }
+    });
+  }],
+];
+
+/**
+ * Shrink a tool's inputSchema until it fits SCHEMA_BUDGET.
+ * Returns the (possibly compacted) tool and a report entry, or null if untouched.
+ */
+function compactTool(tool) {
+  const before = schemaSize(tool.inputSchema);
+  if (before <= SCHEMA_BUDGET) return { tool, report: null };
+
+  const schema = JSON.parse(JSON.stringify(tool.inputSchema));
+  const steps = [];
+  for (const [name, compact] of SCHEMA_COMPACTIONS) {
+    compact(schema);
+    steps.push(name);
+    if (schemaSize(schema) <= SCHEMA_BUDGET) break;
+  }
+
+  const after = schemaSize(schema);
+  return {
+    tool: { ...tool, inputSchema: schema },
+    report: { tool: tool.name, before, after, steps, within_budget: after <= SCHEMA_BUDGET }
+  };
+}
+
+/**
+ * Apply the allow/deny rules to raw tools and enforce the schema budget.
+ */
+function prepareToolList(env, rawTools) {
+  const report = [];
+  // By default only HP abilities tools get through
+  // WooCommerce native tools have oversized schemas (10KB+) that Cursor can't handle
+  const tools = rawTools
+    .filter(tool => isToolVisible(env, tool.name))
+    .map(tool => {
+      const compacted = compactTool(tool);
+      if (compacted.report) report.push(compacted.report);
+      return compacted.tool;
     });
 
-    const payload = { jsonrpc: '2.0', method: method, params: params };
-    if (!isNotification) payload.id = id;
+  return { tools, report };
+}
+
+function logSchemaReport(env, report) {
+  if (report.length === 0) return;
+  const lines = report.map(r =>
+    `  ${r.tool}: ${r.before}B -> ${r.after}B (${r.steps.join(', ')})${r.within_budget ? '' : ' STILL OVER BUDGET'}`
+  );
+  const where = MULTI_ENV ? ` [${env.name}]` : '';
+  console.error(`[hp-mcp-bridge]${where} Trimmed ${report.length} tool schema(s) to fit ${SCHEMA_BUDGET}B:\n${lines.join('\n')}`);
+}
+
+/**
+ * Fetch every tools/list page from one environment, filtered and compacted.
+ * Cached until the environment's MCP session changes.
+ */
+async function fetchToolList(env, id) {
+  if (TOOLS_CACHE_ENABLED && env.toolsCache && env.toolsCache.sessionId === env.sessionId) {
+    return { tools: env.toolsCache.tools };
+  }
+
+  const rawTools = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const response = await callWP(env, 'tools/list', cursor ? { cursor } : {}, id);
+    if (!response || !response.result || !Array.isArray(response.result.tools)) {
+      return { error: response };
+    }
+    rawTools.push(...response.result.tools);
+    cursor = response.result.nextCursor;
+  } while (cursor && ++pages < MAX_TOOL_PAGES);
+
+  const { tools, report } = prepareToolList(env, rawTools.concat(LOCAL_TOOLS));
+  logSchemaReport(env, report);
+
+  env.toolsCache = { sessionId: env.sessionId, tools };
+  return { tools };
+}
+
+function exposeTool(env, tool) {
+  if (!env.prefix) return tool;
+  return {
+    ...tool,
+    name: env.prefix + tool.name,
+    description: `[${env.name}${env.production ? ', production' : ''}] ${tool.description || ''}`.trim()
+  };
+}
+
+async function listTools(request) {
+  const lists = await Promise.all(environments.map(env => fetchToolList(env, request.id)));
+  const tools = [];
+  let firstError = null;
+
+  lists.forEach((list, i) => {
+    if (list.error !== undefined) {
+      firstError = firstError || list.error;
+      console.error(`[hp-mcp-bridge] tools/list failed for ${environments[i].name}: ${JSON.stringify(list.error)}`);
+      return;
+    }
+    tools.push(...list.tools.map(tool => exposeTool(environments[i], tool)));
+  });
+
+  if (tools.length === 0 && firstError !== null) {
+    return firstError || rpcError(request.id, -32603, 'tools/list failed');
+  }
+  return { jsonrpc: '2.0', id: request.id, result: { tools } };
+}
+
+/**
+ * Ability slug without the `hp-abilities` namespace, whatever separator WooCommerce MCP uses.
+ */
+function abilitySlug(toolName) {
+  return toolName.replace(/^hp-abilities[^a-z0-9]*/i, '');
+}
+
+function isWriteCall(toolName, args) {
+  const slug = abilitySlug(toolName);
+  if (slug === 'image-settings') return !!args && args.action === 'set';
+  return WRITE_TOOLS.includes(slug);
+}
+
+/**
+ * Whether a call changes data, for the production guard. Besides the
+ * write-tool list this goes by the MCP annotations of the listed tool, and
+ * tools from outside hp-abilities count as writes unless they declare
+ * themselves read-only.
+ */
+async function isProductionWrite(env, toolName, args, id) {
+  if (isWriteCall(toolName, args)) return true;
+  if (LOCAL_TOOL_HANDLERS[toolName]) return false;
+
+  const list = await fetchToolList(env, id);
+  const tool = (list.tools || []).find(candidate => candidate.name === toolName);
+  const annotations = (tool && tool.annotations) || {};
+  if (annotations.readOnlyHint === false || annotations.destructiveHint === true) return true;
+  return !/^hp-abilities/i.test(toolName) && annotations.readOnlyHint !== true;
+}
+
+async function callTool(request) {
+  const params = request.params || {};
+  const name = params.name || '';
+  // Longest prefix first so an unprefixed environment never shadows the others
+  const env = [...environments]
+    .sort((a, b) => b.prefix.length - a.prefix.length)
+    .find(candidate => name.startsWith(candidate.prefix));
+
+  if (!env) {
+    const prefixes = environments.map(candidate => candidate.prefix).join(', ');
+    return rpcError(request.id, -32602, `Unknown tool: ${name}. Tool names must start with one of: ${prefixes}`);
+  }
+
+  const toolName = name.slice(env.prefix.length);
+  if (!isToolVisible(env, toolName)) {
+    log('tool_hidden', { env: env.name, tool: toolName, id: request.id });
+    return rpcError(request.id, -32602, `Tool not available through this bridge: ${name}`);
+  }
+
+  if (env.production && !env.allowWrites && await isProductionWrite(env, toolName, params.arguments, request.id)) {
+    return toolResult(request.id,
+      `Refused: ${toolName} changes data on production environment "${env.name}". ` +
+      `Use the staging tools, or restart the bridge with --allow-writes=${env.name} (or set "allowWrites": true for it) if this is intended.`,
+      true);
+  }
+
+  if (LOCAL_TOOL_HANDLERS[toolName]) {
+    return LOCAL_TOOL_HANDLERS[toolName](env, request.id, params.arguments || {});
+  }
+
+  return callWP(env, 'tools/call', { ...params, name: toolName }, request.id);
+}
+
+function toolResult(id, text, isError) {
+  const result = { content: [{ type: 'text', text }] };
+  if (isError) result.isError = true;
+  return { jsonrpc: '2.0', id, result };
+}
+
+/**
+ * Upload endpoint registered by the plugin (Utils/ChunkedUpload.php), next
+ * to the MCP route under /wp-json/.
+ */
+function uploadEndpoint(env) {
+  if (env.uploadUrl) return env.uploadUrl;
+  const url = new URL(env.url);
+  const restRoot = url.pathname.indexOf('/wp-json/');
+  if (restRoot === -1) return null;
+  return `${url.origin}${url.pathname.slice(0, restRoot)}/wp-json/hp-abilities/v1/upload`;
+}
+
+/**
+ * POST one raw chunk. Resolves with { status, body } where body is the parsed JSON reply.
+ */
+function postChunk(env, endpoint, query, chunk) {
+  return new Promise((resolve) => {
+    const url = new URL(endpoint);
+    Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+    const startedAt = Date.now();
+
+    const req = clientFor(url).request({
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'https:' ? 443 : 80),
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': chunk.length,
+        'X-MCP-API-Key': env.key,
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (part) => { data += part; });
+      res.on('end', () => {
+        log('upload_chunk', { env: env.name, offset: query.offset, bytes: chunk.length, status: res.statusCode, latency_ms: Date.now() - startedAt });
+        let body = null;
+        try {
+          body = JSON.parse(data.replace(/^[^{]*/, ''));
+        } catch (e) {
+          body = { message: data.substring(0, 200) };
+        }
+        resolve({ status: res.statusCode, body });
+      });
+    });
 
-    req.write(JSON.stringify(payload));
+    req.on('error', (e) => resolve({ status: 0, body: { message: e.message } }));
+    req.write(chunk);
     req.end();
   });
 }
 
-async function processQueue() {
-  if (isProcessing || requestQueue.length === 0) return;
-  isProcessing = true;
-  const line = requestQueue.shift();
+async function findRemoteTool(env, slug, id) {
+  const list = await fetchToolList(env, id);
+  const tool = (list.tools || []).find(candidate => abilitySlug(candidate.name) === slug && !LOCAL_TOOL_HANDLERS[candidate.name]);
+  return tool ? tool.name : null;
+}
+
+/**
+ * hp-local-upload-file: stream a local file to WordPress, then hand it to media-upload.
+ */
+async function uploadLocalFile(env, id, args) {
+  const filePath = args.path ? path.resolve(args.path) : null;
+  if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return toolResult(id, `File not found: ${args.path}`, true);
+  }
+
+  const size = fs.statSync(filePath).size;
+  if (size === 0) {
+    return toolResult(id, `File is empty: ${filePath}`, true);
+  }
+
+  const endpoint = uploadEndpoint(env);
+  if (!endpoint) {
+    return toolResult(id, `Can't derive the upload endpoint from ${env.url} - set "uploadUrl" for environment "${env.name}".`, true);
+  }
+
+  const mediaTool = await findRemoteTool(env, 'media-upload', id);
+  if (!mediaTool) {
+    return toolResult(id, 'media-upload is not available on this site (disabled or filtered out).', true);
+  }
+
+  const fileName = args.file_name || path.basename(filePath);
+  const uploadId = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.createHash('sha256');
+  let offset = 0;
+  let staged = null;
+
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: UPLOAD_CHUNK_BYTES })) {
+    // Grown since the size was taken: the upload is already complete
+    if (staged) return toolResult(id, `File changed during upload: ${filePath}`, true);
+    hash.update(chunk);
+    const final = offset + chunk.length >= size;
+    const query = { upload_id: uploadId, file_name: fileName, offset, final: final ? 1 : 0 };
+    // The server verifies the assembled file against this before accepting it
+    if (final) query.sha256 = hash.digest('hex');
+
+    const reply = await postChunk(env, endpoint, query, chunk);
+    if (reply.status !== 200 || !reply.body || !reply.body.success) {
+      const reason = (reply.body && (reply.body.message || reply.body.error)) || `HTTP ${reply.status}`;
+      return toolResult(id, `Upload failed at byte ${offset} of ${size}: ${reason}`, true);
+    }
+
+    offset += chunk.length;
+    if (final) staged = reply.body;
+  }
+
+  // Shrunk while reading: no chunk was the final one
+  if (!staged) {
+    return toolResult(id, `File changed during upload: ${filePath} (read ${offset} of ${size} bytes)`, true);
+  }
+
+  // media-upload gets the staged file instead of the local path
+  const mediaArgs = { ...args };
+  delete mediaArgs.path;
+  return callWP(env, 'tools/call', {
+    name: mediaTool,
+    arguments: { ...mediaArgs, file_name: fileName, server_path: staged.server_path }
+  }, id);
+}
+
+// Tools the bridge answers itself instead of forwarding to WordPress
+const LOCAL_TOOLS = [{
+  name: 'hp-local-upload-file',
+  description: 'Upload a LOCAL file (e.g. a prepared PNG from temp/) to the Media Library. Streams the file to WordPress in chunks and runs media-upload with it - use instead of base64 file_content.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      path: { type: 'string', description: 'Path of the file on this machine' },
+      file_name: { type: 'string' },
+      title: { type: 'string' },
+      alt_text: { type: 'string' },
+      product_id: { type: 'integer', description: 'Product to attach the image to' },
+      is_thumbnail: { type: 'boolean', description: 'Set as featured image (requires product_id)' }
+    },
+    required: ['path']
+  }
+}];
+
+const LOCAL_TOOL_HANDLERS = {
+  'hp-local-upload-file': uploadLocalFile
+};
+
+/**
+ * initialize opens a session with every environment; the client sees the
+ * first successful handshake.
+ */
+async function initialize(request) {
+  clientInitParams = request.params || null;
+  const responses = await Promise.all(environments.map(env => callWP(env, request.method, request.params, request.id)));
+  const ok = responses.find(response => response && response.result);
+  if (!ok) return responses[0];
+
+  responses.forEach((response, i) => {
+    if (!response || !response.result) {
+      console.error(`[hp-mcp-bridge] initialize failed for ${environments[i].name}: ${JSON.stringify(response)}`);
+    }
+  });
+
+  if (MULTI_ENV) {
+    ok.result.serverInfo = { name: 'hp-mcp-bridge', version: '1.0.0' };
+  }
+  return ok;
+}
+
+async function notifyAll(request) {
+  await Promise.all(environments.map(env => callWP(env, request.method, request.params)));
+  return null;
+}
+
+/**
+ * Pass a message WordPress sent on its own (progress, logging, server
+ * requests) through to the client.
+ */
+function forwardServerMessage(env, message) {
+  if (message.method === 'notifications/tools/list_changed') {
+    env.toolsCache = null;
+  }
+
+  if (message.method !== undefined && message.id !== undefined && message.id !== null) {
+    // Server-initiated request: remember where the client's answer must go.
+    // Ids are only unique per server, so namespace them when several are connected.
+    const clientId = MULTI_ENV ? `${env.name}:${message.id}` : message.id;
+    pendingServerRequests.set(clientId, { env, id: message.id });
+    message = { ...message, id: clientId };
+  }
+
+  log('server_message', { env: env.name, method: message.method, id: message.id });
+  writeMessage(message);
+}
+
+/**
+ * The client answered a server-initiated request - send it back to its server.
+ */
+async function forwardClientResponse(message) {
+  const pending = pendingServerRequests.get(message.id);
+  pendingServerRequests.delete(message.id);
+
+  const env = pending ? pending.env : environments[0];
+  await sendToWP(env, { ...message, id: pending ? pending.id : message.id });
+  return null;
+}
+
+function handleRequest(request) {
+  if (request.method === undefined) return forwardClientResponse(request);
+  if (request.id === undefined || request.id === null) return notifyAll(request);
+  if (request.method === 'initialize') return initialize(request);
+  if (request.method === 'tools/list') return listTools(request);
+  if (request.method === 'tools/call') return callTool(request);
+  // Everything else (ping, resources, prompts) goes to the first environment
+  return callWP(environments[0], request.method, request.params, request.id);
+}
+
+async function writeMessage(message) {
+  const canContinue = process.stdout.write(JSON.stringify(message) + '\n');
+  if (!canContinue) {
+    await new Promise(resolve => process.stdout.once('drain', resolve));
+  }
+}
+
+// Forwarded as soon as they arrive: a cancel has to reach WordPress while its request still runs
+const UNORDERED_NOTIFICATIONS = ['notifications/cancelled', 'notifications/progress'];
+
+function isUnordered(request) {
+  return (request.id === undefined || request.id === null) && UNORDERED_NOTIFICATIONS.includes(request.method);
+}
+
+// An answer to a server request can't wait for a slot: the call waiting on it holds one
+function isClientResponse(message) {
+  return typeof message === 'object' && !Array.isArray(message) && message.method === undefined
+    && message.id !== undefined && message.id !== null;
+}
+
+/**
+ * Notifications and initialize must not overlap with other traffic:
+ * initialize establishes the session, notifications are order-sensitive.
+ */
+function isBarrier(request) {
+  return request.id === undefined || request.id === null || request.method === 'initialize';
+}
+
+/**
+ * Run one client message. Queued messages (the default) count towards the
+ * concurrency limit and release the barrier when done.
+ */
+async function dispatch(request, queued = true) {
+  const startedAt = Date.now();
+  const isRequest = request.id !== undefined && request.id !== null;
   try {
-    const request = JSON.parse(line);
-    const response = await callWP(request.method, request.params, request.id);
-    if (response !== null) {
-      const jsonStr = JSON.stringify(response);
-      const canContinue = process.stdout.write(jsonStr + '\n');
-      if (!canContinue) {
-        await new Promise(resolve => process.stdout.once('drain', resolve));
-      }
+    const response = await handleRequest(request);
+    if (response !== null && isRequest) {
+      // Always answer under the caller's id, whatever WordPress echoed back
+      response.id = request.id;
+      await writeMessage(response);
     }
+    log('client_request', {
+      method: request.method,
+      tool: toolOf(request.method, request.params),
+      id: request.id,
+      latency_ms: Date.now() - startedAt,
+      error: response && response.error ? response.error.code : undefined
+    });
   } catch (e) {
-    // Silent fail - don't pollute stdout
+    log('bridge_error', { method: request.method, id: request.id, error: e.message, stack: e.stack }, true);
+    // Never leave the client waiting on an id
+    if (isRequest) {
+      await writeMessage(rpcError(request.id, -32603, 'Bridge internal error', e.message));
+    }
   } finally {
-    isProcessing = false;
-    setImmediate(processQueue);
+    if (queued) {
+      inFlight--;
+      barrierActive = false;
+      setImmediate(processQueue);
+    }
   }
 }
 
-let buffer = '';
-process.stdin.on('data', (chunk) => {
-  buffer += chunk.toString();
-  let boundary = buffer.indexOf('\n');
-  while (boundary !== -1) {
-    const line = buffer.substring(0, boundary).trim();
-    buffer = buffer.substring(boundary + 1);
-    if (line) {
-      requestQueue.push(line);
-      processQueue();
+/**
+ * Take a line from the client: unordered notifications and answers to server
+ * requests skip the queue, everything else waits its turn in processQueue().
+ */
+function receive(line) {
+  let message = null;
+  try {
+    message = JSON.parse(line);
+  } catch (e) {
+    // processQueue() reports it
+  }
+  if (message && (isClientResponse(message) || isUnordered(message))) {
+    dispatch(message, false);
+    return;
+  }
+  requestQueue.push(line);
+  processQueue();
+}
+
+function processQueue() {
+  while (!barrierActive && inFlight < MAX_CONCURRENCY && requestQueue.length > 0) {
+    let request;
+    try {
+      request = JSON.parse(requestQueue[0]);
+    } catch (e) {
+      log('invalid_json', { line: requestQueue[0].substring(0, 200), error: e.message });
+      requestQueue.shift();
+      continue;
+    }
+
+    if (isBarrier(request)) {
+      // Wait for earlier requests to finish before running alone
+      if (inFlight > 0) return;
+      barrierActive = true;
     }
-    boundary = buffer.indexOf('\n');
+
+    requestQueue.shift();
+    inFlight++;
+    dispatch(request);
   }
-});
+}
+
+/**
+ * --schema-report: run a throwaway session per environment, report on every HP tool and exit.
+ */
+async function printSchemaReport() {
+  const report = { budget: SCHEMA_BUDGET, environments: [] };
+
+  for (const env of environments) {
+    await callWP(env, 'initialize', DEFAULT_INIT_PARAMS, 0);
+    await callWP(env, 'notifications/initialized', {});
+
+    const response = await callWP(env, 'tools/list', {}, 1);
+    if (!response || !response.result || !Array.isArray(response.result.tools)) {
+      console.error(JSON.stringify(response));
+      process.exit(1);
+    }
 
-process.on('uncaughtException', () => {});
+    const { tools, report: trimmed } = prepareToolList(env, response.result.tools);
+    report.environments.push({
+      name: env.name,
+      tools: tools.length,
+      trimmed,
+      sizes: tools.map(tool => ({ tool: tool.name, bytes: schemaSize(tool.inputSchema) }))
+    });
+  }
 
-// Keep process alive
-process.stdin.resume();
-setInterval(() => {}, 30000);
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(0);
+}
+
+function startBridge() {
+  let buffer = '';
+  process.stdin.on('data', (chunk) => {
+    buffer += chunk.toString();
+    let boundary = buffer.indexOf('\n');
+    while (boundary !== -1) {
+      const line = buffer.substring(0, boundary).trim();
+      buffer = buffer.substring(boundary + 1);
+      if (line) {
+        receive(line);
+      }
+      boundary = buffer.indexOf('\n');
+    }
+  });
+
+  // Keep serving, but never hide a crash
+  process.on('uncaughtException', (e) => {
+    log('uncaught_exception', { error: e.message, stack: e.stack }, true);
+  });
+  process.on('unhandledRejection', (reason) => {
+    log('unhandled_rejection', { error: reason instanceof Error ? reason.stack : String(reason) }, true);
+  });
+
+  // Keep process alive
+  process.stdin.resume();
+  setInterval(() => {}, 30000);
+}
+
+if (flags['schema-report']) {
+  printSchemaReport();
+} else {
+  startBridge();
+}
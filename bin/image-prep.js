@@ -4,82 +4,95 @@
  * Performs:
  * 1. AI-powered background removal
  * 2. Alpha channel thresholding based on aggressiveness setting
- * 3. Professional resizing and centering on transparent canvas
- * 4. Optional: Upload to WordPress and set as product image
+ * 3. Professional resizing and centering on transparent canvas (or a composition preset:
+ *    background, contact shadow, reflection, bottom alignment - see bin/lib/compose.js)
+ * 4. Optional renditions: extra formats and sizes (WebP, AVIF, JPEG on white, thumbnails)
+ * 5. Optional: Upload to WordPress and set as product image
  * 
  * Usage:
  *   node bin/image-prep.js --file source.png --sku "DH515" --angle "front" [--sync] [--upload --product-id 123]
  *   node bin/image-prep.js --file source.png --sku "DH515" --mask-only  (stops after creating mask)
  *   node bin/image-prep.js --sku "DH515" --use-mask mask.png --upload --product-id 123  (uses pre-edited mask)
+ *   node bin/image-prep.js --manifest onboarding.csv [--mask-only | --upload] [--concurrency 2]  (batch)
  * 
  * Flags:
  *   --sync       Fetch settings from WordPress before processing
- *   --mask-only  Generate mask and stop (for agent inspection)
+ *   --mask-only  Generate mask and stop (for agent inspection); result includes a quality report
  *   --use-mask   Use a pre-edited mask instead of generating new one
  *   --upload     Upload to WordPress after processing (requires --product-id)
  *   --thumbnail  Set as featured image (default: true for 'front' angle)
+ *   --edge-ramp N  Anti-aliased edge width on the final image (default: 1.5px, 0 = off; see refine-edge.js)
+ *   --preset NAME  Composition preset from the synced "presets" setting (e.g. studio-white)
+ *   --renditions JSON|PATH|none  Rendition list instead of the synced setting (format in bin/lib/renditions.js)
+ * 
+ * Background removal (bin/bg-remove-helper.js, backends in bin/lib/bg-backends.js):
+ *   --backend imgly|key|ensemble  AI model (default), colour keying for plain studio backgrounds, or a vote
+ *   --model small|medium|large    imgly model size (default: medium)
+ *   --key-tolerance N             Colour distance keyed out as background (default: from the corners)
+ *   --members LIST --vote MODE    Ensemble, e.g. --members imgly:small,imgly:large,key --vote majority
+ * 
+ * Batch mode (--manifest, format in bin/lib/batch.js):
+ *   --concurrency N  Items processed at once (default: 2)
+ *   --state PATH     Resume file (default: temp/batch-<manifest>.state.json); finished items are skipped on rerun
+ *   --restart        Ignore the resume file and process everything again
+ *   --report PATH    Summary report (default: temp/batch-<manifest>-report.json)
+ * 
+ * WordPress access (settings sync and upload) goes through bin/lib/wp-transport.js:
+ *   --transport ssh|mcp|rest   Backend (default from config, env HP_IMAGE_TRANSPORT)
+ *   --transport-config PATH    Config file (default: ./hp-image-prep.json, env HP_IMAGE_TRANSPORT_CONFIG)
+ *   --env stg|prod             Environment from the config (env HP_IMAGE_ENV)
  */
 
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const sharp = require('sharp');
-const { execSync } = require('child_process');
+const { spawn } = require('child_process');
+const { loadTransportConfig, createTransport } = require('./lib/wp-transport');
+const { analyzeMask } = require('./lib/mask-quality');
+const { refineEdges } = require('./lib/edge-refine');
+const { DEFAULT_RENDITIONS, parseRenditions, renderRenditions } = require('./lib/renditions');
+const { DEFAULT_PRESETS, parsePresets, resolvePreset, composeCanvas } = require('./lib/compose');
+const { loadManifest, runWithConcurrency, createBatchState } = require('./lib/batch');
 
 // Default configuration (can be overridden via --sync or CLI args)
 const DEFAULTS = {
     target_size: 1100,
     padding: 0.05,
     aggressiveness: 50,
-    naming: '{sku}-{angle}'
-};
-
-// Staging server configuration
-const SSH_CONFIG = {
-    host: '35.236.219.140',
-    port: 12872,
-    user: 'holisticpeoplecom',
-    key: 'C:\\Users\\user\\.ssh\\kinsta_staging_key',
-    remotePath: '/tmp'
+    naming: '{sku}-{angle}',
+    edge_ramp: 1.5,
+    renditions: DEFAULT_RENDITIONS,
+    presets: parsePresets(DEFAULT_PRESETS),
+    bg_backend: 'imgly',
+    bg_model: 'medium'
 };
 
 const TEMP_DIR = path.join(process.cwd(), 'temp');
 
 /**
- * Fetch settings from WordPress via SSH (most reliable method)
+ * Fetch settings from WordPress through the configured transport
  */
-function fetchSettingsFromWP() {
+async function fetchSettingsFromWP(transport) {
     try {
-        console.error('Fetching settings from WordPress via SSH...');
-        
-        const getOption = (name, multiline = false) => {
-            const cmd = `ssh -i "${SSH_CONFIG.key}" -p ${SSH_CONFIG.port} ${SSH_CONFIG.user}@${SSH_CONFIG.host} "cd public && wp option get ${name} 2>/dev/null || echo ''"`;
-            try {
-                const result = execSync(cmd, { encoding: 'utf8' }).trim();
-                // For single-line values, pop() removes any SSH connection messages
-                // For multi-line values, we want the full result
-                return multiline ? result : result.split('\n').pop();
-            } catch (e) {
-                return '';
-            }
-        };
-        
-        const aggressiveness = parseInt(getOption('hp_abilities_image_aggressiveness'), 10);
-        const target_size = parseInt(getOption('hp_abilities_image_target_size'), 10);
-        const padding = parseFloat(getOption('hp_abilities_image_padding'));
-        const naming = getOption('hp_abilities_image_naming');
-        const correction_prompt = getOption('hp_abilities_image_correction_prompt', true);
+        console.error(`Fetching settings from WordPress via ${transport.describe()}...`);
+        const wp = await transport.getImageSettings();
+        const aggressiveness = parseInt(wp.aggressiveness, 10);
+        const target_size = parseInt(wp.target_size, 10);
+        const padding = parseFloat(wp.padding);
         
         return {
             success: true,
             aggressiveness: aggressiveness || DEFAULTS.aggressiveness,
             target_size: target_size || DEFAULTS.target_size,
             padding: isNaN(padding) ? DEFAULTS.padding : padding,
-            naming: naming || DEFAULTS.naming,
-            correction_prompt: correction_prompt || ''
+            naming: wp.naming || DEFAULTS.naming,
+            renditions: wp.renditions !== undefined ? parseRenditions(wp.renditions) : DEFAULTS.renditions,
+            presets: wp.presets !== undefined ? parsePresets(wp.presets) : DEFAULTS.presets,
+            correction_prompt: wp.correction_prompt || ''
         };
     } catch (e) {
-        console.error('Failed to fetch settings via SSH:', e.message);
+        console.error(`Failed to fetch settings via ${transport.name}:`, e.message);
         return null;
     }
 }
@@ -145,84 +158,75 @@ function generateFilename(pattern, sku, angle) {
 }
 
 /**
- * Upload image to WordPress via SCP + WP-CLI
+ * Upload image to WordPress through the configured transport
  */
-async function uploadToWordPress(localPath, productId, isThumbnail, sku, angle) {
-    const filename = path.basename(localPath);
-    const remoteTempPath = `${SSH_CONFIG.remotePath}/${filename}`;
-    
-    console.error('Uploading to staging server...');
-    
-    // SCP upload
-    const scpCmd = `scp -P ${SSH_CONFIG.port} -i "${SSH_CONFIG.key}" "${localPath}" ${SSH_CONFIG.user}@${SSH_CONFIG.host}:${remoteTempPath}`;
-    try {
-        execSync(scpCmd, { stdio: 'pipe' });
-    } catch (e) {
-        throw new Error(`SCP failed: ${e.message}`);
-    }
+async function uploadToWordPress(transport, localPath, productId, isThumbnail, sku, angle, log = console.error) {
+    log(`Uploading to WordPress via ${transport.describe()}...`);
     
-    console.error('Importing to WordPress Media Library...');
-    
-    // WP-CLI import
-    const title = `${sku} ${angle}`;
-    const alt = `${sku} product image - ${angle} view`;
-    const importCmd = `ssh -i "${SSH_CONFIG.key}" -p ${SSH_CONFIG.port} ${SSH_CONFIG.user}@${SSH_CONFIG.host} "cd public && wp media import ${remoteTempPath} --title='${title}' --alt='${alt}' --porcelain 2>/dev/null"`;
+    const result = await transport.uploadImage(localPath, {
+        productId,
+        isThumbnail,
+        title: `${sku} ${angle}`,
+        alt: `${sku} product image - ${angle} view`
+    });
     
-    let attachmentId;
-    try {
-        const result = execSync(importCmd, { encoding: 'utf8' });
-        attachmentId = parseInt(result.trim().split('\n').pop(), 10);
-    } catch (e) {
-        throw new Error(`WP media import failed: ${e.message}`);
+    if (!result.attachment_id) {
+        throw new Error('Failed to get attachment ID from upload');
     }
+    log(`Attachment ID: ${result.attachment_id}`);
     
-    if (!attachmentId || isNaN(attachmentId)) {
-        throw new Error('Failed to get attachment ID from import');
+    return result;
+}
+
+/**
+ * Quality report for a mask (bin/lib/mask-quality.js). Edges are measured
+ * against the original when it is a local file of the same size.
+ * `issues` flags results that should be looked at before they go to the store.
+ */
+async function reviewMask(maskBuffer, originalPath = null) {
+    const { data, info } = await sharp(maskBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    let origData = null;
+    if (originalPath && fs.existsSync(originalPath)) {
+        const orig = await sharp(originalPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        if (orig.info.width === width && orig.info.height === height) origData = orig.data;
     }
-    
-    console.error(`Attachment ID: ${attachmentId}`);
-    
-    // Set as featured image or add to gallery
-    if (productId) {
-        if (isThumbnail) {
-            console.error('Setting as featured image...');
-            const thumbCmd = `ssh -i "${SSH_CONFIG.key}" -p ${SSH_CONFIG.port} ${SSH_CONFIG.user}@${SSH_CONFIG.host} "cd public && wp post meta update ${productId} _thumbnail_id ${attachmentId} 2>/dev/null"`;
-            execSync(thumbCmd, { stdio: 'pipe' });
-        } else {
-            console.error('Adding to product gallery...');
-            const getGalleryCmd = `ssh -i "${SSH_CONFIG.key}" -p ${SSH_CONFIG.port} ${SSH_CONFIG.user}@${SSH_CONFIG.host} "cd public && wp post meta get ${productId} _product_image_gallery 2>/dev/null || echo ''"`;
-            let gallery = '';
+
+    return analyzeMask(data, width, height, { origData });
+}
+
+/**
+ * Run bg-remove-helper.js in a child process (keeps the event loop free for batch runs).
+ * Resolves with the helper's summary (backend, model / tolerance / vote ...).
+ */
+function removeBackground(inputSource, cutoutPath, settings = DEFAULTS) {
+    const args = [path.join(__dirname, 'bg-remove-helper.js'), inputSource, cutoutPath, '--backend', settings.bg_backend];
+    if (settings.bg_backend !== 'key') args.push('--model', settings.bg_model);
+    if (settings.bg_members) args.push('--members', settings.bg_members);
+    if (settings.bg_vote) args.push('--vote', settings.bg_vote);
+    if (settings.key_tolerance !== undefined) args.push('--tolerance', String(settings.key_tolerance));
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, args, {
+            stdio: ['ignore', 'pipe', process.stderr]
+        });
+        let stdout = '';
+        child.stdout.on('data', (chunk) => { stdout += chunk; });
+        child.on('error', reject);
+        child.on('exit', (code) => {
+            if (code !== 0) return reject(new Error('Background removal failed'));
             try {
-                gallery = execSync(getGalleryCmd, { encoding: 'utf8' }).trim();
-            } catch (e) { /* no gallery yet */ }
-            
-            const newGallery = gallery ? `${gallery},${attachmentId}` : `${attachmentId}`;
-            const setGalleryCmd = `ssh -i "${SSH_CONFIG.key}" -p ${SSH_CONFIG.port} ${SSH_CONFIG.user}@${SSH_CONFIG.host} "cd public && wp post meta update ${productId} _product_image_gallery '${newGallery}' 2>/dev/null"`;
-            execSync(setGalleryCmd, { stdio: 'pipe' });
-        }
-    }
-    
-    // Cleanup remote temp file
-    const cleanupCmd = `ssh -i "${SSH_CONFIG.key}" -p ${SSH_CONFIG.port} ${SSH_CONFIG.user}@${SSH_CONFIG.host} "rm ${remoteTempPath} 2>/dev/null || true"`;
-    try { execSync(cleanupCmd, { stdio: 'pipe' }); } catch (e) { /* ignore */ }
-    
-    // Get the final URL
-    const urlCmd = `ssh -i "${SSH_CONFIG.key}" -p ${SSH_CONFIG.port} ${SSH_CONFIG.user}@${SSH_CONFIG.host} "cd public && wp post get ${attachmentId} --field=guid 2>/dev/null"`;
-    let imageUrl = '';
-    try {
-        imageUrl = execSync(urlCmd, { encoding: 'utf8' }).trim();
-    } catch (e) { /* ignore */ }
-    
-    return {
-        attachment_id: attachmentId,
-        url: imageUrl,
-        product_id: productId,
-        is_thumbnail: isThumbnail
-    };
+                const { success, output, ...summary } = JSON.parse(stdout);
+                resolve(summary);
+            } catch (e) {
+                resolve({ backend: settings.bg_backend });
+            }
+        });
+    });
 }
 
-async function prepareImage() {
-    const args = process.argv.slice(2);
+function parseArgs(args) {
     const params = {};
     
     for (let i = 0; i < args.length; i++) {
@@ -238,7 +242,216 @@ async function prepareImage() {
         }
     }
 
-    const { url, file, sku, angle = 'front', sync, upload, product_id, thumbnail, mask_only, use_mask } = params;
+    return params;
+}
+
+/**
+ * Defaults, then WordPress settings (when a transport is needed), then CLI overrides
+ */
+async function resolveSettings(params, needsWP, requireTransport) {
+    let settings = { ...DEFAULTS, correction_prompt: '' };
+    let transport = null;
+    
+    if (needsWP) {
+        try {
+            transport = createTransport(loadTransportConfig(params));
+        } catch (e) {
+            // Uploading needs a transport; settings can fall back to defaults
+            if (requireTransport) throw e;
+            console.error(e.message);
+        }
+    }
+    
+    if (transport) {
+        const wpSettings = await fetchSettingsFromWP(transport);
+        if (wpSettings && wpSettings.success) {
+            settings = {
+                ...settings,
+                target_size: wpSettings.target_size,
+                padding: wpSettings.padding,
+                aggressiveness: wpSettings.aggressiveness,
+                naming: wpSettings.naming,
+                renditions: wpSettings.renditions,
+                presets: wpSettings.presets,
+                correction_prompt: wpSettings.correction_prompt || ''
+            };
+            console.error(`✓ Settings from WP: aggressiveness=${settings.aggressiveness}, size=${settings.target_size}, padding=${settings.padding}`);
+        } else {
+            console.error('Failed to sync settings, using defaults');
+        }
+    }
+
+    // Allow CLI overrides
+    if (params.target_size) settings.target_size = parseInt(params.target_size, 10);
+    if (params.padding) settings.padding = parseFloat(params.padding);
+    if (params.aggressiveness) settings.aggressiveness = parseInt(params.aggressiveness, 10);
+    if (params.naming) settings.naming = params.naming;
+    if (params.edge_ramp !== undefined) settings.edge_ramp = parseFloat(params.edge_ramp);
+    if (params.renditions !== undefined) settings.renditions = parseRenditions(params.renditions === true ? 'none' : params.renditions);
+    if (params.backend) settings.bg_backend = params.backend;
+    if (params.model) settings.bg_model = params.model;
+    if (params.members) settings.bg_members = params.members;
+    if (params.vote) settings.bg_vote = params.vote;
+    if (params.key_tolerance !== undefined) settings.key_tolerance = parseFloat(params.key_tolerance);
+
+    return { settings, transport };
+}
+
+/**
+ * Run one SKU/angle through the pipeline. Resolves with the result object,
+ * throws on failure. `log` receives progress lines (prefixed in batch mode).
+ */
+async function processImage(item, settings, transport, log = console.error) {
+    const { url, file, sku, angle = 'front', upload, product_id, thumbnail, mask_only, use_mask } = item;
+    // Checked up front so a typo fails before background removal
+    const preset = item.preset ? resolvePreset(settings.presets, String(item.preset)) : null;
+
+    let cutoutBuffer;
+    let backgroundRemoval = null;
+    const maskPath = path.join(TEMP_DIR, `${sku}-${angle}-mask.png`);
+
+    if (use_mask) {
+        // Use pre-edited mask provided by agent
+        log(`Using pre-edited mask: ${use_mask}`);
+        cutoutBuffer = fs.readFileSync(use_mask);
+    } else {
+        // Generate mask from source
+        let inputSource;
+        
+        if (url) {
+            log(`Processing URL: ${url}`);
+            inputSource = url;
+        } else {
+            log(`Processing File: ${file}`);
+            inputSource = path.resolve(file);
+        }
+
+        // 1. Get cutout from AI
+        log(`Removing background (${settings.bg_backend}${settings.bg_backend === 'imgly' ? ' ' + settings.bg_model : ''})...`);
+        const cutoutPath = path.join(TEMP_DIR, `${sku}-${angle}-cutout.png`);
+        backgroundRemoval = await removeBackground(inputSource, cutoutPath, settings);
+
+        const cutoutFromAI = fs.readFileSync(cutoutPath);
+
+        // 2. Apply aggressiveness threshold
+        log(`Applying aggressiveness threshold: ${settings.aggressiveness}/100`);
+        cutoutBuffer = await applyAggressiveness(cutoutFromAI, settings.aggressiveness);
+
+        // Save mask for agent inspection
+        fs.writeFileSync(maskPath, cutoutBuffer);
+        log(`Mask saved to: ${maskPath}`);
+
+        // Clean up temp cutout
+        try { fs.unlinkSync(cutoutPath); } catch (e) { /* ignore */ }
+
+        // If --mask-only, stop here
+        if (mask_only) {
+            const quality = await reviewMask(cutoutBuffer, url ? null : inputSource);
+            return {
+                success: true,
+                mode: 'mask-only',
+                sku,
+                angle,
+                mask: maskPath,
+                original: inputSource,
+                background_removal: backgroundRemoval,
+                review: quality.issues,
+                quality,
+                message: 'Mask generated. Agent should inspect mask and original, apply corrections using edit-mask.js, then run with --use-mask',
+                next_steps: [
+                    `1. View mask: ${maskPath}`,
+                    `2. View original: ${inputSource}`,
+                    quality.pass
+                        ? `3. Quality check passed (score ${quality.score}) - confirm visually`
+                        : `3. Quality check flagged (score ${quality.score}): ${quality.issues.join('; ')} - see quality.edges for row ranges`,
+                    '4. Apply corrections: node bin/edit-mask.js --mask "' + maskPath + '" --left-edge X --from-row Y --to-row Z',
+                    `5. Complete: node bin/image-prep.js --sku ${sku} --use-mask "${maskPath}" --upload --product-id PRODUCT_ID`
+                ]
+            };
+        }
+    }
+
+    // 3. Trim and resize
+    log('Trimming and resizing...');
+    const trimmed = await sharp(cutoutBuffer).trim().toBuffer({ resolveWithObject: true });
+    const { width, height } = trimmed.info;
+    
+    const maxDim = settings.target_size * (1 - settings.padding * 2);
+    const scale = Math.min(maxDim / width, maxDim / height);
+    
+    const newWidth = Math.round(width * scale);
+    const newHeight = Math.round(height * scale);
+
+    let resizedCutout = await sharp(trimmed.data)
+        .resize(newWidth, newHeight)
+        .toBuffer();
+
+    // 3b. Smooth, anti-aliased edge at output resolution, without background halo
+    let margin = 0;
+    if (settings.edge_ramp > 0) {
+        log(`Refining edges (${settings.edge_ramp}px ramp)...`);
+        // Transparent margin so the ramp has room where the product touches the trimmed border
+        margin = Math.max(0, Math.min(2, Math.floor((settings.target_size - Math.max(newWidth, newHeight)) / 2)));
+        const { data, info } = await sharp(resizedCutout)
+            .extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const { data: refined } = refineEdges(data, info.width, info.height, { ramp: settings.edge_ramp });
+        resizedCutout = await sharp(refined, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+    }
+
+    // 4. Composite on canvas
+    const outputFilename = generateFilename(settings.naming, sku, angle);
+    const outputPath = path.join(TEMP_DIR, outputFilename);
+
+    if (preset) log(`Composing with preset "${preset.name}"...`);
+    const { png: canvas } = await composeCanvas(resizedCutout, settings.target_size, preset, settings.padding, margin);
+    fs.writeFileSync(outputPath, canvas);
+
+    // 4b. Renditions of the master PNG
+    let renditions = [];
+    if (settings.renditions.length) {
+        log(`Writing renditions: ${settings.renditions.map(rendition => rendition.name).join(', ')}`);
+        renditions = await renderRenditions(outputPath, settings.renditions);
+    }
+
+    const result = {
+        success: true,
+        sku,
+        angle,
+        output: outputPath,
+        mask: use_mask || maskPath,
+        background_removal: backgroundRemoval,
+        review: (await reviewMask(cutoutBuffer)).issues,
+        width: settings.target_size,
+        height: settings.target_size,
+        format: 'png',
+        preset: preset ? preset.name : null,
+        renditions,
+        settings: {
+            target_size: settings.target_size,
+            padding: settings.padding,
+            aggressiveness: settings.aggressiveness,
+            naming: settings.naming,
+            edge_ramp: settings.edge_ramp,
+            renditions: settings.renditions
+        }
+    };
+
+    // 5. Upload to WordPress if --upload flag is set (the master PNG)
+    if (upload) {
+        const isThumbnail = thumbnail !== 'false' && (thumbnail === true || thumbnail === 'true' || angle === 'front');
+        const uploadResult = await uploadToWordPress(transport, outputPath, parseInt(product_id, 10), isThumbnail, sku, angle, log);
+        result.upload = uploadResult;
+        log(`✓ Uploaded and ${isThumbnail ? 'set as featured image' : 'added to gallery'}`);
+    }
+
+    return result;
+}
+
+async function prepareImage(params) {
+    const { url, file, sku, sync, upload, product_id, mask_only, use_mask } = params;
 
     // Validate inputs
     if (!use_mask && !url && !file) {
@@ -262,157 +475,114 @@ async function prepareImage() {
         }
 
         // Fetch settings from WordPress if --sync is provided OR if --upload is used OR --mask-only
-        let settings = { ...DEFAULTS, correction_prompt: '' };
-        
-        if (sync || upload || mask_only) {
-            const wpSettings = fetchSettingsFromWP();
-            if (wpSettings && wpSettings.success) {
-                settings = {
-                    target_size: wpSettings.target_size,
-                    padding: wpSettings.padding,
-                    aggressiveness: wpSettings.aggressiveness,
-                    naming: wpSettings.naming,
-                    correction_prompt: wpSettings.correction_prompt || ''
-                };
-                console.error(`✓ Settings from WP: aggressiveness=${settings.aggressiveness}, size=${settings.target_size}, padding=${settings.padding}`);
-            } else {
-                console.error('Failed to sync settings, using defaults');
-            }
-        }
+        const { settings, transport } = await resolveSettings(params, sync || upload || mask_only, upload);
 
-        // Allow CLI overrides
-        if (params.target_size) settings.target_size = parseInt(params.target_size, 10);
-        if (params.padding) settings.padding = parseFloat(params.padding);
-        if (params.aggressiveness) settings.aggressiveness = parseInt(params.aggressiveness, 10);
-        if (params.naming) settings.naming = params.naming;
+        const result = await processImage(params, settings, transport);
 
-        let cutoutBuffer;
-        const maskPath = path.join(TEMP_DIR, `${sku}-${angle}-mask.png`);
+        // Display the correction prompt to guide the agent
+        if (result.mode === 'mask-only' && settings.correction_prompt) {
+            console.error('\n=== MASK CORRECTION INSTRUCTIONS ===');
+            console.error(settings.correction_prompt);
+            console.error('=====================================\n');
+        }
 
-        if (use_mask) {
-            // Use pre-edited mask provided by agent
-            console.error(`Using pre-edited mask: ${use_mask}`);
-            cutoutBuffer = fs.readFileSync(use_mask);
-        } else {
-            // Generate mask from source
-            let inputSource;
-            
-            if (url) {
-                console.error(`Processing URL: ${url}`);
-                inputSource = url;
-            } else {
-                console.error(`Processing File: ${file}`);
-                inputSource = path.resolve(file);
-            }
+        console.log(JSON.stringify(result));
 
-            // 1. Get cutout from AI
-            console.error('Getting cutout from AI...');
-            const cutoutPath = path.join(TEMP_DIR, `${sku}-${angle}-cutout.png`);
-            
-            try {
-                execSync(`node "${path.join(__dirname, 'bg-remove-helper.js')}" "${inputSource}" "${cutoutPath}"`, { stdio: 'inherit' });
-            } catch (e) {
-                throw new Error('Background removal failed');
-            }
+    } catch (error) {
+        console.error(JSON.stringify({
+            success: false,
+            error: error.message,
+            stack: error.stack
+        }));
+        process.exit(1);
+    }
+}
 
-            const cutoutFromAI = fs.readFileSync(cutoutPath);
-
-            // 2. Apply aggressiveness threshold
-            console.error(`Applying aggressiveness threshold: ${settings.aggressiveness}/100`);
-            cutoutBuffer = await applyAggressiveness(cutoutFromAI, settings.aggressiveness);
-
-            // Save mask for agent inspection
-            fs.writeFileSync(maskPath, cutoutBuffer);
-            console.error(`Mask saved to: ${maskPath}`);
-
-            // Clean up temp cutout
-            try { fs.unlinkSync(cutoutPath); } catch (e) { /* ignore */ }
-
-            // If --mask-only, stop here and display correction prompt
-            if (mask_only) {
-                // Display the correction prompt to guide the agent
-                if (settings.correction_prompt) {
-                    console.error('\n=== MASK CORRECTION INSTRUCTIONS ===');
-                    console.error(settings.correction_prompt);
-                    console.error('=====================================\n');
-                }
-                
-                console.log(JSON.stringify({
-                    success: true,
-                    mode: 'mask-only',
-                    sku,
-                    angle,
-                    mask: maskPath,
-                    original: inputSource,
-                    message: 'Mask generated. Agent should inspect mask and original, apply corrections using edit-mask.js, then run with --use-mask',
-                    next_steps: [
-                        `1. View mask: ${maskPath}`,
-                        `2. View original: ${inputSource}`,
-                        '3. Identify problem areas (light on light, edge issues)',
-                        '4. Apply corrections: node bin/edit-mask.js --mask "' + maskPath + '" --left-edge X --from-row Y --to-row Z',
-                        `5. Complete: node bin/image-prep.js --sku ${sku} --use-mask "${maskPath}" --upload --product-id PRODUCT_ID`
-                    ]
-                }));
-                return;
-            }
-        }
+/**
+ * Batch mode: every item of a manifest, --concurrency at a time, resumable
+ */
+async function prepareBatch(params) {
+    const { manifest, sync, upload, mask_only } = params;
+    const mode = mask_only ? 'mask' : (upload ? 'upload' : 'prepare');
 
-        // 3. Trim and resize
-        console.error('Trimming and resizing...');
-        const trimmed = await sharp(cutoutBuffer).trim().toBuffer({ resolveWithObject: true });
-        const { width, height } = trimmed.info;
-        
-        const maxDim = settings.target_size * (1 - settings.padding * 2);
-        const scale = Math.min(maxDim / width, maxDim / height);
-        
-        const newWidth = Math.round(width * scale);
-        const newHeight = Math.round(height * scale);
+    try {
+        if (!fs.existsSync(TEMP_DIR)) {
+            fs.mkdirSync(TEMP_DIR, { recursive: true });
+        }
 
-        const resizedCutout = await sharp(trimmed.data)
-            .resize(newWidth, newHeight)
-            .toBuffer();
+        const items = loadManifest(manifest);
+        if (upload) {
+            const missing = items.filter(item => !item.product_id).map(item => `${item.sku}/${item.angle}`);
+            if (missing.length) throw new Error(`--upload requires product_id for: ${missing.join(', ')}`);
+        }
 
-        // 4. Composite on canvas
-        const outputFilename = generateFilename(settings.naming, sku, angle);
-        const outputPath = path.join(TEMP_DIR, outputFilename);
-        
-        await sharp({
-            create: {
-                width: settings.target_size,
-                height: settings.target_size,
-                channels: 4,
-                background: { r: 0, g: 0, b: 0, alpha: 0 }
+        const batchName = path.basename(manifest).replace(/\.[^.]+$/, '');
+        const state = createBatchState(params.state || path.join(TEMP_DIR, `batch-${batchName}.state.json`), !!params.restart);
+        const reportPath = params.report || path.join(TEMP_DIR, `batch-${batchName}-report.json`);
+        const concurrency = Math.max(1, parseInt(params.concurrency, 10) || 2);
+
+        const { settings, transport } = await resolveSettings(params, sync || upload || mask_only, upload);
+        if (params.preset) resolvePreset(settings.presets, String(params.preset));
+        console.error(`Batch: ${items.length} items from ${manifest}, mode=${mode}, concurrency=${concurrency}`);
+
+        const entries = [];
+        await runWithConcurrency(items, concurrency, async (item, index) => {
+            const label = `[${index + 1}/${items.length} ${item.sku}-${item.angle}]`;
+            const previous = state.completed(item, mode);
+            if (previous) {
+                console.error(`${label} already done, skipping`);
+                entries[index] = { item, status: 'skipped', result: previous };
+                return;
             }
-        })
-        .composite([{ input: resizedCutout, gravity: 'center' }])
-        .png()
-        .toFile(outputPath);
 
-        const result = {
-            success: true,
-            sku,
-            angle,
-            output: outputPath,
-            width: settings.target_size,
-            height: settings.target_size,
-            format: 'png',
-            settings: {
-                target_size: settings.target_size,
-                padding: settings.padding,
-                aggressiveness: settings.aggressiveness,
-                naming: settings.naming
+            try {
+                const result = await processImage({
+                    ...item,
+                    preset: item.preset || params.preset,
+                    use_mask: item.mask,
+                    mask_only: !!mask_only && !item.mask,
+                    upload: !!upload
+                }, settings, transport, message => console.error(`${label} ${message}`));
+                state.markDone(item, mode, result);
+                entries[index] = { item, status: 'done', result };
+            } catch (error) {
+                console.error(`${label} FAILED: ${error.message}`);
+                state.markFailed(item, mode, error.message);
+                entries[index] = { item, status: 'failed', error: error.message };
             }
+        });
+
+        const finished = entries.filter(entry => entry.result);
+        const failures = entries.filter(entry => entry.status === 'failed');
+        const report = {
+            success: failures.length === 0,
+            manifest: path.resolve(manifest),
+            mode,
+            finished_at: new Date().toISOString(),
+            total: items.length,
+            done: entries.filter(entry => entry.status === 'done').length,
+            skipped: entries.filter(entry => entry.status === 'skipped').length,
+            failed: failures.length,
+            outputs: finished.filter(entry => entry.result.output).map(({ item, result }) => ({
+                sku: item.sku,
+                angle: item.angle,
+                output: result.output,
+                renditions: (result.renditions || []).map(rendition => rendition.path)
+            })),
+            masks: finished.filter(entry => entry.result.mode === 'mask-only').map(({ item, result }) => ({ sku: item.sku, angle: item.angle, mask: result.mask })),
+            needs_review: finished.filter(entry => entry.result.review && entry.result.review.length).map(({ item, result }) => ({ sku: item.sku, angle: item.angle, mask: result.mask, reasons: result.review })),
+            uploads: finished.filter(entry => entry.result.upload).map(({ item, result }) => ({ sku: item.sku, angle: item.angle, ...result.upload })),
+            failures: failures.map(({ item, error }) => ({ sku: item.sku, angle: item.angle, error })),
+            state: state.path
         };
-
-        // 5. Upload to WordPress if --upload flag is set
-        if (upload) {
-            const isThumbnail = thumbnail !== 'false' && (thumbnail === true || thumbnail === 'true' || angle === 'front');
-            const uploadResult = await uploadToWordPress(outputPath, parseInt(product_id, 10), isThumbnail, sku, angle);
-            result.upload = uploadResult;
-            console.error(`✓ Uploaded and ${isThumbnail ? 'set as featured image' : 'added to gallery'}`);
+        if (mask_only && settings.correction_prompt) {
+            report.correction_prompt = settings.correction_prompt;
         }
 
-        console.log(JSON.stringify(result));
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.error(`Report saved to: ${reportPath}`);
+        console.log(JSON.stringify({ ...report, report: reportPath }));
+        if (failures.length) process.exit(1);
 
     } catch (error) {
         console.error(JSON.stringify({
@@ -424,4 +594,6 @@ async function prepareImage() {
     }
 }
 
-prepareImage();
+const cliParams = parseArgs(process.argv.slice(2));
+if (cliParams.manifest) prepareBatch(cliParams);
+else prepareImage(cliParams);
@@ -0,0 +1,198 @@
+/**
+ * Batch helpers for image-prep.js --manifest.
+ *
+ * Manifest: CSV with a header row, or JSON (an array, or { "items": [...] }).
+ * Columns / keys per item:
+ *   sku          required
+ *   angle        default "front"
+ *   url | file   image source; a "source" column is treated as url when it
+ *                starts with http(s)://, as file otherwise
+ *   mask         pre-edited mask (same as --use-mask), replaces the source
+ *   product_id   required with --upload
+ *   thumbnail    true/false, default true for the front angle
+ *   preset       composition preset for this item (default: --preset)
+ *
+ *   sku,angle,source,product_id
+ *   DH515,front,https://supplier.example/dh515.jpg,123
+ *   DH515,label,C:\photos\dh515-label.png,123
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KEY_ALIASES = {
+    'product-id': 'product_id',
+    productid: 'product_id',
+    product: 'product_id',
+    use_mask: 'mask',
+    'use-mask': 'mask'
+};
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF or LF rows.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function normalizeItem(raw, label) {
+    const item = {};
+    Object.entries(raw).forEach(([key, value]) => {
+        const name = key.trim().toLowerCase();
+        if (value === undefined || value === null || String(value).trim() === '') return;
+        item[KEY_ALIASES[name] || name] = typeof value === 'string' ? value.trim() : value;
+    });
+
+    if (item.source && !item.url && !item.file) {
+        if (/^https?:\/\//i.test(item.source)) item.url = item.source;
+        else item.file = item.source;
+    }
+    delete item.source;
+
+    if (!item.sku) throw new Error(`${label}: missing sku`);
+    if (!item.url && !item.file && !item.mask) throw new Error(`${label}: needs url, file or mask`);
+
+    item.sku = String(item.sku);
+    item.angle = item.angle ? String(item.angle).toLowerCase() : 'front';
+    if (item.product_id !== undefined) item.product_id = String(item.product_id);
+    if (item.thumbnail !== undefined) item.thumbnail = String(item.thumbnail).toLowerCase();
+    return item;
+}
+
+/**
+ * Read and validate a manifest. Relative file/mask paths resolve against the
+ * manifest's directory. Throws listing every invalid row.
+ */
+function loadManifest(manifestPath) {
+    const text = fs.readFileSync(manifestPath, 'utf8').replace(/^\uFEFF/, '');
+    let rows;
+
+    if (/\.json$/i.test(manifestPath) || /^\s*[[{]/.test(text)) {
+        const parsed = JSON.parse(text);
+        rows = (Array.isArray(parsed) ? parsed : parsed.items || []).map((raw, i) => [raw, `item ${i + 1}`]);
+    } else {
+        const [header, ...lines] = parseCsv(text);
+        if (!header) throw new Error(`Manifest is empty: ${manifestPath}`);
+        rows = lines.map((cells, i) => [Object.fromEntries(header.map((name, col) => [name, cells[col]])), `line ${i + 2}`]);
+    }
+
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    const errors = [];
+    const seen = new Set();
+    const items = [];
+
+    rows.forEach(([raw, label]) => {
+        try {
+            const item = normalizeItem(raw, label);
+            if (item.file) item.file = path.resolve(baseDir, item.file);
+            if (item.mask) item.mask = path.resolve(baseDir, item.mask);
+
+            const key = itemKey(item);
+            if (seen.has(key)) throw new Error(`${label}: duplicate ${item.sku}/${item.angle}`);
+            seen.add(key);
+            items.push(item);
+        } catch (e) {
+            errors.push(e.message);
+        }
+    });
+
+    if (errors.length) throw new Error(`Invalid manifest ${manifestPath}:\n  ${errors.join('\n  ')}`);
+    if (!items.length) throw new Error(`Manifest has no items: ${manifestPath}`);
+    return items;
+}
+
+function itemKey(item) {
+    return `${item.sku}|${item.angle}`;
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` in flight. Worker errors are
+ * the worker's business - it should catch and record them.
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+/**
+ * Resume state, saved after every item so an interrupted batch picks up where
+ * it stopped. An item counts as done only for the same mode (mask / prepare /
+ * upload) and while its output file still exists.
+ */
+function createBatchState(statePath, restart = false) {
+    let items = {};
+    if (!restart && fs.existsSync(statePath)) {
+        try {
+            items = JSON.parse(fs.readFileSync(statePath, 'utf8')).items || {};
+        } catch (e) {
+            items = {};
+        }
+    }
+
+    const save = () => {
+        fs.mkdirSync(path.dirname(statePath), { recursive: true });
+        fs.writeFileSync(statePath, JSON.stringify({ updated: new Date().toISOString(), items }, null, 2));
+    };
+
+    return {
+        path: statePath,
+        completed(item, mode) {
+            const entry = items[itemKey(item)];
+            if (!entry || entry.status !== 'done' || entry.mode !== mode) return null;
+            const file = entry.result.output || entry.result.mask;
+            return file && fs.existsSync(file) ? entry.result : null;
+        },
+        markDone(item, mode, result) {
+            items[itemKey(item)] = { status: 'done', mode, result, at: new Date().toISOString() };
+            save();
+        },
+        markFailed(item, mode, error) {
+            items[itemKey(item)] = { status: 'failed', mode, error, at: new Date().toISOString() };
+            save();
+        }
+    };
+}
+
+module.exports = { parseCsv, loadManifest, itemKey, runWithConcurrency, createBatchState };
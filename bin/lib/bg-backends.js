@@ -0,0 +1,170 @@
+/**
+ * Background-removal backends for bg-remove-helper.js.
+ *
+ *   imgly     @imgly/background-removal-node, model small / medium / large.
+ *             Loaded only in its own helper process (it conflicts with sharp).
+ *   key       Classic colour keying for studio shots on a plain background:
+ *             the background colour is sampled from the corners and flood
+ *             filled from the image border through every pixel within
+ *             `tolerance` of it. Enclosed background (inside a handle) stays;
+ *             clear it with edit-mask.js --flood-clear.
+ *   ensemble  Runs several member backends (each in its own helper process)
+ *             and combines their masks by voting.
+ *
+ * Every backend produces an RGBA PNG the size of the source: source colours,
+ * alpha = product.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const { detectBackground, colorDistance } = require('./mask-quality');
+
+// sharp is required lazily: the imgly helper process reads BACKENDS but must
+// not load sharp next to @imgly/background-removal-node
+const sharp = (...args) => require('sharp')(...args);
+
+const BACKENDS = {
+    imgly: { description: 'AI segmentation (@imgly/background-removal-node)', models: ['small', 'medium', 'large'] },
+    key: { description: 'Corner-sampled background colour keying with flood fill (plain studio backgrounds)' },
+    ensemble: { description: 'Vote across several backends (--members imgly:medium,key)' }
+};
+
+const VOTES = ['mean', 'majority', 'unanimous', 'any'];
+
+/**
+ * Parse "imgly:small,imgly:large,key" into [{ backend, model }].
+ */
+function parseMembers(spec) {
+    const members = String(spec).split(',').map(part => part.trim()).filter(Boolean).map((part) => {
+        const [backend, model] = part.split(':');
+        if (!BACKENDS[backend] || backend === 'ensemble') {
+            throw new Error(`Unknown ensemble member "${part}" (use imgly[:small|medium|large] or key)`);
+        }
+        if (model && !(BACKENDS[backend].models || []).includes(model)) {
+            throw new Error(`Backend ${backend} has no model "${model}"`);
+        }
+        return { backend, model: model || (backend === 'imgly' ? 'medium' : undefined) };
+    });
+    if (members.length < 2) throw new Error('An ensemble needs at least two members');
+    return members;
+}
+
+/**
+ * Source bytes from a URL or a local path.
+ */
+async function loadSource(source) {
+    if (/^https?:\/\//i.test(source)) {
+        const response = await axios({ url: source, method: 'GET', responseType: 'arraybuffer' });
+        return Buffer.from(response.data);
+    }
+    return fs.readFileSync(source);
+}
+
+/**
+ * Colour keying. `tolerance` defaults to 3x the corners' colour spread, at
+ * least 25, so noisy or slightly graded backdrops still key out.
+ * Returns { png, background, tolerance, coverage }.
+ */
+async function keyBackground(sourceBuffer, options = {}) {
+    const { data, info } = await sharp(sourceBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const bg = detectBackground(data, width, height);
+
+    let tolerance = options.tolerance;
+    if (tolerance === undefined) {
+        // Mean distance of corner pixels from the background colour
+        let spread = 0;
+        let count = 0;
+        for (const [cx, cy] of [[0, 0], [width - 20, 0], [0, height - 20], [width - 20, height - 20]]) {
+            for (let y = Math.max(0, cy); y < Math.min(height, cy + 20); y++) {
+                for (let x = Math.max(0, cx); x < Math.min(width, cx + 20); x++) {
+                    spread += colorDistance(data, (y * width + x) * 4, bg);
+                    count++;
+                }
+            }
+        }
+        tolerance = Math.max(25, Math.round((spread / count) * 3));
+    }
+
+    const background = new Uint8Array(width * height);
+    const stack = [];
+    const visit = (i) => {
+        if (!background[i] && colorDistance(data, i * 4, bg) <= tolerance) {
+            background[i] = 1;
+            stack.push(i);
+        }
+    };
+    for (let x = 0; x < width; x++) {
+        visit(x);
+        visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(y * width);
+        visit(y * width + width - 1);
+    }
+    while (stack.length) {
+        const i = stack.pop();
+        const x = i % width;
+        if (x > 0) visit(i - 1);
+        if (x < width - 1) visit(i + 1);
+        if (i >= width) visit(i - width);
+        if (i < width * (height - 1)) visit(i + width);
+    }
+
+    let product = 0;
+    for (let i = 0; i < width * height; i++) {
+        data[i * 4 + 3] = background[i] ? 0 : 255;
+        if (!background[i]) product++;
+    }
+
+    const png = await sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+    return { png, background: bg, tolerance, coverage: Math.round((product / (width * height)) * 1000) / 1000 };
+}
+
+/**
+ * Combine member cutouts (PNG buffers of equal size). Colours come from
+ * `sourceBuffer` when given (a member may blank colours where it sees
+ * background), otherwise from the first member; alpha per pixel:
+ *   mean       average alpha (soft vote, the aggressiveness threshold decides)
+ *   majority   opaque where more than half the members see product (alpha >= 128)
+ *   unanimous  opaque only where every member sees product
+ *   any        opaque where at least one member sees product
+ * Returns { png, agreement } - the share of pixels all members agree on.
+ */
+async function voteMasks(buffers, vote = 'mean', sourceBuffer = null) {
+    if (!VOTES.includes(vote)) throw new Error(`Unknown vote "${vote}" (use ${VOTES.join(', ')})`);
+
+    const members = await Promise.all(buffers.map(buffer => sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true })));
+    const { width, height } = members[0].info;
+    const mismatch = members.find(m => m.info.width !== width || m.info.height !== height);
+    if (mismatch) {
+        throw new Error(`Ensemble members differ in size (${width}x${height} vs ${mismatch.info.width}x${mismatch.info.height})`);
+    }
+
+    let out = Buffer.from(members[0].data);
+    if (sourceBuffer) {
+        const source = await sharp(sourceBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        if (source.info.width === width && source.info.height === height) out = Buffer.from(source.data);
+    }
+    const n = members.length;
+    let agreed = 0;
+    for (let i = 3; i < out.length; i += 4) {
+        let sum = 0;
+        let votes = 0;
+        for (const m of members) {
+            sum += m.data[i];
+            if (m.data[i] >= 128) votes++;
+        }
+        if (votes === 0 || votes === n) agreed++;
+
+        if (vote === 'mean') out[i] = Math.round(sum / n);
+        else if (vote === 'majority') out[i] = votes * 2 > n ? 255 : 0;
+        else if (vote === 'unanimous') out[i] = votes === n ? 255 : 0;
+        else out[i] = votes > 0 ? 255 : 0;
+    }
+
+    const png = await sharp(out, { raw: { width, height, channels: 4 } }).png().toBuffer();
+    return { png, agreement: Math.round((agreed / (width * height)) * 1000) / 1000 };
+}
+
+module.exports = { BACKENDS, VOTES, parseMembers, loadSource, keyBackground, voteMasks };
@@ -0,0 +1,190 @@
+/**
+ * Composition presets for image-prep.js: how the resized cutout is placed on
+ * the `target_size` canvas.
+ *
+ * Presets are defined by name in the `presets` image setting (JSON object,
+ * synced from WordPress) and picked with --preset NAME (or a `preset`
+ * manifest column). Without one the product is centred on a transparent
+ * canvas, as before.
+ *
+ *   "studio": {
+ *     "background": "#ffffff",                         or { "from": "#ffffff", "to": "#ececec" } (top to bottom)
+ *     "align": "bottom",                               "center" (default) or "bottom"
+ *     "bottom": 0.08,                                  align bottom: gap below the product, share of the canvas (default: padding)
+ *     "shadow": { "opacity": 0.35, "width": 0.9, "height": 0.12, "blur": 0.012 },
+ *     "reflection": { "opacity": 0.25, "height": 0.3, "gap": 0 }
+ *   }
+ *
+ *   shadow      soft contact shadow: an ellipse centred under the product.
+ *               width = share of the product width, height = share of the
+ *               ellipse width, blur = Gaussian sigma as share of the canvas
+ *   reflection  the product mirrored below itself, fading from `opacity` to 0
+ *               over `height` (share of the product height); gap as share of
+ *               the canvas
+ *
+ * `true` turns shadow / reflection on with the defaults below. Bottom
+ * alignment puts the base of every product on the same line, so a category
+ * row lines up regardless of product height.
+ */
+
+const sharp = require('sharp');
+
+const SHADOW_DEFAULTS = { opacity: 0.35, width: 0.9, height: 0.12, blur: 0.012 };
+const REFLECTION_DEFAULTS = { opacity: 0.25, height: 0.3, gap: 0 };
+const ALIGNMENTS = ['center', 'bottom'];
+
+// Same presets as Plugin::get_default_presets() on the WordPress side
+const DEFAULT_PRESETS = {
+    'studio-white': { background: '#ffffff', align: 'bottom', shadow: true },
+    'catalog-row': { align: 'bottom' },
+    'showroom': { background: { from: '#ffffff', to: '#ececec' }, align: 'bottom', bottom: 0.12, reflection: true }
+};
+
+const HEX = /^#[0-9a-f]{6}$/i;
+
+function fractions(spec, defaults, label) {
+    if (spec === true) return { ...defaults };
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error(`${label} must be true or an object`);
+    const values = { ...defaults };
+    Object.keys(defaults).forEach((key) => {
+        if (spec[key] === undefined) return;
+        const value = Number(spec[key]);
+        if (!Number.isFinite(value) || value < 0 || value > 1) throw new Error(`${label}.${key} must be a number 0-1`);
+        values[key] = value;
+    });
+    return values;
+}
+
+/**
+ * Validate one preset and fill in the defaults.
+ */
+function normalizePreset(name, spec) {
+    const label = `Preset "${name}"`;
+    if (!/^[a-z0-9_-]+$/.test(name)) throw new Error(`${label}: name must be [a-z0-9_-]`);
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error(`${label} must be an object`);
+
+    const preset = { name, align: spec.align || 'center', background: null, shadow: null, reflection: null };
+    if (!ALIGNMENTS.includes(preset.align)) throw new Error(`${label}: align must be ${ALIGNMENTS.join(' or ')}`);
+
+    if (spec.bottom !== undefined) {
+        const bottom = Number(spec.bottom);
+        if (!Number.isFinite(bottom) || bottom < 0 || bottom > 0.5) throw new Error(`${label}: bottom must be a number 0-0.5`);
+        preset.bottom = bottom;
+    }
+
+    if (typeof spec.background === 'string') {
+        if (!HEX.test(spec.background)) throw new Error(`${label}: background must be #rrggbb`);
+        preset.background = spec.background.toLowerCase();
+    } else if (spec.background) {
+        const { from, to } = spec.background;
+        if (!HEX.test(from || '') || !HEX.test(to || '')) throw new Error(`${label}: background gradient needs "from" and "to" as #rrggbb`);
+        preset.background = { from: from.toLowerCase(), to: to.toLowerCase() };
+    }
+
+    if (spec.shadow) preset.shadow = fractions(spec.shadow, SHADOW_DEFAULTS, `${label}: shadow`);
+    if (spec.reflection) preset.reflection = fractions(spec.reflection, REFLECTION_DEFAULTS, `${label}: reflection`);
+    return preset;
+}
+
+/**
+ * Presets from a setting value (object or JSON string). Returns { name: preset }.
+ */
+function parsePresets(value) {
+    let presets = value === undefined || value === null || value === '' ? DEFAULT_PRESETS : value;
+    if (typeof presets === 'string') {
+        try {
+            presets = JSON.parse(presets);
+        } catch (e) {
+            throw new Error(`Presets are not valid JSON: ${e.message}`);
+        }
+    }
+    // PHP encodes an empty object as []
+    if (Array.isArray(presets) && !presets.length) presets = {};
+    if (!presets || typeof presets !== 'object' || Array.isArray(presets)) throw new Error('Presets must be a JSON object of name: preset');
+    return Object.fromEntries(Object.entries(presets).map(([name, spec]) => [name, normalizePreset(name, spec)]));
+}
+
+/**
+ * Look up a preset by name, listing the defined ones when it is missing.
+ */
+function resolvePreset(presets, name) {
+    if (!presets[name]) {
+        const known = Object.keys(presets);
+        throw new Error(`Unknown preset "${name}" (${known.length ? 'defined: ' + known.join(', ') : 'no presets defined'})`);
+    }
+    return presets[name];
+}
+
+function backgroundLayer(size, background) {
+    if (typeof background === 'string') {
+        return sharp({ create: { width: size, height: size, channels: 4, background } }).png().toBuffer();
+    }
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">`
+        + '<defs><linearGradient id="g" x1="0" y1="0" x2="0" y2="1">'
+        + `<stop offset="0" stop-color="${background.from}"/><stop offset="1" stop-color="${background.to}"/>`
+        + `</linearGradient></defs><rect width="${size}" height="${size}" fill="url(#g)"/></svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+function shadowLayer(size, box, shadow) {
+    const rx = (box.width * shadow.width) / 2;
+    const ry = Math.max(1, rx * shadow.height);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">`
+        + `<ellipse cx="${box.left + box.width / 2}" cy="${box.top + box.height}" rx="${rx}" ry="${ry}" fill="#000" fill-opacity="${shadow.opacity}"/></svg>`;
+    const sigma = shadow.blur * size;
+    const layer = sharp(Buffer.from(svg));
+    return (sigma >= 0.3 ? layer.blur(sigma) : layer).png().toBuffer();
+}
+
+/**
+ * Mirrored copy of the cutout, cropped to `rows` and fading out downwards.
+ */
+async function reflectionLayer(cutout, rows, opacity) {
+    const { data, info } = await sharp(cutout).flip().ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width } = info;
+    const out = Buffer.from(data.subarray(0, width * rows * 4));
+    for (let y = 0; y < rows; y++) {
+        const fade = opacity * (1 - y / rows);
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4 + 3;
+            out[i] = Math.round(out[i] * fade);
+        }
+    }
+    return sharp(out, { raw: { width, height: rows, channels: 4 } }).png().toBuffer();
+}
+
+/**
+ * Place `cutout` (PNG buffer, already resized) on a `size` canvas.
+ * Without a preset: centred, transparent. `margin` is transparent padding
+ * around the product in the cutout (the room left for edge refinement),
+ * kept out of the alignment and the shadow. Resolves with the PNG buffer and
+ * the product's box on the canvas.
+ */
+async function composeCanvas(cutout, size, preset = null, padding = 0, margin = 0) {
+    const { width, height } = await sharp(cutout).metadata();
+    const left = Math.round((size - width) / 2);
+    let top = Math.round((size - height) / 2);
+    if (preset && preset.align === 'bottom') {
+        const bottom = preset.bottom !== undefined ? preset.bottom : padding;
+        top = Math.min(size - height, Math.max(0, size - Math.round(size * bottom) - height + margin));
+    }
+    const box = { left: left + margin, top: top + margin, width: width - 2 * margin, height: height - 2 * margin };
+
+    const layers = [];
+    let base = { create: { width: size, height: size, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } };
+    if (preset && preset.background) base = await backgroundLayer(size, preset.background);
+    if (preset && preset.shadow) layers.push({ input: await shadowLayer(size, box, preset.shadow), left: 0, top: 0 });
+    if (preset && preset.reflection) {
+        // The mirrored margin comes first in the reflection layer
+        const reflectionTop = box.top + box.height + Math.round(preset.reflection.gap * size) - margin;
+        // Clipped at the bottom of the canvas
+        const rows = Math.min(Math.round(box.height * preset.reflection.height) + margin, size - reflectionTop);
+        if (rows > 0) layers.push({ input: await reflectionLayer(cutout, rows, preset.reflection.opacity), left, top: reflectionTop });
+    }
+    layers.push({ input: cutout, left, top });
+
+    const png = await sharp(base).composite(layers).png().toBuffer();
+    return { png, box };
+}
+
+module.exports = { DEFAULT_PRESETS, ALIGNMENTS, normalizePreset, parsePresets, resolvePreset, composeCanvas };
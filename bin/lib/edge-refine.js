@@ -0,0 +1,163 @@
+/**
+ * Sub-pixel edge refinement for hardened masks (refine-edge.js, and the final
+ * step of image-prep.js).
+ *
+ * applyAggressiveness and harden-edge.js leave alpha at 0 or 255, so the
+ * outline is a staircase. Here:
+ *   1. the hard mask (alpha >= 128) is blurred with a Gaussian (`smooth` px);
+ *      its 0.5 level line is a smooth contour through the staircase
+ *   2. each pixel's signed distance to that contour is estimated from the
+ *      blurred value and its gradient, and alpha becomes a linear ramp `ramp`
+ *      px wide centred on the contour
+ *   3. decontamination: pixels on the ramp and up to `depth` px inside it take
+ *      their colour from the product interior (grown outwards ring by ring),
+ *      so no background halo is left in the edge colours
+ *
+ * Only the pixels along the contour are reshaped: away from it every pixel
+ * keeps its alpha, so translucent regions (glass, below the hard-mask
+ * threshold but kept by applyAggressiveness) stay translucent.
+ */
+
+const ALPHA_THRESHOLD = 128;
+
+/**
+ * Separable Gaussian blur of a single-channel Float32Array (edges clamped).
+ */
+function gaussianBlur(values, width, height, sigma) {
+    if (sigma <= 0) return Float32Array.from(values);
+    const radius = Math.ceil(sigma * 3);
+    const kernel = new Float32Array(radius * 2 + 1);
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+        kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+        sum += kernel[i + radius];
+    }
+    for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+
+    const pass = (src, horizontal) => {
+        const dst = new Float32Array(src.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let acc = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sx = horizontal ? Math.min(width - 1, Math.max(0, x + k)) : x;
+                    const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + k));
+                    acc += src[sy * width + sx] * kernel[k + radius];
+                }
+                dst[y * width + x] = acc;
+            }
+        }
+        return dst;
+    };
+    return pass(pass(values, true), false);
+}
+
+/**
+ * Refine an RGBA buffer. Returns { data, stats } with a new buffer.
+ *
+ * options: ramp (alpha ramp width, px, default 1.5), smooth (contour
+ * smoothing sigma, px, default 1), depth (px inside the contour whose colour
+ * is replaced, default 2), decontaminate (default true)
+ */
+function refineEdges(data, width, height, options = {}) {
+    const ramp = options.ramp !== undefined ? options.ramp : 1.5;
+    const smooth = options.smooth !== undefined ? options.smooth : 1;
+    const depth = options.depth !== undefined ? options.depth : 2;
+    const decontaminate = options.decontaminate !== false;
+
+    const total = width * height;
+    const solid = new Float32Array(total);
+    for (let i = 0; i < total; i++) solid[i] = data[i * 4 + 3] >= ALPHA_THRESHOLD ? 1 : 0;
+    const field = gaussianBlur(solid, width, height, smooth);
+
+    const out = Buffer.from(data);
+    // Signed distance to the contour (positive inside); Infinity / -Infinity far from it
+    const distance = new Float32Array(total);
+    let edgePixels = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const f = field[i];
+            if (f > 0.999 || f < 0.001) {
+                distance[i] = f > 0.5 ? Infinity : -Infinity;
+            } else {
+                const gx = (field[y * width + Math.min(width - 1, x + 1)] - field[y * width + Math.max(0, x - 1)]) / 2;
+                const gy = (field[Math.min(height - 1, y + 1) * width + x] - field[Math.max(0, y - 1) * width + x]) / 2;
+                distance[i] = (f - 0.5) / Math.max(Math.hypot(gx, gy), 1e-3);
+            }
+
+            const d = distance[i];
+            if (!Number.isFinite(d)) continue;
+            if (ramp > 0 && Math.abs(d) < ramp / 2) {
+                const alpha = Math.round((0.5 + d / ramp) * 255);
+                // A translucent pixel never ends up more transparent than it was
+                out[i * 4 + 3] = solid[i] ? alpha : Math.max(alpha, data[i * 4 + 3]);
+                edgePixels++;
+            } else if (d <= 0) {
+                // Outside the smoothed contour: a step cut off
+                if (solid[i]) out[i * 4 + 3] = 0;
+            } else if (!solid[i]) {
+                // Inside the smoothed contour but transparent before (a step filled in)
+                out[i * 4 + 3] = 255;
+            }
+        }
+    }
+
+    let decontaminated = 0;
+    if (decontaminate) {
+        // Interior colours are trusted; grow them outwards over the edge band
+        const known = new Uint8Array(total);
+        const pending = [];
+        for (let i = 0; i < total; i++) {
+            if (out[i * 4 + 3] === 0) continue;
+            const d = distance[i];
+            if (d >= depth) known[i] = 1;
+            // Only the band along the contour; translucent regions away from it keep their colours
+            else if (Number.isFinite(d) && d > -ramp / 2) pending.push(i);
+        }
+
+        let remaining = pending;
+        while (remaining.length) {
+            const assigned = [];
+            const next = [];
+            for (const i of remaining) {
+                const x = i % width;
+                const y = (i - x) / width;
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                let count = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if ((dx || dy) && nx >= 0 && ny >= 0 && nx < width && ny < height && known[ny * width + nx]) {
+                            const n = (ny * width + nx) * 4;
+                            r += out[n];
+                            g += out[n + 1];
+                            b += out[n + 2];
+                            count++;
+                        }
+                    }
+                }
+                if (count) assigned.push([i, Math.round(r / count), Math.round(g / count), Math.round(b / count)]);
+                else next.push(i);
+            }
+            // Thin parts without an interior keep their own colours
+            if (!assigned.length) break;
+            for (const [i, r, g, b] of assigned) {
+                out[i * 4] = r;
+                out[i * 4 + 1] = g;
+                out[i * 4 + 2] = b;
+                known[i] = 1;
+                decontaminated++;
+            }
+            remaining = next;
+        }
+    }
+
+    return { data: out, stats: { edge_pixels: edgePixels, decontaminated, ramp, smooth, depth } };
+}
+
+module.exports = { refineEdges, gaussianBlur };
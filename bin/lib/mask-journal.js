@@ -0,0 +1,238 @@
+/**
+ * Operation journal for the in-place mask tools (edit-mask.js, mirror-edge.js,
+ * harden-edge.js, apply-bottle-shape.js, refine-edge.js) and bin/mask-history.js.
+ *
+ * Next to each mask, e.g. temp/DH515-front-mask.png:
+ *   temp/DH515-front-mask.history/journal.json      operations in order
+ *   temp/DH515-front-mask.history/0001-before.png   mask before operation 1
+ *   temp/DH515-front-mask.history/0001-after.png    mask after it (kept on undo, for redo)
+ *
+ * journal.json: { mask, position, next_id, entries: [{ id, tool, args, cwd, at,
+ * before, before_sha, after, after_sha, summary }] }. `position` is the number
+ * of entries currently applied; entries past it can be redone until the next
+ * edit drops them.
+ *
+ * A tool calls beginEdit() before it writes the mask and commit() after. If the
+ * mask no longer matches the journal (regenerated by image-prep.js, edited by
+ * hand), the history starts over. Set HP_MASK_JOURNAL=off or pass --no-journal
+ * to skip recording.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TOOLS = ['edit-mask', 'mirror-edge', 'harden-edge', 'apply-bottle-shape', 'refine-edge'];
+
+function historyDir(maskPath) {
+    const abs = path.resolve(maskPath);
+    return path.join(path.dirname(abs), path.basename(abs, path.extname(abs)) + '.history');
+}
+
+function fileSha(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function snapshotName(id, phase) {
+    return `${String(id).padStart(4, '0')}-${phase}.png`;
+}
+
+function loadJournal(maskPath) {
+    const file = path.join(historyDir(maskPath), 'journal.json');
+    if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return { mask: path.resolve(maskPath), position: 0, next_id: 1, entries: [] };
+}
+
+function saveJournal(maskPath, journal) {
+    const dir = historyDir(maskPath);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'journal.json'), JSON.stringify(journal, null, 2));
+}
+
+function removeSnapshots(maskPath, entries) {
+    const dir = historyDir(maskPath);
+    for (const entry of entries) {
+        for (const file of [entry.before, entry.after]) {
+            if (file) fs.rmSync(path.join(dir, file), { force: true });
+        }
+    }
+}
+
+/**
+ * sha256 the mask should have if nothing touched it since the journal's last
+ * operation (null for an empty journal).
+ */
+function expectedSha(journal) {
+    if (journal.position > 0) return journal.entries[journal.position - 1].after_sha;
+    return journal.entries.length ? journal.entries[0].before_sha : null;
+}
+
+function assertInSync(maskPath, journal, force) {
+    const expected = expectedSha(journal);
+    if (!force && expected && fileSha(maskPath) !== expected) {
+        throw new Error('Mask was changed outside the journal since the last operation (use --force to discard that change)');
+    }
+}
+
+/**
+ * Start recording an operation: snapshot the mask as it is now. Returns
+ * { commit(summary) } to call once the new mask is written. With recording
+ * off, or when the mask doesn't exist yet, commit() is a no-op.
+ */
+function beginEdit(maskPath, tool, args = []) {
+    const disabled = process.env.HP_MASK_JOURNAL === 'off' || args.includes('--no-journal') || !fs.existsSync(maskPath);
+    if (disabled) return { commit: () => null };
+
+    let journal = loadJournal(maskPath);
+    const expected = expectedSha(journal);
+    if (expected && fileSha(maskPath) !== expected) {
+        // Mask replaced or edited outside the tools: the old history no longer applies
+        removeSnapshots(maskPath, journal.entries);
+        journal = { mask: path.resolve(maskPath), position: 0, next_id: journal.next_id, entries: [] };
+    }
+
+    // A new operation drops anything that was undone
+    removeSnapshots(maskPath, journal.entries.slice(journal.position));
+    journal.entries = journal.entries.slice(0, journal.position);
+
+    const id = journal.next_id;
+    const before = snapshotName(id, 'before');
+    fs.mkdirSync(historyDir(maskPath), { recursive: true });
+    fs.copyFileSync(maskPath, path.join(historyDir(maskPath), before));
+    const beforeSha = fileSha(maskPath);
+
+    return {
+        commit(summary = {}) {
+            const entry = {
+                id,
+                tool,
+                args: args.filter(arg => arg !== '--no-journal'),
+                cwd: process.cwd(),
+                at: new Date().toISOString(),
+                before,
+                before_sha: beforeSha,
+                after: null,
+                after_sha: fileSha(maskPath),
+                summary
+            };
+            journal.entries.push(entry);
+            journal.position = journal.entries.length;
+            journal.next_id = id + 1;
+            saveJournal(maskPath, journal);
+            return entry;
+        }
+    };
+}
+
+/**
+ * Step back `steps` operations. The current mask is kept as the entry's
+ * "after" snapshot so redo() can bring it back.
+ */
+function undo(maskPath, steps = 1, options = {}) {
+    const journal = loadJournal(maskPath);
+    assertInSync(maskPath, journal, options.force);
+    if (journal.position < steps) {
+        throw new Error(`Only ${journal.position} operation(s) to undo`);
+    }
+
+    const dir = historyDir(maskPath);
+    const undone = [];
+    for (let i = 0; i < steps; i++) {
+        const entry = journal.entries[journal.position - 1];
+        if (!entry.after) {
+            entry.after = snapshotName(entry.id, 'after');
+            fs.copyFileSync(maskPath, path.join(dir, entry.after));
+            entry.after_sha = fileSha(maskPath);
+        }
+        fs.copyFileSync(path.join(dir, entry.before), maskPath);
+        journal.position--;
+        undone.push(entry);
+    }
+    saveJournal(maskPath, journal);
+    return { journal, changed: undone };
+}
+
+/**
+ * Re-apply `steps` undone operations from their snapshots.
+ */
+function redo(maskPath, steps = 1, options = {}) {
+    const journal = loadJournal(maskPath);
+    assertInSync(maskPath, journal, options.force);
+    if (journal.entries.length - journal.position < steps) {
+        throw new Error(`Only ${journal.entries.length - journal.position} operation(s) to redo`);
+    }
+
+    const dir = historyDir(maskPath);
+    const redone = [];
+    for (let i = 0; i < steps; i++) {
+        const entry = journal.entries[journal.position];
+        fs.copyFileSync(path.join(dir, entry.after), maskPath);
+        journal.position++;
+        redone.push(entry);
+    }
+    saveJournal(maskPath, journal);
+    return { journal, changed: redone };
+}
+
+/**
+ * Rebuild the mask from the state before the first operation by running the
+ * applied operations again - each tool with its recorded arguments, in its
+ * recorded working directory - leaving out the ids in `skip` and stopping after
+ * id `to`. The rebuilt operations form the new journal. If an operation fails,
+ * the mask and the old history are put back.
+ */
+function replay(maskPath, options = {}) {
+    const journal = loadJournal(maskPath);
+    assertInSync(maskPath, journal, options.force);
+    const applied = journal.entries.slice(0, journal.position);
+    if (!applied.length) throw new Error('Nothing to replay');
+
+    const unknown = applied.find(entry => !TOOLS.includes(entry.tool));
+    if (unknown) throw new Error(`Operation ${unknown.id}: unknown tool "${unknown.tool}"`);
+
+    const skip = new Set(options.skip || []);
+    const planned = applied.filter(entry => !skip.has(entry.id) && (options.to === undefined || entry.id <= options.to));
+
+    const dir = historyDir(maskPath);
+    const backup = `${dir}.replay-backup`;
+    const current = fs.readFileSync(maskPath);
+    fs.rmSync(backup, { recursive: true, force: true });
+    fs.renameSync(dir, backup);
+
+    try {
+        fs.copyFileSync(path.join(backup, applied[0].before), maskPath);
+        saveJournal(maskPath, { mask: path.resolve(maskPath), position: 0, next_id: 1, entries: [] });
+
+        for (const entry of planned) {
+            const run = spawnSync(process.execPath, [path.join(__dirname, '..', `${entry.tool}.js`), ...entry.args], {
+                cwd: entry.cwd,
+                encoding: 'utf8',
+                timeout: 300000,
+                env: { ...process.env, HP_MASK_JOURNAL: 'on' }
+            });
+            if (run.status !== 0) {
+                throw new Error(`Operation ${entry.id} (${entry.tool}) failed: ${(run.stderr || run.error || '').toString().trim().split('\n').pop()}`);
+            }
+        }
+    } catch (e) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        fs.renameSync(backup, dir);
+        fs.writeFileSync(maskPath, current);
+        throw e;
+    }
+
+    fs.rmSync(backup, { recursive: true, force: true });
+    return { journal: loadJournal(maskPath), replayed: planned.map(entry => entry.id), skipped: [...skip] };
+}
+
+/**
+ * Delete the history (the mask itself is left as it is).
+ */
+function clearHistory(maskPath) {
+    fs.rmSync(historyDir(maskPath), { recursive: true, force: true });
+}
+
+module.exports = { TOOLS, historyDir, loadJournal, beginEdit, undo, redo, replay, clearHistory };
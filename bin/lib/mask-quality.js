@@ -0,0 +1,277 @@
+/**
+ * Mask quality report shared by analyze-mask.js, check-issues.js and
+ * image-prep.js --mask-only.
+ *
+ * Works on raw RGBA buffers (sharp .raw() output). Checks:
+ *   edges     per-row deviation of the left and right mask edge from a
+ *             reference: the product edge in the original when one is given,
+ *             otherwise the edge's own rolling median (bites and spikes stand out)
+ *   fringe    semi-transparent pixels, relative to the length of the outline
+ *   holes     transparent areas enclosed by the product
+ *   islands   opaque specks not connected to the product
+ *   coverage  subject too small / background not removed / touching the border
+ *
+ * Every check that fails adds a line to `issues`; `pass` means no issues.
+ * `score` (0-100) grades the mask even when it passes.
+ */
+
+const { rowEdges } = require('./symmetry');
+
+const DEFAULTS = {
+    alphaThreshold: 0,        // alpha above this counts as product for edges
+    fringeLow: 16,            // alpha range counted as fringe
+    fringeHigh: 240,
+    edgeTolerance: 2,         // px a row may deviate before it counts
+    edgeWindow: 81,           // rows in the rolling median (no original)
+    edgeSearch: 25,           // px around the mask edge searched in the original
+    colorDistance: 40,        // original pixel vs background = product
+    maxDeviatingRows: 0.02,   // share of content rows per side
+    maxFringeWidth: 3,        // mean fringe px per outline row
+    minHoleArea: 0.0005,      // share of product area; smaller holes are ignored
+    minIslandArea: 0.0001,
+    minCoverage: 0.05,
+    maxCoverage: 0.95,
+    maxBorderTouch: 0.02
+};
+
+/**
+ * Background colour [r, g, b] from the mean of the four 20x20 corners.
+ */
+function detectBackground(data, width, height, size = 20) {
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (const [cx, cy] of [[0, 0], [width - size, 0], [0, height - size], [width - size, height - size]]) {
+        for (let y = Math.max(0, cy); y < Math.min(height, cy + size); y++) {
+            for (let x = Math.max(0, cx); x < Math.min(width, cx + size); x++) {
+                const idx = (y * width + x) * 4;
+                sum[0] += data[idx];
+                sum[1] += data[idx + 1];
+                sum[2] += data[idx + 2];
+                count++;
+            }
+        }
+    }
+    return sum.map(value => Math.round(value / count));
+}
+
+function colorDistance(data, idx, bg) {
+    const dr = data[idx] - bg[0];
+    const dg = data[idx + 1] - bg[1];
+    const db = data[idx + 2] - bg[2];
+    return Math.sqrt(dr * dr + dg * dg + db * db);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Edge of the product in the original near the mask edge, or null when the
+ * original shows only background there.
+ */
+function originalEdge(origData, width, y, edge, side, bg, opts) {
+    const row = y * width;
+    if (side === 'left') {
+        for (let x = Math.max(0, edge.left - opts.edgeSearch); x <= Math.min(edge.right, edge.left + opts.edgeSearch); x++) {
+            if (colorDistance(origData, (row + x) * 4, bg) > opts.colorDistance) return x;
+        }
+    } else {
+        for (let x = Math.min(width - 1, edge.right + opts.edgeSearch); x >= Math.max(edge.left, edge.right - opts.edgeSearch); x--) {
+            if (colorDistance(origData, (row + x) * 4, bg) > opts.colorDistance) return x;
+        }
+    }
+    return null;
+}
+
+/**
+ * Per-side edge deviation. Positive deviation = the mask edge sits inside the
+ * reference (product missing), negative = outside (background kept).
+ * Deviating rows are grouped into ranges (gaps up to 3 rows), each with the
+ * reference edge an edit-mask.js --left-edge / --right-edge fix would use.
+ */
+function edgeDeviation(edges, rows, side, reference, opts) {
+    const deviations = [];
+    for (const y of rows) {
+        const ref = reference(y);
+        if (ref === null) continue;
+        const actual = edges[y][side];
+        const deviation = side === 'left' ? actual - ref : ref - actual;
+        if (Math.abs(deviation) > opts.edgeTolerance) deviations.push({ y, deviation, ref });
+    }
+
+    const ranges = [];
+    for (const d of deviations) {
+        const last = ranges[ranges.length - 1];
+        if (last && d.y <= last.to + 3) {
+            last.to = d.y;
+            last.rows.push(d);
+        } else {
+            ranges.push({ from: d.y, to: d.y, rows: [d] });
+        }
+    }
+
+    return {
+        deviating_rows: deviations.length,
+        max_deviation: deviations.reduce((max, d) => Math.max(max, Math.abs(d.deviation)), 0),
+        ranges: ranges.map(({ from, to, rows: hits }) => ({
+            from,
+            to,
+            max_deviation: hits.reduce((max, d) => (Math.abs(d.deviation) > Math.abs(max) ? d.deviation : max), 0),
+            target: side === 'left' ? Math.min(...hits.map(d => d.ref)) : Math.max(...hits.map(d => d.ref))
+        }))
+    };
+}
+
+/**
+ * Connected components (4-neighbour) of pixels where `member(i)` is true.
+ * Returns [{ size, touchesBorder }].
+ */
+function components(width, height, member) {
+    const seen = new Uint8Array(width * height);
+    const stack = new Int32Array(width * height);
+    const found = [];
+
+    for (let start = 0; start < width * height; start++) {
+        if (seen[start] || !member(start)) continue;
+        let top = 0;
+        let size = 0;
+        let touchesBorder = false;
+        stack[top++] = start;
+        seen[start] = 1;
+
+        while (top) {
+            const i = stack[--top];
+            const x = i % width;
+            const y = (i - x) / width;
+            size++;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesBorder = true;
+
+            const push = (n) => {
+                if (!seen[n] && member(n)) {
+                    seen[n] = 1;
+                    stack[top++] = n;
+                }
+            };
+            if (x > 0) push(i - 1);
+            if (x < width - 1) push(i + 1);
+            if (y > 0) push(i - width);
+            if (y < height - 1) push(i + width);
+        }
+        found.push({ size, touchesBorder });
+    }
+    return found;
+}
+
+/**
+ * Full report for one mask.
+ *
+ * options: { origData, fromRow, toRow, ...DEFAULTS overrides }
+ * fromRow/toRow limit the edge check (default: all content rows).
+ */
+function analyzeMask(maskData, width, height, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const { origData } = opts;
+    const issues = [];
+
+    // Coverage and border
+    let opaque = 0;
+    let fringe = 0;
+    let borderOpaque = 0;
+    let borderPixels = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const alpha = maskData[(y * width + x) * 4 + 3];
+            if (alpha > opts.alphaThreshold) opaque++;
+            if (alpha >= opts.fringeLow && alpha <= opts.fringeHigh) fringe++;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+                borderPixels++;
+                if (alpha > opts.alphaThreshold) borderOpaque++;
+            }
+        }
+    }
+    const coverage = opaque / (width * height);
+    const borderTouch = borderOpaque / borderPixels;
+    if (coverage < opts.minCoverage) issues.push(`subject covers only ${(coverage * 100).toFixed(1)}% of the frame`);
+    if (coverage > opts.maxCoverage) issues.push('background was barely removed');
+    if (borderTouch > opts.maxBorderTouch) issues.push('mask touches the image border (subject cropped or background left)');
+
+    // Edges
+    const edges = rowEdges(maskData, width, height, opts.alphaThreshold);
+    const contentRows = [];
+    for (let y = 0; y < height; y++) {
+        if (edges[y]) contentRows.push(y);
+    }
+    const fromRow = opts.fromRow !== undefined ? opts.fromRow : 0;
+    const toRow = opts.toRow !== undefined ? Math.min(opts.toRow, height) : height;
+    const rows = contentRows.filter(y => y >= fromRow && y < toRow);
+
+    const bg = origData ? detectBackground(origData, width, height) : null;
+    const referenceFor = (side) => {
+        if (origData) return y => originalEdge(origData, width, y, edges[y], side, bg, opts);
+        const half = opts.edgeWindow >> 1;
+        return (y) => {
+            const window = [];
+            for (let n = y - half; n <= y + half; n++) {
+                if (n !== y && edges[n]) window.push(edges[n][side]);
+            }
+            return window.length >= half ? median(window) : null;
+        };
+    };
+    const left = edgeDeviation(edges, rows, 'left', referenceFor('left'), opts);
+    const right = edgeDeviation(edges, rows, 'right', referenceFor('right'), opts);
+    for (const [side, report] of [['left', left], ['right', right]]) {
+        if (rows.length && report.deviating_rows / rows.length > opts.maxDeviatingRows) {
+            issues.push(`${side} edge deviates in ${report.deviating_rows} rows (max ${report.max_deviation}px, ${report.ranges.length} ranges)`);
+        }
+    }
+
+    // Fringe: mean semi-transparent px per outline row (two sides)
+    const fringeWidth = contentRows.length ? fringe / (contentRows.length * 2) : 0;
+    if (fringeWidth > opts.maxFringeWidth) issues.push(`soft fringe averages ${fringeWidth.toFixed(1)}px per edge (run harden-edge.js)`);
+
+    // Holes: transparent areas not connected to the border. Islands: every
+    // opaque component except the largest.
+    const solid = i => maskData[i * 4 + 3] > opts.alphaThreshold;
+    const holes = components(width, height, i => !solid(i)).filter(c => !c.touchesBorder && c.size >= opaque * opts.minHoleArea);
+    const parts = components(width, height, solid).sort((a, b) => b.size - a.size);
+    const islands = parts.slice(1).filter(c => c.size >= opaque * opts.minIslandArea);
+    const holePixels = holes.reduce((sum, c) => sum + c.size, 0);
+    const islandPixels = islands.reduce((sum, c) => sum + c.size, 0);
+    if (holes.length) issues.push(`${holes.length} hole(s) inside the product (${holePixels}px)`);
+    if (islands.length) issues.push(`${islands.length} stray island(s) outside the product (${islandPixels}px)`);
+
+    // Score: each check costs up to its weight
+    const share = (value, limit) => Math.min(1, limit ? value / limit : 0);
+    const deviatingShare = rows.length ? (left.deviating_rows + right.deviating_rows) / (rows.length * 2) : 0;
+    const penalties = [
+        30 * share(deviatingShare, opts.maxDeviatingRows * 4),
+        15 * share(fringeWidth, opts.maxFringeWidth * 2),
+        15 * share(holes.length, 3),
+        10 * share(islands.length, 3),
+        coverage < opts.minCoverage || coverage > opts.maxCoverage ? 15 : 0,
+        borderTouch > opts.maxBorderTouch ? 15 : 0
+    ];
+    const score = Math.max(0, Math.round(100 - penalties.reduce((a, b) => a + b, 0)));
+
+    return {
+        pass: issues.length === 0,
+        score,
+        issues,
+        width,
+        height,
+        reference: origData ? 'original' : 'smoothed',
+        background: bg,
+        content_rows: contentRows.length,
+        rows_checked: rows.length ? [rows[0], rows[rows.length - 1]] : null,
+        coverage: Math.round(coverage * 1000) / 1000,
+        border_touch: Math.round(borderTouch * 1000) / 1000,
+        edges: { left, right },
+        fringe: { pixels: fringe, mean_width: Math.round(fringeWidth * 100) / 100 },
+        holes: { count: holes.length, pixels: holePixels },
+        islands: { count: islands.length, pixels: islandPixels }
+    };
+}
+
+module.exports = { analyzeMask, detectBackground, colorDistance, DEFAULTS };
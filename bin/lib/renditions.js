@@ -0,0 +1,136 @@
+/**
+ * Output renditions for image-prep.js.
+ *
+ * The master image is the square PNG of `target_size` (transparent unless a
+ * composition preset gives it a background). Each rendition is rendered from
+ * it and written next to it as <master name>-<rendition name>.<ext>:
+ *
+ *   { "name": "gmc", "format": "jpeg", "quality": 90, "background": "#ffffff" }
+ *   { "name": "thumb-300", "format": "webp", "size": 300 }
+ *
+ *   name        [a-z0-9_-], unique; the filename suffix
+ *   format      png | webp | avif | jpeg (jpg)
+ *   size        Square edge in px (default: target_size; never enlarged)
+ *   quality     1-100 (default per format, see FORMATS; ignored for png)
+ *   background  #rrggbb to flatten onto; jpeg always has one (default white),
+ *               the other formats keep transparency without it
+ *
+ * The list is the `renditions` image setting (JSON, synced from WordPress)
+ * or --renditions on the command line.
+ */
+
+const fs = require('fs');
+const sharp = require('sharp');
+
+const FORMATS = {
+    png: { ext: 'png' },
+    webp: { ext: 'webp', quality: 82 },
+    avif: { ext: 'avif', quality: 50 },
+    jpeg: { ext: 'jpg', quality: 90, background: '#ffffff' }
+};
+
+// PNG only until renditions are configured, as Plugin::get_default_renditions()
+const DEFAULT_RENDITIONS = [];
+
+/**
+ * Validate one rendition spec and fill in the format defaults.
+ */
+function normalizeRendition(spec, index) {
+    const label = spec && spec.name ? `Rendition "${spec.name}"` : `Rendition ${index + 1}`;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error(`${label} must be an object`);
+
+    const name = String(spec.name || '');
+    if (!/^[a-z0-9_-]+$/.test(name)) throw new Error(`${label}: name must be [a-z0-9_-]`);
+
+    const format = spec.format === 'jpg' ? 'jpeg' : String(spec.format || '');
+    if (!FORMATS[format]) throw new Error(`${label}: unknown format "${spec.format}" (use ${Object.keys(FORMATS).join(', ')})`);
+
+    const rendition = { name, format };
+    if (spec.size !== undefined && spec.size !== null) {
+        const size = Number(spec.size);
+        if (!Number.isInteger(size) || size < 16) throw new Error(`${label}: size must be an integer >= 16`);
+        rendition.size = size;
+    }
+    if (format !== 'png') {
+        const quality = spec.quality !== undefined && spec.quality !== null ? Number(spec.quality) : FORMATS[format].quality;
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) throw new Error(`${label}: quality must be an integer 1-100`);
+        rendition.quality = quality;
+    }
+    const background = spec.background || FORMATS[format].background;
+    if (background) {
+        if (!/^#[0-9a-f]{6}$/i.test(background)) throw new Error(`${label}: background must be #rrggbb`);
+        rendition.background = background.toLowerCase();
+    }
+    return rendition;
+}
+
+/**
+ * Rendition list from a setting or CLI value: an array, a JSON string, a path
+ * to a JSON file, or "none" / "" for no renditions.
+ */
+function parseRenditions(value) {
+    if (value === undefined || value === null) return DEFAULT_RENDITIONS.map(normalizeRendition);
+
+    let list = value;
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if (text === '' || text === 'none') return [];
+        if (!text.startsWith('[') && fs.existsSync(text)) {
+            list = JSON.parse(fs.readFileSync(text, 'utf8'));
+        } else {
+            try {
+                list = JSON.parse(text);
+            } catch (e) {
+                throw new Error(`Renditions are not valid JSON: ${e.message}`);
+            }
+        }
+    }
+    if (!Array.isArray(list)) throw new Error('Renditions must be a JSON array');
+
+    const renditions = list.map(normalizeRendition);
+    const seen = new Set();
+    renditions.forEach(({ name }) => {
+        if (seen.has(name)) throw new Error(`Duplicate rendition name "${name}"`);
+        seen.add(name);
+    });
+    return renditions;
+}
+
+/**
+ * Write every rendition of `masterPath`. Resolves with
+ * [{ name, format, path, width, height, quality, background, bytes }].
+ */
+async function renderRenditions(masterPath, renditions) {
+    const base = masterPath.replace(/\.png$/i, '');
+    const results = [];
+
+    // One at a time: AVIF encoding alone can take a whole core
+    for (const rendition of renditions) {
+        const { name, format, size, quality, background } = rendition;
+        const outputPath = `${base}-${name}.${FORMATS[format].ext}`;
+
+        let pipeline = sharp(masterPath);
+        if (size) pipeline = pipeline.resize(size, size, { fit: 'inside', withoutEnlargement: true });
+        if (background) pipeline = pipeline.flatten({ background });
+
+        if (format === 'png') pipeline = pipeline.png();
+        else if (format === 'webp') pipeline = pipeline.webp({ quality, alphaQuality: 100 });
+        else if (format === 'avif') pipeline = pipeline.avif({ quality });
+        else pipeline = pipeline.jpeg({ quality, mozjpeg: true });
+
+        const info = await pipeline.toFile(outputPath);
+        results.push({
+            name,
+            format,
+            path: outputPath,
+            width: info.width,
+            height: info.height,
+            quality: quality !== undefined ? quality : null,
+            background: background || null,
+            bytes: info.size
+        });
+    }
+    return results;
+}
+
+module.exports = { FORMATS, DEFAULT_RENDITIONS, normalizeRendition, parseRenditions, renderRenditions };
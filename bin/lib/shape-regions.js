@@ -0,0 +1,322 @@
+/**
+ * Region model for apply-bottle-shape.js.
+ *
+ * Instead of fixed row bands, the product is read from the image:
+ *   1. edge profile: per row, the left/right product edge found in the
+ *      original (colour distance from the background, searched around the
+ *      mask edge so bites in the mask don't matter), falling back to the mask
+ *   2. regions: breakpoints where the width profile changes course
+ *      (Douglas-Peucker on the smoothed width) or the product's luminance
+ *      steps (label start/end, cap to glass)
+ *   3. fit: each region's edges are fitted with the model the shape template
+ *      asks for (vertical, line or curve), robust to outliers, and optionally
+ *      made symmetric around the product axis
+ */
+
+const { rowEdges, estimateAxis, ALPHA_THRESHOLD } = require('./symmetry');
+const { detectBackground, colorDistance } = require('./mask-quality');
+
+/**
+ * Shape templates. `straight` / `taper` pick the edge model for regions whose
+ * width stays constant / changes; `names` label the regions top to bottom when
+ * the detected count matches.
+ */
+const TEMPLATES = {
+    bottle: {
+        description: 'Round bottle: cap, neck, shoulder, body, base',
+        names: ['cap', 'neck', 'shoulder', 'body', 'base'],
+        straight: 'vertical',
+        taper: 'curve',
+        symmetric: true
+    },
+    jar: {
+        description: 'Wide jar: lid, body (short straight sides)',
+        names: ['lid', 'body'],
+        straight: 'vertical',
+        taper: 'line',
+        symmetric: true
+    },
+    box: {
+        description: 'Carton/box: straight sides, may lean with perspective',
+        names: ['box'],
+        straight: 'line',
+        taper: 'line',
+        symmetric: false
+    },
+    pouch: {
+        description: 'Stand-up pouch: soft, curved sides',
+        names: ['top', 'body', 'gusset'],
+        straight: 'curve',
+        taper: 'curve',
+        symmetric: true
+    },
+    dropper: {
+        description: 'Dropper bottle: bulb, collar, shoulder, body, base',
+        names: ['bulb', 'collar', 'shoulder', 'body', 'base'],
+        straight: 'vertical',
+        taper: 'curve',
+        symmetric: true
+    }
+};
+
+const COLOR_DISTANCE = 40;
+const EDGE_SEARCH = 25;
+
+/**
+ * Per-row product edges and mean luminance. Rows without mask are null.
+ */
+function edgeProfile(maskData, origData, width, height) {
+    const bg = detectBackground(origData, width, height);
+    const maskEdges = rowEdges(maskData, width, height);
+
+    return maskEdges.map((edge, y) => {
+        if (!edge) return null;
+        const row = y * width;
+
+        let left = edge.left;
+        for (let x = Math.max(0, edge.left - EDGE_SEARCH); x <= Math.min(edge.right, edge.left + EDGE_SEARCH); x++) {
+            if (colorDistance(origData, (row + x) * 4, bg) > COLOR_DISTANCE) {
+                left = x;
+                break;
+            }
+        }
+        let right = edge.right;
+        for (let x = Math.min(width - 1, edge.right + EDGE_SEARCH); x >= Math.max(left, edge.right - EDGE_SEARCH); x--) {
+            if (colorDistance(origData, (row + x) * 4, bg) > COLOR_DISTANCE) {
+                right = x;
+                break;
+            }
+        }
+
+        let lum = 0;
+        let samples = 0;
+        for (let x = left; x <= right; x += 2) {
+            const idx = (row + x) * 4;
+            lum += 0.299 * origData[idx] + 0.587 * origData[idx + 1] + 0.114 * origData[idx + 2];
+            samples++;
+        }
+
+        return { left, right, lum: samples ? lum / samples : 0 };
+    });
+}
+
+function medianOf(values) {
+    const sorted = values.filter(v => v !== null && !isNaN(v)).sort((a, b) => a - b);
+    return sorted.length ? sorted[sorted.length >> 1] : null;
+}
+
+function smooth(series, radius) {
+    return series.map((_, i) => medianOf(series.slice(Math.max(0, i - radius), i + radius + 1)));
+}
+
+/**
+ * Douglas-Peucker breakpoints of series[from..to] (indices into series).
+ */
+function breakpoints(series, from, to, tolerance, out) {
+    if (to - from < 2) return;
+    const slope = (series[to] - series[from]) / (to - from);
+    let worst = -1;
+    let worstAt = -1;
+    for (let i = from + 1; i < to; i++) {
+        const deviation = Math.abs(series[i] - (series[from] + slope * (i - from)));
+        if (deviation > worst) {
+            worst = deviation;
+            worstAt = i;
+        }
+    }
+    if (worst > tolerance) {
+        breakpoints(series, from, worstAt, tolerance, out);
+        out.push(worstAt);
+        breakpoints(series, worstAt, to, tolerance, out);
+    }
+}
+
+/**
+ * Split the product rows into regions. Returns [{ from, to, kind }] where kind
+ * is 'straight' or 'taper'.
+ */
+function detectRegions(profile, options = {}) {
+    const rows = [];
+    profile.forEach((entry, y) => { if (entry) rows.push(y); });
+    if (rows.length < 10) return [];
+
+    const top = rows[0];
+    const bottom = rows[rows.length - 1] + 1;
+    const span = bottom - top;
+    const minHeight = Math.max(5, Math.round(span * (options.minRegion || 0.04)));
+
+    // Fill gaps in the profile so the series are continuous
+    const widths = [];
+    const lums = [];
+    let last = profile[top];
+    for (let y = top; y < bottom; y++) {
+        if (profile[y]) last = profile[y];
+        widths.push(last.right - last.left);
+        lums.push(last.lum);
+    }
+
+    const smoothed = smooth(widths, 3);
+    const typical = medianOf(smoothed);
+    const cuts = [];
+    breakpoints(smoothed, 0, smoothed.length - 1, Math.max(2, typical * (options.widthTolerance || 0.03)), cuts);
+
+    // Luminance steps: mean over the window below vs above
+    const window = Math.max(3, Math.round(minHeight / 2));
+    const smoothLum = smooth(lums, 2);
+    for (let i = window; i < smoothLum.length - window; i++) {
+        const above = smoothLum.slice(i - window, i).reduce((a, b) => a + b, 0) / window;
+        const below = smoothLum.slice(i, i + window).reduce((a, b) => a + b, 0) / window;
+        const step = Math.abs(below - above);
+        if (step > (options.lumStep || 40)) {
+            // Keep only the strongest row of each step
+            const prev = Math.abs(smoothLum[i] - smoothLum[i - 1]);
+            const next = Math.abs(smoothLum[i + 1] - smoothLum[i]);
+            if (prev >= next && prev > 0) cuts.push(i);
+        }
+    }
+
+    // Sorted, spaced at least minHeight apart
+    const bounds = [0];
+    cuts.sort((a, b) => a - b).forEach((cut) => {
+        if (cut - bounds[bounds.length - 1] >= minHeight && span - cut >= minHeight) bounds.push(cut);
+    });
+    bounds.push(span);
+
+    const regions = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+        const from = bounds[i];
+        const to = bounds[i + 1];
+        const edgeRows = Math.max(1, Math.round((to - from) * 0.15));
+        const start = medianOf(smoothed.slice(from, from + edgeRows));
+        const end = medianOf(smoothed.slice(to - edgeRows, to));
+        const kind = Math.abs(end - start) > Math.max(3, typical * 0.06) ? 'taper' : 'straight';
+        regions.push({ from: top + from, to: top + to, kind });
+    }
+    return regions;
+}
+
+/**
+ * Least-squares polynomial fit x = f(y) of degree 0-2, refitted once without
+ * outliers (> 2.5 median absolute deviations), so bites don't pull the edge.
+ */
+function fitEdge(points, degree) {
+    const solve = (pts) => {
+        if (degree === 0 || pts.length < degree + 2) {
+            const c = medianOf(pts.map(p => p.x));
+            return () => c;
+        }
+        const y0 = pts[0].y;
+        // Normal equations on centred y for numeric stability
+        const n = degree + 1;
+        const A = Array.from({ length: n }, () => new Array(n).fill(0));
+        const b = new Array(n).fill(0);
+        pts.forEach(({ x, y }) => {
+            const t = y - y0;
+            const powers = [1, t, t * t].slice(0, n);
+            for (let i = 0; i < n; i++) {
+                b[i] += powers[i] * x;
+                for (let j = 0; j < n; j++) A[i][j] += powers[i] * powers[j];
+            }
+        });
+        const coef = gauss(A, b);
+        if (!coef) {
+            const c = medianOf(pts.map(p => p.x));
+            return () => c;
+        }
+        return (y) => {
+            const t = y - y0;
+            return coef[0] + (coef[1] || 0) * t + (coef[2] || 0) * t * t;
+        };
+    };
+
+    let model = solve(points);
+    const residuals = points.map(p => Math.abs(p.x - model(p.y)));
+    const mad = medianOf(residuals) || 1;
+    const inliers = points.filter((p, i) => residuals[i] <= 2.5 * mad + 1);
+    if (inliers.length >= degree + 2 && inliers.length < points.length) model = solve(inliers);
+    return model;
+}
+
+function gauss(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+        if (Math.abs(M[pivot][col]) < 1e-9) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const f = M[r][col] / M[col][col];
+            for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+        }
+    }
+    return M.map((row, i) => row[n] / row[i]);
+}
+
+const DEGREE = { vertical: 0, line: 1, curve: 2 };
+
+/**
+ * Fit target edges for every region. Returns per-row targets
+ * ({ left, right } or null) and the annotated regions.
+ */
+function fitShape(profile, regions, template, axis) {
+    const targets = new Array(profile.length).fill(null);
+    const names = regions.length === template.names.length ? template.names : null;
+
+    const annotated = regions.map((region, i) => {
+        const model = region.kind === 'taper' ? template.taper : template.straight;
+        const degree = DEGREE[model];
+        const left = [];
+        const right = [];
+        for (let y = region.from; y < region.to; y++) {
+            if (!profile[y]) continue;
+            left.push({ y, x: profile[y].left });
+            right.push({ y, x: profile[y].right });
+        }
+
+        let fitLeft = fitEdge(left, degree);
+        let fitRight = fitEdge(right, degree);
+        if (template.symmetric && axis !== null) {
+            // Same half-width on both sides of the axis
+            const [rawLeft, rawRight] = [fitLeft, fitRight];
+            const halfWidth = y => (rawRight(y) - rawLeft(y)) / 2;
+            fitLeft = y => axis - halfWidth(y);
+            fitRight = y => axis + halfWidth(y);
+        }
+
+        for (let y = region.from; y < region.to; y++) {
+            if (profile[y]) targets[y] = { left: Math.round(fitLeft(y)), right: Math.round(fitRight(y)) };
+        }
+
+        return {
+            name: names ? names[i] : `region-${i + 1}`,
+            from: region.from,
+            to: region.to,
+            kind: region.kind,
+            model,
+            left: { top: Math.round(fitLeft(region.from)), bottom: Math.round(fitLeft(region.to - 1)) },
+            right: { top: Math.round(fitRight(region.from)), bottom: Math.round(fitRight(region.to - 1)) }
+        };
+    });
+
+    return { targets, regions: annotated };
+}
+
+/**
+ * Full analysis: profile -> regions -> fitted edges.
+ */
+function analyzeShape(maskData, origData, width, height, templateName = 'bottle', options = {}) {
+    const template = TEMPLATES[templateName];
+    if (!template) throw new Error(`Unknown template "${templateName}" (use ${Object.keys(TEMPLATES).join(', ')})`);
+
+    const profile = edgeProfile(maskData, origData, width, height);
+    const regions = detectRegions(profile, options);
+    const axisInfo = template.symmetric ? estimateAxis(maskData, width, height, origData) : null;
+    const axis = axisInfo ? axisInfo.center : null;
+    const fitted = fitShape(profile, regions, template, axis);
+
+    return { template: templateName, axis, ...fitted };
+}
+
+module.exports = { TEMPLATES, edgeProfile, detectRegions, fitEdge, analyzeShape, ALPHA_THRESHOLD };
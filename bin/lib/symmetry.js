@@ -0,0 +1,239 @@
+/**
+ * Symmetry analysis for mirror-edge.js.
+ *
+ * Works on raw RGBA buffers (sharp .raw() output):
+ *   rowEdges()     outermost opaque pixel on each side, per row
+ *   estimateAxis() vertical symmetry axis from the mask, refined on the original
+ *   planBands()    per row band: which edge is smoother, and so the mirror source
+ */
+
+const ALPHA_THRESHOLD = 128;
+
+/**
+ * Left/right mask edges per row (null where the row is empty). A pixel counts
+ * when its alpha is above `threshold`.
+ */
+function rowEdges(maskData, width, height, threshold = ALPHA_THRESHOLD) {
+    const edges = new Array(height).fill(null);
+    for (let y = 0; y < height; y++) {
+        let left = -1;
+        let right = -1;
+        for (let x = 0; x < width; x++) {
+            if (maskData[(y * width + x) * 4 + 3] > threshold) {
+                left = x;
+                break;
+            }
+        }
+        if (left === -1) continue;
+        for (let x = width - 1; x >= left; x--) {
+            if (maskData[(y * width + x) * 4 + 3] > threshold) {
+                right = x;
+                break;
+            }
+        }
+        edges[y] = { left, right };
+    }
+    return edges;
+}
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function luminance(data, idx) {
+    return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+}
+
+/**
+ * How far the original's silhouette departs from mirror symmetry around `axis`:
+ * luminance is compared at mirrored offsets in a band around each row's edges,
+ * where the product meets the background. Labels and print in the middle are
+ * ignored, since they are rarely symmetric.
+ */
+function silhouetteAsymmetry(origData, width, edges, rows, axis, band) {
+    let total = 0;
+    let count = 0;
+    for (const y of rows) {
+        const { left, right } = edges[y];
+        const half = Math.max(axis - left, right - axis);
+        for (let d = Math.max(1, Math.round(half - band)); d <= half + band; d++) {
+            const xl = Math.round(axis - d);
+            const xr = Math.round(axis + d);
+            if (xl < 0 || xr >= width) break;
+            total += Math.abs(luminance(origData, (y * width + xl) * 4) - luminance(origData, (y * width + xr) * 4));
+            count++;
+        }
+    }
+    return count ? total / count : Infinity;
+}
+
+/**
+ * Estimate the product's vertical symmetry axis.
+ *
+ * 1. Median of per-row mask midpoints, using only rows whose width is close to
+ *    the typical width (broken or flared rows don't pull the estimate).
+ * 2. If the original is given, search +/- 2% of the width around that for the
+ *    axis at which the original's silhouette is most symmetric.
+ *
+ * Returns { center, mask_center, confidence, rows_used } or null for an empty mask.
+ */
+function estimateAxis(maskData, width, height, origData = null, options = {}) {
+    const edges = options.edges || rowEdges(maskData, width, height);
+    const startRow = options.fromRow || 0;
+    const endRow = Math.min(options.toRow || height, height);
+
+    const rows = [];
+    for (let y = startRow; y < endRow; y++) {
+        if (edges[y] && edges[y].right - edges[y].left > 2) rows.push(y);
+    }
+    if (!rows.length) return null;
+
+    const typicalWidth = median(rows.map(y => edges[y].right - edges[y].left));
+    const steady = rows.filter(y => Math.abs((edges[y].right - edges[y].left) - typicalWidth) <= typicalWidth * 0.15);
+    const used = steady.length >= 10 ? steady : rows;
+    const maskCenter = median(used.map(y => (edges[y].left + edges[y].right) / 2));
+
+    let center = maskCenter;
+    if (origData) {
+        // Sample at most ~200 rows to keep the search cheap on large images
+        const step = Math.max(1, Math.floor(used.length / 200));
+        const sample = used.filter((_, i) => i % step === 0);
+        const radius = Math.max(3, Math.round(width * 0.02));
+        let best = silhouetteAsymmetry(origData, width, edges, sample, maskCenter, 6);
+        for (let offset = -radius; offset <= radius; offset += 0.5) {
+            const candidate = maskCenter + offset;
+            const score = silhouetteAsymmetry(origData, width, edges, sample, candidate, 6);
+            if (score < best - 0.01) {
+                best = score;
+                center = candidate;
+            }
+        }
+    }
+
+    // Share of rows whose midpoint is within 2px of the axis
+    const aligned = used.filter(y => Math.abs((edges[y].left + edges[y].right) / 2 - center) <= 2).length;
+
+    return {
+        center: Math.round(center),
+        mask_center: Math.round(maskCenter * 10) / 10,
+        confidence: Math.round((aligned / used.length) * 100) / 100,
+        rows_used: used.length
+    };
+}
+
+/**
+ * Roughness of one edge over a band: mean absolute second difference of the
+ * edge's distance from the axis (a straight or smoothly curving edge scores ~0),
+ * plus a penalty for rows where that side is missing.
+ */
+function edgeRoughness(distances) {
+    const present = distances.filter(d => d !== null);
+    if (present.length < 3) return Infinity;
+
+    let sum = 0;
+    let count = 0;
+    for (let i = 1; i < distances.length - 1; i++) {
+        const [a, b, c] = [distances[i - 1], distances[i], distances[i + 1]];
+        if (a === null || b === null || c === null) continue;
+        sum += Math.abs(a - 2 * b + c);
+        count++;
+    }
+    const missing = (distances.length - present.length) / distances.length;
+    return (count ? sum / count : 0) + missing * 10;
+}
+
+/**
+ * Split rows into bands and decide per band which side to mirror from.
+ * A band is left alone ('none') when both sides already agree within
+ * `tolerance` px, or when neither side is clearly smoother.
+ *
+ * Returns [{ from, to, source_side, left_roughness, right_roughness, asymmetry }]
+ * with neighbouring bands of the same decision merged.
+ */
+function planBands(edges, center, options = {}) {
+    const startRow = options.fromRow || 0;
+    const endRow = Math.min(options.toRow || edges.length, edges.length);
+    const bandHeight = Math.max(3, options.bandHeight || 40);
+    const tolerance = options.tolerance === undefined ? 2 : options.tolerance;
+    const margin = options.margin === undefined ? 0.15 : options.margin;
+
+    const bands = [];
+    for (let from = startRow; from < endRow; from += bandHeight) {
+        const to = Math.min(from + bandHeight, endRow);
+        const left = [];
+        const right = [];
+        let asymmetry = 0;
+        let rows = 0;
+
+        for (let y = from; y < to; y++) {
+            const edge = edges[y];
+            const dl = edge && edge.left < center ? center - edge.left : null;
+            const dr = edge && edge.right > center ? edge.right - center : null;
+            left.push(dl);
+            right.push(dr);
+            if (dl !== null && dr !== null) {
+                asymmetry += Math.abs(dl - dr);
+                rows++;
+            }
+        }
+
+        const leftRoughness = edgeRoughness(left);
+        const rightRoughness = edgeRoughness(right);
+        const meanAsymmetry = rows ? asymmetry / rows : Infinity;
+
+        let source = 'none';
+        if (leftRoughness !== Infinity || rightRoughness !== Infinity) {
+            const worse = Math.max(leftRoughness, rightRoughness);
+            const better = Math.min(leftRoughness, rightRoughness);
+            const clearlySmoother = worse === Infinity || worse - better > Math.max(0.05, worse * margin);
+            if (meanAsymmetry > tolerance && clearlySmoother) {
+                source = leftRoughness < rightRoughness ? 'left' : 'right';
+            }
+        }
+
+        bands.push({
+            from,
+            to,
+            source_side: source,
+            left_roughness: round(leftRoughness),
+            right_roughness: round(rightRoughness),
+            asymmetry: round(meanAsymmetry)
+        });
+    }
+
+    return mergeBands(bands);
+}
+
+function round(value) {
+    return value === Infinity ? null : Math.round(value * 100) / 100;
+}
+
+function mergeBands(bands) {
+    const merged = [];
+    for (const band of bands) {
+        const last = merged[merged.length - 1];
+        if (last && last.source_side === band.source_side && last.to === band.from) {
+            last.to = band.to;
+            last.bands = (last.bands || 1) + 1;
+        } else {
+            merged.push({ ...band });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Parse manual regions: "0-200:right,200-480:left" -> [{ from, to, source_side }].
+ */
+function parseRegions(spec) {
+    return String(spec).split(',').filter(Boolean).map((part) => {
+        const match = part.trim().match(/^(\d+)-(\d+):(left|right|none)$/);
+        if (!match) throw new Error(`Invalid region "${part}" (expected FROM-TO:left|right|none)`);
+        return { from: parseInt(match[1], 10), to: parseInt(match[2], 10), source_side: match[3] };
+    });
+}
+
+module.exports = { rowEdges, estimateAxis, planBands, parseRegions, ALPHA_THRESHOLD };
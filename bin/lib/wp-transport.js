@@ -0,0 +1,431 @@
+/**
+ * WordPress transport for the image tools.
+ *
+ * Three interchangeable backends, all exposing the same two calls:
+ *   getImageSettings()                 -> { target_size, padding, aggressiveness, naming, correction_prompt }
+ *   uploadImage(localPath, options)    -> { attachment_id, url, product_id, is_thumbnail }
+ *
+ *   ssh   SCP + WP-CLI on the server (the original image-prep.js path)
+ *   mcp   The MCP endpoint: image-settings and media-upload abilities, with the
+ *         file streamed to /wp-json/hp-abilities/v1/upload first
+ *   rest  WooCommerce REST API: settings from /wc/v3/settings/hp-image-prep,
+ *         file streamed to /wp-json/hp-abilities/v1/upload and imported there
+ *
+ * The backend and its credentials come from a JSON config file and/or env vars
+ * (env vars win). The "environments" block has the same shape as the bridge
+ * config, so hp-bridge.json can be reused as is:
+ *
+ *   {
+ *     "transport": "mcp",
+ *     "environment": "stg",
+ *     "environments": {
+ *       "stg": { "url": "https://staging.example/wp-json/woocommerce/mcp", "key": "ck_...:cs_..." }
+ *     },
+ *     "ssh": { "host": "1.2.3.4", "port": 22, "user": "site", "key": "~/.ssh/id_ed25519", "wpPath": "public" }
+ *   }
+ *
+ * Config file: --transport-config PATH, HP_IMAGE_TRANSPORT_CONFIG, or ./hp-image-prep.json
+ * Env vars:    HP_IMAGE_TRANSPORT, HP_IMAGE_ENV, HP_WP_URL, HP_WP_KEY,
+ *              HP_SSH_HOST, HP_SSH_PORT, HP_SSH_USER, HP_SSH_KEY, HP_SSH_WP_PATH
+ *
+ * No command is ever built as a local shell string: ssh/scp run through
+ * execFileSync with argument arrays.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { execFileSync } = require('child_process');
+
+const TRANSPORTS = ['ssh', 'mcp', 'rest'];
+const DEFAULT_CONFIG_FILE = 'hp-image-prep.json';
+const DEFAULT_CHUNK_BYTES = 1024 * 1024;
+const SETTING_PREFIX = 'hp_abilities_image_';
+const SETTING_NAMES = ['target_size', 'padding', 'aggressiveness', 'naming', 'renditions', 'presets', 'correction_prompt'];
+
+/**
+ * Resolve transport settings from the config file and environment.
+ * `params` are image-prep's parsed CLI args (transport, transport_config, env).
+ */
+function loadTransportConfig(params = {}, env = process.env) {
+    const configPath = params.transport_config || env.HP_IMAGE_TRANSPORT_CONFIG
+        || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+
+    let file = {};
+    if (configPath) {
+        try {
+            file = JSON.parse(fs.readFileSync(configPath, 'utf8').replace(/^\uFEFF/, ''));
+        } catch (e) {
+            throw new Error(`Cannot read transport config ${configPath}: ${e.message}`);
+        }
+    }
+
+    const environments = file.environments || {};
+    const envName = params.env || env.HP_IMAGE_ENV || file.environment || Object.keys(environments)[0] || 'default';
+    const site = { name: envName, ...(environments[envName] || {}) };
+    if (env.HP_WP_URL) site.url = env.HP_WP_URL;
+    if (env.HP_WP_KEY) site.key = env.HP_WP_KEY;
+
+    const ssh = { remotePath: '/tmp', wpPath: 'public', port: 22, ...(file.ssh || {}) };
+    if (env.HP_SSH_HOST) ssh.host = env.HP_SSH_HOST;
+    if (env.HP_SSH_PORT) ssh.port = parseInt(env.HP_SSH_PORT, 10);
+    if (env.HP_SSH_USER) ssh.user = env.HP_SSH_USER;
+    if (env.HP_SSH_KEY) ssh.key = env.HP_SSH_KEY;
+    if (env.HP_SSH_WP_PATH) ssh.wpPath = env.HP_SSH_WP_PATH;
+
+    const transport = params.transport || env.HP_IMAGE_TRANSPORT || file.transport
+        || (site.url ? 'mcp' : (ssh.host ? 'ssh' : null));
+
+    return {
+        transport,
+        configPath,
+        site,
+        ssh,
+        chunkBytes: (parseInt(file.uploadChunkKb, 10) || 0) * 1024 || DEFAULT_CHUNK_BYTES
+    };
+}
+
+/**
+ * Build the configured backend. Throws with a setup hint when credentials are missing.
+ */
+function createTransport(config) {
+    if (!config.transport) {
+        throw new Error(`No WordPress transport configured. Create ${DEFAULT_CONFIG_FILE} (see hp-image-prep.config.template.json) or set HP_IMAGE_TRANSPORT with HP_WP_URL/HP_WP_KEY or HP_SSH_* vars.`);
+    }
+    if (!TRANSPORTS.includes(config.transport)) {
+        throw new Error(`Unknown transport "${config.transport}" (use ${TRANSPORTS.join(', ')})`);
+    }
+
+    if (config.transport === 'ssh') {
+        const missing = ['host', 'user', 'key'].filter(field => !config.ssh[field]);
+        if (missing.length) throw new Error(`ssh transport needs ${missing.join(', ')} (config "ssh" block or HP_SSH_* vars)`);
+        return createSshTransport(config.ssh);
+    }
+
+    if (!config.site.url || !config.site.key) {
+        throw new Error(`${config.transport} transport needs url and key for environment "${config.site.name}" (config "environments" block or HP_WP_URL/HP_WP_KEY)`);
+    }
+    return config.transport === 'mcp' ? createMcpTransport(config) : createRestTransport(config);
+}
+
+function refuseProductionWrite(site) {
+    if (site.production && !site.allowWrites) {
+        throw new Error(`Refused: upload to production environment "${site.name}". Use staging, or set "allowWrites": true for it if this is intended.`);
+    }
+}
+
+function normalizeSettings(raw) {
+    const settings = {};
+    SETTING_NAMES.forEach((name) => {
+        if (raw[name] !== undefined && raw[name] !== null && raw[name] !== '') settings[name] = raw[name];
+    });
+    return settings;
+}
+
+function siteRoot(site) {
+    if (site.siteUrl) return site.siteUrl.replace(/\/+$/, '');
+    const url = new URL(site.url);
+    const restRoot = url.pathname.indexOf('/wp-json/');
+    if (restRoot === -1) throw new Error(`Can't derive the site root from ${site.url} - set "siteUrl" for environment "${site.name}"`);
+    return `${url.origin}${url.pathname.slice(0, restRoot)}`;
+}
+
+function httpError(e) {
+    const data = e.response && e.response.data;
+    const detail = data && typeof data === 'object' ? (data.message || data.error) : null;
+    return detail || (e.response ? `HTTP ${e.response.status}` : e.message);
+}
+
+/**
+ * Stream a file to the plugin's chunked upload route. `finalQuery` is added to
+ * the last chunk (e.g. import=1). Resolves with the final chunk's JSON reply.
+ */
+async function uploadInChunks(config, localPath, finalQuery = {}) {
+    const data = fs.readFileSync(localPath);
+    if (!data.length) throw new Error(`File is empty: ${localPath}`);
+
+    const endpoint = `${siteRoot(config.site)}/wp-json/hp-abilities/v1/upload`;
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const fileName = path.basename(localPath);
+    let reply = null;
+
+    for (let offset = 0; offset < data.length; offset += config.chunkBytes) {
+        const chunk = data.subarray(offset, offset + config.chunkBytes);
+        const final = offset + chunk.length >= data.length;
+        const query = { upload_id: uploadId, file_name: fileName, offset, final: final ? 1 : 0 };
+        if (final) Object.assign(query, { sha256 }, finalQuery);
+
+        try {
+            const response = await axios.post(endpoint, chunk, {
+                params: query,
+                headers: { 'Content-Type': 'application/octet-stream', 'X-MCP-API-Key': config.site.key },
+                maxBodyLength: Infinity
+            });
+            reply = typeof response.data === 'string' ? JSON.parse(response.data.replace(/^[^{]*/, '')) : response.data;
+        } catch (e) {
+            throw new Error(`Upload failed at byte ${offset} of ${data.length}: ${httpError(e)}`);
+        }
+    }
+
+    return reply;
+}
+
+/**
+ * Backend: SCP + WP-CLI over SSH.
+ */
+function createSshTransport(ssh) {
+    const keyPath = ssh.key.replace(/^~(?=[\\/])/, os.homedir());
+    const target = `${ssh.user}@${ssh.host}`;
+
+    // ssh joins its arguments into one remote command line, so each argument
+    // is single-quoted for the remote shell.
+    const remoteCommand = argv => argv.map(arg => `'${String(arg).replace(/'/g, `'\\''`)}'`).join(' ');
+
+    const wp = (argv, options = {}) => execFileSync('ssh', [
+        '-i', keyPath, '-p', String(ssh.port), target,
+        remoteCommand(['wp', `--path=${ssh.wpPath}`, ...argv])
+    ], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], ...options }).trim();
+
+    const wpQuiet = (argv) => {
+        try {
+            return wp(argv);
+        } catch (e) {
+            return '';
+        }
+    };
+
+    return {
+        name: 'ssh',
+        describe: () => `ssh (${target})`,
+
+        async getImageSettings() {
+            const raw = {};
+            SETTING_NAMES.forEach((name) => {
+                const value = wpQuiet(['option', 'get', SETTING_PREFIX + name]);
+                // Single-line values: last line drops any SSH banner noise
+                raw[name] = name === 'correction_prompt' ? value : value.split('\n').pop();
+            });
+            return normalizeSettings(raw);
+        },
+
+        async uploadImage(localPath, { productId, isThumbnail, title, alt }) {
+            const remotePath = `${ssh.remotePath}/${path.basename(localPath)}`;
+
+            try {
+                execFileSync('scp', ['-P', String(ssh.port), '-i', keyPath, localPath, `${target}:${remotePath}`], { stdio: 'pipe' });
+            } catch (e) {
+                throw new Error(`SCP failed: ${e.message}`);
+            }
+
+            let attachmentId;
+            try {
+                attachmentId = parseInt(wp(['media', 'import', remotePath, `--title=${title}`, `--alt=${alt}`, '--porcelain']).split('\n').pop(), 10);
+            } catch (e) {
+                throw new Error(`WP media import failed: ${e.message}`);
+            }
+            if (!attachmentId || isNaN(attachmentId)) {
+                throw new Error('Failed to get attachment ID from import');
+            }
+
+            if (productId) {
+                if (isThumbnail) {
+                    wp(['post', 'meta', 'update', productId, '_thumbnail_id', attachmentId]);
+                } else {
+                    const gallery = wpQuiet(['post', 'meta', 'get', productId, '_product_image_gallery']);
+                    wp(['post', 'meta', 'update', productId, '_product_image_gallery', gallery ? `${gallery},${attachmentId}` : `${attachmentId}`]);
+                }
+            }
+
+            try {
+                execFileSync('ssh', ['-i', keyPath, '-p', String(ssh.port), target, remoteCommand(['rm', '-f', remotePath])], { stdio: 'pipe' });
+            } catch (e) { /* ignore */ }
+
+            return {
+                attachment_id: attachmentId,
+                url: wpQuiet(['post', 'get', attachmentId, '--field=guid']),
+                product_id: productId,
+                is_thumbnail: isThumbnail
+            };
+        }
+    };
+}
+
+/**
+ * Backend: MCP abilities (image-settings, media-upload).
+ */
+function createMcpTransport(config) {
+    const site = config.site;
+    let sessionId = null;
+    let toolNames = null;
+    let connecting = null;
+    let nextId = 1;
+
+    async function rpc(method, params, isNotification = false) {
+        const payload = { jsonrpc: '2.0', method, params };
+        if (!isNotification) payload.id = nextId++;
+
+        let response;
+        try {
+            response = await axios.post(site.url, payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json, text/event-stream',
+                    'X-MCP-API-Key': site.key,
+                    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {})
+                },
+                responseType: 'text',
+                transformResponse: [body => body]
+            });
+        } catch (e) {
+            throw new Error(`MCP ${method} failed: ${httpError(e)}`);
+        }
+
+        if (response.headers['mcp-session-id']) sessionId = response.headers['mcp-session-id'];
+        if (isNotification) return null;
+
+        const message = parseRpcBody(String(response.data || ''), payload.id, `MCP ${method} (${site.url})`);
+        if (!message) throw new Error(`MCP ${method}: empty response`);
+        if (message.error) throw new Error(`MCP ${method}: ${message.error.message}`);
+        return message.result;
+    }
+
+    // One session shared by concurrent callers (batch uploads)
+    function connect() {
+        if (!connecting) {
+            connecting = (async () => {
+                await rpc('initialize', {
+                    protocolVersion: '2025-06-18',
+                    capabilities: {},
+                    clientInfo: { name: 'hp-image-prep', version: '1.0.0' }
+                });
+                await rpc('notifications/initialized', {}, true);
+                const list = await rpc('tools/list', {});
+                toolNames = {};
+                (list.tools || []).forEach((tool) => {
+                    toolNames[tool.name.replace(/^hp-abilities[^a-z0-9]*/, '')] = tool.name;
+                });
+            })().catch((e) => {
+                connecting = null;
+                throw e;
+            });
+        }
+        return connecting;
+    }
+
+    async function callAbility(slug, args) {
+        await connect();
+        if (!toolNames[slug]) throw new Error(`${slug} is not available on ${site.name} (disabled in HP Abilities?)`);
+
+        const result = await rpc('tools/call', { name: toolNames[slug], arguments: args });
+        const text = result && result.content && result.content[0] && result.content[0].text;
+        let data;
+        try {
+            data = text ? JSON.parse(text) : result;
+        } catch (e) {
+            data = { success: false, error: text };
+        }
+        if (result.isError || data.success === false) {
+            throw new Error(`${slug} failed: ${data.error || text}`);
+        }
+        return data;
+    }
+
+    return {
+        name: 'mcp',
+        describe: () => `mcp (${site.name})`,
+
+        async getImageSettings() {
+            return normalizeSettings(await callAbility('image-settings', { action: 'get' }));
+        },
+
+        async uploadImage(localPath, { productId, isThumbnail, title, alt }) {
+            refuseProductionWrite(site);
+            const staged = await uploadInChunks(config, localPath);
+            const media = await callAbility('media-upload', {
+                server_path: staged.server_path,
+                file_name: path.basename(localPath),
+                product_id: productId,
+                is_thumbnail: isThumbnail,
+                title,
+                alt_text: alt
+            });
+            return { attachment_id: media.attachment_id, url: media.url, product_id: productId, is_thumbnail: isThumbnail };
+        }
+    };
+}
+
+/**
+ * Backend: WooCommerce REST API with consumer key/secret.
+ */
+function createRestTransport(config) {
+    const site = config.site;
+    const [consumerKey, consumerSecret] = site.key.split(':');
+
+    return {
+        name: 'rest',
+        describe: () => `rest (${site.name})`,
+
+        async getImageSettings() {
+            let response;
+            try {
+                response = await axios.get(`${siteRoot(site)}/wp-json/wc/v3/settings/hp-image-prep`, {
+                    auth: { username: consumerKey, password: consumerSecret }
+                });
+            } catch (e) {
+                throw new Error(`WooCommerce settings request failed: ${httpError(e)}`);
+            }
+
+            const raw = {};
+            (response.data || []).forEach((setting) => {
+                if (setting.id && setting.id.startsWith(SETTING_PREFIX)) raw[setting.id.slice(SETTING_PREFIX.length)] = setting.value;
+            });
+            return normalizeSettings(raw);
+        },
+
+        async uploadImage(localPath, { productId, isThumbnail, title, alt }) {
+            refuseProductionWrite(site);
+            const reply = await uploadInChunks(config, localPath, {
+                import: 1,
+                product_id: productId || 0,
+                is_thumbnail: isThumbnail ? 1 : 0,
+                title,
+                alt_text: alt
+            });
+            const media = reply.media || {};
+            return { attachment_id: media.attachment_id, url: media.url, product_id: productId, is_thumbnail: isThumbnail };
+        }
+    };
+}
+
+/**
+ * Pick our response out of a JSON or text/event-stream body. `label` names
+ * the request in the error for a body that isn't JSON (an HTML error page).
+ */
+function parseRpcBody(body, id, label) {
+    const text = body.replace(/^\uFEFF/, '').trim();
+    if (!text) return null;
+
+    if (!text.startsWith('{') && /^(event|data|id|retry):/m.test(text)) {
+        const messages = text.split(/\r?\n\r?\n/).map((event) => {
+            const data = event.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).replace(/^ /, '')).join('\n');
+            try {
+                return data ? JSON.parse(data) : null;
+            } catch (e) {
+                return null;
+            }
+        });
+        return messages.find(message => message && message.id === id) || null;
+    }
+
+    // PHP notices may come before the JSON
+    try {
+        return JSON.parse(text.slice(text.indexOf('{')));
+    } catch (e) {
+        throw new Error(`${label}: response is not JSON (${e.message}): ${text.substring(0, 200)}`);
+    }
+}
+
+module.exports = { loadTransportConfig, createTransport, TRANSPORTS };
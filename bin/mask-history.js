@@ -0,0 +1,91 @@
+/**
+ * Mask History Tool for HP Abilities
+ *
+ * edit-mask.js, mirror-edge.js, harden-edge.js, apply-bottle-shape.js and
+ * refine-edge.js overwrite the mask in place. Each of them records the
+ * operation and a snapshot of the previous mask in a journal next to it
+ * (temp/DH515-front-mask.history/, see bin/lib/mask-journal.js).
+ * This tool walks that history.
+ *
+ * Usage:
+ *   node bin/mask-history.js log <mask-path>
+ *   node bin/mask-history.js undo <mask-path> [--steps N] [--force]
+ *   node bin/mask-history.js redo <mask-path> [--steps N] [--force]
+ *   node bin/mask-history.js replay <mask-path> [--skip 2,4] [--to N] [--force]
+ *   node bin/mask-history.js clear <mask-path>
+ *
+ * Example:
+ *   # The last --left-edge value was wrong
+ *   node bin/mask-history.js undo temp/DH515-front-mask.png
+ *
+ *   # Operation 2 was wrong, but 3-5 were fine: rebuild without it
+ *   node bin/mask-history.js replay temp/DH515-front-mask.png --skip 2
+ *
+ * Commands:
+ *   log     List the operations; `applied: false` ones can be redone
+ *   undo    Restore the mask from before the last N operations
+ *   redo    Bring back N undone operations
+ *   replay  Start from the mask before the first operation and run every
+ *           applied operation again with its recorded arguments (minus --skip,
+ *           up to --to). The replayed operations become the new history.
+ *   clear   Delete the history, keeping the mask as it is
+ *
+ * --force  Proceed even if the mask was changed outside the journal
+ *          (the outside change is lost on undo/replay)
+ */
+const { loadJournal, historyDir, undo, redo, replay, clearHistory } = require('./lib/mask-journal');
+
+function describe(journal) {
+    return journal.entries.map((entry, i) => ({
+        id: entry.id,
+        tool: entry.tool,
+        args: entry.args.join(' '),
+        at: entry.at,
+        applied: i < journal.position,
+        summary: entry.summary
+    }));
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const [command, maskPath] = args;
+    const option = (name) => {
+        const i = args.indexOf(name);
+        return i >= 0 ? args[i + 1] : undefined;
+    };
+    const force = args.includes('--force');
+    const steps = option('--steps') !== undefined ? parseInt(option('--steps'), 10) : 1;
+
+    if (!['log', 'undo', 'redo', 'replay', 'clear'].includes(command) || !maskPath) {
+        throw new Error('Usage: node bin/mask-history.js log|undo|redo|replay|clear <mask-path> [--steps N] [--skip IDS] [--to ID] [--force]');
+    }
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+    }
+
+    let result;
+    if (command === 'log') {
+        const journal = loadJournal(maskPath);
+        result = { position: journal.position, operations: describe(journal) };
+    } else if (command === 'undo' || command === 'redo') {
+        const { journal, changed } = (command === 'undo' ? undo : redo)(maskPath, steps, { force });
+        result = { [command === 'undo' ? 'undone' : 'redone']: changed.map(entry => entry.id), position: journal.position, operations: describe(journal) };
+    } else if (command === 'replay') {
+        const skip = option('--skip') ? option('--skip').split(',').map(id => parseInt(id, 10)) : [];
+        const to = option('--to') !== undefined ? parseInt(option('--to'), 10) : undefined;
+        const { journal, replayed, skipped } = replay(maskPath, { skip, to, force });
+        result = { replayed, skipped, position: journal.position, operations: describe(journal) };
+    } else {
+        clearHistory(maskPath);
+        result = { cleared: true };
+    }
+
+    console.log(JSON.stringify({ success: true, command, mask: maskPath, history: historyDir(maskPath), ...result }, null, 2));
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(JSON.stringify({ success: false, error: e.message }));
+    process.exit(1);
+}
@@ -4,12 +4,21 @@
  * Mirrors one side of a product mask to the other side based on a center point.
  * This ensures geometric symmetry for items like bottles.
  * 
- * ADAPTIVE SYMMETRY: The agent should analyze BOTH edges and determine which
- * is "smoother" vs "broken" for each vertical region. Different regions may
- * need different mirror directions.
+ * ADAPTIVE SYMMETRY: By default the tool works it out itself:
+ *   - the vertical symmetry axis is estimated from the mask (median row
+ *     midpoint) and refined on the original's silhouette
+ *   - rows are split into bands (--band-height, default 40px); per band the
+ *     smoother edge becomes the mirror source, and bands whose sides already
+ *     agree are left alone
+ * Every automatic choice can be overridden: --center fixes the axis,
+ * --source-side forces one direction, --regions gives the plan by hand.
+ * Run with --dry-run first to see the detected axis and per-band plan.
  * 
  * Usage:
- *   Full height:
+ *   Automatic:
+ *     node bin/mirror-edge.js --mask mask.png --original source.png [--dry-run]
+ * 
+ *   Full height, manual:
  *     node bin/mirror-edge.js --mask mask.png --original source.png --center 390 --source-side right
  * 
  *   Specific region only:
@@ -18,13 +27,21 @@
  * Parameters:
  *   --mask         Path to the mask image (will be modified in place)
  *   --original     Path to the original source image (for sampling colors)
- *   --center       Horizontal center X coordinate of the product
- *   --source-side  Which side to use as the template: 'right' or 'left'
+ *   --center       (Optional) Horizontal center X coordinate of the product (default: detected)
+ *   --source-side  (Optional) Which side to use as the template: 'right', 'left' or 'auto' (default)
  *   --target-side  (Optional) Which side to fix, defaults to opposite of source
  *   --from-row     (Optional) Start row for regional mirroring (0 = top)
  *   --to-row       (Optional) End row for regional mirroring (exclusive)
+ *   --regions      (Optional) Manual plan, e.g. "0-200:right,200-480:left,480-600:none"
+ *   --band-height  (Optional) Rows per band for automatic direction (default: 40)
+ *   --tolerance    (Optional) Bands whose sides differ by <= this many px are left alone (default: 2)
+ *   --dry-run      Print the detected axis and plan without changing the mask
+ *   --no-journal   Don't record the edit (see bin/mask-history.js for undo/redo)
  * 
  * Examples:
+ *   # Let the tool pick axis and direction per band
+ *   node bin/mirror-edge.js --mask temp/mask.png --original temp/input.png
+ * 
  *   # Mirror right edge to left for entire image
  *   node bin/mirror-edge.js --mask temp/mask.png --original temp/input.png --center 390 --source-side right
  * 
@@ -35,8 +52,84 @@
  *   node bin/mirror-edge.js --mask temp/mask.png --original temp/input.png --center 390 --source-side left --from-row 600 --to-row 750
  */
 
-const fs = require('fs');
 const sharp = require('sharp');
+const { rowEdges, estimateAxis, planBands, parseRegions, ALPHA_THRESHOLD } = require('./lib/symmetry');
+const { beginEdit } = require('./lib/mask-journal');
+
+/**
+ * Mirror one row's source edge onto the target side. Returns pixels changed.
+ */
+function mirrorRow(maskData, origData, width, y, centerX, source_side, target_side) {
+    let pixelsChanged = 0;
+    let sourceEdgeX = -1;
+    
+    if (source_side === 'right') {
+        // Find right edge (scanning from right to center)
+        for (let x = width - 1; x >= centerX; x--) {
+            if (maskData[(y * width + x) * 4 + 3] > ALPHA_THRESHOLD) {
+                sourceEdgeX = x;
+                break;
+            }
+        }
+    } else {
+        // Find left edge (scanning from left to center)
+        for (let x = 0; x <= centerX; x++) {
+            if (maskData[(y * width + x) * 4 + 3] > ALPHA_THRESHOLD) {
+                sourceEdgeX = x;
+                break;
+            }
+        }
+    }
+
+    if (sourceEdgeX === -1) return 0;
+
+    const distFromCenter = Math.abs(sourceEdgeX - centerX);
+    const targetEdgeX = target_side === 'left' ? centerX - distFromCenter : centerX + distFromCenter;
+
+    if (target_side === 'left') {
+        // Mirror to left: fill from targetEdgeX towards center
+        for (let x = targetEdgeX; x < centerX; x++) {
+            const idx = (y * width + x) * 4;
+            if (x >= 0 && x < width) {
+                maskData[idx] = origData[idx];
+                maskData[idx + 1] = origData[idx + 1];
+                maskData[idx + 2] = origData[idx + 2];
+                maskData[idx + 3] = 255;
+                pixelsChanged++;
+            }
+        }
+        // Clear anything to the left of the new target edge
+        for (let x = 0; x < targetEdgeX; x++) {
+            const idx = (y * width + x) * 4;
+            if (maskData[idx + 3] > 0) {
+                maskData[idx + 3] = 0;
+                pixelsChanged++;
+            }
+        }
+    } else {
+        // Mirror to right: fill from center towards targetEdgeX
+        for (let x = centerX; x <= targetEdgeX; x++) {
+            const idx = (y * width + x) * 4;
+            if (x >= 0 && x < width) {
+                maskData[idx] = origData[idx];
+                maskData[idx + 1] = origData[idx + 1];
+                maskData[idx + 2] = origData[idx + 2];
+                maskData[idx + 3] = 255;
+                pixelsChanged++;
+            }
+        }
+        // Clear anything to the right of the new target edge
+        for (let x = targetEdgeX + 1; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            if (maskData[idx + 3] > 0) {
+                maskData[idx + 3] = 0;
+                pixelsChanged++;
+            }
+        }
+    }
+
+    return pixelsChanged;
+}
 
 async function mirrorEdge() {
     const args = process.argv.slice(2);
@@ -44,18 +137,19 @@ async function mirrorEdge() {
     for (let i = 0; i < args.length; i++) {
         if (args[i].startsWith('--')) {
             const key = args[i].replace('--', '').replace(/-/g, '_');
-            params[key] = args[i + 1];
-            i++;
+            if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+                params[key] = args[i + 1];
+                i++;
+            } else {
+                params[key] = true;
+            }
         }
     }
 
-    const { mask, original, center, source_side = 'right', from_row, to_row } = params;
-    // Target side defaults to opposite of source
-    const target_side = params.target_side || (source_side === 'right' ? 'left' : 'right');
-    const centerX = parseInt(center, 10);
+    const { mask, original, center, source_side = 'auto', from_row, to_row, regions, dry_run } = params;
 
-    if (!mask || !original || !center) {
-        console.error('Usage: node bin/mirror-edge.js --mask <path> --original <path> --center <x> [--source-side right] [--from-row Y] [--to-row Z]');
+    if (!mask || !original) {
+        console.error('Usage: node bin/mirror-edge.js --mask <path> --original <path> [--center <x>] [--source-side auto|right|left] [--from-row Y] [--to-row Z] [--regions SPEC] [--dry-run]');
         process.exit(1);
     }
 
@@ -67,89 +161,75 @@ async function mirrorEdge() {
         // Parse row range, defaulting to full height
         const startRow = from_row ? parseInt(from_row, 10) : 0;
         const endRow = to_row ? parseInt(to_row, 10) : height;
+        const edges = rowEdges(maskData, width, height);
 
-        console.error(`Mirroring ${source_side} edge to ${target_side} around x=${centerX}`);
-        console.error(`Row range: ${startRow} to ${endRow} (of ${height})`);
+        // Axis: --center wins, otherwise detected
+        let axis = null;
+        let centerX;
+        if (center !== undefined) {
+            centerX = parseInt(center, 10);
+        } else {
+            axis = estimateAxis(maskData, width, height, origData, { edges, fromRow: startRow, toRow: endRow });
+            if (!axis) throw new Error('Mask is empty in the selected rows - nothing to mirror');
+            centerX = axis.center;
+            console.error(`Detected axis x=${centerX} (mask midline ${axis.mask_center}, confidence ${axis.confidence})`);
+        }
+
+        // Plan: --regions, a forced --source-side, or per-band detection
+        let plan;
+        if (regions) {
+            plan = parseRegions(regions);
+        } else if (source_side !== 'auto') {
+            plan = [{ from: startRow, to: endRow, source_side }];
+        } else {
+            plan = planBands(edges, centerX, {
+                fromRow: startRow,
+                toRow: endRow,
+                bandHeight: parseInt(params.band_height, 10) || 40,
+                tolerance: params.tolerance !== undefined ? parseFloat(params.tolerance) : 2
+            });
+        }
 
         let pixelsChanged = 0;
+        const applied = plan.map((region) => {
+            // Target side defaults to opposite of source
+            const target_side = region.source_side === 'none' ? 'none'
+                : (params.target_side && source_side !== 'auto' ? params.target_side : (region.source_side === 'right' ? 'left' : 'right'));
+            let changed = 0;
 
-        for (let y = startRow; y < endRow && y < height; y++) {
-            let sourceEdgeX = -1;
-            
-            if (source_side === 'right') {
-                // Find right edge (scanning from right to center)
-                for (let x = width - 1; x >= centerX; x--) {
-                    if (maskData[(y * width + x) * 4 + 3] > 128) {
-                        sourceEdgeX = x;
-                        break;
-                    }
-                }
-            } else {
-                // Find left edge (scanning from left to center)
-                for (let x = 0; x <= centerX; x++) {
-                    if (maskData[(y * width + x) * 4 + 3] > 128) {
-                        sourceEdgeX = x;
-                        break;
+            if (region.source_side !== 'none') {
+                console.error(`Mirroring ${region.source_side} edge to ${target_side} around x=${centerX}, rows ${region.from} to ${region.to}`);
+                if (!dry_run) {
+                    for (let y = Math.max(0, region.from); y < region.to && y < height; y++) {
+                        changed += mirrorRow(maskData, origData, width, y, centerX, region.source_side, target_side);
                     }
                 }
             }
 
-            if (sourceEdgeX !== -1) {
-                const distFromCenter = Math.abs(sourceEdgeX - centerX);
-                const targetEdgeX = target_side === 'left' ? centerX - distFromCenter : centerX + distFromCenter;
-
-                if (target_side === 'left') {
-                    // Mirror to left: fill from targetEdgeX towards center
-                    for (let x = targetEdgeX; x < centerX; x++) {
-                        const idx = (y * width + x) * 4;
-                        if (x >= 0 && x < width) {
-                            maskData[idx] = origData[idx];
-                            maskData[idx + 1] = origData[idx + 1];
-                            maskData[idx + 2] = origData[idx + 2];
-                            maskData[idx + 3] = 255;
-                            pixelsChanged++;
-                        }
-                    }
-                    // Clear anything to the left of the new target edge
-                    for (let x = 0; x < targetEdgeX; x++) {
-                        const idx = (y * width + x) * 4;
-                        if (maskData[idx + 3] > 0) {
-                            maskData[idx + 3] = 0;
-                            pixelsChanged++;
-                        }
-                    }
-                } else {
-                    // Mirror to right: fill from center towards targetEdgeX
-                    for (let x = centerX; x <= targetEdgeX; x++) {
-                        const idx = (y * width + x) * 4;
-                        if (x >= 0 && x < width) {
-                            maskData[idx] = origData[idx];
-                            maskData[idx + 1] = origData[idx + 1];
-                            maskData[idx + 2] = origData[idx + 2];
-                            maskData[idx + 3] = 255;
-                            pixelsChanged++;
-                        }
-                    }
-                    // Clear anything to the right of the new target edge
-                    for (let x = targetEdgeX + 1; x < width; x++) {
-                        const idx = (y * width + x) * 4;
-                        if (maskData[idx + 3] > 0) {
-                            maskData[idx + 3] = 0;
-                            pixelsChanged++;
-                        }
-                    }
-                }
-            }
+            pixelsChanged += changed;
+            return { ...region, target_side, pixels_changed: changed };
+        });
+
+        let entry = null;
+        if (!dry_run) {
+            const journal = beginEdit(mask, 'mirror-edge', args);
+            await sharp(maskData, { raw: { width, height, channels: 4 } }).png().toFile(mask);
+            entry = journal.commit({ pixels_changed: pixelsChanged, center: centerX });
         }
 
-        await sharp(maskData, { raw: { width, height, channels: 4 } }).png().toFile(mask);
+        const mirrored = applied.filter(region => region.source_side !== 'none');
         console.log(JSON.stringify({ 
             success: true, 
+            dry_run: !!dry_run,
             pixels_changed: pixelsChanged,
             row_range: { from: startRow, to: endRow },
-            source_side,
-            target_side,
-            center: centerX
+            // Single-direction runs keep the original flat output
+            source_side: mirrored.length === 1 ? mirrored[0].source_side : (mirrored.length ? 'mixed' : 'none'),
+            target_side: mirrored.length === 1 ? mirrored[0].target_side : (mirrored.length ? 'mixed' : 'none'),
+            center: centerX,
+            center_detected: axis,
+            regions: applied,
+            journal_id: entry ? entry.id : null
         }));
 
     } catch (error) {
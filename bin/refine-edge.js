@@ -0,0 +1,80 @@
+/**
+ * Refine Edge Tool for HP Abilities
+ *
+ * Replaces the stair-stepped hard outline left by harden-edge.js (or
+ * applyAggressiveness) with a smooth, anti-aliased one, and removes
+ * background colour from the edge pixels (see bin/lib/edge-refine.js).
+ * The result looks clean on both dark and light storefront themes.
+ *
+ * image-prep.js runs the same pass on the final resized image
+ * (--edge-ramp 0 to turn it off), so use this tool to preview the edge
+ * on a mask, e.g. followed by view-on-black.js.
+ *
+ * Usage:
+ *   node bin/refine-edge.js <mask-path> [--ramp 1.5] [--smooth 1] [--depth 2] [--no-decontaminate] [--output PATH]
+ *
+ * Example:
+ *   node bin/harden-edge.js temp/DH515-front-mask.png temp/DH515-front-input.png
+ *   node bin/refine-edge.js temp/DH515-front-mask.png
+ *
+ * Options:
+ *   --ramp N            Width of the alpha ramp across the edge (default: 1.5px)
+ *   --smooth N          How strongly the staircase is smoothed (Gaussian sigma, default: 1px)
+ *   --depth N           How far inside the edge colours are replaced by interior colours (default: 2px)
+ *   --no-decontaminate  Keep the edge colours as they are
+ *   --output PATH       Write here instead of editing the mask in place
+ *   --no-journal        Don't record the edit (see bin/mask-history.js for undo/redo)
+ */
+const sharp = require('sharp');
+const { refineEdges } = require('./lib/edge-refine');
+const { beginEdit } = require('./lib/mask-journal');
+
+async function refineEdge() {
+    const args = process.argv.slice(2);
+    const maskPath = args[0];
+    const option = (name, fallback) => {
+        const i = args.indexOf(name);
+        return i >= 0 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+    };
+
+    if (!maskPath || maskPath.startsWith('--')) {
+        throw new Error('Usage: node bin/refine-edge.js <mask> [--ramp 1.5] [--smooth 1] [--depth 2] [--no-decontaminate] [--output PATH]');
+    }
+
+    const ramp = parseFloat(option('--ramp', '1.5'));
+    const smooth = parseFloat(option('--smooth', '1'));
+    const depth = parseFloat(option('--depth', '2'));
+    const outputPath = option('--output', maskPath);
+    if ([ramp, smooth, depth].some(value => !Number.isFinite(value) || value < 0)) {
+        throw new Error('--ramp, --smooth and --depth must be numbers >= 0');
+    }
+
+    const { data, info } = await sharp(maskPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    const { data: refined, stats } = refineEdges(data, width, height, {
+        ramp,
+        smooth,
+        depth,
+        decontaminate: !args.includes('--no-decontaminate')
+    });
+
+    const journal = outputPath === maskPath ? beginEdit(maskPath, 'refine-edge', args) : { commit: () => null };
+    await sharp(refined, { raw: { width, height, channels: 4 } })
+        .png()
+        .toFile(outputPath);
+    const entry = journal.commit(stats);
+
+    console.log(JSON.stringify({
+        success: true,
+        mask: maskPath,
+        output: outputPath,
+        ...stats,
+        journal_id: entry ? entry.id : null
+    }));
+}
+
+refineEdge().catch((e) => {
+    console.error(JSON.stringify({ success: false, error: e.message }));
+    process.exit(1);
+});
@@ -2,7 +2,7 @@
 /**
  * Plugin Name:       HP Abilities
  * Description:       Exposes WooCommerce capabilities via the WordPress Abilities API for AI agent integrations.
- * Version:           1.0.1
+ * Version:           1.25.0
  * Requires at least: 6.9
  * Requires PHP:      7.4
  * Author:            Holistic People
@@ -14,7 +14,7 @@ if (!defined('ABSPATH')) {
     exit;
 }
 
-define('HP_ABILITIES_VERSION', '1.0.1');
+define('HP_ABILITIES_VERSION', '1.25.0');
 define('HP_ABILITIES_FILE', __FILE__);
 define('HP_ABILITIES_PATH', plugin_dir_path(__FILE__));
 define('HP_ABILITIES_URL', plugin_dir_url(__FILE__));
@@ -696,7 +696,7 @@ class ProductManager
      * 
      * Supports three input methods:
      * 1. url - Sideload from a remote URL (best for public images)
-     * 2. server_path - Import from a path on the server (for SCP'd files)
+     * 2. server_path - Import from a path on the server (SCP'd or staged by hp-local-upload-file)
      * 3. file_content - Base64 encoded content (legacy, for small files)
      */
     public static function uploadMedia(array $input): array
@@ -753,11 +753,19 @@ class ProductManager
                 '/tmp/',
                 '/www/',
                 wp_upload_dir()['basedir'],
+                \HP_Abilities\Utils\ChunkedUpload::get_upload_dir(),
             ];
             
+            // Compare resolved paths, so "../" and symlinks can't leave the allowed directories
+            $real_path = realpath($server_path);
+            if ($real_path === false || !is_file($real_path)) {
+                return ['success' => false, 'error' => sprintf(__('File not found: %s', 'hp-abilities'), $server_path), 'method' => $method];
+            }
+
             $path_allowed = false;
             foreach ($allowed_prefixes as $prefix) {
-                if (strpos($server_path, $prefix) === 0) {
+                $real_prefix = realpath($prefix);
+                if ($real_prefix !== false && strpos($real_path, trailingslashit($real_prefix)) === 0) {
                     $path_allowed = true;
                     break;
                 }
@@ -766,20 +774,16 @@ class ProductManager
             if (!$path_allowed) {
                 return ['success' => false, 'error' => __('Server path not in allowed directories (tmp, www, uploads)', 'hp-abilities'), 'method' => $method];
             }
-            
-            if (!file_exists($server_path)) {
-                return ['success' => false, 'error' => sprintf(__('File not found: %s', 'hp-abilities'), $server_path), 'method' => $method];
-            }
 
             // Read file and upload
-            $file_data = file_get_contents($server_path);
+            $file_data = file_get_contents($real_path);
             if ($file_data === false) {
                 return ['success' => false, 'error' => __('Could not read server file', 'hp-abilities'), 'method' => $method];
             }
 
             // Use server file's name if not provided
             if ($file_name === 'upload.png') {
-                $file_name = sanitize_file_name(basename($server_path));
+                $file_name = sanitize_file_name(basename($real_path));
             }
 
             $upload = wp_upload_bits($file_name, null, $file_data);
@@ -787,6 +791,11 @@ class ProductManager
                 return ['success' => false, 'error' => $upload['error'], 'method' => $method];
             }
 
+            // Staged bridge uploads are copied into uploads now - drop the temp file
+            if (\HP_Abilities\Utils\ChunkedUpload::is_staged_file($real_path)) {
+                @unlink($real_path);
+            }
+
             $final_path = $upload['file'];
             $file_url = $upload['url'];
             $file_type = wp_check_filetype($final_path, null);
@@ -890,6 +899,8 @@ class ProductManager
                 'padding'           => (float) get_option('hp_abilities_image_padding', 0.05),
                 'aggressiveness'    => (int) get_option('hp_abilities_image_aggressiveness', 50),
                 'naming'            => get_option('hp_abilities_image_naming', '{sku}-{angle}'),
+                'renditions'        => self::get_renditions(),
+                'presets'           => self::get_presets(),
                 'correction_prompt' => get_option('hp_abilities_image_correction_prompt', \HP_Abilities\Plugin::get_default_correction_prompt()),
             ];
         }
@@ -921,6 +932,16 @@ class ProductManager
                 $updated['naming'] = $val;
             }
 
+            if (isset($input['renditions'])) {
+                update_option('hp_abilities_image_renditions', self::sanitize_renditions($input['renditions']));
+                $updated['renditions'] = self::get_renditions();
+            }
+
+            if (isset($input['presets'])) {
+                update_option('hp_abilities_image_presets', self::sanitize_presets($input['presets']));
+                $updated['presets'] = self::get_presets();
+            }
+
             if (isset($input['correction_prompt'])) {
                 $val = wp_kses_post($input['correction_prompt']);
                 update_option('hp_abilities_image_correction_prompt', $val);
@@ -935,6 +956,8 @@ class ProductManager
                     'padding'           => (float) get_option('hp_abilities_image_padding', 0.05),
                     'aggressiveness'    => (int) get_option('hp_abilities_image_aggressiveness', 50),
                     'naming'            => get_option('hp_abilities_image_naming', '{sku}-{angle}'),
+                    'renditions'        => self::get_renditions(),
+                    'presets'           => self::get_presets(),
                     'correction_prompt' => get_option('hp_abilities_image_correction_prompt', \HP_Abilities\Plugin::get_default_correction_prompt()),
                 ],
             ];
@@ -945,4 +968,125 @@ class ProductManager
             'error'   => __('Invalid action. Use "get" or "set".', 'hp-abilities'),
         ];
     }
+
+    /**
+     * The stored output renditions, decoded.
+     */
+    private static function get_renditions(): array
+    {
+        $renditions = json_decode(get_option('hp_abilities_image_renditions', \HP_Abilities\Plugin::get_default_renditions()), true);
+        return is_array($renditions) ? $renditions : [];
+    }
+
+    /**
+     * Sanitize an output rendition list (JSON string or array) into its stored
+     * JSON form. Entries without a valid name or format, and repeated names,
+     * are dropped; unparsable JSON keeps the current value.
+     */
+    public static function sanitize_renditions($value): string
+    {
+        $list = is_string($value) ? json_decode($value, true) : $value;
+        if (!is_array($list)) {
+            return get_option('hp_abilities_image_renditions', \HP_Abilities\Plugin::get_default_renditions());
+        }
+
+        $renditions = [];
+        foreach ($list as $spec) {
+            if (!is_array($spec)) {
+                continue;
+            }
+            $name   = isset($spec['name']) ? preg_replace('/[^a-z0-9_-]/', '', strtolower((string) $spec['name'])) : '';
+            $format = isset($spec['format']) ? strtolower((string) $spec['format']) : '';
+            $format = $format === 'jpg' ? 'jpeg' : $format;
+            if ($name === '' || isset($renditions[$name]) || !in_array($format, ['png', 'webp', 'avif', 'jpeg'], true)) {
+                continue;
+            }
+
+            $rendition = ['name' => $name, 'format' => $format];
+            if (!empty($spec['size'])) {
+                $rendition['size'] = max(16, min(2400, absint($spec['size'])));
+            }
+            if (isset($spec['quality']) && $format !== 'png') {
+                $rendition['quality'] = max(1, min(100, absint($spec['quality'])));
+            }
+            if (!empty($spec['background']) && sanitize_hex_color($spec['background'])) {
+                $rendition['background'] = strtolower(sanitize_hex_color($spec['background']));
+            }
+            $renditions[$name] = $rendition;
+        }
+
+        return wp_json_encode(array_values($renditions));
+    }
+
+    /**
+     * The stored composition presets, decoded (an object even when empty).
+     */
+    private static function get_presets(): object
+    {
+        $presets = json_decode(get_option('hp_abilities_image_presets', \HP_Abilities\Plugin::get_default_presets()), true);
+        return (object) (is_array($presets) ? $presets : []);
+    }
+
+    /**
+     * Sanitize composition presets (JSON string or array of name => preset)
+     * into their stored JSON form. Unknown keys are dropped, numbers clamped;
+     * unparsable JSON keeps the current value.
+     */
+    public static function sanitize_presets($value): string
+    {
+        $list = is_string($value) ? json_decode($value, true) : json_decode(wp_json_encode($value), true);
+        if (!is_array($list)) {
+            return get_option('hp_abilities_image_presets', \HP_Abilities\Plugin::get_default_presets());
+        }
+
+        $effects = [
+            'shadow'     => ['opacity', 'width', 'height', 'blur'],
+            'reflection' => ['opacity', 'height', 'gap'],
+        ];
+        $presets = [];
+        foreach ($list as $name => $spec) {
+            $name = preg_replace('/[^a-z0-9_-]/', '', strtolower((string) $name));
+            if ($name === '' || !is_array($spec)) {
+                continue;
+            }
+
+            $preset = [];
+            if (isset($spec['background']) && is_string($spec['background']) && sanitize_hex_color($spec['background'])) {
+                $preset['background'] = strtolower($spec['background']);
+            } elseif (isset($spec['background']['from'], $spec['background']['to'])
+                && sanitize_hex_color($spec['background']['from']) && sanitize_hex_color($spec['background']['to'])) {
+                $preset['background'] = [
+                    'from' => strtolower($spec['background']['from']),
+                    'to'   => strtolower($spec['background']['to']),
+                ];
+            }
+            if (isset($spec['align']) && in_array($spec['align'], ['center', 'bottom'], true)) {
+                $preset['align'] = $spec['align'];
+            }
+            if (isset($spec['bottom'])) {
+                $preset['bottom'] = max(0, min(0.5, floatval($spec['bottom'])));
+            }
+            foreach ($effects as $effect => $keys) {
+                if (empty($spec[$effect])) {
+                    continue;
+                }
+                if (!is_array($spec[$effect])) {
+                    $preset[$effect] = true;
+                    continue;
+                }
+                $preset[$effect] = [];
+                foreach ($keys as $key) {
+                    if (isset($spec[$effect][$key])) {
+                        $preset[$effect][$key] = max(0, min(1, floatval($spec[$effect][$key])));
+                    }
+                }
+                if (!$preset[$effect]) {
+                    $preset[$effect] = true;
+                }
+            }
+            $presets[$name] = (object) $preset;
+        }
+
+        return wp_json_encode((object) $presets);
+    }
 }
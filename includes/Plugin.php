@@ -29,6 +29,16 @@ class Plugin
             \HP_Abilities\Utils\GMCFixer::init();
         }
 
+        // Chunked upload endpoint for the bridge's hp-local-upload-file
+        if (class_exists('\HP_Abilities\Utils\ChunkedUpload')) {
+            \HP_Abilities\Utils\ChunkedUpload::init();
+        }
+
+        // Image settings over the WooCommerce REST API for image-prep.js
+        if (class_exists('\HP_Abilities\Utils\ImageSettingsRest')) {
+            \HP_Abilities\Utils\ImageSettingsRest::init();
+        }
+
         // Core WordPress 6.9+ hook names
         add_action('wp_abilities_api_categories_init', [self::class, 'register_ability_categories']);
         add_action('wp_abilities_api_init', [self::class, 'register_abilities']);
@@ -45,8 +55,12 @@ class Plugin
         add_action('admin_menu', [self::class, 'register_settings_page']);
         add_action('admin_init', [self::class, 'register_plugin_settings']);
 
-        // Enqueue Yoast compliance script
-        add_action('admin_enqueue_scripts', [self::class, 'enqueue_yoast_compliance_script']);
+        // Live GMC compliance checks: in the Yoast analysis, or a standalone panel without it
+        add_action('admin_enqueue_scripts', [self::class, 'enqueue_gmc_compliance_scripts']);
+        add_action('add_meta_boxes', [self::class, 'register_gmc_compliance_metabox']);
+
+        // Registered Abilities dashboard on the settings page
+        add_action('admin_enqueue_scripts', [self::class, 'enqueue_settings_page_scripts']);
 
         // AJAX handlers
         add_action('wp_ajax_hp_toggle_ability', [self::class, 'ajax_toggle_ability']);
@@ -57,31 +71,109 @@ class Plugin
     }
 
     /**
-     * Enqueue Yoast compliance script in the admin.
+     * Post types whose edit screen gets the live GMC compliance checks.
+     */
+    public static function get_gmc_compliance_post_types(): array
+    {
+        return (array) apply_filters('hp_abilities_gmc_compliance_post_types', ['product', 'hp-funnel']);
+    }
+
+    /**
+     * Whether Yoast runs its content analysis on this post type's edit screen.
+     */
+    public static function is_yoast_analysis_active(string $post_type): bool
+    {
+        if (!defined('WPSEO_VERSION')) {
+            return false;
+        }
+        if (!class_exists('\WPSEO_Options')) {
+            return true;
+        }
+        return \WPSEO_Options::get('content_analysis_active', true)
+            && \WPSEO_Options::get('display-metabox-pt-' . $post_type, true);
+    }
+
+    /**
+     * Enqueue the GMC compliance checks on post edit pages: as a Yoast
+     * assessment when Yoast analyses the post type, otherwise as the
+     * standalone panel (block editor sidebar or classic metabox). Both share
+     * the checks in gmc-compliance.js and the rule data.
      */
-    public static function enqueue_yoast_compliance_script($hook): void
+    public static function enqueue_gmc_compliance_scripts($hook): void
     {
         // Only load on post edit pages
         if (!in_array($hook, ['post.php', 'post-new.php'])) {
             return;
         }
 
-        // Only for products
-        if (get_post_type() !== 'product') {
+        $post_type = (string) get_post_type();
+        if (!in_array($post_type, self::get_gmc_compliance_post_types(), true)) {
             return;
         }
 
         wp_enqueue_script(
-            'hp-yoast-gmc-compliance',
-            plugins_url('assets/js/yoast-gmc-compliance.js', HP_ABILITIES_FILE),
-            ['jquery'],
+            'hp-gmc-compliance',
+            plugins_url('assets/js/gmc-compliance.js', HP_ABILITIES_FILE),
+            [],
             HP_ABILITIES_VERSION,
             true
         );
 
-        wp_localize_script('hp-yoast-gmc-compliance', 'hpGmcComplianceData', [
-            'forbiddenKeywords' => \HP_Abilities\Utils\GMCValidator::get_forbidden_keywords()
+        wp_localize_script('hp-gmc-compliance', 'hpGmcComplianceData', [
+            'claimRules' => \HP_Abilities\Utils\GMCValidator::get_claim_rules()
         ]);
+
+        if (self::is_yoast_analysis_active($post_type)) {
+            wp_enqueue_script(
+                'hp-yoast-gmc-compliance',
+                plugins_url('assets/js/yoast-gmc-compliance.js', HP_ABILITIES_FILE),
+                ['hp-gmc-compliance'],
+                HP_ABILITIES_VERSION,
+                true
+            );
+            return;
+        }
+
+        $deps = ['hp-gmc-compliance', 'jquery'];
+        if (use_block_editor_for_post_type($post_type)) {
+            $deps = array_merge($deps, ['wp-plugins', 'wp-element', 'wp-data', 'wp-edit-post']);
+        }
+        wp_enqueue_script(
+            'hp-gmc-compliance-panel',
+            plugins_url('assets/js/gmc-compliance-panel.js', HP_ABILITIES_FILE),
+            $deps,
+            HP_ABILITIES_VERSION,
+            true
+        );
+    }
+
+    /**
+     * The classic editor's GMC Compliance metabox, when Yoast doesn't analyse
+     * the post type. The block editor shows the sidebar panel instead.
+     */
+    public static function register_gmc_compliance_metabox(string $post_type): void
+    {
+        if (!in_array($post_type, self::get_gmc_compliance_post_types(), true) || self::is_yoast_analysis_active($post_type)) {
+            return;
+        }
+
+        add_meta_box(
+            'hp-gmc-compliance',
+            __('GMC Compliance', 'hp-abilities'),
+            [self::class, 'render_gmc_compliance_metabox'],
+            $post_type,
+            'side',
+            'default',
+            ['__back_compat_meta_box' => true]
+        );
+    }
+
+    /**
+     * Metabox placeholder, filled by gmc-compliance-panel.js.
+     */
+    public static function render_gmc_compliance_metabox(): void
+    {
+        echo '<div id="hp-gmc-compliance-panel"><p class="description">' . esc_html__('Checking GMC compliance…', 'hp-abilities') . '</p></div>';
     }
 
     /**
@@ -107,7 +199,31 @@ class Plugin
     }
 
     /**
-     * AJAX handler to toggle ability state.
+     * Enqueue the abilities dashboard script on the settings page.
+     */
+    public static function enqueue_settings_page_scripts($hook): void
+    {
+        if ($hook !== 'settings_page_hp-abilities') {
+            return;
+        }
+
+        wp_enqueue_script(
+            'hp-abilities-dashboard',
+            plugins_url('assets/js/abilities-dashboard.js', HP_ABILITIES_FILE),
+            ['jquery'],
+            HP_ABILITIES_VERSION,
+            true
+        );
+
+        wp_localize_script('hp-abilities-dashboard', 'hpAbilitiesDashboard', [
+            'toggleNonce' => wp_create_nonce('hp_abilities_toggle'),
+            'healthNonce' => wp_create_nonce('hp_abilities_health'),
+        ]);
+    }
+
+    /**
+     * AJAX handler to enable or mute abilities: one (ability_id) or many
+     * (ability_ids[]) in a single request.
      */
     public static function ajax_toggle_ability(): void
     {
@@ -117,25 +233,24 @@ class Plugin
             wp_send_json_error('Unauthorized');
         }
 
-        $ability_id = sanitize_text_field($_POST['ability_id'] ?? '');
+        $ability_ids = isset($_POST['ability_ids']) ? (array) wp_unslash($_POST['ability_ids']) : [wp_unslash($_POST['ability_id'] ?? '')];
+        $ability_ids = array_values(array_unique(array_filter(array_map('sanitize_text_field', $ability_ids))));
         $enabled = (bool)($_POST['enabled'] ?? false);
 
-        if (empty($ability_id)) {
+        if (empty($ability_ids)) {
             wp_send_json_error('Missing ability ID');
         }
 
-        $disabled_list = get_option('hp_abilities_disabled_list', []);
+        $disabled_list = (array) get_option('hp_abilities_disabled_list', []);
         
         if ($enabled) {
-            $disabled_list = array_diff($disabled_list, [$ability_id]);
+            $disabled_list = array_diff($disabled_list, $ability_ids);
         } else {
-            if (!in_array($ability_id, $disabled_list)) {
-                $disabled_list[] = $ability_id;
-            }
+            $disabled_list = array_unique(array_merge($disabled_list, $ability_ids));
         }
 
         update_option('hp_abilities_disabled_list', array_values($disabled_list));
-        wp_send_json_success(['ability_id' => $ability_id, 'enabled' => $enabled]);
+        wp_send_json_success(['ability_ids' => $ability_ids, 'enabled' => $enabled]);
     }
 
     /**
@@ -154,17 +269,37 @@ class Plugin
             wp_send_json_error('Missing_ability_ID');
         }
 
-        $registry = \WP_Abilities_Registry::get_instance();
-        $ability = $registry->get_registered($ability_id);
+        $health = self::check_ability_health($ability_id);
+        if ($health === null) {
+            wp_send_json_error('Ability not found');
+        }
+
+        wp_send_json_success($health);
+    }
 
+    /**
+     * Check that an ability can run: its callback is callable and the class
+     * behind it (HP_RW for the funnel tools) is loaded. The result is kept in
+     * an option of its own per ability (get_ability_health()) for the settings
+     * page, so checks running at the same time don't overwrite each other.
+     *
+     * @return array|null ['status' => ok|error, 'message', 'details' => [], 'checked_at' => Unix time], null if not registered.
+     */
+    public static function check_ability_health(string $ability_id): ?array
+    {
+        if (!class_exists('\WP_Abilities_Registry')) {
+            return null;
+        }
+        $ability = \WP_Abilities_Registry::get_instance()->get_registered($ability_id);
         if (!$ability) {
-            wp_send_json_error('Ability not found');
+            return null;
         }
 
         $health = [
             'status' => 'ok',
             'message' => 'Active',
-            'details' => []
+            'details' => [],
+            'checked_at' => time()
         ];
 
         // 1. Check callback using reflection for protected property
@@ -189,7 +324,38 @@ class Plugin
             }
         }
 
-        wp_send_json_success($health);
+        if (is_array($callback)) {
+            $health['details'][] = 'Callback: ' . (is_string($callback[0]) ? $callback[0] : get_class($callback[0])) . '::' . $callback[1];
+        } elseif (is_string($callback)) {
+            $health['details'][] = 'Callback: ' . $callback;
+        }
+        $health['details'][] = 'Category: ' . $ability->get_category();
+        if (in_array($ability_id, (array) get_option('hp_abilities_disabled_list', []), true)) {
+            $health['details'][] = 'Muted: not offered over MCP';
+        }
+
+        update_option(self::get_health_option_name($ability_id), $health, false);
+
+        return $health;
+    }
+
+    /**
+     * Get the result of the last check_ability_health() of an ability.
+     *
+     * @return array|null The health array, null if never checked.
+     */
+    public static function get_ability_health(string $ability_id): ?array
+    {
+        $health = get_option(self::get_health_option_name($ability_id), null);
+        return is_array($health) ? $health : null;
+    }
+
+    /**
+     * Option holding the health check result of one ability.
+     */
+    private static function get_health_option_name(string $ability_id): string
+    {
+        return 'hp_abilities_health_' . md5($ability_id);
     }
 
     /**
@@ -235,6 +401,16 @@ class Plugin
             'default'           => '{sku}-{angle}',
             'sanitize_callback' => 'sanitize_text_field',
         ]);
+        register_setting('hp_abilities_settings', 'hp_abilities_image_renditions', [
+            'type'              => 'string',
+            'default'           => self::get_default_renditions(),
+            'sanitize_callback' => [ProductManager::class, 'sanitize_renditions'],
+        ]);
+        register_setting('hp_abilities_settings', 'hp_abilities_image_presets', [
+            'type'              => 'string',
+            'default'           => self::get_default_presets(),
+            'sanitize_callback' => [ProductManager::class, 'sanitize_presets'],
+        ]);
         register_setting('hp_abilities_settings', 'hp_abilities_image_correction_prompt', [
             'type'              => 'string',
             'default'           => self::get_default_correction_prompt(),
@@ -242,6 +418,27 @@ class Plugin
         ]);
     }
 
+    /**
+     * Get the default output renditions for image-prep.js (JSON list, see bin/lib/renditions.js):
+     * none, only the transparent PNG is written until renditions are configured.
+     */
+    public static function get_default_renditions(): string
+    {
+        return wp_json_encode([]);
+    }
+
+    /**
+     * Get the default composition presets for image-prep.js --preset (JSON object, see bin/lib/compose.js).
+     */
+    public static function get_default_presets(): string
+    {
+        return wp_json_encode([
+            'studio-white' => ['background' => '#ffffff', 'align' => 'bottom', 'shadow' => true],
+            'catalog-row'  => ['align' => 'bottom'],
+            'showroom'     => ['background' => ['from' => '#ffffff', 'to' => '#ececec'], 'align' => 'bottom', 'bottom' => 0.12, 'reflection' => true],
+        ]);
+    }
+
     /**
      * Get the default mask correction prompt for agents.
      */
@@ -264,35 +461,33 @@ Example scenarios:
 - Top-left broken but bottom-left fine → mirror right to left for TOP only
 - Left shoulder broken, right base broken → mirror right→left for shoulder, left→right for base
 
-== STEP 1: ANALYZE BOTH EDGES ==
+== STEP 1: LET THE TOOL ANALYZE BOTH EDGES ==
 
-Look at the mask on a BLACK background. For each vertical region (cap, shoulder, 
-label, base), determine:
-- Is the LEFT edge smooth or jagged?
-- Is the RIGHT edge smooth or jagged?
-- Which side is "cleaner" for this region?
+node bin/mirror-edge.js --mask MASK --original ORIG --dry-run
 
-== STEP 2: FIND THE CENTER ==
+This detects the symmetry axis (center_detected) and scores the LEFT and RIGHT 
+edge smoothness per row band. Each region in the plan says which side is the 
+mirror source, or "none" where both sides already agree. Compare the plan 
+with the mask on a BLACK background before applying it.
 
-Identify the horizontal center of the bottle in the original image.
+== STEP 2: CHECK THE CENTER ==
+
+If center_detected.confidence is low (< 0.5) or the axis looks off, measure it:
 - Center X = (Leftmost product point + Rightmost product point) / 2
-- Sample at multiple rows to find the true center.
+- Sample at multiple rows to find the true center, then pass --center X.
 
 == STEP 3: REGIONAL MIRRORING ==
 
-Mirror each broken region from the good side:
+Apply the automatic plan:
+  node bin/mirror-edge.js --mask MASK --original ORIG
 
-Full height (if one side is entirely broken):
+Override where the plan is wrong:
+  # One side for the full height
   node bin/mirror-edge.js --mask MASK --original ORIG --center X --source-side right
-
-Specific region only:
+  # Specific region only
   node bin/mirror-edge.js --mask MASK --original ORIG --center X --source-side right --from-row 200 --to-row 500
-
-Different regions with different sources:
-  # Top section: mirror from right
-  node bin/mirror-edge.js --mask MASK --original ORIG --center X --source-side right --from-row 0 --to-row 300
-  # Bottom section: mirror from left
-  node bin/mirror-edge.js --mask MASK --original ORIG --center X --source-side left --from-row 600 --to-row 800
+  # Different regions with different sources
+  node bin/mirror-edge.js --mask MASK --original ORIG --regions "0-300:right,300-600:none,600-800:left"
 
 == STEP 4: VERIFY ON BLACK ==
 
@@ -309,17 +504,22 @@ node bin/image-prep.js --sku SKU --angle front --use-mask MASK --upload
 
 == AVAILABLE TOOLS ==
 
-- node bin/mirror-edge.js      → Mirrors edge path based on symmetry (supports --from-row/--to-row)
+- node bin/mirror-edge.js      → Mirrors edge path based on symmetry (auto axis + per-band direction, --dry-run to preview)
 - node bin/view-on-black.js    → Reveals edge issues hidden by white/transparency
-- node bin/edit-mask.js        → Targeted manual pixel corrections (use --original for true colors)
-- node bin/apply-bottle-shape.js → Enforces region-based geometric frame (fallback)
+- node bin/edit-mask.js        → Targeted manual pixel corrections (use --original for true colors): edges, rects, --fill-polygon, --brush-fill/--brush-clear, --flood-clear X,Y for holes in handles
+- node bin/check-issues.js     → Mask vs original: edge ranges on BOTH sides, holes, islands + edit-mask commands (--json)
+- node bin/analyze-mask.js     → Same report; edges vs their own trend unless --original is given (--json)
+- node bin/refine-edge.js      → Smooth anti-aliased edge + halo removal (image-prep does this on the final image; preview with --output)
+- node bin/mask-history.js     → undo / redo / replay --skip ID: every edit above is journaled next to the mask
+- node bin/apply-bottle-shape.js → Fits both edges per detected region (fallback; --template bottle|jar|box|pouch|dropper, --dry-run)
 
 == WORKFLOW SUMMARY ==
 
 1. Generate mask:       node bin/image-prep.js --url URL --sku SKU --angle front --mask-only
+                        (result.quality: pass/score, edge ranges, holes, islands - if it passes, verify on black and finalize)
 2. View on black:       node bin/view-on-black.js MASK
-3. Analyze both edges:  Identify which regions are broken on which side
-4. Mirror per-region:   node bin/mirror-edge.js with appropriate --source-side and row range
+3. Analyze both edges:  node bin/mirror-edge.js --mask MASK --original ORIG --dry-run
+4. Mirror per-region:   node bin/mirror-edge.js (auto plan, or --source-side / --regions overrides)
 5. Verify on black:     node bin/view-on-black.js MASK
 6. Finalize & upload:   node bin/image-prep.js --sku SKU --angle front --use-mask MASK --upload
 PROMPT;
@@ -347,6 +547,8 @@ PROMPT;
         $utils_dir = HP_ABILITIES_PATH . 'includes/Utils/';
         require_once $utils_dir . 'GMCValidator.php';
         require_once $utils_dir . 'GMCFixer.php';
+        require_once $utils_dir . 'ChunkedUpload.php';
+        require_once $utils_dir . 'ImageSettingsRest.php';
     }
 
     /**
@@ -556,7 +758,7 @@ PROMPT;
 
         wp_register_ability('hp-abilities/products-gmc-audit', [
             'label'               => 'Product GMC Audit',
-            'description'         => 'Audit product for Google Merchant Center compliance',
+            'description'         => 'Audit product for Google Merchant Center compliance: risky claims in the title, descriptions, ACF text fields and image alt text, plus price, weight, GTIN, title length and image count. Returns issues and a 0-100 compliance_score (the same checks and score as the Yoast assessment on the edit screen).',
             'category'            => 'hp-seo',
             'execute_callback'    => [ProductManager::class, 'gmcAudit'],
             'permission_callback' => fn() => current_user_can('manage_woocommerce'),
@@ -812,7 +1014,7 @@ PROMPT;
                 'type'       => 'object',
                 'properties' => [
                     'url'          => ['type' => 'string', 'description' => 'Remote URL to sideload image from (preferred for public images)'],
-                    'server_path'  => ['type' => 'string', 'description' => 'Absolute path on server (e.g. /tmp/image.png) - requires SCP first'],
+                    'server_path'  => ['type' => 'string', 'description' => 'Absolute path on server (e.g. /tmp/image.png) - for local files use the bridge tool hp-local-upload-file instead'],
                     'file_content' => ['type' => 'string', 'description' => 'Base64 encoded file content (legacy, for small files only)'],
                     'file_name'    => ['type' => 'string', 'description' => 'Desired filename (auto-detected from url/path if not provided)'],
                     'title'        => ['type' => 'string', 'description' => 'Title for the media attachment'],
@@ -827,7 +1029,7 @@ PROMPT;
 
         wp_register_ability('hp-abilities/image-settings', [
             'label'               => 'Image Settings',
-            'description'         => 'Get or set image preparation settings (target size, padding, aggressiveness, naming, correction_prompt)',
+            'description'         => 'Get or set image preparation settings (target size, padding, aggressiveness, naming, renditions, presets, correction_prompt)',
             'category'            => 'hp-admin',
             'execute_callback'    => [ProductManager::class, 'imageSettings'],
             'permission_callback' => fn() => current_user_can('manage_woocommerce'),
@@ -839,6 +1041,8 @@ PROMPT;
                     'padding'           => ['type' => 'number', 'description' => 'Padding percent 0-0.5 (for set action)'],
                     'aggressiveness'    => ['type' => 'integer', 'description' => 'BG removal aggressiveness 1-100 (for set action)'],
                     'naming'            => ['type' => 'string', 'description' => 'Naming pattern with {sku}, {angle}, {timestamp} (for set action)'],
+                    'renditions'        => ['type' => 'array', 'description' => 'Output renditions, each {name, format: png|webp|avif|jpeg, size?, quality?, background?} (for set action)', 'items' => ['type' => 'object']],
+                    'presets'           => ['type' => 'object', 'description' => 'Composition presets by name, each {background?, align?: center|bottom, bottom?, shadow?, reflection?} (for set action)'],
                     'correction_prompt' => ['type' => 'string', 'description' => 'Agent instructions for mask correction (for set action)'],
                 ],
                 'required'   => ['action'],
@@ -1286,6 +1490,8 @@ PROMPT;
         $image_padding = get_option('hp_abilities_image_padding', 0.05);
         $image_aggressiveness = get_option('hp_abilities_image_aggressiveness', 50);
         $image_naming = get_option('hp_abilities_image_naming', '{sku}-{angle}');
+        $image_renditions = get_option('hp_abilities_image_renditions', self::get_default_renditions());
+        $image_presets = get_option('hp_abilities_image_presets', self::get_default_presets());
         $image_correction_prompt = get_option('hp_abilities_image_correction_prompt', self::get_default_correction_prompt());
 
         $stg_key = ($stg_ck && $stg_cs) ? "{$stg_ck}:{$stg_cs}" : 'YOUR_STAGING_API_KEY_HERE';
@@ -1390,24 +1596,25 @@ PROMPT;
         // Dynamic Discovery
         $hp_abilities = self::get_registered_hp_abilities();
         $disabled_list = get_option('hp_abilities_disabled_list', []);
-        
-        // Group abilities
-        $groups = [
-            'products'  => ['label' => 'Products & Inventory', 'tools' => []],
-            'orders'    => ['label' => 'Orders & Customers', 'tools' => []],
-            'funnels'   => ['label' => 'Funnels & SEO', 'tools' => []],
-            'economics' => ['label' => 'Economics & Profitability', 'tools' => []],
-            'all'       => ['label' => 'Uncategorized', 'tools' => []],
-        ];
 
+        // Dashboard rows and the categories they use
+        $rows = [];
+        $categories = [];
         foreach ($hp_abilities as $id => $ability) {
-            $group_key = self::get_ability_group($id);
-            if (!isset($groups[$group_key])) $group_key = 'all';
-            $groups[$group_key]['tools'][$id] = $ability;
+            $category = (string) $ability->get_category();
+            if (!isset($categories[$category])) {
+                $category_object = function_exists('wp_get_ability_category') ? wp_get_ability_category($category) : null;
+                $categories[$category] = ['label' => $category_object ? $category_object->get_label() : $category, 'count' => 0];
+            }
+            $categories[$category]['count']++;
+            $rows[$id] = [
+                'ability' => $ability,
+                'category' => $category,
+                'enabled' => !in_array($id, $disabled_list),
+                'health' => self::get_ability_health($id),
+            ];
         }
-
-        $toggle_nonce = wp_create_nonce('hp_abilities_toggle');
-        $health_nonce = wp_create_nonce('hp_abilities_health');
+        ksort($categories);
         ?>
         <div class="wrap">
             <h1><?php echo esc_html__('HP Abilities Management Hub', 'hp-abilities'); ?> <span style="font-size: 0.5em; vertical-align: middle; background: #eee; padding: 2px 8px; border-radius: 4px;">v<?php echo esc_html(HP_ABILITIES_VERSION); ?></span></h1>
@@ -1480,6 +1687,20 @@ PROMPT;
                                         <span class="description"><?php echo esc_html__('Variables: {sku}, {angle}, {timestamp}', 'hp-abilities'); ?></span>
                                     </td>
                                 </tr>
+                                <tr>
+                                    <th scope="row" style="vertical-align: top;"><label for="hp_abilities_image_renditions"><?php echo esc_html__('Output Renditions', 'hp-abilities'); ?></label></th>
+                                    <td>
+                                        <textarea name="hp_abilities_image_renditions" id="hp_abilities_image_renditions" rows="6" style="width: 100%; font-family: monospace; font-size: 12px;"><?php echo esc_textarea(wp_json_encode(json_decode($image_renditions, true), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES)); ?></textarea>
+                                        <p class="description"><?php echo esc_html__('JSON list of extra files written next to the transparent PNG, e.g. {"name": "gmc", "format": "jpeg", "quality": 90, "background": "#ffffff"}. Formats: png, webp, avif, jpeg. Optional: size (square px), quality (1-100), background (#rrggbb). [] (the default) = PNG only. Example: [{"name": "webp", "format": "webp"}, {"name": "gmc", "format": "jpeg"}, {"name": "thumb-300", "format": "webp", "size": 300}].', 'hp-abilities'); ?></p>
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row" style="vertical-align: top;"><label for="hp_abilities_image_presets"><?php echo esc_html__('Composition Presets', 'hp-abilities'); ?></label></th>
+                                    <td>
+                                        <textarea name="hp_abilities_image_presets" id="hp_abilities_image_presets" rows="8" style="width: 100%; font-family: monospace; font-size: 12px;"><?php echo esc_textarea(wp_json_encode((object) json_decode($image_presets, true), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES)); ?></textarea>
+                                        <p class="description"><?php echo esc_html__('JSON object of named presets, picked with image-prep.js --preset NAME. Keys: background (#rrggbb or {"from", "to"} gradient), align (center or bottom), bottom (gap below the product, share of the canvas), shadow and reflection (true or {"opacity", ...}).', 'hp-abilities'); ?></p>
+                                    </td>
+                                </tr>
                                 <tr>
                                     <th scope="row" style="vertical-align: top;"><label for="hp_abilities_image_correction_prompt"><?php echo esc_html__('Agent Correction Prompt', 'hp-abilities'); ?></label></th>
                                     <td>
@@ -1493,65 +1714,88 @@ PROMPT;
                         <?php submit_button(); ?>
                     </form>
 
-                    <!-- Dynamic Tool List -->
-                    <div class="card" style="margin-top: 20px; max-width: none;">
-                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                            <h2><?php echo esc_html__('Registered Abilities', 'hp-abilities'); ?></h2>
+                    <!-- Registered Abilities dashboard (assets/js/abilities-dashboard.js) -->
+                    <div class="card" id="hp-abilities-dashboard" style="margin-top: 20px; max-width: none;">
+                        <h2><?php echo esc_html__('Registered Abilities', 'hp-abilities'); ?></h2>
+                        <p><?php echo esc_html__('Manage and monitor all HP Abilities registered in the system. Muted abilities are not offered over MCP.', 'hp-abilities'); ?></p>
+
+                        <div class="hp-abilities-toolbar">
+                            <input type="search" id="hp-abilities-search" placeholder="<?php echo esc_attr__('Search abilities…', 'hp-abilities'); ?>">
+                            <select id="hp-abilities-category">
+                                <option value=""><?php echo esc_html__('All categories', 'hp-abilities'); ?></option>
+                                <?php foreach ($categories as $slug => $category): ?>
+                                    <option value="<?php echo esc_attr($slug); ?>"><?php echo esc_html($category['label']); ?> (<?php echo (int) $category['count']; ?>)</option>
+                                <?php endforeach; ?>
+                            </select>
+                            <select id="hp-abilities-status">
+                                <option value=""><?php echo esc_html__('Any status', 'hp-abilities'); ?></option>
+                                <option value="active"><?php echo esc_html__('Active', 'hp-abilities'); ?></option>
+                                <option value="muted"><?php echo esc_html__('Muted', 'hp-abilities'); ?></option>
+                                <option value="ok"><?php echo esc_html__('Healthy', 'hp-abilities'); ?></option>
+                                <option value="error"><?php echo esc_html__('With problems', 'hp-abilities'); ?></option>
+                                <option value="unchecked"><?php echo esc_html__('Not checked', 'hp-abilities'); ?></option>
+                            </select>
+                            <span class="hp-abilities-count"></span>
                         </div>
-                        <p><?php echo esc_html__('Manage and monitor all HP Abilities registered in the system.', 'hp-abilities'); ?></p>
-
-                        <?php foreach ($groups as $group_id => $group): 
-                            if (empty($group['tools'])) continue;
-                            $count = count($group['tools']);
-                        ?>
-                            <div style="margin-top: 20px;">
-                                <div style="background: #f0f0f1; padding: 8px 12px; border-radius: 4px; border-left: 4px solid #2271b1; display: flex; justify-content: space-between; align-items: center;">
-                                    <h3 style="margin: 0;"><?php echo esc_html($group['label']); ?> (<?php echo (int)$count; ?>)</h3>
-                                    <div style="display: flex; gap: 10px;">
-                                        <button type="button" class="button button-small" onclick="checkGroupHealth('<?php echo esc_js($group_id); ?>')"><?php echo esc_html__('Check Group Health', 'hp-abilities'); ?></button>
-                                        <button type="button" class="button button-small" onclick="toggleGroup('<?php echo esc_js($group_id); ?>', true)"><?php echo esc_html__('Enable All', 'hp-abilities'); ?></button>
-                                        <button type="button" class="button button-small" onclick="toggleGroup('<?php echo esc_js($group_id); ?>', false)"><?php echo esc_html__('Disable All', 'hp-abilities'); ?></button>
-                                    </div>
-                                </div>
-                                <table class="widefat fixed striped" id="table-<?php echo esc_attr($group_id); ?>">
-                                    <thead>
-                                        <tr>
-                                            <th style="width: 30px;"><input type="checkbox" readonly checked disabled></th>
-                                            <th><?php echo esc_html__('Tool ID', 'hp-abilities'); ?></th>
-                                            <th style="width: 80px; text-align: center;"><?php echo esc_html__('Status', 'hp-abilities'); ?></th>
-                                            <th style="width: 80px; text-align: center;"><?php echo esc_html__('Health', 'hp-abilities'); ?></th>
-                                        </tr>
-                                    </thead>
-                                    <tbody>
-                                        <?php foreach ($group['tools'] as $id => $ability): 
-                                            $is_enabled = !in_array($id, $disabled_list);
-                                        ?>
-                                            <tr id="row-<?php echo esc_attr(sanitize_title($id)); ?>">
-                                                <td>
-                                                    <input type="checkbox" 
-                                                           onchange="toggleAbility('<?php echo esc_js($id); ?>', this.checked)" 
-                                                           <?php checked($is_enabled); ?>>
-                                                </td>
-                                                <td>
-                                                    <strong><code><?php echo esc_html($id); ?></code></strong>
-                                                    <div style="font-size: 11px; color: #666;"><?php echo esc_html($ability->get_description()); ?></div>
-                                                </td>
-                                                <td style="text-align: center;">
-                                                    <span class="status-badge <?php echo $is_enabled ? 'enabled' : 'disabled'; ?>" id="status-<?php echo esc_attr(sanitize_title($id)); ?>">
-                                                        <?php echo $is_enabled ? 'Active' : 'Muted'; ?>
-                                                    </span>
-                                                </td>
-                                                <td style="text-align: center;">
-                                                    <span class="health-indicator" id="health-<?php echo esc_attr(sanitize_title($id)); ?>" title="Click to verify">
-                                                        <span class="dashicons dashicons-marker" style="color: #ccc; cursor: pointer;" onclick="checkHealth('<?php echo esc_js($id); ?>')"></span>
-                                                    </span>
-                                                </td>
-                                            </tr>
-                                        <?php endforeach; ?>
-                                    </tbody>
-                                </table>
-                            </div>
-                        <?php endforeach; ?>
+                        <div class="hp-abilities-toolbar">
+                            <button type="button" class="button button-small" data-bulk="enable"><?php echo esc_html__('Enable selected', 'hp-abilities'); ?></button>
+                            <button type="button" class="button button-small" data-bulk="mute"><?php echo esc_html__('Mute selected', 'hp-abilities'); ?></button>
+                            <button type="button" class="button button-small" data-bulk="health"><?php echo esc_html__('Check health of selected', 'hp-abilities'); ?></button>
+                            <span class="hp-abilities-progress" hidden><progress max="0" value="0"></progress> <span class="label"></span></span>
+                        </div>
+
+                        <table class="widefat fixed striped" id="hp-abilities-table">
+                            <thead>
+                                <tr>
+                                    <td class="check-column" style="width: 30px;"><input type="checkbox" id="hp-abilities-select-all" aria-label="<?php echo esc_attr__('Select all shown', 'hp-abilities'); ?>"></td>
+                                    <th><?php echo esc_html__('Tool ID', 'hp-abilities'); ?></th>
+                                    <th style="width: 130px;"><?php echo esc_html__('Category', 'hp-abilities'); ?></th>
+                                    <th style="width: 80px; text-align: center;"><?php echo esc_html__('Status', 'hp-abilities'); ?></th>
+                                    <th style="width: 150px;"><?php echo esc_html__('Health', 'hp-abilities'); ?></th>
+                                    <th style="width: 90px;"><?php echo esc_html__('Last Checked', 'hp-abilities'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <?php foreach ($rows as $id => $row):
+                                    $health = $row['health'];
+                                    $health_status = $health ? ($health['status'] === 'ok' ? 'ok' : 'error') : '';
+                                ?>
+                                    <tr class="hp-ability-row" data-id="<?php echo esc_attr($id); ?>" data-description="<?php echo esc_attr($row['ability']->get_description()); ?>" data-category="<?php echo esc_attr($row['category']); ?>" data-enabled="<?php echo $row['enabled'] ? '1' : '0'; ?>" data-health="<?php echo esc_attr($health_status); ?>">
+                                        <th scope="row" class="check-column"><input type="checkbox" class="hp-ability-select" aria-label="<?php echo esc_attr($id); ?>"></th>
+                                        <td>
+                                            <strong><code><?php echo esc_html($id); ?></code></strong>
+                                            <div style="font-size: 11px; color: #666;"><?php echo esc_html($row['ability']->get_description()); ?></div>
+                                        </td>
+                                        <td><?php echo esc_html($categories[$row['category']]['label']); ?></td>
+                                        <td style="text-align: center;">
+                                            <button type="button" class="status-badge hp-ability-toggle <?php echo $row['enabled'] ? 'enabled' : 'disabled'; ?>" title="<?php echo esc_attr__('Click to enable or mute', 'hp-abilities'); ?>"><?php echo $row['enabled'] ? 'Active' : 'Muted'; ?></button>
+                                        </td>
+                                        <td>
+                                            <button type="button" class="health-indicator hp-ability-health <?php echo esc_attr($health_status); ?>" aria-expanded="false" title="<?php echo esc_attr__('Show details', 'hp-abilities'); ?>">
+                                                <?php if ($health): ?>
+                                                    <span class="dashicons <?php echo $health_status === 'ok' ? 'dashicons-yes-alt' : 'dashicons-warning'; ?>"></span> <?php echo esc_html($health['message']); ?>
+                                                <?php else: ?>
+                                                    <span class="dashicons dashicons-marker"></span> <?php echo esc_html__('Not checked', 'hp-abilities'); ?>
+                                                <?php endif; ?>
+                                            </button>
+                                            <button type="button" class="button-link hp-ability-check"><?php echo esc_html__('Check', 'hp-abilities'); ?></button>
+                                        </td>
+                                        <td class="hp-ability-checked" data-checked-at="<?php echo esc_attr($health['checked_at'] ?? ''); ?>">
+                                            <?php echo $health ? esc_html(sprintf(__('%s ago', 'hp-abilities'), human_time_diff((int) $health['checked_at']))) : esc_html__('never', 'hp-abilities'); ?>
+                                        </td>
+                                    </tr>
+                                    <tr class="hp-ability-details" hidden>
+                                        <td colspan="6">
+                                            <?php if ($health): ?>
+                                                <ul><?php foreach ($health['details'] as $detail): ?><li><?php echo esc_html($detail); ?></li><?php endforeach; ?></ul>
+                                            <?php else: ?>
+                                                <p class="description"><?php echo esc_html__('Run a health check to see the details.', 'hp-abilities'); ?></p>
+                                            <?php endif; ?>
+                                        </td>
+                                    </tr>
+                                <?php endforeach; ?>
+                            </tbody>
+                        </table>
                     </div>
                 </div>
 
@@ -1634,9 +1878,15 @@ PROMPT;
                 .status-badge { padding: 2px 8px; border-radius: 12px; font-size: 10px; font-weight: bold; text-transform: uppercase; }
                 .status-badge.enabled { background: #e7f6ed; color: #207b4d; }
                 .status-badge.disabled { background: #fcf0f1; color: #d63638; }
-                .health-indicator .dashicons { font-size: 20px; }
+                button.status-badge { border: 0; cursor: pointer; }
+                .health-indicator { background: none; border: 0; padding: 0; cursor: pointer; color: #646970; }
                 .health-indicator.ok { color: #207b4d; }
                 .health-indicator.error { color: #d63638; }
+                .hp-abilities-toolbar { display: flex; gap: 8px; align-items: center; margin: 10px 0; flex-wrap: wrap; }
+                .hp-abilities-toolbar input[type="search"] { min-width: 220px; }
+                .hp-abilities-count { color: #646970; font-size: 12px; }
+                .hp-ability-details td { background: #f6f7f7; font-size: 12px; }
+                .hp-ability-details ul { margin: 0 0 0 40px; list-style: disc; }
             </style>
 
             <script>
@@ -1651,69 +1901,6 @@ PROMPT;
                 setTimeout(function() { btn.innerText = originalText; }, 2000);
             }
 
-            function toggleAbility(abilityId, enabled) {
-                const badge = document.getElementById('status-' + abilityId.replace(/[\/\s]/g, '-').toLowerCase());
-                
-                jQuery.post(ajaxurl, {
-                    action: 'hp_toggle_ability',
-                    ability_id: abilityId,
-                    enabled: enabled ? 1 : 0,
-                    nonce: '<?php echo $toggle_nonce; ?>'
-                }, function(response) {
-                    if (response.success) {
-                        if (enabled) {
-                            badge.innerText = 'Active';
-                            badge.classList.remove('disabled');
-                            badge.classList.add('enabled');
-                        } else {
-                            badge.innerText = 'Muted';
-                            badge.classList.remove('enabled');
-                            badge.classList.add('disabled');
-                        }
-                    } else {
-                        alert('Error: ' + response.data);
-                    }
-                });
-            }
-
-            function checkHealth(abilityId) {
-                const indicator = document.getElementById('health-' + abilityId.replace(/[\/\s]/g, '-').toLowerCase());
-                indicator.innerHTML = '<span class="dashicons dashicons-update spin" style="color: #2271b1;"></span>';
-                
-                jQuery.post(ajaxurl, {
-                    action: 'hp_check_tool_health',
-                    ability_id: abilityId,
-                    nonce: '<?php echo $health_nonce; ?>'
-                }, function(response) {
-                    if (response.success && response.data.status === 'ok') {
-                        indicator.innerHTML = '<span class="dashicons dashicons-yes-alt" style="color: #207b4d;" title="Active"></span>';
-                    } else {
-                        const msg = response.data ? response.data.message : 'Error';
-                        indicator.innerHTML = '<span class="dashicons dashicons-warning" style="color: #d63638;" title="' + msg + '"></span>';
-                    }
-                });
-            }
-
-            function toggleGroup(groupId, enabled) {
-                const table = document.getElementById('table-' + groupId);
-                const checkboxes = table.querySelectorAll('tbody input[type="checkbox"]');
-                checkboxes.forEach(cb => {
-                    if (cb.checked !== enabled) {
-                        cb.checked = enabled;
-                        cb.dispatchEvent(new Event('change'));
-                    }
-                });
-            }
-
-            function checkGroupHealth(groupId) {
-                const table = document.getElementById('table-' + groupId);
-                const rows = table.querySelectorAll('tbody tr');
-                rows.forEach(row => {
-                    const toolId = row.querySelector('strong code').innerText;
-                    checkHealth(toolId);
-                });
-            }
-
             function saveBridgeFile() {
                 const code = document.getElementById('bridge_code_snippet').value;
                 const blob = new Blob([code], { type: 'application/javascript' });
@@ -1757,9 +1944,17 @@ This protocol ensures all AI agents maintain the HP Abilities ecosystem correctl
   - `hp-economics`: Profitability calculations, pricing rules.
 
 ## 2. Bridge Architecture
-- **HP-Only Filtering**: The `hp-mcp-bridge.js` only exposes `hp-abilities/*` tools. WooCommerce native tools (with 10KB+ schemas) are excluded to prevent Cursor parsing failures.
+- **HP-Only Filtering**: By default `hp-mcp-bridge.js` only exposes `hp-abilities/*` tools. WooCommerce native tools (with 10KB+ schemas) are excluded to prevent Cursor parsing failures.
+- **Tool Filters**: Override with glob lists, e.g. `--deny=*economics*` to hide a category or `--allow=hp-abilities*,hp-local*,woocommerce*orders-get` to add one native tool. Hidden tools are also refused on `tools/call`.
 - **Schema Size Limit**: Keep `inputSchema` under 1KB per tool. Use flexible object types instead of exhaustive property definitions.
+- **Schema Budgeting**: The bridge caches `tools/list` per session and auto-compacts oversized schemas (drops descriptions, collapses enums). Run `node bin/hp-mcp-bridge.js <URL> <KEY> --schema-report` to see which tools get trimmed - then fix them at the source.
 - **Bridge Location**: Distributed in `bin/hp-mcp-bridge.js`. Copy to `C:\DEV\hp-mcp-bridge.js` for local Cursor.
+- **Multi-Environment**: `node hp-mcp-bridge.js --config=hp-bridge.json` serves staging and production from one process (see `hp-bridge.config.template.json`). Tools are prefixed `stg__` / `prod__`; ALWAYS check the prefix before calling. Write abilities (`orders-update-status`, `products-retire-redirect`, ...) are refused on production unless the bridge is started with `--allow-writes=prod`.
+- **Streaming**: The bridge accepts `application/json` and `text/event-stream` replies. Progress notifications (`_meta.progressToken`) are relayed to the client as they arrive.
+- **Recovery**: Expired `Mcp-Session-Id` sessions are re-initialized transparently. Read-only abilities are retried with backoff (`--retries=N`, `--retry-tools=a,b`); write abilities are never retried - check state before repeating a failed write.
+- **Debugging**: Add `--log` (or `--log=C:\\DEV\\bridge.log`) to the bridge args for JSON-lines logs of every request; `--trace` adds full bodies. Keys are redacted, but traces contain product/order data - don't share them.
+- **Local Uploads**: `hp-local-upload-file` is answered by the bridge itself: pass a local `path` (plus `product_id`, `is_thumbnail`, `alt_text`) and it streams the file to `/wp-json/hp-abilities/v1/upload` in chunks, then calls `media-upload` with the staged `server_path`. Prefer it over base64 `file_content`.
+- **Pipelining**: The bridge runs up to `--concurrency=N` requests at once (default 4). Responses may arrive out of order; match them by `id`.
 
 ## 3. Available Product Tools
 
@@ -1774,7 +1969,8 @@ This protocol ensures all AI agents maintain the HP Abilities ecosystem correctl
 | `products-gmc-audit` | GMC compliance audit |
 | `inventory-check` | Check stock levels |
 | `products-calculate-supply` | Calculate supply duration |
-| `media-upload` | Upload local file (base64) to Media Library |
+| `media-upload` | Upload to Media Library (url, server_path, or base64) |
+| `hp-local-upload-file` | Bridge-side: upload a local file by path (no base64) |
 
 ### ACF-Powered Tools (ALL Fields via ACF Pro + Yoast)
 | Tool | Purpose |
@@ -1798,9 +1994,9 @@ This protocol ensures all AI agents maintain the HP Abilities ecosystem correctl
 - **Explicit properties**: Define at least primary properties for tools where the agent needs clear guidance.
 
 ## 5. Deployment & Verification
-- **Auto-Discovery**: Tools are discovered dynamically on the Settings page.
-- **Health Check**: After adding a tool, use "Check Health" to verify callback validity.
-- **Kill-Switch**: Use "Status" toggle to mute tools instantly.
+- **Auto-Discovery**: Tools are discovered dynamically on the Settings page (search and filter by category, status or health).
+- **Health Check**: After adding a tool, use "Check" on its row (or select rows and "Check health of selected") to verify callback validity. Click the result for details; the last check time is kept.
+- **Kill-Switch**: Click the "Status" badge to mute a tool instantly, or select rows and "Mute selected".
 
 ## 6. Dependency Sync Checklist
 When modifying HP Abilities tools, keep these files in sync:
@@ -1808,7 +2004,7 @@ When modifying HP Abilities tools, keep these files in sync:
 |--------|-----------------|
 | Add/remove ability | `Plugin.php` (register), Ability class (callback) |
 | Change behavior | Cursor rule `.mdc`, Settings page `get_protocol_rule_text()` |
-| Bridge changes | `bin/hp-mcp-bridge.js`, `C:\DEV\hp-mcp-bridge.js` |
+| Bridge changes | `bin/hp-mcp-bridge.js`, `C:\DEV\hp-mcp-bridge.js`, run `npm test` (offline mock in `test/mock-wp-server.js`) |
 | Version bump | `hp-abilities.php` header + constant |
 
 ## 7. Product Media Sourcing
@@ -1816,9 +2012,13 @@ Agents must ensure professional product imagery:
 1. **Source multiple angles**: Look for Front/Primary, Side, Back, and Label images.
 2. **Automated Preparation**: ALWAYS run sourced image URLs through `bin/image-prep.js` locally.
    - Command: `node bin/image-prep.js --url "SOURCE_URL" --sku "SKU" --angle "front|side|label"`
+   - Many products: list them in a CSV (`sku,angle,source,product_id`) and run `node bin/image-prep.js --manifest FILE.csv --mask-only`, review `needs_review` in the report, then rerun with `--upload` (add a `mask` column for corrected masks). Reruns skip finished items.
+   - Background removal: the AI model is the default (`--model small|medium|large`). Studio shots on a plain backdrop: `--backend key`. Hard cases: `--backend ensemble --members imgly:medium,key --vote majority`.
+   - WordPress access: copy `hp-image-prep.config.template.json` to `hp-image-prep.json` and fill in the key. `"transport"` is `mcp` (abilities), `rest` (WooCommerce REST keys) or `ssh` (WP-CLI); override per run with `--transport` / `--env`.
 3. **Upload Process**:
-   - The tool saves a prepared 1100x1100 transparent PNG locally.
-   - Use `media-upload` (base64) to push the prepared file to WordPress.
+   - The tool saves a prepared 1100x1100 transparent PNG locally, plus the renditions configured in the "Output Renditions" setting (none by default; e.g. WebP, AVIF, `-gmc.jpg` on white for Google Merchant Center, thumbnails), listed in `renditions` of the JSON result. Override per run with `--renditions none` or a JSON list.
+   - Composition: `--preset studio-white` (white background, contact shadow), `catalog-row` (transparent, bottom-aligned so a category row lines up) or `showroom` (gradient, reflection); presets are defined in the "Composition Presets" setting, or per item with a `preset` manifest column.
+   - Use `hp-local-upload-file` with the local PNG path to push the prepared file to WordPress (`media-upload` with base64 only for tiny files).
 4. **Naming Convention**: Prepared files should follow `[SKU]-[angle].png`.
 5. **Association**:
    - `front` angle must be set as `is_thumbnail: true`.
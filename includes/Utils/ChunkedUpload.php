@@ -0,0 +1,194 @@
+<?php
+namespace HP_Abilities\Utils;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Receives large files from the MCP bridge in raw chunks (hp-local-upload-file).
+ * Chunks are appended to a staging file; the final chunk returns a server_path
+ * that media-upload can import. Avoids base64 in tool arguments and SCP.
+ * With import=1 the final chunk is imported right away (used by image-prep.js
+ * when it talks REST instead of MCP).
+ */
+class ChunkedUpload
+{
+    const MAX_FILE_SIZE = 52428800; // 50MB
+    const STALE_AFTER = DAY_IN_SECONDS;
+
+    /**
+     * Register the REST route.
+     */
+    public static function init(): void
+    {
+        add_action('rest_api_init', [self::class, 'register_routes']);
+    }
+
+    public static function register_routes(): void
+    {
+        register_rest_route('hp-abilities/v1', '/upload', [
+            'methods'             => 'POST',
+            'callback'            => [self::class, 'handle_chunk'],
+            'permission_callback' => [self::class, 'check_permission'],
+            'args'                => [
+                'upload_id'    => ['required' => true, 'type' => 'string', 'pattern' => '^[a-f0-9]{16,64}$'],
+                'file_name'    => ['required' => true, 'type' => 'string'],
+                'offset'       => ['required' => true, 'type' => 'integer', 'minimum' => 0],
+                'final'        => ['type' => 'boolean', 'default' => false],
+                'sha256'       => ['type' => 'string'],
+                // Import into the Media Library on the final chunk
+                'import'       => ['type' => 'boolean', 'default' => false],
+                'product_id'   => ['type' => 'integer', 'default' => 0],
+                'is_thumbnail' => ['type' => 'boolean', 'default' => false],
+                'title'        => ['type' => 'string', 'default' => ''],
+                'alt_text'     => ['type' => 'string', 'default' => ''],
+            ],
+        ]);
+    }
+
+    /**
+     * Staging directory for chunked uploads.
+     */
+    public static function get_upload_dir(): string
+    {
+        return trailingslashit(get_temp_dir()) . 'hp-abilities-uploads/';
+    }
+
+    /**
+     * Whether a path is a staged upload (media-upload removes it after import).
+     * Both sides are resolved, so "../" segments and symlinks can't point
+     * outside the staging directory.
+     */
+    public static function is_staged_file(string $path): bool
+    {
+        $real_path = realpath($path);
+        $real_dir = realpath(self::get_upload_dir());
+        if ($real_path === false || $real_dir === false) {
+            return false;
+        }
+        return strpos($real_path, trailingslashit($real_dir)) === 0;
+    }
+
+    /**
+     * Authenticate with the same WooCommerce API key the bridge sends to the MCP endpoint.
+     *
+     * @return bool|\WP_Error
+     */
+    public static function check_permission(\WP_REST_Request $request)
+    {
+        global $wpdb;
+
+        $header = (string) $request->get_header('x_mcp_api_key');
+        if (strpos($header, ':') === false || !function_exists('wc_api_hash')) {
+            return new \WP_Error('hp_upload_unauthorized', __('Missing X-MCP-API-Key', 'hp-abilities'), ['status' => 401]);
+        }
+
+        list($consumer_key, $consumer_secret) = explode(':', $header, 2);
+        $key = $wpdb->get_row($wpdb->prepare(
+            "SELECT user_id, consumer_secret, permissions FROM {$wpdb->prefix}woocommerce_api_keys WHERE consumer_key = %s",
+            wc_api_hash(sanitize_text_field($consumer_key))
+        ));
+
+        if (!$key || !hash_equals($key->consumer_secret, $consumer_secret)) {
+            return new \WP_Error('hp_upload_unauthorized', __('Invalid API key', 'hp-abilities'), ['status' => 401]);
+        }
+        if ($key->permissions === 'read') {
+            return new \WP_Error('hp_upload_forbidden', __('API key is read-only', 'hp-abilities'), ['status' => 403]);
+        }
+
+        wp_set_current_user((int) $key->user_id);
+        if (!current_user_can('manage_woocommerce') || !current_user_can('upload_files')) {
+            return new \WP_Error('hp_upload_forbidden', __('Insufficient permissions', 'hp-abilities'), ['status' => 403]);
+        }
+
+        return true;
+    }
+
+    /**
+     * Append one chunk. Chunks must arrive in order; a mismatched offset returns
+     * 409 with the expected offset so the caller can resume.
+     */
+    public static function handle_chunk(\WP_REST_Request $request)
+    {
+        $upload_id = $request->get_param('upload_id');
+        $file_name = sanitize_file_name($request->get_param('file_name'));
+        $offset = (int) $request->get_param('offset');
+        $chunk = $request->get_body();
+
+        $file_type = wp_check_filetype($file_name);
+        if (empty($file_type['type'])) {
+            return new \WP_Error('hp_upload_type', sprintf(__('File type not allowed: %s', 'hp-abilities'), $file_name), ['status' => 415]);
+        }
+
+        $dir = self::get_upload_dir();
+        if (!wp_mkdir_p($dir)) {
+            return new \WP_Error('hp_upload_dir', __('Could not create upload directory', 'hp-abilities'), ['status' => 500]);
+        }
+        if ($offset === 0) {
+            self::cleanup_stale();
+        }
+
+        $path = $dir . $upload_id . '-' . $file_name;
+        clearstatcache(true, $path);
+        $current = file_exists($path) ? filesize($path) : 0;
+
+        if ($offset !== $current) {
+            return new \WP_Error('hp_upload_offset', __('Unexpected chunk offset', 'hp-abilities'), ['status' => 409, 'expected_offset' => $current]);
+        }
+        if ($current + strlen($chunk) > self::MAX_FILE_SIZE) {
+            @unlink($path);
+            return new \WP_Error('hp_upload_size', __('File exceeds 50MB limit', 'hp-abilities'), ['status' => 413]);
+        }
+        if (file_put_contents($path, $chunk, FILE_APPEND | LOCK_EX) === false) {
+            return new \WP_Error('hp_upload_write', __('Could not write chunk', 'hp-abilities'), ['status' => 500]);
+        }
+
+        $size = $current + strlen($chunk);
+        if (!$request->get_param('final')) {
+            return rest_ensure_response(['success' => true, 'upload_id' => $upload_id, 'received' => $size]);
+        }
+
+        $expected = strtolower((string) $request->get_param('sha256'));
+        if ($expected && !hash_equals($expected, hash_file('sha256', $path))) {
+            @unlink($path);
+            return new \WP_Error('hp_upload_checksum', __('Checksum mismatch - upload discarded', 'hp-abilities'), ['status' => 422]);
+        }
+
+        $response = [
+            'success'     => true,
+            'upload_id'   => $upload_id,
+            'server_path' => $path,
+            'size'        => $size,
+        ];
+
+        if ($request->get_param('import')) {
+            $media = \HP_Abilities\Abilities\ProductManager::uploadMedia([
+                'server_path'  => $path,
+                'file_name'    => $file_name,
+                'product_id'   => (int) $request->get_param('product_id'),
+                'is_thumbnail' => (bool) $request->get_param('is_thumbnail'),
+                'title'        => $request->get_param('title'),
+                'alt_text'     => $request->get_param('alt_text'),
+            ]);
+            if (empty($media['success'])) {
+                return new \WP_Error('hp_upload_import', $media['error'] ?? __('Import failed', 'hp-abilities'), ['status' => 500]);
+            }
+            $response['media'] = $media;
+        }
+
+        return rest_ensure_response($response);
+    }
+
+    /**
+     * Remove staged files that were never imported.
+     */
+    public static function cleanup_stale(): void
+    {
+        foreach (glob(self::get_upload_dir() . '*') ?: [] as $file) {
+            if (is_file($file) && filemtime($file) < time() - self::STALE_AFTER) {
+                @unlink($file);
+            }
+        }
+    }
+}
@@ -7,34 +7,33 @@ if (!defined('ABSPATH')) {
 
 /**
  * Shared logic for Google Merchant Center (GMC) compliance validation.
- * Used by both real-time Yoast assessments and MCP gatekeeper tools.
+ * Used by the live edit-screen checks (Yoast assessment or standalone panel) and MCP gatekeeper tools.
  */
 class GMCValidator
 {
     /**
-     * Forbidden keywords that often trigger GMC "Misleading Claims" or "Healthcare" violations.
-     * Focusing on supplement-specific claims for now.
+     * Claim rules (gmc-claim-rules.json): regex patterns over whole words with
+     * the explanation message and severity of each, safe contexts that are
+     * never claims (the FDA disclaimer, "treat yourself"), negation words, and
+     * the product field checks with their limits and score penalties.
+     * Shared with the edit-screen checks (assets/js/gmc-compliance.js).
      */
-    private static $forbidden_keywords = [
-        'cure' => 'Claims to cure a disease are prohibited.',
-        'treat' => 'Claims to treat a medical condition are highly regulated.',
-        'heal' => 'Use "supports" or "promotes" instead of "heals".',
-        'diagnose' => 'Claims to diagnose medical conditions are prohibited.',
-        'prevent' => 'Claims to prevent a disease are restricted for supplements.',
-        'remedy' => 'Avoid medicinal terminology.',
-        'illegal' => 'Trigger word for policy checks.',
-        'drug' => 'Trigger word for policy checks.',
-        'marijuana' => 'Prohibited product category.',
-        'cannabis' => 'Prohibited product category.',
-        'pharmaceutical' => 'Avoid comparisons to prescription drugs.',
-    ];
+    private static $claim_rules = null;
 
     /**
-     * Audit a product for GMC compliance.
+     * Words looked at before a match for a negation ("does not cure").
+     */
+    const NEGATION_WINDOW = 4;
+
+    /**
+     * Audit a product for GMC compliance: claims in every text GMC sees
+     * (title, descriptions, ACF text fields, image alt text) plus the price,
+     * weight, GTIN, title length and image count checks. The edit screen runs
+     * the same checks live (auditFields() in assets/js/gmc-compliance.js).
      *
      * @param \WC_Product|int $product Product object or ID.
      * @param array $data Optional fresh data to audit instead of DB state.
-     * @return array Audit results with 'success', 'errors', and 'warnings'.
+     * @return array Audit results with 'success', 'issues' and 'compliance_score'.
      */
     public static function audit($product, array $data = []): array
     {
@@ -47,40 +46,8 @@ class GMCValidator
         }
 
         $id = $product->get_id();
-        $issues = [];
+        $issues = self::audit_fields(self::collect_fields($product, $data));
 
-        // 1. Check Weight
-        $weight = isset($data['weight']) ? $data['weight'] : $product->get_weight();
-        if (empty($weight) || (float)$weight <= 0) {
-            $issues[] = [
-                'field' => 'weight',
-                'level' => 'error',
-                'issue' => 'missing_weight',
-                'msg' => __('GMC requires a valid shipping weight.', 'hp-abilities'),
-                'suggestion' => __('Add product weight in WooCommerce.', 'hp-abilities')
-            ];
-        }
-
-        // 2. Check Description & Short Description for forbidden keywords
-        $desc = isset($data['description']) ? $data['description'] : $product->get_description();
-        $short_desc = isset($data['short_description']) ? $data['short_description'] : $product->get_short_description();
-        
-        $text_to_check = strip_tags($desc . ' ' . $short_desc);
-        $keyword_issues = self::check_forbidden_keywords($text_to_check);
-        
-        foreach ($keyword_issues as $kw => $reason) {
-            $issues[] = [
-                'field' => 'description',
-                'level' => 'warning',
-                'issue' => 'forbidden_keyword',
-                'found' => $kw,
-                'msg' => sprintf(__('Forbidden keyword found: "%s".', 'hp-abilities'), $kw),
-                'reason' => $reason,
-                'suggestion' => __('Consider using "supports", "promotes", or "maintains" instead.', 'hp-abilities')
-            ];
-        }
-
-        // 3. Overall status
         $has_errors = false;
         foreach ($issues as $issue) {
             if ($issue['level'] === 'error') {
@@ -99,42 +66,287 @@ class GMCValidator
     }
 
     /**
-     * Check text for forbidden keywords.
+     * Run the field checks and the claim rules over the product fields:
+     * title, description, short_description (strings), acf ([[name, label, value]]),
+     * image_alts (strings), price, weight, gtin, image_count and variable.
+     * A field left out is not checked.
+     *
+     * @return array Issues: [field, level, issue, msg, suggestion], claims also
+     *               found, rule, severity, reason and rewrite.
+     */
+    public static function audit_fields(array $fields): array
+    {
+        $rules = self::get_claim_rules();
+        $limits = $rules['limits'];
+        $issues = [];
+        $check = function (string $issue) use ($rules, &$issues) {
+            $rule = $rules['field_checks'][$issue] ?? null;
+            if ($rule) {
+                $issues[] = [
+                    'field' => $rule['field'],
+                    'level' => $rule['level'],
+                    'issue' => $issue,
+                    'msg' => $rule['message'],
+                    'suggestion' => $rule['suggestion']
+                ];
+            }
+        };
+
+        // Variations carry their own price and weight
+        $variable = !empty($fields['variable']);
+        if (array_key_exists('weight', $fields) && (empty($fields['weight']) || (float) $fields['weight'] <= 0)) {
+            $check('missing_weight');
+        }
+        if (!$variable && array_key_exists('price', $fields) && (float) $fields['price'] <= 0) {
+            $check('missing_price');
+        }
+        if (!empty($fields['gtin']) && !self::is_valid_gtin((string) $fields['gtin'])) {
+            $check('invalid_gtin');
+        }
+        if (isset($fields['image_count'])) {
+            if ((int) $fields['image_count'] === 0) {
+                $check('no_images');
+            } elseif ((int) $fields['image_count'] < $limits['min_images']) {
+                $check('few_images');
+            }
+        }
+        if (isset($fields['title']) && mb_strlen(trim(wp_strip_all_tags((string) $fields['title']))) > $limits['title_length']) {
+            $check('title_too_long');
+        }
+
+        // Claims, once per rule and field
+        $texts = [];
+        foreach (['title', 'description', 'short_description'] as $name) {
+            if (isset($fields[$name])) {
+                $texts[$name] = (string) $fields[$name];
+            }
+        }
+        foreach ($fields['acf'] ?? [] as $acf) {
+            $texts['acf:' . $acf['name']] = (string) $acf['value'];
+        }
+        if (!empty($fields['image_alts'])) {
+            $texts['image_alt'] = implode('. ', $fields['image_alts']);
+        }
+
+        foreach ($texts as $field => $text) {
+            $reported = [];
+            foreach (self::find_claims($text)['claims'] as $claim) {
+                if (isset($reported[$claim['id']])) {
+                    continue;
+                }
+                $reported[$claim['id']] = true;
+                $issues[] = [
+                    'field' => $field,
+                    'level' => 'warning',
+                    'issue' => 'forbidden_keyword',
+                    'found' => $claim['match'],
+                    'rule' => $claim['id'],
+                    'severity' => $claim['severity'],
+                    'msg' => sprintf(__('Forbidden keyword found: "%s".', 'hp-abilities'), $claim['match']),
+                    'reason' => $claim['message'],
+                    'suggestion' => $claim['suggestion'] ?: __('Consider using "supports", "promotes", or "maintains" instead.', 'hp-abilities'),
+                    'rewrite' => $claim['rewrite']
+                ];
+            }
+        }
+
+        return $issues;
+    }
+
+    /**
+     * The fields audit_fields() checks, from the product with $data (the
+     * pending changes) taking precedence.
+     */
+    private static function collect_fields(\WC_Product $product, array $data): array
+    {
+        $image_id = isset($data['image_id']) ? (int) $data['image_id'] : (int) $product->get_image_id();
+        $gallery = isset($data['gallery_image_ids']) ? array_map('intval', (array) $data['gallery_image_ids']) : $product->get_gallery_image_ids();
+        $image_ids = array_values(array_filter(array_merge([$image_id], $gallery)));
+        $description = $data['description'] ?? $product->get_description();
+
+        $alts = [];
+        foreach ($image_ids as $attachment_id) {
+            $alts[] = (string) get_post_meta($attachment_id, '_wp_attachment_image_alt', true);
+        }
+        // Images placed in the description
+        if (preg_match_all('/<img\b[^>]*\balt=(["\'])(.*?)\1/i', (string) $description, $matches)) {
+            $alts = array_merge($alts, $matches[2]);
+        }
+
+        $acf = [];
+        if (function_exists('get_field_objects')) {
+            foreach (get_field_objects($product->get_id()) ?: [] as $field) {
+                if (in_array($field['type'], ['text', 'textarea', 'wysiwyg'], true) && is_string($field['value']) && $field['value'] !== '') {
+                    $acf[] = ['name' => $field['name'], 'label' => $field['label'], 'value' => $field['value']];
+                }
+            }
+        }
+
+        $gtin = method_exists($product, 'get_global_unique_id') ? $product->get_global_unique_id() : '';
+
+        return [
+            'title' => $data['name'] ?? $product->get_name(),
+            'description' => $description,
+            'short_description' => $data['short_description'] ?? $product->get_short_description(),
+            'acf' => $acf,
+            'image_alts' => array_values(array_filter($alts)),
+            'price' => $data['regular_price'] ?? $product->get_regular_price(),
+            'weight' => $data['weight'] ?? $product->get_weight(),
+            'gtin' => $data['global_unique_id'] ?? $gtin,
+            'image_count' => count($image_ids),
+            'variable' => $product->is_type('variable')
+        ];
+    }
+
+    /**
+     * GTIN-8, UPC (12), EAN (13) or GTIN-14 with a valid mod-10 check digit.
      */
-    public static function check_forbidden_keywords(string $text): array
+    public static function is_valid_gtin(string $gtin): bool
     {
-        $found = [];
-        $text = strtolower($text);
-        
-        foreach (self::$forbidden_keywords as $kw => $reason) {
-            // Use word boundaries to avoid partial matches (e.g. "heat" in "wheat")
-            if (preg_match('/\b' . preg_quote($kw, '/') . '\b/', $text)) {
-                $found[$kw] = $reason;
+        $gtin = preg_replace('/[\s-]/', '', $gtin);
+        if (!preg_match('/^(?:\d{8}|\d{12,14})$/', $gtin)) {
+            return false;
+        }
+        $sum = 0;
+        $digits = array_reverse(str_split(substr($gtin, 0, -1)));
+        foreach ($digits as $i => $digit) {
+            $sum += (int) $digit * ($i % 2 === 0 ? 3 : 1);
+        }
+        return (10 - $sum % 10) % 10 === (int) substr($gtin, -1);
+    }
+
+    /**
+     * Find the claims in a text, the same way the edit-screen checks do:
+     * matches inside a safe context or after a negation in the same clause are
+     * returned as 'suppressed' instead.
+     *
+     * @return array ['claims' => [[id, match, offset, severity, message, suggestion, rewrite]], 'suppressed' => [[id, match, offset, reason]]]
+     */
+    public static function find_claims(string $text): array
+    {
+        $rules = self::get_claim_rules();
+        $text = self::normalize_text($text);
+
+        $safe_spans = [];
+        foreach ($rules['safe_contexts'] as $context) {
+            if (preg_match_all(self::word_regex($context['pattern']), $text, $matches, PREG_OFFSET_CAPTURE)) {
+                foreach ($matches[0] as [$match, $offset]) {
+                    $safe_spans[] = [$offset, $offset + strlen($match), $context['note']];
+                }
+            }
+        }
+
+        $claims = [];
+        $suppressed = [];
+        foreach ($rules['claims'] as $rule) {
+            if (!preg_match_all(self::word_regex($rule['pattern']), $text, $matches, PREG_OFFSET_CAPTURE)) {
+                continue;
+            }
+            foreach ($matches[0] as [$match, $offset]) {
+                $reason = null;
+                foreach ($safe_spans as [$from, $to, $note]) {
+                    if ($offset >= $from && $offset < $to) {
+                        $reason = $note;
+                        break;
+                    }
+                }
+                if ($reason === null && self::is_negated($text, $offset, $rules['negations'])) {
+                    $reason = 'Negated';
+                }
+
+                if ($reason !== null) {
+                    $suppressed[] = ['id' => $rule['id'], 'match' => $match, 'offset' => $offset, 'reason' => $reason];
+                } else {
+                    $claims[] = [
+                        'id'         => $rule['id'],
+                        'match'      => $match,
+                        'offset'     => $offset,
+                        'severity'   => $rule['severity'],
+                        'message'    => $rule['message'],
+                        'suggestion' => $rule['suggestion'] ?? null,
+                        'rewrite'    => $rule['rewrites'][$match] ?? null,
+                    ];
+                }
             }
         }
-        
-        return $found;
+
+        usort($claims, fn($a, $b) => $a['offset'] <=> $b['offset']);
+        return ['claims' => $claims, 'suppressed' => $suppressed];
+    }
+
+    /**
+     * Get the claim rules for the frontend JS.
+     */
+    public static function get_claim_rules(): array
+    {
+        if (self::$claim_rules === null) {
+            $rules = json_decode((string) file_get_contents(__DIR__ . '/gmc-claim-rules.json'), true);
+            self::$claim_rules = array_merge(
+                [
+                    'claims' => [],
+                    'safe_contexts' => [],
+                    'negations' => [],
+                    'field_checks' => [],
+                    'limits' => ['title_length' => 150, 'min_images' => 1],
+                    'penalties' => ['error' => 30, 'warning' => 10]
+                ],
+                is_array($rules) ? $rules : []
+            );
+        }
+        return self::$claim_rules;
     }
 
     /**
-     * Get the full list of forbidden keywords for the frontend JS.
+     * Lowercase plain text: tags and common entities removed, typographic
+     * apostrophes straightened, whitespace collapsed (as normalizeText() in the JS).
      */
-    public static function get_forbidden_keywords(): array
+    private static function normalize_text(string $text): string
+    {
+        $text = preg_replace('/<[^>]*>/', ' ', $text);
+        $text = str_ireplace(['&nbsp;', '&amp;', '&#8217;', '&rsquo;', "\u{2018}", "\u{2019}"], [' ', '&', "'", "'", "'", "'"], $text);
+        return trim(preg_replace('/\s+/u', ' ', mb_strtolower($text)));
+    }
+
+    private static function word_regex(string $pattern): string
     {
-        return self::$forbidden_keywords;
+        return '/\b(?:' . str_replace('/', '\/', $pattern) . ')\b/iu';
     }
 
     /**
-     * Simple scoring logic: 100 base, -30 per error, -10 per warning.
+     * Whether a negation word precedes the match within its clause.
+     */
+    private static function is_negated(string $text, int $offset, array $negations): bool
+    {
+        $clause = preg_split('/[.!?;,:()]/', substr($text, 0, $offset));
+        $words = array_slice(array_values(array_filter(explode(' ', trim(end($clause))))), -self::NEGATION_WINDOW);
+        foreach ($words as $i => $word) {
+            // "not only cures" is still a claim
+            if (in_array($word, $negations, true) && !($word === 'not' && ($words[$i + 1] ?? '') === 'only')) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 100 minus the penalty of each issue (gmc-claim-rules.json "penalties"):
+     * claims by severity, each rule counted once however many fields use it;
+     * everything else by level.
      */
     private static function calculate_score(array $issues): int
     {
+        $penalties = self::get_claim_rules()['penalties'];
         $score = 100;
+        $rules = [];
         foreach ($issues as $issue) {
-            if ($issue['level'] === 'error') $score -= 30;
-            else $score -= 10;
+            if (isset($issue['rule'])) {
+                if (isset($rules[$issue['rule']])) {
+                    continue;
+                }
+                $rules[$issue['rule']] = true;
+            }
+            $score -= $penalties[$issue['severity'] ?? $issue['level']] ?? $penalties[$issue['level']] ?? 10;
         }
         return max(0, $score);
     }
 }
-
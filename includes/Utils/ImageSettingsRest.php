@@ -0,0 +1,83 @@
+<?php
+namespace HP_Abilities\Utils;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Exposes the image preparation settings as a WooCommerce settings group, so
+ * image-prep.js can read them from /wp-json/wc/v3/settings/hp-image-prep with
+ * the same consumer keys as the rest of the WooCommerce REST API.
+ */
+class ImageSettingsRest
+{
+    const GROUP = 'hp-image-prep';
+
+    /**
+     * Register the settings group filters.
+     */
+    public static function init(): void
+    {
+        add_filter('woocommerce_settings_groups', [self::class, 'register_group']);
+        add_filter('woocommerce_settings-' . self::GROUP, [self::class, 'register_settings']);
+    }
+
+    public static function register_group(array $groups): array
+    {
+        $groups[] = [
+            'id'          => self::GROUP,
+            'label'       => __('HP Image Preparation', 'hp-abilities'),
+            'description' => __('Settings used by bin/image-prep.js', 'hp-abilities'),
+        ];
+        return $groups;
+    }
+
+    public static function register_settings(array $settings): array
+    {
+        return array_merge($settings, [
+            [
+                'id'      => 'hp_abilities_image_target_size',
+                'label'   => __('Canvas Size (px)', 'hp-abilities'),
+                'type'    => 'number',
+                'default' => 1100,
+            ],
+            [
+                'id'      => 'hp_abilities_image_padding',
+                'label'   => __('Padding %', 'hp-abilities'),
+                'type'    => 'number',
+                'default' => 0.05,
+            ],
+            [
+                'id'      => 'hp_abilities_image_aggressiveness',
+                'label'   => __('BG Removal Aggressiveness', 'hp-abilities'),
+                'type'    => 'number',
+                'default' => 50,
+            ],
+            [
+                'id'      => 'hp_abilities_image_naming',
+                'label'   => __('Naming Pattern', 'hp-abilities'),
+                'type'    => 'text',
+                'default' => '{sku}-{angle}',
+            ],
+            [
+                'id'      => 'hp_abilities_image_renditions',
+                'label'   => __('Output Renditions', 'hp-abilities'),
+                'type'    => 'textarea',
+                'default' => \HP_Abilities\Plugin::get_default_renditions(),
+            ],
+            [
+                'id'      => 'hp_abilities_image_presets',
+                'label'   => __('Composition Presets', 'hp-abilities'),
+                'type'    => 'textarea',
+                'default' => \HP_Abilities\Plugin::get_default_presets(),
+            ],
+            [
+                'id'      => 'hp_abilities_image_correction_prompt',
+                'label'   => __('Agent Correction Prompt', 'hp-abilities'),
+                'type'    => 'textarea',
+                'default' => \HP_Abilities\Plugin::get_default_correction_prompt(),
+            ],
+        ]);
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Helpers of the settings page dashboard (assets/js/abilities-dashboard.js).
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { matchesFilter, runQueue, createQueue, timeAgo } = require('../assets/js/abilities-dashboard');
+
+describe('matchesFilter', () => {
+  const row = { id: 'hp-abilities/products-gmc-audit', description: 'Audit product for Google Merchant Center compliance', category: 'hp-seo', enabled: true, health: 'ok' };
+
+  it('searches id and description, case-insensitively', () => {
+    assert.equal(matchesFilter(row, {}), true);
+    assert.equal(matchesFilter(row, { search: 'GMC' }), true);
+    assert.equal(matchesFilter(row, { search: ' merchant center ' }), true);
+    assert.equal(matchesFilter(row, { search: 'funnel' }), false);
+  });
+
+  it('filters by category, status and health', () => {
+    assert.equal(matchesFilter(row, { category: 'hp-seo', status: 'active' }), true);
+    assert.equal(matchesFilter(row, { category: 'hp-admin' }), false);
+    assert.equal(matchesFilter(row, { status: 'muted' }), false);
+    assert.equal(matchesFilter({ ...row, enabled: false }, { status: 'muted' }), true);
+    assert.equal(matchesFilter(row, { status: 'ok' }), true);
+    assert.equal(matchesFilter(row, { status: 'error' }), false);
+    assert.equal(matchesFilter({ ...row, health: '' }, { status: 'unchecked' }), true);
+  });
+});
+
+describe('runQueue', () => {
+  it('runs at most `concurrency` items at a time and reports progress', async () => {
+    let running = 0;
+    let peak = 0;
+    const progress = [];
+    const worker = async (n) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return n * 2;
+    };
+    const results = await runQueue([1, 2, 3, 4, 5], worker, { concurrency: 2, onProgress: (done, total) => progress.push(`${done}/${total}`) });
+    assert.equal(peak, 2);
+    assert.deepEqual(results.map(result => result.value), [2, 4, 6, 8, 10]);
+    assert.deepEqual(progress, ['1/5', '2/5', '3/5', '4/5', '5/5']);
+  });
+
+  it('keeps going after a failed item', async () => {
+    const order = [];
+    const results = await runQueue(['a', 'b', 'c'], async (item) => {
+      order.push(item);
+      if (item === 'b') throw new Error('broken');
+      return item;
+    });
+    assert.deepEqual(order, ['a', 'b', 'c']);
+    assert.deepEqual(results.map(result => result.ok), [true, false, true]);
+    assert.equal(results[1].error.message, 'broken');
+    assert.deepEqual(await runQueue([], async () => {}), []);
+  });
+});
+
+describe('createQueue', () => {
+  it('runs items added while it runs in the same queue, skipping those already waiting', async () => {
+    let running = 0;
+    let peak = 0;
+    const order = [];
+    const progress = [];
+    const drained = new Promise((resolve) => {
+      const queue = createQueue(async (item) => {
+        running++;
+        peak = Math.max(peak, running);
+        order.push(item);
+        await new Promise(done => setTimeout(done, 5));
+        running--;
+        return item;
+      }, { concurrency: 1, onProgress: (done, total) => progress.push(`${done}/${total}`), onDrain: resolve });
+
+      assert.equal(queue.add(['a', 'b']), 2);
+      // 'b' is still waiting; 'c' is new
+      assert.equal(queue.add(['b', 'c']), 1);
+      assert.deepEqual(queue.progress(), { done: 0, total: 3 });
+    });
+
+    const results = await drained;
+    assert.equal(peak, 1);
+    assert.deepEqual(order, ['a', 'b', 'c']);
+    assert.deepEqual(results.map(result => result.value), ['a', 'b', 'c']);
+    assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+  });
+});
+
+describe('timeAgo', () => {
+  it('formats the time since the last check', () => {
+    const now = 1_800_000_000;
+    assert.equal(timeAgo(null, now), 'never');
+    assert.equal(timeAgo(now - 20, now), 'just now');
+    assert.equal(timeAgo(now - 300, now), '5 min ago');
+    assert.equal(timeAgo(now - 3 * 3600, now), '3 h ago');
+    assert.equal(timeAgo(now - 86400, now), '1 day ago');
+    assert.equal(timeAgo(now - 5 * 86400, now), '5 days ago');
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * bin/lib/batch.js and image-prep.js --manifest.
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+
+const { parseCsv, loadManifest, runWithConcurrency, createBatchState } = require('../bin/lib/batch');
+const { createMockServer, API_KEY } = require('./mock-wp-server');
+
+const IMAGE_PREP = path.join(__dirname, '..', 'bin', 'image-prep.js');
+const SAMPLE_MASK = path.join(__dirname, '..', 'test.png');
+
+describe('batch manifest', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-batch-test-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('parses quoted CSV fields and CRLF rows', () => {
+    assert.deepEqual(parseCsv('sku,angle\r\n"DH,515","say ""hi"""\r\n\r\nX1,side'), [
+      ['sku', 'angle'],
+      ['DH,515', 'say "hi"'],
+      ['X1', 'side']
+    ]);
+  });
+
+  it('normalizes CSV items and resolves paths against the manifest', () => {
+    const manifest = path.join(dir, 'items.csv');
+    fs.writeFileSync(manifest, 'SKU,Angle,Source,Product-ID\nDH515,Front,https://example.com/a.jpg,12\nDH515,label,photos/label.png,12\n');
+    const items = loadManifest(manifest);
+
+    assert.deepEqual(items[0], { sku: 'DH515', angle: 'front', url: 'https://example.com/a.jpg', product_id: '12' });
+    assert.equal(items[1].file, path.join(dir, 'photos', 'label.png'));
+  });
+
+  it('reads JSON manifests', () => {
+    const manifest = path.join(dir, 'items.json');
+    fs.writeFileSync(manifest, JSON.stringify({ items: [{ sku: 'A1', url: 'https://example.com/a1.jpg', product_id: 7 }] }));
+    assert.deepEqual(loadManifest(manifest), [{ sku: 'A1', angle: 'front', url: 'https://example.com/a1.jpg', product_id: '7' }]);
+  });
+
+  it('lists every invalid row', () => {
+    const manifest = path.join(dir, 'bad.csv');
+    fs.writeFileSync(manifest, 'sku,angle,url\n,front,https://x\nA1,front,\nB1,side,https://x\nB1,side,https://y\n');
+    assert.throws(() => loadManifest(manifest), (e) => {
+      assert.match(e.message, /line 2: missing sku/);
+      assert.match(e.message, /line 3: needs url, file or mask/);
+      assert.match(e.message, /line 5: duplicate B1\/side/);
+      return true;
+    });
+  });
+
+  it('never runs more than the concurrency limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const seen = [];
+    await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (value) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      seen.push(value);
+      running--;
+    });
+    assert.equal(peak, 3);
+    assert.equal(seen.length, 7);
+  });
+
+  it('only resumes items finished in the same mode with output present', () => {
+    const statePath = path.join(dir, 'state.json');
+    const output = path.join(dir, 'A1-front.png');
+    fs.writeFileSync(output, 'png');
+
+    const item = { sku: 'A1', angle: 'front' };
+    createBatchState(statePath).markDone(item, 'prepare', { output });
+
+    const state = createBatchState(statePath);
+    assert.ok(state.completed(item, 'prepare'));
+    assert.equal(state.completed(item, 'upload'), null);
+    assert.equal(createBatchState(statePath, true).completed(item, 'prepare'), null);
+
+    fs.unlinkSync(output);
+    assert.equal(state.completed(item, 'prepare'), null);
+  });
+});
+
+describe('image-prep --manifest', () => {
+  let mock;
+  let dir;
+
+  before(async () => {
+    mock = createMockServer();
+    await mock.listen();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-batch-run-'));
+  });
+
+  after(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await mock.close();
+  });
+
+  const runBatch = (manifest, ...extra) => new Promise((resolve) => {
+    execFile(process.execPath, [IMAGE_PREP, '--manifest', manifest, '--upload', '--transport', 'mcp', ...extra], {
+      cwd: dir,
+      timeout: 60000,
+      env: { ...process.env, HP_WP_URL: mock.url, HP_WP_KEY: API_KEY }
+    }, (error, stdout) => resolve({ code: error ? error.code : 0, report: JSON.parse(stdout) }));
+  });
+
+  it('uploads every item, reports failures, and skips finished items on rerun', async () => {
+    const manifest = path.join(dir, 'onboarding.csv');
+    fs.writeFileSync(manifest, `sku,angle,mask,product_id\nA1,front,${SAMPLE_MASK},101\nA1,side,${SAMPLE_MASK},101\nB2,front,missing.png,102\n`);
+
+    const first = await runBatch(manifest);
+    assert.equal(first.code, 1);
+    assert.equal(first.report.done, 2);
+    assert.equal(first.report.uploads.length, 2);
+    assert.equal(first.report.uploads[0].is_thumbnail, true);
+    assert.equal(first.report.uploads[1].is_thumbnail, false);
+    assert.equal(first.report.failures[0].sku, 'B2');
+    assert.ok(fs.existsSync(path.join(dir, 'temp', 'batch-onboarding-report.json')));
+
+    fs.copyFileSync(SAMPLE_MASK, path.join(dir, 'missing.png'));
+    const second = await runBatch(manifest);
+    assert.equal(second.code, 0);
+    assert.equal(second.report.skipped, 2);
+    assert.equal(second.report.done, 1);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * bin/lib/bg-backends.js and the non-AI paths of bg-remove-helper.js /
+ * image-prep.js (the imgly model is not exercised here).
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const sharp = require('sharp');
+
+const { keyBackground, voteMasks, parseMembers } = require('../bin/lib/bg-backends');
+
+const BIN = path.join(__dirname, '..', 'bin');
+const SIZE = 120;
+const RAW = { raw: { width: SIZE, height: SIZE, channels: 4 } };
+
+/**
+ * Studio shot: slightly noisy light backdrop, a dark mug (rows/cols 30-89)
+ * with a handle whose hole (backdrop colour) is enclosed by the product.
+ */
+function studioShot() {
+  const data = Buffer.alloc(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const noise = (x * 7 + y * 13) % 9;
+      data.set([236 + noise, 236 + noise, 236 + noise, 255], (y * SIZE + x) * 4);
+    }
+  }
+  const paint = (x0, y0, x1, y1, rgb) => {
+    for (let y = y0; y <= y1; y++) for (let x = x0; x <= x1; x++) data.set([...rgb, 255], (y * SIZE + x) * 4);
+  };
+  paint(30, 30, 89, 89, [60, 40, 30]);
+  paint(90, 45, 105, 75, [60, 40, 30]);
+  paint(90, 52, 98, 68, [240, 240, 240]);
+  return data;
+}
+
+const alphaAt = (data, x, y) => data[(y * SIZE + x) * 4 + 3];
+
+describe('bg-backends', () => {
+  it('keys out the backdrop from the border only', async () => {
+    const source = await sharp(studioShot(), RAW).png().toBuffer();
+    const result = await keyBackground(source);
+    const { data } = await sharp(result.png).raw().toBuffer({ resolveWithObject: true });
+
+    assert.ok(result.tolerance >= 25);
+    assert.deepEqual(result.background.map(v => Math.round(v / 10)), [24, 24, 24]);
+    assert.equal(alphaAt(data, 5, 5), 0);
+    assert.equal(alphaAt(data, 60, 60), 255);
+    assert.equal(alphaAt(data, 100, 50), 255);
+    // Enclosed backdrop in the handle is not reachable from the border
+    assert.equal(alphaAt(data, 94, 60), 255);
+    assert.equal(result.coverage, Math.round(((60 * 60 + 16 * 31) / (SIZE * SIZE)) * 1000) / 1000);
+  });
+
+  it('votes mean, majority, unanimous and any', async () => {
+    const mask = (alphas) => sharp(Buffer.from(alphas.flatMap(a => [10, 20, 30, a])), { raw: { width: 4, height: 1, channels: 4 } }).png().toBuffer();
+    const members = await Promise.all([mask([255, 255, 0, 0]), mask([255, 0, 255, 0]), mask([255, 0, 0, 90])]);
+    const alphas = async (vote) => {
+      const { png } = await voteMasks(members, vote);
+      const { data } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+      return [3, 7, 11, 15].map(i => data[i]);
+    };
+
+    assert.deepEqual(await alphas('mean'), [255, 85, 85, 30]);
+    assert.deepEqual(await alphas('majority'), [255, 0, 0, 0]);
+    assert.deepEqual(await alphas('unanimous'), [255, 0, 0, 0]);
+    assert.deepEqual(await alphas('any'), [255, 255, 255, 0]);
+    assert.equal((await voteMasks(members, 'mean')).agreement, 0.5);
+    await assert.rejects(voteMasks(members, 'loudest'), /Unknown vote/);
+  });
+
+  it('parses ensemble members', () => {
+    assert.deepEqual(parseMembers('imgly:small, key'), [{ backend: 'imgly', model: 'small' }, { backend: 'key', model: undefined }]);
+    assert.deepEqual(parseMembers('imgly,imgly:large')[0], { backend: 'imgly', model: 'medium' });
+    assert.throws(() => parseMembers('key'), /at least two/);
+    assert.throws(() => parseMembers('imgly:huge,key'), /no model "huge"/);
+    assert.throws(() => parseMembers('ensemble,key'), /Unknown ensemble member/);
+  });
+});
+
+describe('bg-remove-helper.js / image-prep.js without AI', () => {
+  let dir;
+  let sourcePath;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-bg-test-'));
+    sourcePath = path.join(dir, 'mug.png');
+    await sharp(studioShot(), RAW).png().toFile(sourcePath);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const run = (script, args) => new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(BIN, script), ...args], { cwd: dir, timeout: 60000 }, (error, stdout, stderr) => {
+      if (error) reject(new Error(stderr || error.message));
+      else resolve(JSON.parse(stdout));
+    });
+  });
+
+  it('runs an ensemble of keying members', async () => {
+    const output = path.join(dir, 'ensemble.png');
+    const result = await run('bg-remove-helper.js', [sourcePath, output, '--backend', 'ensemble', '--members', 'key,key', '--vote', 'unanimous']);
+    assert.equal(result.vote, 'unanimous');
+    assert.equal(result.agreement, 1);
+    assert.equal(result.members.length, 2);
+    assert.equal(fs.readdirSync(dir).filter(name => name.includes('.member-')).length, 0);
+  });
+
+  it('rejects unknown backends', async () => {
+    await assert.rejects(run('bg-remove-helper.js', [sourcePath, path.join(dir, 'x.png'), '--backend', 'magic']), /Unknown backend "magic"/);
+  });
+
+  it('makes a mask with --backend key', async () => {
+    const result = await run('image-prep.js', ['--file', sourcePath, '--sku', 'MUG1', '--mask-only', '--backend', 'key']);
+    assert.equal(result.mode, 'mask-only');
+    assert.equal(result.background_removal.backend, 'key');
+    assert.equal(result.quality.holes.count, 0);
+    const { data } = await sharp(result.mask).raw().toBuffer({ resolveWithObject: true });
+    assert.equal(alphaAt(data, 5, 5), 0);
+    assert.equal(alphaAt(data, 60, 60), 255);
+  });
+});
@@ -0,0 +1,420 @@
+/**
+ * hp-mcp-bridge.js against the offline mock server (test/mock-wp-server.js).
+ * Run with: npm test
+ */
+
+const assert = require('node:assert/strict');
+const { spawn, execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+
+const { createMockServer, API_KEY } = require('./mock-wp-server');
+
+const BRIDGE = path.join(__dirname, '..', 'bin', 'hp-mcp-bridge.js');
+
+/**
+ * Spawn the bridge and talk JSON-RPC to it over stdio.
+ */
+function startBridge(args) {
+  const child = spawn(process.execPath, [BRIDGE, ...args], { stdio: ['pipe', 'pipe', 'pipe'] });
+  const messages = [];
+  const waiters = [];
+  let buffer = '';
+  let stderr = '';
+
+  const settle = () => {
+    for (let i = waiters.length - 1; i >= 0; i--) {
+      const found = messages.find(waiters[i].match);
+      if (found) {
+        waiters[i].resolve(found);
+        waiters.splice(i, 1);
+      }
+    }
+  };
+
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk.toString();
+    let boundary;
+    while ((boundary = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, boundary).trim();
+      buffer = buffer.slice(boundary + 1);
+      if (line) messages.push(JSON.parse(line));
+    }
+    settle();
+  });
+  child.stderr.on('data', (chunk) => { stderr += chunk.toString(); });
+
+  return {
+    messages,
+    get stderr() { return stderr; },
+    send(message) {
+      child.stdin.write(JSON.stringify(message) + '\n');
+    },
+    waitFor(match, timeoutMs = 5000) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out; got ${JSON.stringify(messages)}\n${stderr}`)), timeoutMs);
+        waiters.push({ match, resolve: (message) => { clearTimeout(timer); resolve(message); } });
+        settle();
+      });
+    },
+    async request(id, method, params = {}) {
+      this.send({ jsonrpc: '2.0', id, method, params });
+      return this.waitFor(message => message.id === id && message.method === undefined);
+    },
+    async initialize() {
+      const response = await this.request('init', 'initialize', { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } });
+      this.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      return response;
+    },
+    stop() {
+      return new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.once('exit', () => resolve());
+        child.kill();
+      });
+    }
+  };
+}
+
+function resultJson(response) {
+  return JSON.parse(response.result.content[0].text);
+}
+
+describe('hp-mcp-bridge', () => {
+  let mock;
+  let bridge;
+
+  before(async () => {
+    mock = createMockServer();
+    await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+    Object.assign(mock.options, { bom: false, emptyBodies: 0, failures: 0, sse: false, elicit: false, oversizedSchema: false, delayMs: 0, onChunk: null });
+  });
+
+  afterEach(async () => {
+    if (bridge) await bridge.stop();
+    bridge = null;
+  });
+
+  it('passes initialize through and keeps the session header', async () => {
+    bridge = startBridge([mock.url, API_KEY]);
+    const response = await bridge.initialize();
+    assert.equal(response.result.serverInfo.name, 'mock-wp-mcp');
+
+    await bridge.request(2, 'tools/call', { name: 'hp-abilities--test-hello', arguments: { name: 'HP' } });
+    const call = mock.requests.find(entry => entry.method === 'tools/call');
+    assert.match(call.session, /^mock-session-\d+$/);
+  });
+
+  it('lists only hp-abilities tools plus the local upload tool', async () => {
+    bridge = startBridge([mock.url, API_KEY]);
+    await bridge.initialize();
+    const response = await bridge.request(2, 'tools/list');
+    const names = response.result.tools.map(tool => tool.name);
+
+    assert.ok(names.includes('hp-abilities--products-search'));
+    assert.ok(names.includes('hp-local-upload-file'));
+    assert.ok(!names.some(name => name.startsWith('woocommerce')));
+  });
+
+  it('refuses calls to filtered tools', async () => {
+    bridge = startBridge([mock.url, API_KEY]);
+    await bridge.initialize();
+    const response = await bridge.request(2, 'tools/call', { name: 'woocommerce--orders-get', arguments: {} });
+    assert.equal(response.error.code, -32602);
+    assert.ok(!mock.requests.some(entry => entry.tool === 'woocommerce--orders-get'));
+  });
+
+  it('routes prefixed tools to their environment and refuses writes on production', async () => {
+    const prod = createMockServer();
+    await prod.listen();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-bridge-test-'));
+    const config = path.join(dir, 'hp-bridge.json');
+    fs.writeFileSync(config, JSON.stringify({
+      environments: {
+        stg: { url: mock.url, key: API_KEY },
+        prod: { url: prod.url, key: API_KEY, production: true }
+      }
+    }));
+
+    try {
+      bridge = startBridge([`--config=${config}`]);
+      await bridge.initialize();
+      const names = (await bridge.request(2, 'tools/list')).result.tools.map(tool => tool.name);
+      assert.ok(names.includes('stg__hp-abilities--products-get'));
+      assert.ok(names.includes('prod__hp-abilities--products-get'));
+
+      const read = await bridge.request(3, 'tools/call', { name: 'prod__hp-abilities--products-get', arguments: { sku: 'HP-9' } });
+      assert.equal(resultJson(read).sku, 'HP-9');
+      assert.ok(prod.requests.some(entry => entry.tool === 'hp-abilities--products-get'));
+      assert.ok(!mock.requests.some(entry => entry.tool === 'hp-abilities--products-get'));
+
+      const write = { name: 'hp-abilities--orders-update-status', arguments: { order_id: 5001, status: 'completed' } };
+      const refused = await bridge.request(4, 'tools/call', { ...write, name: `prod__${write.name}` });
+      assert.equal(refused.result.isError, true);
+      assert.match(refused.result.content[0].text, /Refused: .* production environment "prod"/);
+      assert.ok(!prod.requests.some(entry => entry.tool === write.name));
+
+      const staged = await bridge.request(5, 'tools/call', { ...write, name: `stg__${write.name}` });
+      assert.equal(resultJson(staged).status, 'completed');
+    } finally {
+      await bridge.stop();
+      bridge = null;
+      await prod.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('treats tools from outside hp-abilities as writes on production unless annotated read-only', async () => {
+    const prod = createMockServer();
+    await prod.listen();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-bridge-test-'));
+    const config = path.join(dir, 'hp-bridge.json');
+    fs.writeFileSync(config, JSON.stringify({ environments: { prod: { url: prod.url, key: API_KEY, production: true } } }));
+
+    try {
+      bridge = startBridge([`--config=${config}`, '--allow=hp-abilities*,woocommerce*']);
+      await bridge.initialize();
+      const refused = await bridge.request(2, 'tools/call', { name: 'prod__woocommerce--orders-get', arguments: {} });
+      assert.match(refused.result.content[0].text, /Refused: woocommerce--orders-get/);
+      assert.ok(!prod.requests.some(entry => entry.tool === 'woocommerce--orders-get'));
+
+      // Annotated readOnlyHint: passed through
+      await bridge.request(3, 'tools/call', { name: 'prod__woocommerce--products-list', arguments: {} });
+      assert.ok(prod.requests.some(entry => entry.tool === 'woocommerce--products-list'));
+    } finally {
+      await bridge.stop();
+      bridge = null;
+      await prod.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('exposes the tools matching --allow globs minus --deny', async () => {
+    bridge = startBridge([mock.url, API_KEY, '--allow=hp-abilities--products-*,hp-abilities--?????????-check,woocommerce*-get', '--deny=*products-search']);
+    await bridge.initialize();
+    const names = (await bridge.request(2, 'tools/list')).result.tools.map(tool => tool.name).sort();
+    assert.deepEqual(names, ['hp-abilities--inventory-check', 'hp-abilities--products-get', 'woocommerce--orders-get']);
+
+    // Deny wins over allow, for calls as well as the list
+    const denied = await bridge.request(3, 'tools/call', { name: 'hp-abilities--products-search', arguments: { search: 'tea' } });
+    assert.equal(denied.error.code, -32602);
+    assert.ok(!mock.requests.some(entry => entry.tool === 'hp-abilities--products-search'));
+    const allowed = await bridge.request(4, 'tools/call', { name: 'hp-abilities--products-get', arguments: { sku: 'HP-3' } });
+    assert.equal(resultJson(allowed).sku, 'HP-3');
+  });
+
+  it('matches globs case-insensitively and keeps the defaults without --allow', async () => {
+    bridge = startBridge([mock.url, API_KEY, '--deny=HP-ABILITIES--ORDERS*,hp-local*']);
+    await bridge.initialize();
+    const names = (await bridge.request(2, 'tools/list')).result.tools.map(tool => tool.name);
+    assert.ok(names.includes('hp-abilities--products-get'));
+    assert.ok(!names.some(name => /orders|woocommerce|hp-local/.test(name)));
+  });
+
+  it('returns canned tool results under the client id', async () => {
+    bridge = startBridge([mock.url, API_KEY]);
+    await bridge.initialize();
+    const response = await bridge.request('call-1', 'tools/call', { name: 'hp-abilities--products-get', arguments: { sku: 'HP-7' } });
+    assert.equal(resultJson(response).sku, 'HP-7');
+  });
+
+  it('parses BOM-prefixed bodies', async () => {
+    mock.options.bom = true;
+    bridge = startBridge([mock.url, API_KEY]);
+    await bridge.initialize();
+    const response = await bridge.request(2, 'tools/call', { name: 'hp-abilities--inventory-check', arguments: { sku: 'HP-1' } });
+    assert.equal(resultJson(response).in_stock, true);
+  });
+
+  it('retries read-only calls on empty bodies and 503s', async () => {
+    bridge = startBridge([mock.url, API_KEY, '--retry-base-ms=5']);
+    await bridge.initialize();
+
+    mock.options.emptyBodies = 1;
+    const list = await bridge.request(2, 'tools/list');
+    assert.ok(Array.isArray(list.result.tools));
+
+    mock.options.failures = 2;
+    const call = await bridge.request(3, 'tools/call', { name: 'hp-abilities--orders-search', arguments: {} });
+    assert.equal(resultJson(call).orders.length, 1);
+    assert.equal(mock.requests.filter(entry => entry.tool === 'hp-abilities--orders-search').length, 3);
+  });
+
+  it('never retries write abilities', async () => {
+    bridge = startBridge([mock.url, API_KEY, '--retry-base-ms=5']);
+    await bridge.initialize();
+
+    mock.options.failures = 1;
+    const response = await bridge.request(2, 'tools/call', { name: 'hp-abilities--orders-update-status', arguments: { order_id: 1, status: 'completed' } });
+    assert.ok(response.error || response.result.isError);
+    assert.equal(mock.requests.filter(entry => entry.tool === 'hp-abilities--orders-update-status').length, 1);
+  });
+
+  it('re-initializes an expired session and retries once', async () => {
+    bridge = startBridge([mock.url, API_KEY]);
+    await bridge.initialize();
+
+    mock.expireSession();
+    const response = await bridge.request(2, 'tools/call', { name: 'hp-abilities--test-hello', arguments: {} });
+    assert.equal(resultJson(response).message, 'Hello, world!');
+    assert.equal(mock.requests.filter(entry => entry.method === 'initialize').length, 2);
+  });
+
+  it('compacts oversized schemas to the budget', async () => {
+    mock.options.oversizedSchema = true;
+    bridge = startBridge([mock.url, API_KEY]);
+    await bridge.initialize();
+    const response = await bridge.request(2, 'tools/list');
+    const tool = response.result.tools.find(entry => entry.name === 'hp-abilities--products-update-comprehensive');
+
+    assert.ok(tool);
+    assert.ok(JSON.stringify(tool.inputSchema).length <= 1024);
+    assert.match(bridge.stderr, /products-update-comprehensive/);
+  });
+
+  it('caches tools/list per session', async () => {
+    bridge = startBridge([mock.url, API_KEY]);
+    await bridge.initialize();
+    await bridge.request(2, 'tools/list');
+    await bridge.request(3, 'tools/list');
+    assert.equal(mock.requests.filter(entry => entry.method === 'tools/list').length, 1);
+  });
+
+  it('keeps ids apart when requests are pipelined', async () => {
+    bridge = startBridge([mock.url, API_KEY, '--concurrency=4']);
+    await bridge.initialize();
+    const skus = ['A', 'B', 'C', 'D', 'E', 'F'];
+    const responses = await Promise.all(skus.map(sku => bridge.request(`p-${sku}`, 'tools/call', { name: 'hp-abilities--products-get', arguments: { sku } })));
+    responses.forEach((response, i) => assert.equal(resultJson(response).sku, skus[i]));
+  });
+
+  it('forwards cancellations while the request they target still runs', async () => {
+    bridge = startBridge([mock.url, API_KEY]);
+    await bridge.initialize();
+    mock.options.delayMs = 1000;
+    const pending = bridge.request(2, 'tools/call', { name: 'hp-abilities--test-hello', arguments: {} });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    bridge.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 2, reason: 'user' } });
+
+    const deadline = Date.now() + 800;
+    while (!mock.requests.some(entry => entry.method === 'notifications/cancelled') && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(mock.requests.some(entry => entry.method === 'notifications/cancelled'), 'cancel reached WordPress');
+    assert.ok(!bridge.messages.some(message => message.id === 2), 'before the call finished');
+    await pending;
+  });
+
+  it('passes the client answer to a server request while every slot is busy', async () => {
+    mock.options.elicit = true;
+    bridge = startBridge([mock.url, API_KEY, '--concurrency=1']);
+    await bridge.initialize();
+    const pending = bridge.request(2, 'tools/call', { name: 'hp-abilities--test-hello', arguments: {} });
+
+    const elicitation = await bridge.waitFor(message => message.method === 'elicitation/create');
+    bridge.send({ jsonrpc: '2.0', id: elicitation.id, result: { action: 'accept', content: { name: 'Ada' } } });
+    assert.equal(resultJson(await pending).message, 'Hello, Ada!');
+  });
+
+  it('relays progress notifications from SSE replies', async () => {
+    mock.options.sse = true;
+    bridge = startBridge([mock.url, API_KEY]);
+    await bridge.initialize();
+    const response = await bridge.request(2, 'tools/call', { name: 'hp-abilities--test-hello', arguments: {}, _meta: { progressToken: 'tok' } });
+
+    assert.equal(resultJson(response).message, 'Hello, world!');
+    assert.ok(bridge.messages.some(message => message.method === 'notifications/progress' && message.params.progressToken === 'tok'));
+  });
+
+  it('uploads local files in chunks and hands them to media-upload', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-bridge-test-'));
+    const file = path.join(dir, 'HP-1-front.png');
+    fs.writeFileSync(file, Buffer.alloc(5000, 7));
+
+    try {
+      bridge = startBridge([mock.url, API_KEY, '--upload-chunk-kb=2']);
+      await bridge.initialize();
+      const response = await bridge.request(2, 'tools/call', { name: 'hp-local-upload-file', arguments: { path: file, product_id: 101 } });
+      const result = resultJson(response);
+
+      assert.equal(result.attachment_id, 9001);
+      assert.match(result.file_path, /HP-1-front\.png$/);
+      assert.equal(Object.values(mock.uploads)[0].length, 5000);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reports a file that shrinks during the upload', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-bridge-test-'));
+    const file = path.join(dir, 'HP-2-front.png');
+    fs.writeFileSync(file, Buffer.alloc(64 * 1024, 7));
+    mock.options.onChunk = () => fs.truncateSync(file, 3000);
+
+    try {
+      bridge = startBridge([mock.url, API_KEY, '--upload-chunk-kb=2']);
+      await bridge.initialize();
+      const response = await bridge.request(2, 'tools/call', { name: 'hp-local-upload-file', arguments: { path: file } });
+      assert.equal(response.result.isError, true);
+      assert.match(response.result.content[0].text, /File changed during upload/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('writes a structured log without API keys', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-bridge-test-'));
+    const logFile = path.join(dir, 'bridge.log');
+    const foreignKey = `ck_${'a1'.repeat(20)}`;
+
+    try {
+      bridge = startBridge([mock.url, API_KEY, `--log=${logFile}`, '--trace']);
+      await bridge.initialize();
+      const response = await bridge.request(2, 'tools/call', { name: 'hp-abilities--test-hello', arguments: { name: `${API_KEY} ${foreignKey}` } });
+      assert.match(resultJson(response).message, /ck_test:cs_test/);
+
+      // The client_request line follows the answer
+      const deadline = Date.now() + 2000;
+      let entries = [];
+      while (!entries.some(entry => entry.event === 'client_request' && entry.id === 2) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        entries = fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line)) : [];
+      }
+
+      const call = entries.find(entry => entry.event === 'wp_request' && entry.tool === 'hp-abilities--test-hello');
+      assert.ok(call, 'WordPress round-trip logged');
+      assert.equal(call.status, 200);
+      assert.equal(typeof call.latency_ms, 'number');
+      assert.ok(entries.some(entry => entry.event === 'client_request' && entry.id === 2 && entry.method === 'tools/call'));
+
+      const text = fs.readFileSync(logFile, 'utf8');
+      assert.ok(!text.includes(API_KEY), 'bridge key redacted');
+      assert.ok(!text.includes(foreignKey), 'foreign WooCommerce key redacted');
+      assert.match(text, /\[REDACTED\]/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('prints a schema report', async () => {
+    mock.options.oversizedSchema = true;
+    const output = await new Promise((resolve, reject) => {
+      execFile(process.execPath, [BRIDGE, mock.url, API_KEY, '--schema-report'], { timeout: 10000 }, (error, stdout) => {
+        if (error) reject(error);
+        else resolve(stdout);
+      });
+    });
+    const report = JSON.parse(output);
+
+    assert.equal(report.budget, 1024);
+    assert.equal(report.environments[0].trimmed.length, 1);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * bin/lib/compose.js and image-prep.js --preset.
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const sharp = require('sharp');
+
+const { DEFAULT_PRESETS, parsePresets, composeCanvas } = require('../bin/lib/compose');
+
+const BIN = path.join(__dirname, '..', 'bin');
+const SIZE = 200;
+
+/**
+ * Opaque blue block of the given size, as a PNG buffer.
+ */
+function block(width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set([40, 90, 200, 255], i * 4);
+  return sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+async function pixels(png) {
+  const { data } = await sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return (x, y) => [...data.subarray((y * SIZE + x) * 4, (y * SIZE + x) * 4 + 4)];
+}
+
+describe('parsePresets', () => {
+  it('fills in defaults', () => {
+    const presets = parsePresets(undefined);
+    assert.deepEqual(Object.keys(presets), Object.keys(DEFAULT_PRESETS));
+    assert.deepEqual(presets['studio-white'].shadow, { opacity: 0.35, width: 0.9, height: 0.12, blur: 0.012 });
+    assert.equal(presets['catalog-row'].background, null);
+
+    const custom = parsePresets('{"soft":{"reflection":{"opacity":0.4}}}');
+    assert.deepEqual(custom.soft, { name: 'soft', align: 'center', background: null, shadow: null, reflection: { opacity: 0.4, height: 0.3, gap: 0 } });
+    assert.deepEqual(parsePresets([]), {});
+  });
+
+  it('rejects invalid presets', () => {
+    assert.throws(() => parsePresets({ a: { align: 'top' } }), /align must be center or bottom/);
+    assert.throws(() => parsePresets({ a: { background: 'white' } }), /background must be #rrggbb/);
+    assert.throws(() => parsePresets({ a: { background: { from: '#ffffff' } } }), /gradient needs "from" and "to"/);
+    assert.throws(() => parsePresets({ a: { shadow: { opacity: 2 } } }), /shadow.opacity must be a number 0-1/);
+    assert.throws(() => parsePresets({ 'Row A': {} }), /name must be/);
+    assert.throws(() => parsePresets('[{"a":1}]'), /must be a JSON object/);
+  });
+});
+
+describe('composeCanvas', () => {
+  it('centres on a transparent canvas without a preset', async () => {
+    const { png, box } = await composeCanvas(await block(60, 100), SIZE);
+    assert.deepEqual(box, { left: 70, top: 50, width: 60, height: 100 });
+    const at = await pixels(png);
+    assert.equal(at(5, 5)[3], 0);
+  });
+
+  it('puts products of different heights on the same base line', async () => {
+    const { row } = parsePresets({ row: { align: 'bottom', bottom: 0.1 } });
+    const tall = await composeCanvas(await block(40, 150), SIZE, row);
+    const short = await composeCanvas(await block(40, 60), SIZE, row);
+    assert.equal(tall.box.top + tall.box.height, 180);
+    assert.equal(short.box.top + short.box.height, 180);
+
+    // Bottom gap defaults to the padding
+    const { plain } = parsePresets({ plain: { align: 'bottom' } });
+    const padded = await composeCanvas(await block(40, 60), SIZE, plain, 0.05);
+    assert.equal(padded.box.top + padded.box.height, 190);
+  });
+
+  it('keeps the transparent refinement margin out of the base line', async () => {
+    const { row } = parsePresets({ row: { align: 'bottom', bottom: 0.1, shadow: true } });
+    const framed = await sharp(await block(40, 60)).extend({ top: 2, bottom: 2, left: 2, right: 2, background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer();
+    const { png, box } = await composeCanvas(framed, SIZE, row, 0, 2);
+    assert.deepEqual(box, { left: 80, top: 120, width: 40, height: 60 });
+    const at = await pixels(png);
+    assert.equal(at(100, 179)[3], 255);
+    // Just below the base: the shadow, not the product
+    assert.notDeepEqual(at(100, 180), at(100, 179));
+  });
+
+  it('draws background, shadow and reflection', async () => {
+    const presets = parsePresets({
+      shadowed: { background: '#ffffff', align: 'bottom', bottom: 0.2, shadow: true },
+      reflected: { background: { from: '#ffffff', to: '#000000' }, align: 'bottom', bottom: 0.2, reflection: { opacity: 0.5 } }
+    });
+    const product = await block(60, 100);
+
+    const shadowed = await pixels((await composeCanvas(product, SIZE, presets.shadowed)).png);
+    assert.deepEqual(shadowed(5, 5), [255, 255, 255, 255]);
+    // Just below the product base (row 160): darker than the background, fading sideways
+    assert.ok(shadowed(100, 162)[0] < 235);
+    assert.ok(shadowed(100, 162)[0] < shadowed(75, 162)[0]);
+    assert.deepEqual(shadowed(100, 190), [255, 255, 255, 255]);
+
+    const reflected = await pixels((await composeCanvas(product, SIZE, presets.reflected)).png);
+    // Vertical gradient: light at the top, dark at the bottom
+    assert.ok(reflected(5, 5)[0] > 240);
+    assert.ok(reflected(5, 195)[0] < 15);
+    // Mirrored product right under the base, blue-tinted and fading out
+    const first = reflected(100, 161);
+    assert.ok(first[2] > first[0] + 40);
+    const later = reflected(100, 185);
+    assert.ok(Math.abs(later[2] - later[0]) < Math.abs(first[2] - first[0]));
+  });
+});
+
+describe('image-prep.js --preset', () => {
+  let dir;
+  let maskPath;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-compose-test-'));
+    maskPath = path.join(dir, 'mask.png');
+    const data = Buffer.alloc(SIZE * SIZE * 4);
+    for (let y = 40; y < 160; y++) {
+      for (let x = 80; x < 120; x++) data.set([40, 90, 200, 255], (y * SIZE + x) * 4);
+    }
+    await sharp(data, { raw: { width: SIZE, height: SIZE, channels: 4 } }).png().toFile(maskPath);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const run = args => new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(BIN, 'image-prep.js'), ...args], { cwd: dir, timeout: 60000 }, (error, stdout, stderr) => {
+      if (error) reject(new Error(stderr || error.message));
+      else resolve(JSON.parse(stdout));
+    });
+  });
+
+  it('composes the master image with a named preset', async () => {
+    const result = await run(['--sku', 'CP1', '--use-mask', maskPath, '--target-size', '200', '--preset', 'studio-white', '--renditions', 'none']);
+    assert.equal(result.preset, 'studio-white');
+    const at = await pixels(fs.readFileSync(result.output));
+    assert.deepEqual(at(5, 5), [255, 255, 255, 255]);
+    // Bottom-aligned: the product ends 5% (the padding) above the bottom edge
+    assert.equal(at(100, 180)[3], 255);
+    assert.ok(at(100, 180)[2] > at(100, 180)[0]);
+    assert.deepEqual(at(5, 197), [255, 255, 255, 255]);
+  });
+
+  it('fails early on an unknown preset', async () => {
+    await assert.rejects(run(['--sku', 'CP2', '--use-mask', maskPath, '--preset', 'nope']), /Unknown preset .*nope.*defined: studio-white, catalog-row, showroom/);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * bin/lib/edge-refine.js, refine-edge.js and the refinement step in image-prep.js.
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const sharp = require('sharp');
+
+const { refineEdges } = require('../bin/lib/edge-refine');
+
+const BIN = path.join(__dirname, '..', 'bin');
+const SIZE = 80;
+const RADIUS = 25.3;
+const PRODUCT = [20, 60, 120];
+
+/**
+ * Hard-edged disk (a staircase outline). With `halo`, the outermost pixel
+ * ring carries light background colour, as AI cutouts often do.
+ */
+function disk(halo = false) {
+  const data = Buffer.alloc(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const d = Math.hypot(x - 40, y - 40);
+      if (d <= RADIUS) data.set(halo && d > RADIUS - 1 ? [250, 250, 250, 255] : [...PRODUCT, 255], (y * SIZE + x) * 4);
+    }
+  }
+  return data;
+}
+
+describe('edge-refine', () => {
+  it('turns the staircase into a ramp along the true outline', () => {
+    const { data, stats } = refineEdges(disk(), SIZE, SIZE);
+    let partial = 0;
+    for (let y = 0; y < SIZE; y++) {
+      for (let x = 0; x < SIZE; x++) {
+        const d = Math.hypot(x - 40, y - 40);
+        const alpha = data[(y * SIZE + x) * 4 + 3] / 255;
+        const expected = Math.min(1, Math.max(0, 0.5 + (RADIUS - d) / 1.5));
+        assert.ok(Math.abs(alpha - expected) < 0.3, `alpha ${alpha.toFixed(2)} at ${x},${y} (distance ${d.toFixed(2)})`);
+        if (alpha > 0 && alpha < 1) partial++;
+      }
+    }
+    assert.ok(partial > 100);
+    assert.equal(stats.edge_pixels >= partial, true);
+  });
+
+  it('removes the background halo from edge colours', () => {
+    const { data } = refineEdges(disk(true), SIZE, SIZE);
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] > 0) assert.deepEqual([...data.subarray(i, i + 3)], PRODUCT);
+    }
+    const { data: kept } = refineEdges(disk(true), SIZE, SIZE, { decontaminate: false });
+    assert.ok(kept.some((value, i) => i % 4 === 0 && value === 250 && kept[i + 3] > 0));
+  });
+
+  it('keeps translucent interiors and stays hard with ramp 0', () => {
+    const input = disk();
+    input[(40 * SIZE + 40) * 4 + 3] = 200;
+    const { data } = refineEdges(input, SIZE, SIZE, { ramp: 0 });
+    assert.equal(data[(40 * SIZE + 40) * 4 + 3], 200);
+    for (let i = 3; i < data.length; i += 4) {
+      if (i !== (40 * SIZE + 40) * 4 + 3) assert.ok(data[i] === 0 || data[i] === 255);
+    }
+  });
+
+  it('keeps translucent regions below the hard-mask threshold', () => {
+    const input = disk();
+    for (let y = 0; y < SIZE; y++) {
+      for (let x = 0; x < SIZE; x++) {
+        if (Math.hypot(x - 40, y - 40) <= 10) input[(y * SIZE + x) * 4 + 3] = 100;
+      }
+    }
+    const { data } = refineEdges(input, SIZE, SIZE);
+    for (let y = 0; y < SIZE; y++) {
+      for (let x = 0; x < SIZE; x++) {
+        const d = Math.hypot(x - 40, y - 40);
+        const alpha = data[(y * SIZE + x) * 4 + 3];
+        if (d <= 6) assert.equal(alpha, 100, `alpha ${alpha} at ${x},${y}`);
+        else if (d <= 10) assert.ok(alpha >= 100, `alpha ${alpha} at ${x},${y}`);
+      }
+    }
+  });
+
+  it('keeps the colours of translucent regions', () => {
+    const width = 40;
+    const input = Buffer.alloc(width * width * 4);
+    for (let y = 0; y < width; y++) {
+      for (let x = 0; x < width; x++) {
+        // Opaque red body on the left, cyan glass on the right
+        input.set(x < 20 ? [200, 30, 30, 255] : [0, 200, 200, 80], (y * width + x) * 4);
+      }
+    }
+    const { data } = refineEdges(input, width, width);
+    for (let y = 0; y < width; y++) {
+      for (let x = 24; x < width; x++) {
+        const i = (y * width + x) * 4;
+        assert.deepEqual([...data.subarray(i, i + 4)], [0, 200, 200, 80], `pixel ${x},${y}`);
+      }
+    }
+  });
+});
+
+describe('refine-edge.js / image-prep.js', () => {
+  let dir;
+  let maskPath;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-refine-test-'));
+    maskPath = path.join(dir, 'mask.png');
+    await sharp(disk(true), { raw: { width: SIZE, height: SIZE, channels: 4 } }).png().toFile(maskPath);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const run = (script, args) => new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(BIN, script), ...args], { cwd: dir, timeout: 60000 }, (error, stdout, stderr) => {
+      if (error) reject(new Error(stderr || error.message));
+      else resolve(JSON.parse(stdout));
+    });
+  });
+
+  const partialAlpha = async (file) => {
+    const { data } = await sharp(file).raw().toBuffer({ resolveWithObject: true });
+    let count = 0;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] > 0 && data[i] < 255) count++;
+    }
+    return count;
+  };
+
+  it('writes a preview without touching the mask', async () => {
+    const output = path.join(dir, 'preview.png');
+    const result = await run('refine-edge.js', [maskPath, '--output', output, '--ramp', '2']);
+    assert.equal(result.ramp, 2);
+    assert.equal(result.journal_id, null);
+    assert.ok(await partialAlpha(output) > 100);
+    assert.equal(await partialAlpha(maskPath), 0);
+  });
+
+  it('refines in place and records the edit', async () => {
+    const result = await run('refine-edge.js', [maskPath]);
+    assert.equal(result.journal_id, 1);
+    assert.ok(await partialAlpha(maskPath) > 100);
+  });
+
+  it('refines the final image in image-prep.js', async () => {
+    const hardMask = path.join(dir, 'hard.png');
+    await sharp(disk(), { raw: { width: SIZE, height: SIZE, channels: 4 } }).png().toFile(hardMask);
+
+    const result = await run('image-prep.js', ['--sku', 'RF1', '--use-mask', hardMask, '--target-size', '120', '--padding', '0.1']);
+    assert.equal(result.settings.edge_ramp, 1.5);
+    assert.ok(await partialAlpha(result.output) > 50);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * edit-mask.js polygon, brush and flood operations on a synthetic product:
+ * a dark ring (a handle) on a light background, the hole showing background.
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const sharp = require('sharp');
+
+const EDIT_MASK = path.join(__dirname, '..', 'bin', 'edit-mask.js');
+const SIZE = 100;
+const RAW = { raw: { width: SIZE, height: SIZE, channels: 4 } };
+
+// Ring: product where 15 <= distance from (50, 50) <= 30
+const isProduct = (x, y) => {
+  const d = Math.hypot(x - 50, y - 50);
+  return d >= 15 && d <= 30;
+};
+
+describe('edit-mask.js shapes', () => {
+  let dir;
+  let originalPath;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-edit-mask-test-'));
+    originalPath = path.join(dir, 'original.png');
+    const original = Buffer.alloc(SIZE * SIZE * 4, 240);
+    for (let y = 0; y < SIZE; y++) {
+      for (let x = 0; x < SIZE; x++) {
+        if (isProduct(x, y)) original.set([40, 30, 20, 255], (y * SIZE + x) * 4);
+      }
+    }
+    await sharp(original, RAW).png().toFile(originalPath);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Run on a fresh mask (empty or fully opaque), return result and alpha per pixel
+  const edit = async (name, opaque, ...args) => {
+    const maskPath = path.join(dir, `${name}.png`);
+    await sharp(Buffer.alloc(SIZE * SIZE * 4, opaque ? 255 : 0), RAW).png().toFile(maskPath);
+    const result = await new Promise((resolve, reject) => {
+      execFile(process.execPath, [EDIT_MASK, '--mask', maskPath, '--original', originalPath, '--no-journal', ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+        if (error) reject(new Error(stderr || error.message));
+        else resolve(JSON.parse(stdout));
+      });
+    });
+    const { data } = await sharp(maskPath).raw().toBuffer({ resolveWithObject: true });
+    return { result, alpha: (x, y) => data[(y * SIZE + x) * 4 + 3] };
+  };
+
+  it('fills a polygon, skipping background pixels', async () => {
+    const { result, alpha } = await edit('polygon', false, '--fill-polygon', '10,10 90,10 90,50 10,50');
+    assert.equal(alpha(50, 22), 255);
+    assert.equal(alpha(50, 50 - 35), 0);
+    assert.equal(alpha(50, 45), 0);
+    assert.equal(alpha(50, 60), 0);
+    assert.ok(result.pixels_skipped_background > 0);
+  });
+
+  it('clears a polygon and a brush stroke', async () => {
+    const polygon = await edit('clear-polygon', true, '--clear-polygon', '0,0 20,0 0,20');
+    assert.equal(polygon.alpha(2, 2), 0);
+    assert.equal(polygon.alpha(15, 15), 255);
+
+    const brush = await edit('brush', true, '--brush-clear', '10,80 90,80', '--radius', '3');
+    assert.equal(brush.alpha(50, 80), 0);
+    assert.equal(brush.alpha(50, 83), 0);
+    assert.equal(brush.alpha(50, 84), 255);
+    // 81 columns x 7 rows, plus a round cap of 11px at each end
+    assert.equal(brush.result.pixels_changed, 81 * 7 + 2 * 11);
+  });
+
+  it('fills the product along a brush stroke', async () => {
+    const { alpha } = await edit('brush-fill', false, '--brush-fill', '50,5 50,95', '--radius', '2');
+    assert.equal(alpha(50, 25), 255);
+    assert.equal(alpha(50, 50), 0);
+    assert.equal(alpha(50, 10), 0);
+  });
+
+  it('flood-clears the hole inside the handle only', async () => {
+    const { result, alpha } = await edit('flood-clear', true, '--flood-clear', '50,50', '--tolerance', '20');
+    assert.equal(alpha(50, 50), 0);
+    assert.equal(alpha(50, 25), 255);
+    assert.equal(alpha(2, 2), 255);
+    let hole = 0;
+    for (let y = 0; y < SIZE; y++) {
+      for (let x = 0; x < SIZE; x++) {
+        if (Math.hypot(x - 50, y - 50) < 15) hole++;
+      }
+    }
+    assert.equal(result.pixels_changed, hole);
+  });
+
+  it('flood-fills the product from a seed', async () => {
+    const { alpha } = await edit('flood-fill', false, '--flood-fill', '50,22');
+    assert.equal(alpha(50, 78), 255);
+    assert.equal(alpha(22, 50), 255);
+    assert.equal(alpha(50, 50), 0);
+  });
+
+  it('rejects malformed points', async () => {
+    await assert.rejects(edit('bad', false, '--fill-polygon', '10,10 20'), /Invalid point/);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * The GMC claims engine and field audit in assets/js/gmc-compliance.js with
+ * the rules from includes/Utils/gmc-claim-rules.json (GMCValidator), and the
+ * Yoast assessment in assets/js/yoast-gmc-compliance.js.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { describe, it } = require('node:test');
+
+const SCRIPT = path.join(__dirname, '..', 'assets', 'js', 'gmc-compliance.js');
+const YOAST_SCRIPT = path.join(__dirname, '..', 'assets', 'js', 'yoast-gmc-compliance.js');
+const {
+  compileRules, findClaims, normalizeText, rewriteClaims, rewriteHtml, isValidGtin, auditFields, complianceScore, yoastScore
+} = require(SCRIPT);
+const RULES = require('../includes/Utils/gmc-claim-rules.json');
+
+const compiled = compileRules(RULES);
+const ids = text => findClaims(text, compiled).claims.map(claim => claim.id);
+
+describe('GMC claims engine', () => {
+  it('gives every rule a message and a severity', () => {
+    for (const rule of RULES.claims) {
+      assert.ok(rule.message, rule.id);
+      assert.ok(['critical', 'major', 'minor'].includes(rule.severity), rule.id);
+    }
+  });
+
+  it('matches stems and inflections', () => {
+    assert.deepEqual(ids('Cures joint pain fast.'), ['cure']);
+    assert.deepEqual(ids('Supports natural healing.'), ['heal']);
+    assert.deepEqual(ids('A powerful anti-cancer blend.'), ['anti-disease']);
+    assert.deepEqual(ids('Treated thousands of customers.'), ['treat']);
+    // Whole words only
+    assert.deepEqual(ids('Secure, healthy, wheat-based.'), []);
+  });
+
+  it('matches multi-word claim phrases', () => {
+    assert.deepEqual(ids('This formula reverses type 2 diabetes.'), ['reverses-disease']);
+    assert.deepEqual(ids('Clinically proven to boost energy.'), ['clinically-proven']);
+    assert.deepEqual(ids('Kills harmful viruses on contact.'), ['fights-disease']);
+    assert.deepEqual(ids('Clinically tested for purity.'), []);
+  });
+
+  it('ignores safe contexts', () => {
+    assert.deepEqual(ids('Silica packet prevents clumping. Treat yourself to a tasty treat!'), []);
+    const disclaimer = findClaims('<p>These statements have not been evaluated by the Food and Drug Administration. '
+      + 'This product is not intended to diagnose, treat, cure, or prevent any disease.</p>', compiled);
+    assert.deepEqual(disclaimer.claims, []);
+    assert.deepEqual(disclaimer.suppressed.map(s => s.id).sort(), ['cure', 'diagnose', 'drug', 'prevent', 'treat']);
+    assert.deepEqual(ids('Consult your doctor if you take prescription drugs.'), []);
+  });
+
+  it('ignores negated mentions, but not "not only"', () => {
+    assert.deepEqual(ids('It does not cure anything; there is no cure.'), []);
+    assert.deepEqual(ids('Our tea doesn\u2019t treat illness.'), []);
+    assert.deepEqual(ids('It not only cures colds.'), ['cure']);
+    // The negation belongs to an earlier clause
+    assert.deepEqual(ids('No artificial colours, heals skin.'), ['heal']);
+  });
+
+  it('normalizes markup and whitespace', () => {
+    assert.equal(normalizeText('<b>Heals</b>&nbsp;fast\n\n&amp; well'), 'heals fast & well');
+  });
+});
+
+describe('GMC field audit', () => {
+  const product = {
+    title: 'Joint Support Capsules',
+    description: '<p>Gentle daily support.</p>',
+    short_description: 'Made with turmeric.',
+    acf: [],
+    image_alts: ['Capsule bottle, front'],
+    price: '24.90',
+    weight: '0.2',
+    gtin: '4006381333931',
+    image_count: 3,
+    variable: false
+  };
+  const audit = fields => auditFields({ ...product, ...fields }, compiled).issues;
+  const found = fields => audit(fields).map(issue => `${issue.field}:${issue.rule || issue.issue}`);
+
+  it('passes a complete product', () => {
+    assert.deepEqual(audit({}), []);
+    assert.equal(complianceScore([], compiled), 100);
+    assert.equal(yoastScore([]), 9);
+  });
+
+  it('checks claims in every text field GMC sees', () => {
+    assert.deepEqual(found({
+      title: 'Capsules That Cure Arthritis',
+      short_description: 'Heals joints.',
+      acf: [{ name: 'benefits', label: 'Benefits', value: 'Clinically proven to heal.' }],
+      image_alts: ['Bottle', 'Anti-cancer formula']
+    }), ['title:cure', 'short_description:heal', 'acf:benefits:clinically-proven', 'acf:benefits:heal', 'image_alt:anti-disease']);
+  });
+
+  it('checks price, weight, GTIN, title length and images', () => {
+    assert.deepEqual(found({ price: '', weight: '0', gtin: '4006381333932', image_count: 0, title: 'x'.repeat(151) }),
+      ['weight:missing_weight', 'price:missing_price', 'gtin:invalid_gtin', 'images:no_images', 'title:title_too_long']);
+    assert.deepEqual(found({ image_count: 1 }), ['images:few_images']);
+    // Variations have their own prices; fields not on the page are skipped
+    assert.deepEqual(found({ price: '', variable: true }), []);
+    assert.deepEqual(found({ price: undefined, weight: undefined, gtin: undefined, image_count: undefined }), []);
+  });
+
+  it('validates GTIN check digits', () => {
+    assert.equal(isValidGtin('4006381333931'), true);
+    assert.equal(isValidGtin('036000 291452'), true);
+    assert.equal(isValidGtin('96385074'), true);
+    assert.equal(isValidGtin('036000291453'), false);
+    assert.equal(isValidGtin('12345'), false);
+  });
+
+  it('scores like the server audit', () => {
+    const score = fields => complianceScore(audit(fields), compiled);
+    // Error 30, warning 10; claims by severity, each rule once
+    assert.equal(score({ weight: '' }), 70);
+    assert.equal(score({ image_count: 1 }), 90);
+    assert.equal(score({ description: 'A natural remedy.' }), 90);
+    assert.equal(score({ description: 'Cures colds.', short_description: 'Cures flu.' }), 70);
+    assert.equal(score({ description: 'Cures and treats colds.', weight: '', price: '0' }), 10);
+
+    assert.equal(yoastScore(audit({ image_count: 1 })), 6);
+    assert.equal(yoastScore(audit({ description: 'Heals.' })), 6);
+    assert.equal(yoastScore(audit({ description: 'Cures.' })), 3);
+    assert.equal(yoastScore(audit({ weight: '' })), 3);
+  });
+});
+
+describe('GMC claim rewrites', () => {
+  it('reports the compliant wording per form', () => {
+    const [cures, proven] = findClaims('Cures colds. Clinically proven to work.', compiled).claims;
+    assert.equal(cures.rewrite, 'supports');
+    assert.match(cures.suggestion, /supports/);
+    assert.equal(proven.rewrite, 'formulated to');
+    assert.equal(findClaims('Diagnoses allergies.', compiled).claims[0].rewrite, null);
+  });
+
+  it('rewrites only the active claims, keeping the case', () => {
+    assert.deepEqual(rewriteClaims('Cure your cold. This is not a cure.', compiled, 'cure'), { text: 'Support your cold. This is not a cure.', count: 1 });
+    assert.deepEqual(rewriteClaims('CURES FAST', compiled, 'cures'), { text: 'SUPPORTS FAST', count: 1 });
+    assert.deepEqual(rewriteClaims('Clinically  proven to work', compiled, 'clinically proven to'), { text: 'Formulated to work', count: 1 });
+    assert.deepEqual(rewriteClaims('Not intended to diagnose, treat, cure, or prevent any disease.', compiled, 'treat').count, 0);
+  });
+
+  it('rewrites editor HTML without Yoast highlights breaking the context', () => {
+    const html = "<p>This is not a <yoastmark class='yoast-text-mark'>cure</yoastmark>. <yoastmark class='yoast-text-mark'>Cure</yoastmark> it, <a href=\"/cure\">cure</a> it.</p>";
+    assert.deepEqual(rewriteHtml(html, compiled, 'cure'), { text: '<p>This is not a cure. Support it, <a href="/cure">support</a> it.</p>', count: 2 });
+  });
+
+  it('keeps a negation across inline tags when rewriting HTML', () => {
+    assert.deepEqual(rewriteHtml('<p>This does <em>not</em> cure anything.</p>', compiled, 'cure'), { text: '<p>This does <em>not</em> cure anything.</p>', count: 0 });
+    assert.deepEqual(rewriteHtml('It does not <strong>cure</strong> colds', compiled, 'cure'), { text: 'It does not <strong>cure</strong> colds', count: 0 });
+    assert.deepEqual(rewriteHtml('It does not cure colds. It <strong>cures</strong>&nbsp;flu.', compiled, 'cures'), { text: 'It does not cure colds. It <strong>supports</strong>&nbsp;flu.', count: 1 });
+  });
+});
+
+function input(value) {
+  return { value, events: [], dispatchEvent(event) { this.events.push(event.type); } };
+}
+
+/**
+ * Run the script against a minimal Yoast / classic-editor page: `elements`
+ * by id, `queries` answers querySelectorAll() by selector.
+ */
+function loadInEditor(content, { elements = {}, queries = {} } = {}) {
+  const registered = {};
+  const listeners = {};
+  const textarea = input(content);
+  const byId = { content: textarea, ...elements };
+  class AssessmentResult {
+    setScore(score) { this.score = score; }
+    setText(text) { this.text = text; }
+    setIdentifier(identifier) { this.identifier = identifier; }
+    setHasMarks(hasMarks) { this.hasMarks = hasMarks; }
+  }
+  class Mark {
+    constructor(properties) { Object.assign(this, properties); }
+  }
+  const window = {
+    hpGmcComplianceData: { claimRules: RULES },
+    yoast: { analysis: { values: { AssessmentResult, Mark } } },
+    YoastSEO: {
+      app: {
+        registerPlugin() {},
+        registerAssessment(name, assessment) { registered[name] = assessment; },
+        refresh() { registered.refreshed = true; }
+      }
+    },
+    addEventListener(type, listener) { listeners[type] = listener; }
+  };
+  const document = {
+    getElementById: id => byId[id] || null,
+    querySelector: selector => (queries[selector] || [])[0] || null,
+    querySelectorAll: selector => queries[selector] || [],
+    createTextNode: text => ({ text }),
+    addEventListener(type, listener) { listeners[`document:${type}`] = listener; }
+  };
+  const context = vm.createContext({ window, document, YoastSEO: window.YoastSEO, Event: class { constructor(type) { this.type = type; } } });
+  vm.runInContext(fs.readFileSync(SCRIPT, 'utf8'), context);
+  vm.runInContext(fs.readFileSync(YOAST_SCRIPT, 'utf8'), context);
+  listeners['YoastSEO:ready']();
+  const paper = { getText: () => textarea.value, getDescription: () => '' };
+  return { assessment: registered['gmc-compliance'], registered, listeners, textarea, paper, byId };
+}
+
+describe('Yoast assessment', () => {
+  const description = '<p>Cures colds <em>fast</em>. CURES the flu.</p><p>Not intended to diagnose, treat, cure, or prevent any disease.</p>';
+
+  it('returns a scored result with marks for each sentence with a claim', () => {
+    const { assessment, paper } = loadInEditor(description);
+    const result = assessment.getResult(paper);
+    assert.equal(result.score, 3);
+    assert.equal(result.hasMarks, true);
+    assert.match(result.text, /"cures" &rarr; "supports" <a href="#" class="hp-gmc-replace" data-match="cures">Replace<\/a> \(critical; description\)/);
+    assert.match(result.text, /4 negated or disclaimer mentions ignored/);
+
+    const marks = assessment.getMarks(paper);
+    assert.deepEqual(Array.from(marks, mark => mark.original), ['Cures colds', 'CURES the flu.']);
+    assert.equal(marks[0].marked, "<yoastmark class='yoast-text-mark'>Cures colds</yoastmark>");
+  });
+
+  it('marks neither negated mentions nor words containing the claim', () => {
+    const { assessment, paper } = loadInEditor('<p>It does <em>not</em> cure colds. A secure cap. Heals cuts fast!</p>');
+    assert.deepEqual(Array.from(assessment.getMarks(paper), mark => mark.original), ['Heals cuts fast!']);
+  });
+
+  it('audits the WooCommerce, ACF and image fields of the edit screen', () => {
+    const img = alt => ({ getAttribute: () => alt });
+    const acfField = {
+      getAttribute: name => ({ 'data-type': 'text', 'data-name': 'benefits' })[name],
+      querySelector: selector => (selector.includes('label') ? { textContent: 'Key benefits *' } : input('Heals sore joints.'))
+    };
+    const { assessment, paper } = loadInEditor('<p>Gentle daily support.</p>', {
+      elements: {
+        title: input('Turmeric Capsules'),
+        excerpt: input('Treats inflammation.'),
+        _regular_price: input(''),
+        _weight: input('0.2'),
+        _global_unique_id: input('12345678'),
+        'product-type': input('simple'),
+        product_images_container: {}
+      },
+      queries: {
+        '#set-post-thumbnail img': [img('Bottle')],
+        '#set-post-thumbnail img, #product_images_container li.image img': [img('Bottle'), img('Cures arthritis')],
+        '#product_images_container li.image': [{}],
+        '.acf-field[data-type="text"], .acf-field[data-type="textarea"], .acf-field[data-type="wysiwyg"]': [acfField]
+      }
+    });
+    const result = assessment.getResult(paper);
+    assert.equal(result.score, 3);
+    // Missing price -10, invalid GTIN -10, cure -30, heal -20, treat -20
+    assert.match(result.text, /^GMC Compliance: 10\/100\./);
+    assert.match(result.text, /<br>price \(warning\): GMC requires a price above zero\./);
+    assert.match(result.text, /<br>GTIN \(warning\): The GTIN is not a valid UPC/);
+    assert.match(result.text, /<br>"cures" &rarr; "supports" \(critical; image alt text\)/);
+    assert.match(result.text, /<br>"heals" &rarr; "supports" \(major; Key benefits\)/);
+    assert.match(result.text, /"treats" &rarr; "supports" <a [^>]*>Replace<\/a> \(major; short description\)/);
+    assert.equal(result.hasMarks, false);
+    assert.doesNotMatch(result.text, /eye button/);
+  });
+
+  it('replaces the claims in the Text tab with one click', () => {
+    const { listeners, textarea, registered } = loadInEditor(description);
+    const link = {
+      closest: () => link,
+      getAttribute: () => 'cures',
+      replaceWith(node) { link.replacement = node; }
+    };
+    const event = { target: link, preventDefault() { event.prevented = true; } };
+    listeners['document:click'](event);
+    assert.equal(event.prevented, true);
+    assert.equal(textarea.value, '<p>Supports colds <em>fast</em>. SUPPORTS the flu.</p><p>Not intended to diagnose, treat, cure, or prevent any disease.</p>');
+    assert.deepEqual(textarea.events, ['input']);
+    assert.deepEqual(link.replacement, { text: '(replaced 2)' });
+    assert.equal(registered.refreshed, true);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * The standalone GMC compliance panel (assets/js/gmc-compliance-panel.js) on
+ * edit screens without Yoast: the classic editor metabox and the block
+ * editor sidebar panel.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { describe, it } = require('node:test');
+
+const JS = path.join(__dirname, '..', 'assets', 'js');
+const RULES = require('../includes/Utils/gmc-claim-rules.json');
+
+function input(value) {
+  return { value, events: [], dispatchEvent(event) { this.events.push(event.type); } };
+}
+
+/**
+ * Run gmc-compliance.js and the panel against a minimal edit screen.
+ */
+function loadPanel({ blockEditor = false, elements = {}, wp } = {}) {
+  const listeners = {};
+  const document = {
+    body: { classList: { contains: name => blockEditor && name === 'block-editor-page' } },
+    getElementById: id => elements[id] || null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createTextNode: text => ({ text }),
+    addEventListener(type, listener) { listeners[type] = listener; }
+  };
+  const window = { hpGmcComplianceData: { claimRules: RULES }, wp };
+  const context = vm.createContext({
+    window,
+    document,
+    Event: class { constructor(type) { this.type = type; } },
+    // Updates run at once instead of after the typing pause
+    setTimeout: callback => callback(),
+    clearTimeout: () => {}
+  });
+  vm.runInContext(fs.readFileSync(path.join(JS, 'gmc-compliance.js'), 'utf8'), context);
+  vm.runInContext(fs.readFileSync(path.join(JS, 'gmc-compliance-panel.js'), 'utf8'), context);
+  return { listeners };
+}
+
+describe('GMC compliance panel', () => {
+  it('fills the classic editor metabox and updates it while typing', () => {
+    const box = { innerHTML: '' };
+    const content = input('<p>Gentle daily support.</p>');
+    const { listeners } = loadPanel({
+      elements: { 'hp-gmc-compliance-panel': box, title: input('Morning Tea'), content, excerpt: input('') }
+    });
+    assert.match(box.innerHTML, /background:#7ad03a"><\/span> <strong>100\/100<\/strong>/);
+    assert.match(box.innerHTML, /No risky claims or missing product data found/);
+
+    content.value = '<p>Cures colds. Not intended to diagnose, treat, cure, or prevent any disease.</p>';
+    listeners.input();
+    assert.match(box.innerHTML, /background:#dc3232"><\/span> <strong>70\/100<\/strong>/);
+    assert.match(box.innerHTML, /<li>"cures" &rarr; "supports" <a href="#" class="hp-gmc-replace" data-match="cures">Replace<\/a> \(critical; description\)/);
+    assert.match(box.innerHTML, /4 negated or disclaimer mentions ignored\./);
+
+    // Replace link
+    const link = { closest: () => link, getAttribute: () => 'cures', replaceWith(node) { link.replacement = node; } };
+    listeners.click({ target: link, preventDefault() {} });
+    assert.equal(content.value, '<p>Supports colds. Not intended to diagnose, treat, cure, or prevent any disease.</p>');
+    assert.match(box.innerHTML, /100\/100/);
+  });
+
+  it('adds a document sidebar panel in the block editor', () => {
+    const post = { title: 'Immune Tea', excerpt: 'Heals fast.', content: '<!-- wp:paragraph --><p>Gentle daily support.</p><!-- /wp:paragraph -->' };
+    const store = {
+      getEditedPostAttribute: name => post[name],
+      getEditedPostContent: () => post.content
+    };
+    const plugins = {};
+    const el = (type, props, ...children) => ({ type, props, children });
+    const wp = {
+      element: { createElement: el, RawHTML: 'RawHTML', useState: initial => [initial, () => {}], useEffect: () => {} },
+      data: { select: () => store, useSelect: selector => selector(() => store) },
+      plugins: { registerPlugin(name, settings) { plugins[name] = settings; } },
+      editPost: { PluginDocumentSettingPanel: 'PluginDocumentSettingPanel' }
+    };
+    loadPanel({ blockEditor: true, wp });
+
+    const panel = plugins['hp-gmc-compliance'].render();
+    assert.equal(panel.type, 'PluginDocumentSettingPanel');
+    assert.equal(panel.props.title, 'GMC Compliance');
+    const [html] = panel.children[0].children;
+    assert.match(html, /<strong>80\/100<\/strong>/);
+    // No Replace links: the block editor content isn't rewritten in place
+    assert.match(html, /<li>"heals" &rarr; "supports" \(major; short description\)/);
+  });
+});
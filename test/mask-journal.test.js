@@ -0,0 +1,109 @@
+/**
+ * Mask journal (bin/lib/mask-journal.js) through edit-mask.js and
+ * bin/mask-history.js, on a small opaque mask in a temp directory.
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const sharp = require('sharp');
+
+const BIN = path.join(__dirname, '..', 'bin');
+const SIZE = 40;
+
+describe('mask journal', () => {
+  let dir;
+  const mask = 'mask.png';
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-journal-test-'));
+    await sharp({ create: { width: SIZE, height: SIZE, channels: 4, background: { r: 20, g: 40, b: 60, alpha: 1 } } })
+      .png()
+      .toFile(path.join(dir, mask));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const run = (script, args, env = {}) => new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(BIN, script), ...args], { cwd: dir, timeout: 30000, env: { ...process.env, ...env } }, (error, stdout, stderr) => {
+      if (error) reject(new Error(stderr || error.message));
+      else resolve(JSON.parse(stdout));
+    });
+  });
+
+  // Clear row `y` of the mask
+  const clearRow = (y, ...extra) => run('edit-mask.js', ['--mask', mask, '--clear-rect', '--x1', '0', '--y1', String(y), '--x2', String(SIZE - 1), '--y2', String(y), ...extra]);
+  const history = (...args) => run('mask-history.js', [args[0], mask, ...args.slice(1)]);
+
+  const clearedRows = async () => {
+    const { data } = await sharp(path.join(dir, mask)).raw().toBuffer({ resolveWithObject: true });
+    const rows = [];
+    for (let y = 0; y < SIZE; y++) {
+      if (data[(y * SIZE) * 4 + 3] === 0) rows.push(y);
+    }
+    return rows;
+  };
+
+  it('records each edit with its arguments', async () => {
+    const first = await clearRow(5);
+    await clearRow(10);
+    assert.equal(first.journal_id, 1);
+
+    const log = await history('log');
+    assert.equal(log.position, 2);
+    assert.deepEqual(log.operations.map(op => [op.id, op.tool, op.applied]), [[1, 'edit-mask', true], [2, 'edit-mask', true]]);
+    assert.match(log.operations[1].args, /--y1 10/);
+    assert.ok(fs.existsSync(path.join(dir, 'mask.history', '0001-before.png')));
+  });
+
+  it('undoes and redoes', async () => {
+    await clearRow(5);
+    await clearRow(10);
+    await clearRow(15);
+
+    await history('undo', '--steps', '2');
+    assert.deepEqual(await clearedRows(), [5]);
+
+    const redone = await history('redo');
+    assert.deepEqual(redone.redone, [2]);
+    assert.deepEqual(await clearedRows(), [5, 10]);
+
+    // A new edit drops the remaining redo
+    await clearRow(20);
+    const log = await history('log');
+    assert.deepEqual(log.operations.map(op => op.id), [1, 2, 4]);
+    await assert.rejects(history('redo'), /Only 0 operation/);
+  });
+
+  it('replays the journal without a bad operation', async () => {
+    await clearRow(5);
+    await clearRow(10);
+    await clearRow(15);
+
+    const result = await history('replay', '--skip', '2');
+    assert.deepEqual(result.replayed, [1, 3]);
+    assert.deepEqual(await clearedRows(), [5, 15]);
+    assert.equal(result.operations.length, 2);
+  });
+
+  it('refuses to undo over an outside change, and starts over when a tool sees one', async () => {
+    await clearRow(5);
+    await sharp({ create: { width: SIZE, height: SIZE, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 1 } } })
+      .png()
+      .toFile(path.join(dir, mask));
+
+    await assert.rejects(history('undo'), /changed outside the journal/);
+    await clearRow(10);
+    const log = await history('log');
+    assert.deepEqual(log.operations.map(op => op.id), [2]);
+  });
+
+  it('skips recording with --no-journal', async () => {
+    const result = await clearRow(5, '--no-journal');
+    assert.equal(result.journal_id, null);
+    assert.equal(fs.existsSync(path.join(dir, 'mask.history')), false);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * bin/lib/mask-quality.js and the analyze-mask.js / check-issues.js CLIs.
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const sharp = require('sharp');
+
+const { analyzeMask, detectBackground } = require('../bin/lib/mask-quality');
+
+const BIN = path.join(__dirname, '..', 'bin');
+const WIDTH = 300;
+const HEIGHT = 400;
+const LEFT = 100;
+const RIGHT = 200;
+const TOP = 50;
+const BOTTOM = 350;
+
+/**
+ * Product: a 101px wide column on a light background. `defects` adds a bite
+ * on the left (rows 150-179), kept background on the right (rows 250-264), a
+ * hole and a stray island.
+ */
+function images(defects = false) {
+  const mask = Buffer.alloc(WIDTH * HEIGHT * 4);
+  const original = Buffer.alloc(WIDTH * HEIGHT * 4, 240);
+  for (let y = TOP; y < BOTTOM; y++) {
+    for (let x = LEFT; x <= RIGHT; x++) {
+      const idx = (y * WIDTH + x) * 4;
+      original[idx] = 30;
+      original[idx + 1] = 60;
+      original[idx + 2] = 90;
+      mask.set([30, 60, 90, 255], idx);
+    }
+  }
+  if (defects) {
+    const clear = (x, y) => mask.fill(0, (y * WIDTH + x) * 4, (y * WIDTH + x) * 4 + 4);
+    const paint = (x, y) => mask.set([240, 240, 240, 255], (y * WIDTH + x) * 4);
+    for (let y = 150; y < 180; y++) for (let x = LEFT; x < LEFT + 8; x++) clear(x, y);
+    for (let y = 250; y < 265; y++) for (let x = RIGHT + 1; x <= RIGHT + 6; x++) paint(x, y);
+    for (let y = 300; y < 310; y++) for (let x = 140; x < 150; x++) clear(x, y);
+    for (let y = 10; y < 16; y++) for (let x = 20; x < 26; x++) paint(x, y);
+  }
+  return { mask, original };
+}
+
+describe('mask-quality', () => {
+  it('passes a clean mask', () => {
+    const { mask, original } = images();
+    const report = analyzeMask(mask, WIDTH, HEIGHT, { origData: original });
+    assert.equal(report.pass, true);
+    assert.equal(report.score, 100);
+    assert.deepEqual(report.issues, []);
+    assert.equal(report.content_rows, BOTTOM - TOP);
+  });
+
+  it('finds bites, kept background, holes and islands against the original', () => {
+    const { mask, original } = images(true);
+    const report = analyzeMask(mask, WIDTH, HEIGHT, { origData: original });
+
+    assert.equal(report.pass, false);
+    assert.ok(report.score < 100);
+    assert.deepEqual(report.edges.left.ranges, [{ from: 150, to: 179, max_deviation: 8, target: LEFT }]);
+    assert.deepEqual(report.edges.right.ranges, [{ from: 250, to: 264, max_deviation: -6, target: RIGHT }]);
+    assert.deepEqual(report.holes, { count: 1, pixels: 100 });
+    assert.deepEqual(report.islands, { count: 1, pixels: 36 });
+    assert.equal(report.issues.length, 4);
+  });
+
+  it('finds edge defects without an original', () => {
+    const { mask } = images(true);
+    const report = analyzeMask(mask, WIDTH, HEIGHT);
+    assert.equal(report.reference, 'smoothed');
+    assert.equal(report.edges.left.ranges[0].from, 150);
+    assert.equal(report.edges.left.ranges[0].to, 179);
+    assert.equal(report.edges.right.ranges[0].max_deviation, -6);
+  });
+
+  it('flags soft fringe and limits the edge check to a row range', () => {
+    const { mask } = images();
+    for (let y = TOP; y < BOTTOM; y++) {
+      for (let x = LEFT; x < LEFT + 5; x++) mask[(y * WIDTH + x) * 4 + 3] = 128;
+    }
+    const report = analyzeMask(mask, WIDTH, HEIGHT, { fromRow: 100, toRow: 200 });
+    assert.deepEqual(report.rows_checked, [100, 199]);
+    assert.equal(report.fringe.mean_width, 2.5);
+    assert.equal(report.pass, true);
+    assert.equal(analyzeMask(mask, WIDTH, HEIGHT, { maxFringeWidth: 2 }).pass, false);
+  });
+
+  it('samples the background from the corners', () => {
+    assert.deepEqual(detectBackground(images().original, WIDTH, HEIGHT), [240, 240, 240]);
+  });
+});
+
+describe('analyze-mask.js / check-issues.js', () => {
+  let dir;
+  let maskPath;
+  let originalPath;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-quality-test-'));
+    maskPath = path.join(dir, 'mask.png');
+    originalPath = path.join(dir, 'original.png');
+    const { mask, original } = images(true);
+    const raw = { raw: { width: WIDTH, height: HEIGHT, channels: 4 } };
+    await sharp(mask, raw).png().toFile(maskPath);
+    await sharp(original, raw).png().toFile(originalPath);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const run = (script, ...args) => new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(BIN, script), ...args], { timeout: 30000 }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout);
+    });
+  });
+
+  it('prints the report as JSON', async () => {
+    const report = JSON.parse(await run('analyze-mask.js', maskPath, '--original', originalPath, '--json'));
+    assert.equal(report.success, true);
+    assert.equal(report.reference, 'original');
+    assert.equal(report.edges.left.ranges[0].target, LEFT);
+  });
+
+  it('suggests edit-mask.js fixes for both sides', async () => {
+    const output = await run('check-issues.js', maskPath, originalPath);
+    assert.match(output, /--left-edge 100 --from-row 150 --to-row 179/);
+    assert.match(output, /--right-edge 200 --from-row 250 --to-row 264/);
+    assert.match(output, /1 hole\(s\)/);
+  });
+});
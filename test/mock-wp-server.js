@@ -0,0 +1,285 @@
+/**
+ * Mock WordPress MCP endpoint - lets the bridge and tools run without the
+ * Kinsta staging site.
+ *
+ * Implements initialize, tools/list and tools/call for the hp-abilities tool
+ * names with canned responses, plus the chunked upload route used by
+ * hp-local-upload-file and the WooCommerce settings route read by
+ * bin/lib/wp-transport.js. WooCommerce-native tools with oversized schemas are
+ * listed too, like on the real site, so the bridge's filter has work to do.
+ *
+ * The quirks seen on the live site can be switched on per test through
+ * `server.options`:
+ *   bom              prefix every JSON body with a UTF-8 BOM
+ *   emptyBodies: N   answer the next N requests with 200 and an empty body
+ *   failures: N      answer the next N tools/call requests with 503
+ *   sse              answer tools/call as text/event-stream with a progress event
+ *   delayMs: N       answer tools/call after N ms (a long-running ability)
+ *   elicit           answer tools/call as text/event-stream, asking the client
+ *                    for a name (elicitation/create) and greeting it once answered
+ *   onChunk(query)   called with each upload chunk's query before it is stored
+ *   oversizedSchema  add an hp-abilities tool whose schema is over the 1KB budget
+ *   requireSession   reject requests without the current Mcp-Session-Id (default true)
+ * and `server.expireSession()` drops the current session (next request gets 404).
+ *
+ * Usage: node test/mock-wp-server.js [--port=8787]
+ *   then: node bin/hp-mcp-bridge.js http://localhost:8787/wp-json/mcp/mcp-adapter-default-server ck_test:cs_test
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const MCP_PATH = '/wp-json/mcp/mcp-adapter-default-server';
+const UPLOAD_PATH = '/wp-json/hp-abilities/v1/upload';
+const SETTINGS_PATH = '/wp-json/wc/v3/settings/hp-image-prep';
+const API_KEY = 'ck_test:cs_test';
+
+const tool = (slug, properties = {}, required = []) => ({
+  name: `hp-abilities--${slug}`,
+  description: `Mock ${slug}`,
+  inputSchema: { type: 'object', properties, required }
+});
+
+const TOOLS = [
+  tool('products-search', { search: { type: 'string' }, limit: { type: 'integer' } }, ['search']),
+  tool('products-get', { sku: { type: 'string' } }, ['sku']),
+  tool('inventory-check', { sku: { type: 'string' } }),
+  tool('orders-search', { search: { type: 'string' } }),
+  tool('orders-update-status', { order_id: { type: 'integer' }, status: { type: 'string' } }, ['order_id', 'status']),
+  tool('customers-lookup', { email: { type: 'string' } }, ['email']),
+  tool('media-upload', { server_path: { type: 'string' }, file_name: { type: 'string' }, product_id: { type: 'integer' } }),
+  tool('image-settings', { action: { type: 'string', enum: ['get', 'set'] }, settings: { type: 'object' } }),
+  tool('test-hello', { name: { type: 'string' } })
+];
+
+function bigSchema(fields) {
+  const properties = {};
+  for (let i = 0; i < fields; i++) {
+    properties[`field_${i}`] = {
+      type: 'string',
+      description: `Mock field ${i} with the kind of long description WooCommerce ships`,
+      enum: ['draft', 'pending', 'private', 'publish']
+    };
+  }
+  return { type: 'object', properties };
+}
+
+const NATIVE_TOOLS = [
+  { name: 'woocommerce--products-list', description: 'WooCommerce native', inputSchema: bigSchema(60), annotations: { readOnlyHint: true } },
+  { name: 'woocommerce--orders-get', description: 'WooCommerce native', inputSchema: bigSchema(40) }
+];
+
+const OVERSIZED_TOOL = {
+  name: 'hp-abilities--products-update-comprehensive',
+  description: 'Mock tool over the schema budget',
+  inputSchema: bigSchema(20)
+};
+
+const IMAGE_SETTINGS = { target_size: 1200, padding: 0.08, aggressiveness: 35, naming: '{sku}-{angle}', renditions: '[{"name":"gmc","format":"jpeg"}]', correction_prompt: 'Check the cap edges.' };
+
+const CANNED = {
+  'products-search': (args) => ({ products: [{ id: 101, sku: 'HP-101', name: `Result for ${args.search || ''}` }] }),
+  'products-get': (args) => ({ id: 101, sku: args.sku, name: 'Mock Product', price: '19.95', stock_quantity: 12 }),
+  'inventory-check': (args) => ({ sku: args.sku || 'HP-101', stock_quantity: 12, in_stock: true }),
+  'orders-search': () => ({ orders: [{ id: 5001, status: 'processing', total: '42.00' }] }),
+  'orders-update-status': (args) => ({ success: true, order_id: args.order_id, status: args.status }),
+  'customers-lookup': (args) => ({ email: args.email, orders_count: 3 }),
+  'media-upload': (args) => ({ success: true, method: 'server_path', attachment_id: 9001, url: `https://mock.example/uploads/${args.file_name || 'upload.png'}`, file_path: args.server_path, product_id: args.product_id || 0 }),
+  'image-settings': () => ({ success: true, ...IMAGE_SETTINGS }),
+  'test-hello': (args) => ({ message: `Hello, ${args.name || 'world'}!` })
+};
+
+function createMockServer(options = {}) {
+  const state = {
+    options: { requireSession: true, emptyBodies: 0, failures: 0, ...options },
+    requests: [],
+    uploads: {},
+    // Elicitation id -> callback taking the client's answer
+    elicitations: {},
+    elicitationCount: 0,
+    sessionCount: 0,
+    sessionId: null
+  };
+
+  function send(res, status, message, headers = {}) {
+    const body = message === undefined ? '' : (state.options.bom ? '\uFEFF' : '') + JSON.stringify(message);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body);
+  }
+
+  function handleUpload(req, res, body) {
+    if (req.headers['x-mcp-api-key'] !== API_KEY) {
+      return send(res, 401, { code: 'hp_upload_unauthorized', message: 'Invalid API key' });
+    }
+
+    const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    if (state.options.onChunk) state.options.onChunk(query);
+    const current = state.uploads[query.upload_id] || Buffer.alloc(0);
+    if (Number(query.offset) !== current.length) {
+      return send(res, 409, { code: 'hp_upload_offset', message: 'Unexpected chunk offset', data: { expected_offset: current.length } });
+    }
+
+    const file = state.uploads[query.upload_id] = Buffer.concat([current, body]);
+    if (query.final !== '1') {
+      return send(res, 200, { success: true, upload_id: query.upload_id, received: file.length });
+    }
+    if (query.sha256 !== crypto.createHash('sha256').update(file).digest('hex')) {
+      return send(res, 422, { code: 'hp_upload_checksum', message: 'Checksum mismatch - upload discarded' });
+    }
+    const staged = { success: true, upload_id: query.upload_id, server_path: `/tmp/hp-abilities-uploads/${query.upload_id}-${query.file_name}`, size: file.length };
+    if (query.import === '1') {
+      staged.media = CANNED['media-upload']({ server_path: staged.server_path, file_name: query.file_name, product_id: Number(query.product_id) });
+    }
+    send(res, 200, staged);
+  }
+
+  function handleSettings(req, res) {
+    const [user, pass] = API_KEY.split(':');
+    if (req.headers.authorization !== `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`) {
+      return send(res, 401, { code: 'woocommerce_rest_cannot_view', message: 'Sorry, you cannot list resources.' });
+    }
+    send(res, 200, Object.entries(IMAGE_SETTINGS).map(([name, value]) => ({ id: `hp_abilities_image_${name}`, value })));
+  }
+
+  function callTool(params) {
+    const slug = String(params.name || '').replace(/^hp-abilities--/, '');
+    const handler = CANNED[slug];
+    if (!handler) {
+      return { error: { code: -32602, message: `Unknown tool: ${params.name}` } };
+    }
+    return { result: { content: [{ type: 'text', text: JSON.stringify(handler(params.arguments || {})) }] } };
+  }
+
+  function handleMcp(req, res, message) {
+    const sessionHeader = req.headers['mcp-session-id'] || null;
+    state.requests.push({ method: message.method || null, id: message.id, tool: message.params && message.params.name, session: sessionHeader, body: message });
+
+    if (message.method === 'initialize') {
+      state.sessionId = `mock-session-${++state.sessionCount}`;
+      return send(res, 200, {
+        jsonrpc: '2.0',
+        id: message.id,
+        result: {
+          protocolVersion: (message.params && message.params.protocolVersion) || '2025-06-18',
+          capabilities: { tools: { listChanged: true } },
+          serverInfo: { name: 'mock-wp-mcp', version: '1.0.0' }
+        }
+      }, { 'Mcp-Session-Id': state.sessionId });
+    }
+
+    if (state.options.requireSession && sessionHeader !== state.sessionId) {
+      return send(res, 404, { jsonrpc: '2.0', id: message.id === undefined ? null : message.id, error: { code: -32600, message: 'Invalid or expired session' } });
+    }
+
+    // Notifications and client responses
+    if (message.id === undefined || !message.method) {
+      const answered = state.elicitations[message.id];
+      if (!message.method && answered) {
+        delete state.elicitations[message.id];
+        answered(message.result || {});
+      }
+      res.writeHead(202);
+      return res.end();
+    }
+
+    if (state.options.emptyBodies > 0) {
+      state.options.emptyBodies--;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end();
+    }
+
+    if (message.method === 'tools/list') {
+      const tools = TOOLS.concat(state.options.oversizedSchema ? [OVERSIZED_TOOL] : [], NATIVE_TOOLS);
+      return send(res, 200, { jsonrpc: '2.0', id: message.id, result: { tools } });
+    }
+
+    if (message.method === 'tools/call') {
+      if (state.options.failures > 0) {
+        state.options.failures--;
+        res.writeHead(503);
+        return res.end();
+      }
+
+      const outcome = callTool(message.params || {});
+      const response = { jsonrpc: '2.0', id: message.id, ...outcome };
+      if (state.options.elicit) {
+        const elicitationId = `elicit-${++state.elicitationCount}`;
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: elicitationId, method: 'elicitation/create', params: { message: 'Who is asking?', requestedSchema: { type: 'object', properties: { name: { type: 'string' } } } } })}\n\n`);
+        state.elicitations[elicitationId] = (answer) => {
+          const greeting = callTool({ ...message.params, arguments: { ...(message.params.arguments || {}), name: answer.content && answer.content.name } });
+          res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, ...greeting })}\n\n`);
+          res.end();
+        };
+        return;
+      }
+      if (state.options.delayMs) {
+        return setTimeout(() => send(res, 200, response), state.options.delayMs);
+      }
+      if (!state.options.sse) return send(res, 200, response);
+
+      const token = message.params._meta && message.params._meta.progressToken;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      if (token !== undefined) {
+        res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: token, progress: 1, total: 2 } })}\n\n`);
+      }
+      res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      return res.end();
+    }
+
+    if (message.method === 'ping') {
+      return send(res, 200, { jsonrpc: '2.0', id: message.id, result: {} });
+    }
+
+    send(res, 200, { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+  }
+
+  const server = http.createServer((req, res) => {
+    const parts = [];
+    req.on('data', (chunk) => parts.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(parts);
+      if (req.method === 'POST' && req.url.startsWith(UPLOAD_PATH)) return handleUpload(req, res, body);
+      if (req.method === 'GET' && req.url.startsWith(SETTINGS_PATH)) return handleSettings(req, res);
+      if (req.method !== 'POST' || !req.url.startsWith(MCP_PATH)) return send(res, 404, { code: 'rest_no_route', message: 'No route' });
+
+      let message;
+      try {
+        message = JSON.parse(body.toString());
+      } catch (e) {
+        return send(res, 400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      }
+      handleMcp(req, res, message);
+    });
+  });
+
+  return {
+    options: state.options,
+    requests: state.requests,
+    uploads: state.uploads,
+    apiKey: API_KEY,
+    get url() {
+      const { port } = server.address();
+      return `http://127.0.0.1:${port}${MCP_PATH}`;
+    },
+    expireSession() {
+      state.sessionId = null;
+    },
+    listen(port = 0) {
+      return new Promise((resolve) => server.listen(port, '127.0.0.1', () => resolve(this.url)));
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { createMockServer, TOOLS, NATIVE_TOOLS, IMAGE_SETTINGS, MCP_PATH, API_KEY };
+
+if (require.main === module) {
+  const portArg = process.argv.find(arg => arg.startsWith('--port='));
+  const mock = createMockServer();
+  mock.listen(portArg ? parseInt(portArg.split('=')[1], 10) : 8787).then((url) => {
+    console.log(`Mock WordPress MCP server on ${url} (key ${API_KEY})`);
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * bin/lib/renditions.js and the renditions written by image-prep.js.
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const sharp = require('sharp');
+
+const { DEFAULT_RENDITIONS, parseRenditions, renderRenditions } = require('../bin/lib/renditions');
+
+const BIN = path.join(__dirname, '..', 'bin');
+const SIZE = 200;
+
+/**
+ * Transparent square canvas with a red product block in the middle.
+ */
+function master() {
+  const data = Buffer.alloc(SIZE * SIZE * 4);
+  for (let y = 50; y < 150; y++) {
+    for (let x = 70; x < 130; x++) data.set([200, 30, 30, 255], (y * SIZE + x) * 4);
+  }
+  return data;
+}
+
+describe('parseRenditions', () => {
+  it('writes only the PNG when nothing is configured', () => {
+    assert.deepEqual(DEFAULT_RENDITIONS, []);
+    assert.deepEqual(parseRenditions(undefined), []);
+  });
+
+  it('accepts JSON strings and arrays, and fills in format defaults', () => {
+    assert.deepEqual(parseRenditions('[{"name":"shop","format":"jpg"}]'), [{ name: 'shop', format: 'jpeg', quality: 90, background: '#ffffff' }]);
+    assert.deepEqual(parseRenditions([{ name: 'small', format: 'png', size: 300, quality: 50 }]), [{ name: 'small', format: 'png', size: 300 }]);
+    assert.deepEqual(parseRenditions('none'), []);
+    assert.deepEqual(parseRenditions('[]'), []);
+  });
+
+  it('rejects invalid specs', () => {
+    assert.throws(() => parseRenditions('[{"name":"x","format":"gif"}]'), /unknown format "gif"/);
+    assert.throws(() => parseRenditions('[{"name":"Big Thumb","format":"png"}]'), /name must be/);
+    assert.throws(() => parseRenditions('[{"name":"a","format":"webp","quality":0}]'), /quality must be/);
+    assert.throws(() => parseRenditions('[{"name":"a","format":"png","background":"white"}]'), /background must be/);
+    assert.throws(() => parseRenditions('[{"name":"a","format":"png"},{"name":"a","format":"webp"}]'), /Duplicate rendition name "a"/);
+    assert.throws(() => parseRenditions('{"name":"a"}'), /must be a JSON array/);
+    assert.throws(() => parseRenditions('[{'), /not valid JSON/);
+  });
+});
+
+describe('renditions', () => {
+  let dir;
+  let masterPath;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-renditions-test-'));
+    masterPath = path.join(dir, 'RN1-front.png');
+    await sharp(master(), { raw: { width: SIZE, height: SIZE, channels: 4 } }).png().toFile(masterPath);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('writes every format and size next to the master', async () => {
+    const results = await renderRenditions(masterPath, parseRenditions([
+      { name: 'gmc', format: 'jpeg' },
+      { name: 'webp', format: 'webp' },
+      { name: 'avif', format: 'avif' },
+      { name: 'thumb-100', format: 'webp', size: 100 },
+      { name: 'big', format: 'png', size: 400 }
+    ]));
+
+    assert.deepEqual(results.map(r => path.basename(r.path)), ['RN1-front-gmc.jpg', 'RN1-front-webp.webp', 'RN1-front-avif.avif', 'RN1-front-thumb-100.webp', 'RN1-front-big.png']);
+    for (const result of results) {
+      const meta = await sharp(result.path).metadata();
+      assert.equal(meta.width, result.width);
+      assert.equal(result.bytes, fs.statSync(result.path).size);
+    }
+    assert.equal(results[3].width, 100);
+    // Never enlarged past the master
+    assert.equal(results[4].width, SIZE);
+
+    // Google Merchant Center: opaque, white where the master is transparent
+    const gmc = await sharp(results[0].path).raw().toBuffer({ resolveWithObject: true });
+    assert.equal(gmc.info.channels, 3);
+    assert.deepEqual([...gmc.data.subarray(0, 3)], [255, 255, 255]);
+
+    // WebP keeps the transparency
+    const webp = await sharp(results[1].path).metadata();
+    assert.equal(webp.hasAlpha, true);
+  });
+
+  it('lists the renditions in the image-prep.js result', async () => {
+    const run = args => new Promise((resolve, reject) => {
+      execFile(process.execPath, [path.join(BIN, 'image-prep.js'), ...args], { cwd: dir, timeout: 60000 }, (error, stdout, stderr) => {
+        if (error) reject(new Error(stderr || error.message));
+        else resolve(JSON.parse(stdout));
+      });
+    });
+
+    const result = await run(['--sku', 'RN2', '--use-mask', masterPath, '--target-size', '160', '--renditions', '[{"name":"gmc","format":"jpeg"},{"name":"thumb-80","format":"webp","size":80}]']);
+    assert.equal(path.basename(result.output), 'RN2-front.png');
+    assert.deepEqual(result.renditions.map(r => [path.basename(r.path), r.width, r.height]), [['RN2-front-gmc.jpg', 160, 160], ['RN2-front-thumb-80.webp', 80, 80]]);
+    assert.ok(result.renditions.every(r => fs.existsSync(r.path)));
+    assert.deepEqual(result.settings.renditions.map(r => r.name), ['gmc', 'thumb-80']);
+
+    const none = await run(['--sku', 'RN3', '--use-mask', masterPath, '--target-size', '160', '--renditions', 'none']);
+    assert.deepEqual(none.renditions, []);
+
+    await assert.rejects(run(['--sku', 'RN4', '--use-mask', masterPath, '--renditions', '[{"name":"x","format":"gif"}]']), /unknown format/);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * bin/lib/shape-regions.js and apply-bottle-shape.js on a synthetic bottle.
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const sharp = require('sharp');
+
+const { analyzeShape, fitEdge, TEMPLATES } = require('../bin/lib/shape-regions');
+const { rowEdges } = require('../bin/lib/symmetry');
+
+const APPLY_SHAPE = path.join(__dirname, '..', 'bin', 'apply-bottle-shape.js');
+const WIDTH = 360;
+const HEIGHT = 520;
+const CENTER = 180;
+
+// Half-width of the bottle per row: cap, shoulder taper, body, nothing below
+function halfWidth(y) {
+  if (y < 30 || y >= 480) return 0;
+  if (y < 90) return 30;
+  if (y < 150) return 30 + Math.round((y - 90) * 1.2);
+  return 102;
+}
+
+/**
+ * Dark glass on a light background with a light label (rows 200-400). The
+ * mask has bites on the left in the body and on the right in the label.
+ */
+function bottle() {
+  const mask = Buffer.alloc(WIDTH * HEIGHT * 4);
+  const original = Buffer.alloc(WIDTH * HEIGHT * 4, 245);
+  for (let y = 0; y < HEIGHT; y++) {
+    const half = halfWidth(y);
+    if (!half) continue;
+    const shade = y >= 200 && y < 400 ? 170 : 40;
+    for (let x = CENTER - half; x <= CENTER + half; x++) {
+      const idx = (y * WIDTH + x) * 4;
+      original[idx] = original[idx + 1] = original[idx + 2] = shade;
+      original[idx + 3] = 255;
+      const bitten = (y >= 160 && y < 190 && x < CENTER - half + 15) || (y >= 300 && y < 330 && x > CENTER + half - 10);
+      if (!bitten) {
+        mask[idx] = mask[idx + 1] = mask[idx + 2] = shade;
+        mask[idx + 3] = 255;
+      }
+    }
+  }
+  return { mask, original };
+}
+
+describe('shape-regions', () => {
+  it('fits lines through outliers', () => {
+    const points = Array.from({ length: 50 }, (_, y) => ({ y, x: 10 + y * 0.5 + (y % 10 === 0 ? 30 : 0) }));
+    const model = fitEdge(points, 1);
+    assert.ok(Math.abs(model(20) - 20) < 0.5);
+    assert.ok(Math.abs(model(40) - 30) < 0.5);
+  });
+
+  it('finds cap, shoulder and body from the image', () => {
+    const { mask, original } = bottle();
+    const shape = analyzeShape(mask, original, WIDTH, HEIGHT, 'bottle');
+    const at = row => shape.regions.find(region => region.from <= row && row < region.to);
+
+    assert.equal(shape.axis, CENTER);
+    assert.equal(at(60).kind, 'straight');
+    assert.equal(at(120).kind, 'taper');
+    assert.equal(at(250).kind, 'straight');
+    // The label boundary splits the body
+    assert.ok(shape.regions.some(region => Math.abs(region.from - 200) <= 3));
+    assert.deepEqual(shape.targets[175], { left: CENTER - 102, right: CENTER + 102 });
+  });
+
+  it('knows every template', () => {
+    assert.deepEqual(Object.keys(TEMPLATES), ['bottle', 'jar', 'box', 'pouch', 'dropper']);
+    const { mask, original } = bottle();
+    assert.throws(() => analyzeShape(mask, original, WIDTH, HEIGHT, 'tube'), /Unknown template/);
+  });
+});
+
+describe('apply-bottle-shape.js', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-shape-test-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const run = async (name, ...extra) => {
+    const maskPath = path.join(dir, `${name}-mask.png`);
+    const originalPath = path.join(dir, `${name}-original.png`);
+    const { mask, original } = bottle();
+    const raw = { raw: { width: WIDTH, height: HEIGHT, channels: 4 } };
+    await sharp(mask, raw).png().toFile(maskPath);
+    await sharp(original, raw).png().toFile(originalPath);
+
+    const result = await new Promise((resolve, reject) => {
+      execFile(process.execPath, [APPLY_SHAPE, maskPath, originalPath, ...extra], { timeout: 30000 }, (error, stdout) => {
+        if (error) reject(error);
+        else resolve(JSON.parse(stdout));
+      });
+    });
+    const { data } = await sharp(maskPath).raw().toBuffer({ resolveWithObject: true });
+    return { result, edges: rowEdges(data, WIDTH, HEIGHT) };
+  };
+
+  it('repairs bites on both edges', async () => {
+    const { result, edges } = await run('both');
+    assert.ok(result.pixels_modified > 0);
+    assert.deepEqual(edges[175], { left: CENTER - 102, right: CENTER + 102 });
+    assert.deepEqual(edges[315], { left: CENTER - 102, right: CENTER + 102 });
+  });
+
+  it('limits the fix to one side with --side', async () => {
+    const { edges } = await run('left', '--side', 'left');
+    assert.equal(edges[175].left, CENTER - 102);
+    assert.ok(edges[315].right < CENTER + 102);
+  });
+
+  it('changes nothing on --dry-run', async () => {
+    const { result, edges } = await run('dry', '--dry-run', '--template', 'jar');
+    assert.equal(result.template, 'jar');
+    assert.equal(result.pixels_modified, 0);
+    assert.ok(edges[175].left > CENTER - 102);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * bin/lib/symmetry.js and mirror-edge.js on synthetic bottle shapes.
+ */
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const sharp = require('sharp');
+
+const { rowEdges, estimateAxis, planBands, parseRegions } = require('../bin/lib/symmetry');
+
+const MIRROR_EDGE = path.join(__dirname, '..', 'bin', 'mirror-edge.js');
+const WIDTH = 400;
+const HEIGHT = 480;
+const CENTER = 211;
+const HALF = 90;
+
+/**
+ * A bottle of half-width 90 around x=211 (neck above row 60). The mask has a
+ * ragged left edge in rows 120-200 and a bitten right edge in rows 320-400;
+ * the original is clean, dark on white.
+ */
+function bottle() {
+  const mask = Buffer.alloc(WIDTH * HEIGHT * 4);
+  const original = Buffer.alloc(WIDTH * HEIGHT * 4, 255);
+
+  for (let y = 20; y < 460; y++) {
+    const half = y < 60 ? 30 : HALF;
+    let left = CENTER - half;
+    let right = CENTER + half;
+    for (let x = left; x <= right; x++) {
+      const idx = (y * WIDTH + x) * 4;
+      original[idx] = original[idx + 1] = original[idx + 2] = 40;
+    }
+    if (y >= 120 && y < 200) left += (y * 7) % 13;
+    if (y >= 320 && y < 400) right -= 6 + ((y * 5) % 9);
+    for (let x = left; x <= right; x++) {
+      const idx = (y * WIDTH + x) * 4;
+      mask[idx] = mask[idx + 1] = mask[idx + 2] = 40;
+      mask[idx + 3] = 255;
+    }
+  }
+  return { mask, original };
+}
+
+describe('symmetry', () => {
+  it('finds the axis despite broken edges', () => {
+    const { mask, original } = bottle();
+    const maskOnly = estimateAxis(mask, WIDTH, HEIGHT);
+    const refined = estimateAxis(mask, WIDTH, HEIGHT, original);
+
+    assert.ok(Math.abs(maskOnly.center - CENTER) <= 1, `mask-only axis ${maskOnly.center}`);
+    assert.equal(refined.center, CENTER);
+    assert.ok(refined.confidence > 0.5);
+  });
+
+  it('returns null for an empty mask', () => {
+    assert.equal(estimateAxis(Buffer.alloc(WIDTH * HEIGHT * 4), WIDTH, HEIGHT), null);
+  });
+
+  it('mirrors from the smoother side per band and leaves clean bands alone', () => {
+    const { mask } = bottle();
+    const plan = planBands(rowEdges(mask, WIDTH, HEIGHT), CENTER, { fromRow: 60, toRow: 460, bandHeight: 20 });
+    const sideAt = row => plan.find(band => band.from <= row && row < band.to).source_side;
+
+    assert.equal(sideAt(150), 'right');
+    assert.equal(sideAt(350), 'left');
+    assert.equal(sideAt(250), 'none');
+    assert.equal(sideAt(440), 'none');
+  });
+
+  it('parses manual regions', () => {
+    assert.deepEqual(parseRegions('0-200:right,200-480:none'), [
+      { from: 0, to: 200, source_side: 'right' },
+      { from: 200, to: 480, source_side: 'none' }
+    ]);
+    assert.throws(() => parseRegions('0-200:up'), /Invalid region/);
+  });
+});
+
+describe('mirror-edge.js', () => {
+  let dir;
+  let maskPath;
+  let originalPath;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-mirror-test-'));
+    maskPath = path.join(dir, 'mask.png');
+    originalPath = path.join(dir, 'original.png');
+    const { mask, original } = bottle();
+    const raw = { raw: { width: WIDTH, height: HEIGHT, channels: 4 } };
+    await sharp(mask, raw).png().toFile(maskPath);
+    await sharp(original, raw).png().toFile(originalPath);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const run = (...extra) => new Promise((resolve, reject) => {
+    execFile(process.execPath, [MIRROR_EDGE, '--mask', maskPath, '--original', originalPath, ...extra], { timeout: 30000 }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(JSON.parse(stdout));
+    });
+  });
+
+  it('keeps the manual center and side', async () => {
+    const result = await run('--center', '200', '--source-side', 'left', '--dry-run');
+    assert.equal(result.center, 200);
+    assert.equal(result.center_detected, null);
+    assert.deepEqual(result.regions.map(region => region.source_side), ['left']);
+  });
+
+  it('repairs both broken edges automatically', async () => {
+    const result = await run('--band-height', '20');
+    assert.equal(result.center, CENTER);
+    assert.equal(result.source_side, 'mixed');
+
+    const { data } = await sharp(maskPath).raw().toBuffer({ resolveWithObject: true });
+    const edges = rowEdges(data, WIDTH, HEIGHT);
+    for (const y of [130, 170, 330, 390]) {
+      assert.equal(edges[y].left, CENTER - HALF, `left edge at row ${y}`);
+      assert.equal(edges[y].right, CENTER + HALF, `right edge at row ${y}`);
+    }
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * bin/lib/wp-transport.js backends against the offline mock server.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+
+const { createMockServer, IMAGE_SETTINGS, API_KEY } = require('./mock-wp-server');
+const { loadTransportConfig, createTransport } = require('../bin/lib/wp-transport');
+
+describe('wp-transport', () => {
+  let mock;
+  let dir;
+  let image;
+
+  before(async () => {
+    mock = createMockServer();
+    await mock.listen();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hp-transport-test-'));
+    image = path.join(dir, 'HP-1-front.png');
+    fs.writeFileSync(image, Buffer.alloc(3000, 1));
+  });
+
+  after(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await mock.close();
+  });
+
+  const configFor = (transport, site = {}) => ({
+    ...loadTransportConfig({ transport }, { HP_WP_URL: mock.url, HP_WP_KEY: API_KEY }),
+    chunkBytes: 1024,
+    ...(Object.keys(site).length ? { site: { name: 'test', url: mock.url, key: API_KEY, ...site } } : {})
+  });
+
+  it('picks environment and backend from the config file, env vars win', () => {
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      transport: 'rest',
+      environments: { stg: { url: 'https://stg.example/wp-json/woocommerce/mcp', key: 'ck_a:cs_b' }, prod: { url: 'https://prod.example/wp-json/woocommerce/mcp', key: 'ck_c:cs_d' } },
+      ssh: { host: 'example', user: 'site', key: '/k' }
+    }));
+
+    const fromFile = loadTransportConfig({ transport_config: configPath, env: 'prod' }, {});
+    assert.equal(fromFile.transport, 'rest');
+    assert.equal(fromFile.site.key, 'ck_c:cs_d');
+
+    const fromEnv = loadTransportConfig({ transport_config: configPath }, { HP_IMAGE_TRANSPORT: 'ssh', HP_SSH_PORT: '2222' });
+    assert.equal(fromEnv.transport, 'ssh');
+    assert.equal(fromEnv.site.name, 'stg');
+    assert.equal(fromEnv.ssh.port, 2222);
+  });
+
+  it('explains missing configuration', () => {
+    assert.throws(() => createTransport(loadTransportConfig({ transport_config: '' }, {})), /No WordPress transport configured/);
+    assert.throws(() => createTransport({ transport: 'ftp' }), /Unknown transport/);
+    assert.throws(() => createTransport(loadTransportConfig({ transport: 'ssh' }, {})), /ssh transport needs host, user, key/);
+  });
+
+  it('mcp: names the backend and quotes the body when WordPress answers with HTML', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html><body><b>Fatal error</b>: Allowed memory size exhausted</body></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/wp-json/woocommerce/mcp`;
+
+    try {
+      const transport = createTransport(configFor('mcp', { url }));
+      await assert.rejects(transport.getImageSettings(), (e) => {
+        assert.match(e.message, new RegExp(`^MCP initialize \\(${url}\\): response is not JSON`));
+        assert.match(e.message, /Fatal error<\/b>: Allowed memory size exhausted/);
+        return true;
+      });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  for (const backend of ['mcp', 'rest']) {
+    it(`${backend}: reads image settings`, async () => {
+      const settings = await createTransport(configFor(backend)).getImageSettings();
+      assert.deepEqual(settings, IMAGE_SETTINGS);
+    });
+
+    it(`${backend}: uploads in chunks and returns the attachment`, async () => {
+      const result = await createTransport(configFor(backend)).uploadImage(image, { productId: 101, isThumbnail: true, title: 'HP-1 front', alt: 'HP-1' });
+      assert.equal(result.attachment_id, 9001);
+      assert.equal(result.url, 'https://mock.example/uploads/HP-1-front.png');
+    });
+
+    it(`${backend}: refuses uploads to production unless allowed`, async () => {
+      const transport = createTransport(configFor(backend, { production: true }));
+      await assert.rejects(transport.uploadImage(image, { productId: 101 }), /Refused/);
+    });
+  }
+});